@@ -0,0 +1,615 @@
+/**
+ * Local fake Microsoft Graph for exercising webhooks without a real tenant.
+ *
+ * Usage:
+ *   FAKE_GRAPH_PORT=4000 npm run fake-graph
+ *   GRAPH_BASE_URL=http://localhost:4000 WEBHOOK_BASE_URL=http://localhost:3000 npm start
+ *
+ * Sign in once, then POST /api/webhooks/subscriptions - the fake performs the
+ * validationToken handshake against the app just like Graph does. Trigger a
+ * notification with:
+ *   curl -X POST localhost:4000/fake/notify -H 'Content-Type: application/json' -d '{"resourceType":"inbox"}'
+ * Add a message with an .ics attachment (for calendar import) with:
+ *   curl -X POST localhost:4000/fake/messages -H 'Content-Type: application/json' -d '{"attachments":[{"name":"invite.ics","contentType":"text/calendar","content":"BEGIN:VCALENDAR..."}]}'
+ * Mail sent through /me/sendMail (e.g. the daily digest) is listed at:
+ *   curl localhost:4000/fake/sent
+ * Simulate throttling of the next N Graph calls with:
+ *   curl -X POST localhost:4000/fake/throttle -H 'Content-Type: application/json' -d '{"count":3,"retryAfter":2}'
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const PORT = process.env.FAKE_GRAPH_PORT || 4000;
+const app = express();
+app.use(express.json());
+
+// Messages posted to /me/sendMail, newest last
+const sentMail = [];
+
+// Test hook state: answer the next N Graph calls with 429 Too Many Requests
+const throttle = { remaining: 0, retryAfter: 1 };
+
+app.use('/v1.0', (req, res, next) => {
+    if (throttle.remaining > 0) {
+        throttle.remaining--;
+        res.set('Retry-After', String(throttle.retryAfter));
+        return res.status(429).json({ error: { code: 'TooManyRequests', message: 'Application is over its MailboxConcurrency limit.' } });
+    }
+    next();
+});
+
+const subscriptions = new Map();
+const messages = new Map();
+const events = new Map();
+const deletedIds = new Set();
+const todoLists = [
+    { id: 'list-tasks', displayName: 'Tasks', wellknownListName: 'defaultList', tasks: [] },
+    { id: 'list-work', displayName: 'Work', wellknownListName: 'none', tasks: [] }
+];
+
+function fakeMessage(id) {
+    return {
+        id: id,
+        subject: `Fake message ${id.substring(0, 8)}`,
+        from: { emailAddress: { name: 'Fake Sender', address: 'sender@example.com' } },
+        toRecipients: [{ emailAddress: { name: 'You', address: 'you@example.com' } }],
+        receivedDateTime: new Date().toISOString(),
+        bodyPreview: 'This message was generated by the local fake Graph.',
+        body: { contentType: 'text', content: 'This message was generated by the local fake Graph.' },
+        isRead: false,
+        importance: 'normal',
+        hasAttachments: false,
+        conversationId: `conv-${id}`,
+        webLink: `https://outlook.office365.com/owa/?ItemID=${encodeURIComponent(id)}`
+    };
+}
+
+function fakeEvent(id) {
+    const start = new Date(Date.now() + 60 * 60 * 1000);
+    const end = new Date(start.getTime() + 30 * 60 * 1000);
+    return {
+        id: id,
+        subject: `Fake event ${id.substring(0, 8)}`,
+        start: { dateTime: start.toISOString().replace('Z', ''), timeZone: 'UTC' },
+        end: { dateTime: end.toISOString().replace('Z', ''), timeZone: 'UTC' },
+        location: { displayName: 'Fake room' },
+        attendees: [],
+        organizer: { emailAddress: { name: 'Fake Sender', address: 'sender@example.com' } },
+        importance: 'normal',
+        showAs: 'busy'
+    };
+}
+
+// Create subscription - validate the notification URL first, like Graph does
+app.post('/v1.0/subscriptions', async (req, res) => {
+    const validationToken = crypto.randomBytes(16).toString('hex');
+
+    try {
+        const response = await axios.post(req.body.notificationUrl, '', {
+            params: { validationToken },
+            headers: { 'Content-Type': 'text/plain' },
+            timeout: 10000
+        });
+
+        if (response.status !== 200 || response.data !== validationToken) {
+            return res.status(400).json({ error: { code: 'ValidationError', message: 'Notification URL did not echo the validation token' } });
+        }
+    } catch (error) {
+        return res.status(400).json({ error: { code: 'ValidationError', message: `Validation request failed: ${error.message}` } });
+    }
+
+    const subscription = { id: crypto.randomUUID(), ...req.body };
+    subscriptions.set(subscription.id, subscription);
+    console.log(`🔔 [fake-graph] Subscription created for ${subscription.resource}: ${subscription.id}`);
+    res.status(201).json(subscription);
+});
+
+app.patch('/v1.0/subscriptions/:id', (req, res) => {
+    const subscription = subscriptions.get(req.params.id);
+    if (!subscription) {
+        return res.status(404).json({ error: { code: 'ResourceNotFound', message: 'Subscription not found' } });
+    }
+    Object.assign(subscription, req.body);
+    res.json(subscription);
+});
+
+app.delete('/v1.0/subscriptions/:id', (req, res) => {
+    subscriptions.delete(req.params.id);
+    res.status(204).end();
+});
+
+// Delta query: everything on the first call, then only messages added since the deltatoken
+app.get('/v1.0/me/mailFolders/:folderId/messages/delta', (req, res) => {
+    const since = parseInt(req.query.$deltatoken) || 0;
+    const all = Array.from(messages.values());
+    const baseUrl = `${req.protocol}://${req.get('host')}/v1.0/me/mailFolders/${req.params.folderId}/messages/delta`;
+
+    res.json({
+        value: all.slice(since).filter(message => (message.folder || 'inbox') === req.params.folderId.toLowerCase()),
+        '@odata.deltaLink': `${baseUrl}?$deltatoken=${all.length}`
+    });
+});
+
+app.get('/v1.0/me', (req, res) => {
+    res.json({ id: 'fake-user', displayName: 'Fake User', mail: 'you@example.com', userPrincipalName: 'you@example.com' });
+});
+
+app.post('/v1.0/me/events', (req, res) => {
+    const id = crypto.randomUUID();
+    const event = { ...fakeEvent(id), isOrganizer: true, responseStatus: { response: 'organizer' }, ...req.body, id, iCalUId: `fake-${id}` };
+    if (event.isOnlineMeeting) {
+        event.onlineMeeting = { joinUrl: `https://teams.example.test/l/meetup-join/${id}`, conferenceId: '123456789', tollNumber: '+1 555 0100' };
+    }
+    events.set(id, event);
+    res.status(201).json(event);
+});
+
+// Windows zone name, like most real mailboxes (FAKE_GRAPH_TIMEZONE overrides)
+const FAKE_TIMEZONE = process.env.FAKE_GRAPH_TIMEZONE || 'Pacific Standard Time';
+const FAKE_WORKING_HOURS = {
+    daysOfWeek: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+    startTime: '08:00:00.0000000',
+    endTime: '17:00:00.0000000',
+    timeZone: { name: FAKE_TIMEZONE }
+};
+
+app.get('/v1.0/me/mailboxSettings', (req, res) => {
+    res.json({ timeZone: FAKE_TIMEZONE, workingHours: FAKE_WORKING_HOURS });
+});
+
+// Free/busy: every schedule sees all fake events (times stay in UTC, Prefer is ignored)
+app.post('/v1.0/me/calendar/getSchedule', (req, res) => {
+    const scheduleItems = Array.from(events.values()).map(event => ({
+        status: event.showAs || 'busy',
+        subject: event.subject,
+        start: event.start,
+        end: event.end
+    }));
+
+    res.json({
+        value: req.body.schedules.map(scheduleId => scheduleId.endsWith('@external.test')
+            ? { scheduleId, error: { message: 'Free/busy not available', responseCode: 'ErrorMailRecipientNotFound' } }
+            : { scheduleId, scheduleItems, workingHours: FAKE_WORKING_HOURS })
+    });
+});
+
+// One suggestion at the start of the requested window
+app.post('/v1.0/me/findMeetingTimes', (req, res) => {
+    const slot = req.body.timeConstraint.timeSlots[0];
+    const minutes = parseInt(String(req.body.meetingDuration).replace(/\D/g, ''), 10) || 30;
+    const start = new Date(`${slot.start.dateTime}Z`);
+    const end = new Date(start.getTime() + minutes * 60 * 1000);
+
+    res.json({
+        emptySuggestionsReason: '',
+        meetingTimeSuggestions: [{
+            confidence: 100,
+            organizerAvailability: 'free',
+            suggestionReason: 'Suggested because it is one of the nearest times when all attendees are available.',
+            meetingTimeSlot: {
+                start: { dateTime: start.toISOString().replace('Z', ''), timeZone: 'UTC' },
+                end: { dateTime: end.toISOString().replace('Z', ''), timeZone: 'UTC' }
+            },
+            attendeeAvailability: req.body.attendees.map(attendee => ({ attendee, availability: 'free' }))
+        }]
+    });
+});
+
+// Event list with $top/$skip paging, so nextLink handling can be exercised (filters are ignored)
+app.get('/v1.0/me/events', (req, res) => {
+    const top = parseInt(req.query.$top) || 10;
+    const skip = parseInt(req.query.$skip) || 0;
+    const all = Array.from(events.values());
+    const body = { value: all.slice(skip, skip + top) };
+
+    if (skip + top < all.length) {
+        body['@odata.nextLink'] = `${req.protocol}://${req.get('host')}/v1.0/me/events?$top=${top}&$skip=${skip + top}`;
+    }
+    res.json(body);
+});
+
+// Instant of a Graph dateTimeTimeZone - UTC or the app's IANA zones; Windows names are treated as UTC
+function toInstant({ dateTime, timeZone }) {
+    if (!timeZone || timeZone === 'UTC' || !/\//.test(timeZone)) {
+        return new Date(`${dateTime.replace(/Z$/, '')}Z`);
+    }
+    const asUTC = new Date(`${dateTime.replace(/Z$/, '')}Z`);
+    const local = new Date(asUTC.toLocaleString('en-US', { timeZone }) + ' UTC');
+    return new Date(asUTC.getTime() - (local.getTime() - asUTC.getTime()));
+}
+
+const toGraphUtc = (date) => ({ dateTime: date.toISOString().replace('Z', ''), timeZone: 'UTC' });
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Occurrences of a series master inside [windowStart, windowEnd) - daily, weekly and absoluteMonthly
+// patterns, stepping whole UTC days from the first meeting (good enough for a fake)
+function expandSeries(master, windowStart, windowEnd) {
+    const { pattern, range } = master.recurrence;
+    const first = toInstant(master.start);
+    const duration = toInstant(master.end) - first;
+    const endDate = range.type === 'endDate' ? new Date(`${range.endDate}T23:59:59Z`) : null;
+    const occurrences = [];
+    let count = 0;
+
+    for (let day = 0; day < 731 && first.getTime() + day * 86400000 < windowEnd; day++) {
+        const start = new Date(first.getTime() + day * 86400000);
+        const weeks = Math.floor(day / 7);
+        const matches = pattern.type === 'daily' ? day % pattern.interval === 0
+            : pattern.type === 'weekly' ? weeks % pattern.interval === 0 && pattern.daysOfWeek.includes(DAY_NAMES[start.getUTCDay()])
+            : pattern.type === 'absoluteMonthly' && start.getUTCDate() === first.getUTCDate();
+        if (!matches) continue;
+        if (endDate && start > endDate) break;
+        if (range.type === 'numbered' && ++count > range.numberOfOccurrences) break;
+
+        const end = new Date(start.getTime() + duration);
+        if (end > windowStart) {
+            const override = master.exceptions?.[start.toISOString().substring(0, 10)];
+            occurrences.push({
+                ...master,
+                ...override,
+                id: `${master.id}_occ_${start.toISOString().substring(0, 10)}`,
+                type: override ? 'exception' : 'occurrence',
+                seriesMasterId: master.id,
+                iCalUId: `${master.iCalUId}-${start.toISOString().substring(0, 10)}`,
+                originalStart: start.toISOString(),
+                recurrence: null,
+                exceptions: undefined,
+                start: toGraphUtc(override?.start ? toInstant(override.start) : start),
+                end: toGraphUtc(override?.end ? toInstant(override.end) : end)
+            });
+        }
+    }
+    return occurrences;
+}
+
+// calendarView: single events and expanded occurrences overlapping the window, sorted, with $top/$skip paging
+app.get('/v1.0/me/calendarView', (req, res) => {
+    const windowStart = new Date(req.query.startDateTime);
+    const windowEnd = new Date(req.query.endDateTime);
+    if (Number.isNaN(windowStart.getTime()) || Number.isNaN(windowEnd.getTime())) {
+        return res.status(400).json({ error: { code: 'ErrorInvalidParameter', message: 'startDateTime and endDateTime are required.' } });
+    }
+
+    const all = Array.from(events.values())
+        .flatMap(event => event.recurrence
+            ? expandSeries(event, windowStart, windowEnd)
+            : [{ ...event, type: 'singleInstance' }])
+        .filter(event => toInstant(event.start) < windowEnd && toInstant(event.end) > windowStart)
+        .sort((a, b) => toInstant(a.start) - toInstant(b.start));
+
+    const top = parseInt(req.query.$top) || 10;
+    const skip = parseInt(req.query.$skip) || 0;
+    const body = { value: all.slice(skip, skip + top) };
+    if (skip + top < all.length) {
+        const params = new URLSearchParams({ startDateTime: req.query.startDateTime, endDateTime: req.query.endDateTime, $top: top, $skip: skip + top });
+        body['@odata.nextLink'] = `${req.protocol}://${req.get('host')}/v1.0/me/calendarView?${params}`;
+    }
+    res.json(body);
+});
+
+const notFound = (res) => res.status(404).json({ error: { code: 'ErrorItemNotFound', message: 'The specified object was not found in the store.' } });
+
+// Occurrence ids from expandSeries are "<masterId>_occ_<date>"
+function findEvent(id) {
+    const [masterId, date] = id.split('_occ_');
+    const master = events.get(masterId);
+    if (!master || !date) {
+        return master ? { event: master } : null;
+    }
+    const occurrence = expandSeries(master, new Date(`${date}T00:00:00Z`), new Date(`${date}T23:59:59Z`))[0];
+    return occurrence ? { event: occurrence, master, date } : null;
+}
+
+app.get('/v1.0/me/events/:id', (req, res) => {
+    const found = findEvent(req.params.id);
+    if (!found) return notFound(res);
+    res.json(found.master ? found.event : { ...found.event, type: found.event.recurrence ? 'seriesMaster' : 'singleInstance' });
+});
+
+// Updating an occurrence turns it into an exception of its series
+app.patch('/v1.0/me/events/:id', (req, res) => {
+    const found = findEvent(req.params.id);
+    if (!found) return notFound(res);
+
+    if (found.master) {
+        found.master.exceptions = { ...found.master.exceptions, [found.date]: { ...found.master.exceptions?.[found.date], ...req.body } };
+        return res.json(findEvent(req.params.id).event);
+    }
+    Object.assign(found.event, req.body);
+    res.json(found.event);
+});
+
+app.post('/v1.0/me/events/:id/cancel', (req, res) => {
+    const found = findEvent(req.params.id);
+    if (!found) return notFound(res);
+    if (!found.event.isOrganizer) {
+        return res.status(400).json({ error: { code: 'ErrorInvalidRequest', message: 'Your request can\'t be completed. You need to be an organizer to cancel a meeting.' } });
+    }
+    console.log(`🗑️ Cancelled ${req.params.id}: ${req.body.comment || ''}`);
+    events.delete(req.params.id.split('_occ_')[0]);
+    res.status(202).end();
+});
+
+const RSVP_STATUS = { accept: 'accepted', tentativelyAccept: 'tentativelyAccepted', decline: 'declined' };
+
+app.post('/v1.0/me/events/:id/:rsvp', (req, res) => {
+    if (!RSVP_STATUS[req.params.rsvp]) return notFound(res);
+    const found = findEvent(req.params.id);
+    if (!found) return notFound(res);
+    if (found.event.isOrganizer) {
+        return res.status(400).json({ error: { code: 'ErrorInvalidRequest', message: 'Your request can\'t be completed. You can\'t respond to a meeting you organized.' } });
+    }
+    if (req.body.proposedNewTime && req.params.rsvp === 'accept') {
+        return res.status(400).json({ error: { code: 'ErrorInvalidRequest', message: 'proposedNewTime is not supported with accept.' } });
+    }
+    console.log(`📨 ${req.params.rsvp} ${req.params.id}`, JSON.stringify(req.body));
+    const target = found.master || found.event;
+    target.responseStatus = { response: RSVP_STATUS[req.params.rsvp], time: new Date().toISOString() };
+    res.status(202).end();
+});
+
+app.patch('/v1.0/me/messages/:id', (req, res) => {
+    const message = messages.get(req.params.id);
+    if (!message) {
+        return res.status(404).json({ error: { code: 'ErrorItemNotFound', message: 'The specified object was not found in the store.' } });
+    }
+    Object.assign(message, req.body);
+    res.json(message);
+});
+
+app.post('/v1.0/me/messages/:id/move', (req, res) => {
+    const message = messages.get(req.params.id);
+    if (!message) {
+        return res.status(404).json({ error: { code: 'ErrorItemNotFound', message: 'The specified object was not found in the store.' } });
+    }
+    // Graph gives a moved message a new ID
+    messages.delete(req.params.id);
+    res.status(201).json({ ...message, id: crypto.randomUUID(), parentFolderId: req.body.destinationId });
+});
+
+app.delete('/v1.0/me/messages/:id', (req, res) => {
+    if (!messages.delete(req.params.id)) {
+        return res.status(404).json({ error: { code: 'ErrorItemNotFound', message: 'The specified object was not found in the store.' } });
+    }
+    deletedIds.add(req.params.id);
+    res.status(204).end();
+});
+
+// JSON batching: run each request against this server in order, honouring dependsOn
+app.post('/v1.0/$batch', async (req, res) => {
+    const requests = req.body.requests || [];
+    if (requests.length > 20) {
+        return res.status(400).json({ error: { code: 'BadRequest', message: 'Number of requests exceeds the limit of 20.' } });
+    }
+
+    const statuses = new Map();
+    const responses = [];
+
+    for (const item of requests) {
+        const failedDependency = (item.dependsOn || []).find(id => !(statuses.get(id) >= 200 && statuses.get(id) < 300));
+        if (failedDependency) {
+            statuses.set(item.id, 424);
+            responses.push({ id: item.id, status: 424, body: { error: { code: 'FailedDependency', message: `Dependency ${failedDependency} failed` } } });
+            continue;
+        }
+
+        const response = await fetch(`http://localhost:${PORT}/v1.0${item.url}`, {
+            method: item.method,
+            headers: { 'Content-Type': 'application/json', ...(item.headers || {}) },
+            body: item.body !== undefined ? JSON.stringify(item.body) : undefined
+        });
+        const text = await response.text();
+
+        statuses.set(item.id, response.status);
+        responses.push({
+            id: item.id,
+            status: response.status,
+            headers: response.headers.has('retry-after') ? { 'Retry-After': response.headers.get('retry-after') } : {},
+            body: text ? JSON.parse(text) : undefined
+        });
+    }
+
+    res.json({ responses });
+});
+
+// Mailbox search over the fake's messages: KQL "participants:x OR participants:y" and subject:"..." terms,
+// or the flagged ones with $filter=flag/flagStatus eq 'flagged'
+app.get('/v1.0/me/messages', (req, res) => {
+    const search = String(req.query.$search || '').replace(/^"|"$/g, '').replace(/\\"/g, '"');
+    const terms = search.split(/\s+OR\s+/).map(term => term.match(/^(\w+):"?(.*?)"?$/)).filter(Boolean);
+    const people = (message) => [message.from, ...(message.toRecipients || []), ...(message.ccRecipients || [])]
+        .map(recipient => (recipient?.emailAddress?.address || '').toLowerCase());
+
+    const flaggedOnly = /flag\/flagStatus eq 'flagged'/.test(req.query.$filter || '');
+    const conversationId = (String(req.query.$filter || '').match(/conversationId eq '((?:[^']|'')*)'/) || [])[1]?.replace(/''/g, "'");
+
+    const value = Array.from(messages.values()).filter(message => terms.length === 0 || terms.some(([, field, value]) =>
+        field === 'participants' ? people(message).includes(value.toLowerCase())
+            : field === 'subject' && (message.subject || '').toLowerCase().includes(value.toLowerCase())))
+        .filter(message => !flaggedOnly || message.flag?.flagStatus === 'flagged')
+        .filter(message => !conversationId || message.conversationId === conversationId);
+    res.json({ value });
+});
+
+// A folder's messages (messages added with folder: 'sentitems' land in Sent Items), $filter on
+// sentDateTime ge or receivedDateTime ge
+app.get('/v1.0/me/mailFolders/:folderId/messages', (req, res) => {
+    const [, field, since] = String(req.query.$filter || '').match(/(sentDateTime|receivedDateTime) ge (\S+)/) || [];
+    const value = Array.from(messages.values())
+        .filter(message => (message.folder || 'inbox') === req.params.folderId.toLowerCase())
+        .filter(message => !since || new Date((field === 'sentDateTime' && message.sentDateTime) || message.receivedDateTime) >= new Date(since));
+    res.json({ value });
+});
+
+// Reply drafts land in the Drafts folder with the quoted original as body; sending one moves it to
+// Sent Items under the same (immutable) ID
+for (const action of ['createReply', 'createReplyAll']) {
+    app.post(`/v1.0/me/messages/:id/${action}`, (req, res) => {
+        const original = messages.get(req.params.id);
+        if (!original) return notFound(res);
+
+        const id = `draft-${crypto.randomUUID()}`;
+        const from = original.from ? [original.from] : [];
+        messages.set(id, {
+            ...fakeMessage(id),
+            folder: 'drafts',
+            isDraft: true,
+            subject: `RE: ${original.subject || ''}`,
+            from: { emailAddress: { name: 'You', address: 'you@example.com' } },
+            toRecipients: action === 'createReplyAll' ? [...from, ...(original.toRecipients || [])] : from,
+            ccRecipients: action === 'createReplyAll' ? original.ccRecipients || [] : [],
+            body: { contentType: 'html', content: `<html><body><hr><b>From:</b> ${original.from?.emailAddress?.address || ''}<br>${original.body?.content || ''}</body></html>` },
+            conversationId: original.conversationId
+        });
+        res.status(201).json(messages.get(id));
+    });
+}
+
+app.post('/v1.0/me/messages/:id/send', (req, res) => {
+    const draft = messages.get(req.params.id);
+    if (!draft || !draft.isDraft) return notFound(res);
+    Object.assign(draft, { isDraft: false, folder: 'sentitems', sentDateTime: new Date().toISOString() });
+    sentMail.push({ ...draft });
+    res.status(202).end();
+});
+
+// Replies are recorded with the sent mail; reply-all on a message in Sent Items goes to its recipients
+for (const action of ['reply', 'replyAll']) {
+    app.post(`/v1.0/me/messages/:id/${action}`, (req, res) => {
+        const original = messages.get(req.params.id);
+        if (!original) return notFound(res);
+        sentMail.push({ replyTo: original.id, action, comment: req.body.comment, sentDateTime: new Date().toISOString() });
+        res.status(202).end();
+    });
+}
+
+app.post('/v1.0/me/sendMail', (req, res) => {
+    sentMail.push({ ...req.body.message, sentDateTime: new Date().toISOString() });
+    res.status(202).end();
+});
+
+app.get('/v1.0/me/messages/:id', (req, res) => {
+    if (deletedIds.has(req.params.id)) return notFound(res);
+    res.json(messages.get(req.params.id) || fakeMessage(req.params.id));
+});
+
+app.get('/v1.0/me/messages/:id/attachments', (req, res) => {
+    const message = messages.get(req.params.id);
+    if (!message) return notFound(res);
+    res.json({ value: message.attachments || [] });
+});
+
+// Microsoft To Do: lists, and tasks with $filter=status ne 'completed' and $expand=linkedResources
+app.get('/v1.0/me/todo/lists', (req, res) => {
+    res.json({ value: todoLists.map(({ tasks, ...list }) => list) });
+});
+
+app.get('/v1.0/me/todo/lists/:listId/tasks', (req, res) => {
+    const list = todoLists.find(candidate => candidate.id === req.params.listId);
+    if (!list) return notFound(res);
+
+    const openOnly = /status ne 'completed'/.test(String(req.query.$filter || ''));
+    const expand = String(req.query.$expand || '').includes('linkedResources');
+    res.json({
+        value: list.tasks
+            .filter(task => !openOnly || task.status !== 'completed')
+            .map(({ linkedResources, ...task }) => (expand ? { ...task, linkedResources } : task))
+    });
+});
+
+app.post('/v1.0/me/todo/lists/:listId/tasks', (req, res) => {
+    const list = todoLists.find(candidate => candidate.id === req.params.listId);
+    if (!list) return notFound(res);
+
+    const task = {
+        status: 'notStarted',
+        ...req.body,
+        id: crypto.randomUUID(),
+        createdDateTime: new Date().toISOString(),
+        linkedResources: (req.body.linkedResources || []).map(resource => ({ ...resource, id: crypto.randomUUID() }))
+    };
+    list.tasks.push(task);
+    res.status(201).json(task);
+});
+
+// Test hook: send a change (or lifecycle) notification to every matching subscription
+app.post('/fake/notify', async (req, res) => {
+    const { resourceType = 'inbox', changeType = 'created', lifecycleEvent, subscriptionId } = req.body || {};
+    const results = [];
+
+    for (const subscription of subscriptions.values()) {
+        const isInbox = subscription.resource.includes('messages');
+        if (subscriptionId ? subscription.id !== subscriptionId : isInbox !== (resourceType === 'inbox')) {
+            continue;
+        }
+
+        const resourceId = req.body.resourceId || crypto.randomUUID();
+        if (isInbox) {
+            messages.set(resourceId, fakeMessage(resourceId));
+        } else {
+            events.set(resourceId, fakeEvent(resourceId));
+        }
+
+        const notification = lifecycleEvent ? {
+            subscriptionId: subscription.id,
+            clientState: subscription.clientState,
+            lifecycleEvent: lifecycleEvent,
+            subscriptionExpirationDateTime: subscription.expirationDateTime
+        } : {
+            subscriptionId: subscription.id,
+            clientState: subscription.clientState,
+            changeType: changeType,
+            resource: `Users/fake/${isInbox ? 'Messages' : 'Events'}/${resourceId}`,
+            resourceData: {
+                '@odata.type': isInbox ? '#Microsoft.Graph.Message' : '#Microsoft.Graph.Event',
+                id: resourceId
+            },
+            subscriptionExpirationDateTime: subscription.expirationDateTime
+        };
+
+        try {
+            const url = lifecycleEvent ? subscription.lifecycleNotificationUrl : subscription.notificationUrl;
+            const response = await axios.post(url, { value: [notification] });
+            results.push({ subscriptionId: subscription.id, resourceId, status: response.status });
+        } catch (error) {
+            results.push({ subscriptionId: subscription.id, resourceId, error: error.message });
+        }
+    }
+
+    res.json({ sent: results.length, results });
+});
+
+// Test hook: add a message, e.g. with attachments: [{ name, contentType, content }] (content as plain text)
+app.post('/fake/messages', (req, res) => {
+    const id = req.body.id || crypto.randomUUID();
+    const attachments = (req.body.attachments || []).map((attachment, index) => ({
+        '@odata.type': '#microsoft.graph.fileAttachment',
+        id: `att-${index}`,
+        name: attachment.name,
+        contentType: attachment.contentType || 'application/octet-stream',
+        size: Buffer.byteLength(attachment.content || ''),
+        contentBytes: Buffer.from(attachment.content || '').toString('base64')
+    }));
+    messages.set(id, { ...fakeMessage(id), ...req.body, id, attachments, hasAttachments: attachments.length > 0 });
+    res.status(201).json(messages.get(id));
+});
+
+app.post('/fake/throttle', (req, res) => {
+    throttle.remaining = parseInt(req.body?.count) || 0;
+    throttle.retryAfter = req.body?.retryAfter ?? 1;
+    res.json(throttle);
+});
+
+app.get('/fake/sent', (req, res) => {
+    res.json({ value: sentMail });
+});
+
+app.get('/fake/subscriptions', (req, res) => {
+    res.json({ value: Array.from(subscriptions.values()) });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Fake Microsoft Graph listening on port ${PORT}`);
+});
@@ -0,0 +1,106 @@
+/**
+ * Local mock of the Zoom OAuth and meetings APIs for exercising Zoom invites without a Zoom account.
+ *
+ * Usage:
+ *   FAKE_ZOOM_PORT=4200 npm run fake-zoom
+ *   ZOOM_OAUTH_URL=http://localhost:4200/oauth/token ZOOM_API_BASE_URL=http://localhost:4200/v2 npm start
+ *
+ * Any account id / client id works; the client secret must be "fake-zoom-secret" (anything else gets
+ * the 401 Zoom returns for bad credentials). Meetings are created for any user except addresses
+ * @nozoom.test, which get Zoom's "User does not exist" (code 1001). Store credentials for an organization with
+ *   PUT /admin/org/:id/conferencing/zoom {"accountId":"acc","clientId":"cid","clientSecret":"fake-zoom-secret"}
+ * List the meetings created so far with GET localhost:4200/fake/meetings.
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = process.env.FAKE_ZOOM_PORT || 4200;
+const CLIENT_SECRET = 'fake-zoom-secret';
+const app = express();
+app.use(express.json());
+
+const tokens = new Set();
+const meetings = new Map();
+
+// Server-to-Server OAuth: POST /oauth/token?grant_type=account_credentials&account_id=... with Basic client credentials
+app.post('/oauth/token', (req, res) => {
+    const [clientId, clientSecret] = Buffer.from((req.get('authorization') || '').replace(/^Basic /, ''), 'base64').toString().split(':');
+
+    if (req.query.grant_type !== 'account_credentials' || !req.query.account_id) {
+        return res.status(400).json({ reason: 'Unsupported grant type', error: 'unsupported_grant_type' });
+    }
+    if (!clientId || clientSecret !== CLIENT_SECRET) {
+        return res.status(401).json({ reason: 'Invalid client_id or client_secret', error: 'invalid_client' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    tokens.add(accessToken);
+    res.json({ access_token: accessToken, token_type: 'bearer', expires_in: 3599, scope: 'meeting:write:admin' });
+});
+
+app.use('/v2', (req, res, next) => {
+    if (!tokens.has((req.get('authorization') || '').replace(/^Bearer /, ''))) {
+        return res.status(401).json({ code: 124, message: 'Invalid access token.' });
+    }
+    next();
+});
+
+app.post('/v2/users/:userId/meetings', (req, res) => {
+    if (/@nozoom\.test$/i.test(req.params.userId)) {
+        return res.status(404).json({ code: 1001, message: `User does not exist: ${req.params.userId}.` });
+    }
+    if (!req.body.topic) {
+        return res.status(400).json({ code: 300, message: 'Validation Failed.', errors: [{ field: 'topic', message: 'Required.' }] });
+    }
+
+    const id = Math.floor(8e10 + Math.random() * 1e10);
+    const meeting = {
+        id,
+        uuid: crypto.randomUUID(),
+        host_id: `fake-host-${req.params.userId}`,
+        host_email: req.params.userId === 'me' ? 'owner@zoom.example.test' : req.params.userId,
+        topic: req.body.topic,
+        type: req.body.type || 2,
+        start_time: req.body.start_time,
+        duration: req.body.duration,
+        timezone: req.body.timezone,
+        agenda: req.body.agenda || '',
+        password: String(Math.floor(100000 + Math.random() * 900000)),
+        join_url: `https://zoom.example.test/j/${id}`,
+        settings: {
+            ...req.body.settings,
+            global_dial_in_numbers: [
+                { country_name: 'US', number: '+1 646 558 8656', type: 'toll' },
+                { country_name: 'Germany', number: '+49 69 5050 0952', type: 'toll' }
+            ]
+        }
+    };
+    meetings.set(String(id), meeting);
+    console.log(`🎥 Created Zoom meeting ${id}: ${meeting.topic}`);
+    res.status(201).json(meeting);
+});
+
+app.get('/v2/meetings/:id', (req, res) => {
+    const meeting = meetings.get(req.params.id);
+    if (!meeting) {
+        return res.status(404).json({ code: 3001, message: 'Meeting does not exist.' });
+    }
+    res.json(meeting);
+});
+
+app.delete('/v2/meetings/:id', (req, res) => {
+    if (!meetings.delete(req.params.id)) {
+        return res.status(404).json({ code: 3001, message: 'Meeting does not exist.' });
+    }
+    console.log(`🗑️ Deleted Zoom meeting ${req.params.id}`);
+    res.status(204).end();
+});
+
+app.get('/fake/meetings', (req, res) => {
+    res.json(Array.from(meetings.values()));
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Fake Zoom listening on port ${PORT}`);
+});
@@ -2,82 +2,51 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const cookieParser = require('cookie-parser');
-const session = require('express-session');
 const { initializeDatabase } = require('./src/config/initDatabase');
+const { createMsalClient, scopes } = require('./src/config/auth');
+const { saveLoginTokenCache } = require('./src/services/tokenCache');
+const { requireGraphAuth } = require('./src/middleware/graphAuth');
+const { createGraphClient } = require('./src/services/graphClient');
+const MailboxSync = require('./src/services/mailboxSync');
+const MicrosoftGraphService = require('./src/services/microsoftGraph');
+const ClaudeAIService = require('./src/services/claudeAI');
+const { openEventStream, relayEventStream } = require('./src/utils/sse');
+const { MEETING_PROPOSAL_TOOL, MeetingProposalValidationError } = require('./src/services/meetingProposal');
+const { EVENT_ACTION_TOOL, EventActionValidationError, describeEventsForActions } = require('./src/services/eventActions');
+const MailMessage = require('./src/models/MailMessage');
+const { getZonedDayRange, getTimezoneLabel, parseGraphDateTime, toGraphDateTime } = require('./src/utils/timezone');
+const { buildRecurrence, describeRecurrence, RecurrenceValidationError } = require('./src/utils/recurrence');
+const { createConferencingProvider, formatJoinDetails, ConferencingError } = require('./src/services/conferencingProviders');
+const { requireAuth, setSessionCookie, clearSessionCookie, SESSION_COOKIE } = require('./src/middleware/sessionAuth');
+const UserSettings = require('./src/models/UserSettings');
+const ClientOrganization = require('./src/models/ClientOrganization');
+const UserSession = require('./src/models/UserSession');
 const app = express();
 const settingsRoutes = require('./src/routes/settings');
 const emailRoutes = require('./src/routes/emails');
+const webhookRoutes = require('./src/routes/webhooks');
+const calendarRoutes = require('./src/routes/calendar');
+const SubscriptionManager = require('./src/services/subscriptionManager');
+const { jobQueue } = require('./src/services/jobQueue');
+const { registerBackgroundJobs } = require('./src/services/backgroundJobs');
+const { assertEncryptionKey } = require('./src/utils/encryption');
 const PORT = process.env.PORT || 3000;
 
- /**
- * Helper function to determine if we're in Daylight Saving Time
- */
-function isInDST(date = new Date()) {
-    const jan = new Date(date.getFullYear(), 0, 1).getTimezoneOffset();
-    const jul = new Date(date.getFullYear(), 6, 1).getTimezoneOffset();
-    return Math.max(jan, jul) !== date.getTimezoneOffset();
-}
-
 /**
- * Get timezone label (EST vs EDT) based on current date
+ * Create timezone-aware date range for calendar queries: start of today through the end of today + days
  */
-function getTimezoneLabel(date = new Date()) {
-    return isInDST(date) ? 'EDT' : 'EST';
+function createUserTimezoneDateRange(userTimezone, days = 7) {
+    return { ...getZonedDayRange(userTimezone, { days: days + 1 }), userTimezone };
 }
 
-/**
- * Create timezone-aware date range for calendar queries
- */
-function createUserTimezoneDateRange(userTimezone = 'America/New_York', days = 7) {
-    const now = new Date();
-    
-    // Create start of current day in user timezone
-    const startDate = new Date(now.toLocaleString('en-US', { timeZone: userTimezone }));
-    startDate.setHours(0, 0, 0, 0);
-    
-    // Create end date (start + days) in user timezone
-    const endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + days);
-    endDate.setHours(23, 59, 59, 999);
-    
-    return {
-        start: startDate,
-        end: endDate,
-        userTimezone,
-        timezoneLabel: getTimezoneLabel()
-    };
-}
-
-/**
- * Create timezone-aware date range for a specific day
- */
-function createUserTimezoneDay(userTimezone = 'America/New_York', daysOffset = 0) {
-    const now = new Date();
-    
-    // Get today in user timezone and add offset
-    const targetDate = new Date(now.toLocaleString('en-US', { timeZone: userTimezone }));
-    targetDate.setDate(targetDate.getDate() + daysOffset);
-    
-    // Create start of day (00:00:00)
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    // Create end of day (23:59:59)
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    return {
-        start: startOfDay,
-        end: endOfDay,
-        userTimezone,
-        timezoneLabel: getTimezoneLabel()
-    };
-}
+assertEncryptionKey();
+registerBackgroundJobs(jobQueue);
 
 // Initialize database
 initializeDatabase().then(success => {
     if (success) {
         console.log('🚀 Database ready for multi-tenant operations');
+        jobQueue.start();
     } else {
         console.error('⚠️ Database initialization failed - some features may not work');
     }
@@ -87,34 +56,11 @@ app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(cookieParser());
 
-app.use(session({
-    secret: process.env.SESSION_SECRET || 'your-session-secret',
-    resave: true,
-    saveUninitialized: true,
-    cookie: { 
-        secure: false,
-        httpOnly: true,
-        maxAge: 24 * 60 * 60 * 1000
-    }
-}));
-
 
 app.use('/api/settings', settingsRoutes);
 app.use('/api/emails', emailRoutes);
-
-function createGraphClient(accessToken) {
-    const { Client } = require('@microsoft/microsoft-graph-client');
-    
-    const authProvider = {
-        getAccessToken: async () => {
-            return accessToken;
-        }
-    };
-    
-    return Client.initWithMiddleware({
-        authProvider: authProvider
-    });
-}
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Basic routes
 app.get('/', (req, res) => {
@@ -136,23 +82,7 @@ app.get('/test', (req, res) => {
 // Auth routes
 app.get('/auth/login', async (req, res) => {
     try {
-        const { ConfidentialClientApplication } = require('@azure/msal-node');
-        
-        const msalConfig = {
-            auth: {
-                clientId: process.env.AZURE_CLIENT_ID,
-                clientSecret: process.env.AZURE_CLIENT_SECRET,
-                authority: `https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID || 'common'}`
-            }
-        };
-
-        const pca = new ConfidentialClientApplication(msalConfig);
-        const scopes = [
-            'https://graph.microsoft.com/Mail.ReadWrite',
-            'https://graph.microsoft.com/Mail.Send',
-            'https://graph.microsoft.com/Calendars.ReadWrite',
-            'https://graph.microsoft.com/User.Read'
-        ];
+        const pca = createMsalClient();
 
         const authCodeUrlParameters = {
             scopes: scopes,
@@ -180,23 +110,7 @@ app.get('/auth/callback', async (req, res) => {
     }
 
     try {
-        const { ConfidentialClientApplication } = require('@azure/msal-node');
-        
-        const msalConfig = {
-            auth: {
-                clientId: process.env.AZURE_CLIENT_ID,
-                clientSecret: process.env.AZURE_CLIENT_SECRET,
-                authority: 'https://login.microsoftonline.com/common'
-            }
-        };
-
-        const pca = new ConfidentialClientApplication(msalConfig);
-        const scopes = [
-            'https://graph.microsoft.com/Mail.ReadWrite',
-            'https://graph.microsoft.com/Mail.Send',
-            'https://graph.microsoft.com/Calendars.ReadWrite',
-            'https://graph.microsoft.com/User.Read'
-        ];
+        const pca = createMsalClient();
 
         const tokenRequest = {
             code: req.query.code,
@@ -213,8 +127,6 @@ app.get('/auth/callback', async (req, res) => {
         
         // Store/update organization in database and INCREMENT login count
         try {
-            const ClientOrganization = require('./src/models/ClientOrganization');
-            
             const [organization, created] = await ClientOrganization.findOrCreate({
                 where: { tenantId: tenantId },
                 defaults: {
@@ -239,54 +151,45 @@ app.get('/auth/callback', async (req, res) => {
                 console.log(`✅ User login: ${response.account.username} from ${organizationName} - Total logins: ${organization.userCount + 1}`);
             }
             
-            const userData = {
-                id: response.account.homeAccountId,
-                username: response.account.username,
+            // Persist the MSAL cache (incl. refresh token) so tokens can be renewed silently
+            const userSettings = await UserSettings.getOrCreateUser({
+                email: response.account.username,
+                name: response.account.name,
+                tenantId: tenantId
+            });
+            await saveLoginTokenCache(pca, userSettings, response.account);
+            
+            // Server-side session - the browser only gets an opaque session ID
+            const { session, sessionId } = await UserSession.createForUser(userSettings, {
+                homeAccountId: response.account.homeAccountId,
                 name: response.account.name,
-                tenantId: tenantId,
                 organizationName: organizationName,
                 organizationId: organization.id
-            };
-            
-            res.cookie('accessToken', response.accessToken, {
-                httpOnly: true,
-                secure: process.env.NODE_ENV === 'production',
-                maxAge: 24 * 60 * 60 * 1000
+            }, {
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
             });
             
-            res.cookie('userData', JSON.stringify(userData), {
-                httpOnly: true,
-                secure: process.env.NODE_ENV === 'production',
-                maxAge: 24 * 60 * 60 * 1000
-            });
+            setSessionCookie(res, sessionId, session.expiresAt);
+            
+            // Start real-time inbox/calendar notifications in the background
+            new SubscriptionManager(userSettings).ensureSubscriptions()
+                .catch(error => console.error('Failed to set up Graph subscriptions:', error.message));
+            
+            // Remove cookies left over from the old cookie-based login
+            res.clearCookie('accessToken');
+            res.clearCookie('userData');
             
             console.log(`✅ User authenticated: ${response.account.username} from ${organizationName}`);
             res.redirect('/dashboard');
             
         } catch (dbError) {
+            // Without the database there is nowhere to keep the token cache, so login cannot complete
             console.error('Database error during auth:', dbError);
-            // Still allow login even if database fails
-            const userData = {
-                id: response.account.homeAccountId,
-                username: response.account.username,
-                name: response.account.name,
-                tenantId: tenantId,
-                organizationName: organizationName
-            };
-            
-            res.cookie('accessToken', response.accessToken, {
-                httpOnly: true,
-                secure: process.env.NODE_ENV === 'production',
-                maxAge: 24 * 60 * 60 * 1000
+            res.status(500).json({
+                error: 'Failed to store login session',
+                message: dbError.message
             });
-            
-            res.cookie('userData', JSON.stringify(userData), {
-                httpOnly: true,
-                secure: process.env.NODE_ENV === 'production',
-                maxAge: 24 * 60 * 60 * 1000
-            });
-            
-            res.redirect('/dashboard');
         }
         
     } catch (error) {
@@ -298,59 +201,53 @@ app.get('/auth/callback', async (req, res) => {
     }
 });
 
-app.get('/auth/logout', (req, res) => {
+app.get('/auth/logout', async (req, res) => {
     console.log('🚪 User logout requested');
     
     try {
-        const userData = req.cookies.userData;
-        if (userData) {
-            const user = JSON.parse(userData);
-            console.log(`👋 User logging out: ${user.username} from ${user.organizationName || 'Unknown Org'}`);
+        const session = await UserSession.findActiveBySessionId(req.cookies[SESSION_COOKIE]);
+        if (session) {
+            console.log(`👋 User logging out: ${session.userEmail} (tenant: ${session.tenantId})`);
+            await session.revoke();
+            
+            // Drop the stored refresh token once no other device is still signed in
+            const remainingSessions = await UserSession.countActiveForUser(session.userSettingsId);
+            if (remainingSessions === 0) {
+                const userSettings = await UserSettings.findByPk(session.userSettingsId);
+                if (userSettings) {
+                    await new SubscriptionManager(userSettings).deleteSubscriptions();
+                    await userSettings.clearTokenCache();
+                }
+            }
         }
         
-        // Clear authentication cookies
-        res.clearCookie('accessToken');
-        res.clearCookie('userData');
+        clearSessionCookie(res);
         
-        console.log('✅ User session cleared - redirecting to home');
+        console.log('✅ User session revoked - redirecting to home');
         res.redirect('/');
         
     } catch (error) {
         console.error('Logout error:', error);
         // Still clear cookies and redirect even if there's an error
-        res.clearCookie('accessToken');
-        res.clearCookie('userData');
+        clearSessionCookie(res);
         res.redirect('/');
     }
 });
 
-app.get('/auth/user', (req, res) => {
-    const userData = req.cookies.userData;
-    const accessToken = req.cookies.accessToken;
-    
-    if (!userData || !accessToken) {
-        return res.status(401).json({ error: 'Not authenticated' });
-    }
-    
-    try {
-        const user = JSON.parse(userData);
-        res.json({
-            user: user,
-            authenticated: true
-        });
-    } catch (error) {
-        res.status(401).json({ error: 'Invalid user data' });
-    }
+app.get('/auth/user', requireGraphAuth, (req, res) => {
+    res.json({
+        user: req.user,
+        authenticated: true
+    });
 });
 
-app.get('/auth/debug', (req, res) => {
+app.get('/auth/debug', requireAuth, (req, res) => {
     res.json({
-        hasSession: !!req.session,
-        sessionId: req.sessionID,
-        hasAccessToken: !!req.session?.accessToken,
-        hasUser: !!req.session?.user,
-        user: req.session?.user,
-        cookies: req.headers.cookie
+        hasSession: !!req.userSession,
+        sessionCreatedAt: req.userSession.createdAt,
+        sessionExpiresAt: req.userSession.expiresAt,
+        hasTokenCache: !!req.userSettings?.tokenCache,
+        user: req.user
     });
 });
 
@@ -359,235 +256,30 @@ app.use(express.urlencoded({ extended: true }));
 const adminRoutes = require('./src/routes/admin');
 app.use('/admin', adminRoutes);
 
-app.get('/api/debug/graph', async (req, res) => {
-    const accessToken = req.cookies.accessToken;
+app.get('/api/debug/graph', requireGraphAuth, async (req, res) => {
+    const accessToken = req.accessToken;
     
     res.json({
         hasAccessToken: !!accessToken,
+        hasTokenCache: !!req.userSettings?.tokenCache,
         tokenLength: accessToken ? accessToken.length : 0,
         tokenStart: accessToken ? accessToken.substring(0, 20) + '...' : 'No token'
     });
 });
 
-app.get('/api/calendar/events', async (req, res) => {
-    const accessToken = req.cookies.accessToken;
-    if (!accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
+app.get('/api/emails/summary/daily', requireGraphAuth, async (req, res) => {
+    const accessToken = req.accessToken;
     
     try {
-        const graphClient = createGraphClient(accessToken);
-        const { days = 7 } = req.query;
-        const userTimezone = 'America/New_York';
+        const mailboxSync = new MailboxSync(req.userSettings, new MicrosoftGraphService(accessToken));
         
-        // Use proper timezone-aware date range creation
-        const dateRange = createUserTimezoneDateRange(userTimezone, parseInt(days));
-        
-        console.log('📅 Calendar events range calculation:', {
-            userTimezone,
-            days: parseInt(days),
-            startISO: dateRange.start.toISOString(),
-            endISO: dateRange.end.toISOString(),
-            timezoneLabel: dateRange.timezoneLabel,
-            startLocal: dateRange.start.toLocaleString('en-US', { timeZone: userTimezone }),
-            endLocal: dateRange.end.toLocaleString('en-US', { timeZone: userTimezone })
-        });
+        // Latest 20 inbox messages from the local store (delta-synced first if stale)
+        const { value: emails, truncated } = await mailboxSync.listMessages({ limit: 20 });
 
-        // Fetch events with timezone preference
-        const events = await graphClient
-            .api('/me/events')
-            .filter(`start/dateTime ge '${dateRange.start.toISOString()}' and end/dateTime le '${dateRange.end.toISOString()}'`)
-            .select('id,subject,start,end,location,attendees,importance,showAs,organizer')
-            .header('Prefer', `outlook.timezone="${userTimezone}"`)
-            .orderby('start/dateTime')
-            .top(50)
-            .get();
-        
-        // Process events with corrected timezone handling
-        const processedEvents = events.value.map(event => {
-            // Parse the datetime from Microsoft Graph
-            const startDateTime = new Date(event.start.dateTime);
-            const endDateTime = new Date(event.end.dateTime);
-            
-            // Format times in user's timezone
-            const startTimeFormatted = startDateTime.toLocaleString('en-US', {
-                timeZone: userTimezone,
-                weekday: 'short',
-                month: 'short', 
-                day: 'numeric',
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
-            });
-            
-            const endTimeFormatted = endDateTime.toLocaleString('en-US', {
-                timeZone: userTimezone,
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
-            });
-            
-            return {
-                ...event,
-                start: {
-                    ...event.start,
-                    timeZone: userTimezone,
-                    displayTime: startTimeFormatted,
-                    timezoneLabel: dateRange.timezoneLabel
-                },
-                end: {
-                    ...event.end,
-                    timeZone: userTimezone,
-                    displayTime: endTimeFormatted,
-                    timezoneLabel: dateRange.timezoneLabel
-                },
-                displayTimeRange: `${startTimeFormatted} - ${endTimeFormatted} ${dateRange.timezoneLabel}`
-            };
-        });
-        
-        res.json({
-            success: true,
-            count: processedEvents.length,
-            events: processedEvents,
-            timezone: userTimezone,
-            timezoneLabel: dateRange.timezoneLabel,
-            isDST: isInDST(),
-            debug: {
-                queryStartUTC: dateRange.start.toISOString(),
-                queryEndUTC: dateRange.end.toISOString(),
-                requestedDays: parseInt(days),
-                userTimezone: userTimezone
-            }
-        });
-        
-    } catch (error) {
-        console.error('Error fetching calendar:', error);
-        res.status(500).json({
-            error: 'Failed to fetch calendar events', 
-            message: error.message 
-        });
-    }
-});
-app.get('/api/calendar/today', async (req, res) => {
-    const accessToken = req.cookies.accessToken;
-    if (!accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    try {
-        const graphClient = createGraphClient(accessToken);
-        const userTimezone = 'America/New_York';
-        
-        // Use proper timezone-aware date range creation
-        const todayRange = createUserTimezoneDay(userTimezone, 0);
-        
-        console.log('🕐 Today range calculation:', {
-            userTimezone,
-            startISO: todayRange.start.toISOString(),
-            endISO: todayRange.end.toISOString(),
-            timezoneLabel: todayRange.timezoneLabel,
-            startLocal: todayRange.start.toLocaleString('en-US', { timeZone: userTimezone }),
-            endLocal: todayRange.end.toLocaleString('en-US', { timeZone: userTimezone })
-        });
-
-        const events = await graphClient
-            .api('/me/events')
-            .filter(`start/dateTime ge '${todayRange.start.toISOString()}' and start/dateTime lt '${todayRange.end.toISOString()}'`)
-            .select('id,subject,start,end,location,attendees,importance,showAs,organizer')
-            .header('Prefer', `outlook.timezone="${userTimezone}"`)
-            .orderby('start/dateTime')
-            .get();
-        
-        // Format events with proper timezone display
-        const formattedEvents = events.value.map(event => {
-            const startTime = new Date(event.start.dateTime);
-            const endTime = new Date(event.end.dateTime);
-            
-            // Format times specifically in user's timezone
-            const startTimeFormatted = startTime.toLocaleTimeString('en-US', {
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true,
-                timeZone: userTimezone
-            });
-            
-            const endTimeFormatted = endTime.toLocaleTimeString('en-US', {
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true,
-                timeZone: userTimezone
-            });
-            
-            return {
-                ...event,
-                displayTime: `${startTimeFormatted} - ${endTimeFormatted} ${todayRange.timezoneLabel}`,
-                start: {
-                    ...event.start,
-                    timeZone: userTimezone,
-                    localTime: startTimeFormatted,
-                    timezoneLabel: todayRange.timezoneLabel
-                },
-                end: {
-                    ...event.end,
-                    timeZone: userTimezone,
-                    localTime: endTimeFormatted,
-                    timezoneLabel: todayRange.timezoneLabel
-                }
-            };
-        });
-        
-        // Get current date in user's timezone for display
-        const todayInUserTZ = new Date().toLocaleDateString('en-US', { 
-            timeZone: userTimezone,
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
-        
-        res.json({
-            success: true,
-            date: todayInUserTZ,
-            eventCount: formattedEvents.length,
-            events: formattedEvents,
-            summary: `You have ${formattedEvents.length} meetings today.`,
-            timezone: userTimezone,
-            timezoneLabel: todayRange.timezoneLabel,
-            debug: {
-                queryStartUTC: todayRange.start.toISOString(),
-                queryEndUTC: todayRange.end.toISOString(),
-                userTimezone: userTimezone
-            }
-        });
-    } catch (error) {
-        console.error('Error fetching today schedule:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch today\'s schedule', 
-            message: error.message 
-        });
-    }
-});
-
-app.get('/api/emails/summary/daily', async (req, res) => {
-    const accessToken = req.cookies.accessToken;
-    if (!accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    try {
-        const graphClient = createGraphClient(accessToken);
-        const axios = require('axios');
-        
-        const emails = await graphClient
-            .api('/me/messages')
-            .top(20)
-            .select('id,subject,from,receivedDateTime,bodyPreview,isRead,importance')
-            .get();
-
-        const emailSummary = emails.value.map((email, index) => {
+        const emailSummary = emails.map((email, index) => {
             const from = email.from?.emailAddress?.address || 'Unknown sender';
             const name = email.from?.emailAddress?.name || '';
-            const date = new Date(email.receivedDateTime).toLocaleDateString();
+            const date = new Date(email.receivedDateTime).toLocaleDateString('en-US', { timeZone: req.userTimezone });
             const preview = email.bodyPreview?.substring(0, 100) || 'No preview';
             
             return `${index + 1}. From: ${name} <${from}>
@@ -604,35 +296,22 @@ app.get('/api/emails/summary/daily', async (req, res) => {
         4. Any action items or follow-ups needed
         5. Quick overview of main topics/themes`;
 
-        const claudeResponse = await axios.post('https://api.anthropic.com/v1/messages', {
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 1500,
-            messages: [
-                { 
-                    role: 'user', 
-                    content: `${summaryQuery}
+        const aiService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+        const summary = await aiService.complete(`${summaryQuery}
 
 Recent Email Data:
 ${emailSummary}
 
-Provide a helpful summary of the user's emails. Be specific and actionable.`
-                }
-            ]
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': process.env.ANTHROPIC_API_KEY,
-                'anthropic-version': '2023-06-01'
-            }
-        });
+Provide a helpful summary of the user's emails. Be specific and actionable.`, { maxTokens: 1500 });
         
-        const unreadCount = emails.value.filter(e => !e.isRead).length;
+        const unreadCount = emails.filter(e => !e.isRead).length;
         
         res.json({
             success: true,
-            totalEmails: emails.value.length,
+            totalEmails: emails.length,
             unreadEmails: unreadCount,
-            summary: claudeResponse.data.content[0].text
+            truncated: truncated,
+            summary: summary
         });
     } catch (error) {
         console.error('Error generating summary:', error);
@@ -640,108 +319,9 @@ Provide a helpful summary of the user's emails. Be specific and actionable.`
     }
 });
 
-app.post('/api/emails/query', async (req, res) => {
-    const accessToken = req.cookies.accessToken;
-    if (!accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    try {
-        const { query, includeDays = 7 } = req.body; // Allow custom day range
-        if (!query) {
-            return res.status(400).json({ error: 'Query is required' });
-        }
-
-        const graphClient = createGraphClient(accessToken);
-        const axios = require('axios');
-        
-        console.log('🤖 AI Email Analysis - Loading emails for', includeDays, 'days');
-        
-        // Get more emails for better AI analysis
-        const sinceDate = new Date(Date.now() - includeDays * 24 * 60 * 60 * 1000);
-        
-        const emails = await graphClient
-            .api('/me/mailFolders/inbox/messages')
-            .filter(`receivedDateTime ge ${sinceDate.toISOString()}`)
-            .select('id,subject,from,receivedDateTime,bodyPreview,isRead,importance,hasAttachments')
-            .orderby('receivedDateTime desc')
-            .top(100) // Increased from 20 to 100 for better AI analysis
-            .get();
-
-        const emailSummary = emails.value.map((email, index) => {
-            const from = email.from?.emailAddress?.address || 'Unknown sender';
-            const name = email.from?.emailAddress?.name || '';
-            const date = new Date(email.receivedDateTime).toLocaleDateString();
-            const time = new Date(email.receivedDateTime).toLocaleTimeString('en-US', { 
-                hour: 'numeric', 
-                minute: '2-digit', 
-                hour12: true 
-            });
-            const preview = email.bodyPreview?.substring(0, 150) || 'No preview'; // Slightly longer previews
-            const importanceIcon = email.importance === 'high' ? '🔴 ' : email.importance === 'low' ? '🔵 ' : '';
-            const unreadIcon = !email.isRead ? '📩 ' : '';
-            const attachmentIcon = email.hasAttachments ? '📎 ' : '';
-            
-            return `${index + 1}. ${unreadIcon}${importanceIcon}From: ${name} <${from}>
-   Subject: ${email.subject}
-   Date: ${date} ${time}
-   Read: ${email.isRead ? 'Yes' : 'No'}
-   ${attachmentIcon}Preview: ${preview}...`;
-        }).join('\n\n');
-
-        console.log('📈 Email analysis context:', {
-            emailsAnalyzed: emails.value.length,
-            dateRange: includeDays + ' days',
-            queryLength: query.length
-        });
-
-        const claudeResponse = await axios.post('https://api.anthropic.com/v1/messages', {
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 2000, // Increased token limit for more comprehensive analysis
-            messages: [
-                { 
-                    role: 'user', 
-                    content: `You are an AI assistant helping to manage Microsoft 365 emails. You have access to ${emails.value.length} emails from the past ${includeDays} days. Provide helpful, detailed responses.
-
-User Query: ${query}
-
-Recent Email Data (${emails.value.length} emails from past ${includeDays} days):
-${emailSummary}
-
-Provide a comprehensive response to the user's query. Be specific and actionable. Include relevant email details, patterns, and insights where appropriate.`
-                }
-            ]
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': process.env.ANTHROPIC_API_KEY,
-                'anthropic-version': '2023-06-01'
-            }
-        });
-
-        res.json({
-            success: true,
-            query: query,
-            response: claudeResponse.data.content[0].text,
-            emailCount: emails.value.length,
-            daysAnalyzed: includeDays,
-            analysisScope: `${emails.value.length} emails from ${includeDays} days`
-        });
-        
-    } catch (error) {
-        console.error('Error processing query:', error);
-        res.status(500).json({ error: 'Failed to process query', message: error.message });
-    }
-});
-
-
-
 // Move selected emails to deleted items (soft delete)
-app.post('/api/emails/move-selected-to-trash', async (req, res) => {
-    const accessToken = req.cookies.accessToken;
-    if (!accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
+app.post('/api/emails/move-selected-to-trash', requireGraphAuth, async (req, res) => {
+    const accessToken = req.accessToken;
     
     try {
         const { emailIds } = req.body;
@@ -750,31 +330,24 @@ app.post('/api/emails/move-selected-to-trash', async (req, res) => {
             return res.status(400).json({ error: 'Email IDs array is required' });
         }
         
-        const graphClient = createGraphClient(accessToken);
-        const results = [];
+        const graphService = new MicrosoftGraphService(accessToken);
         
-        // Move each selected email to deleted items folder
-        for (const emailId of emailIds) {
-            try {
-                await graphClient
-                    .api(`/me/messages/${emailId}/move`)
-                    .post({
-                        destinationId: 'deleteditems'
-                    });
-                
-                results.push({
-                    emailId: emailId,
-                    success: true,
-                    message: 'Moved to deleted items'
-                });
-            } catch (error) {
-                console.error(`Error moving email ${emailId}:`, error);
-                results.push({
-                    emailId: emailId,
-                    success: false,
-                    error: error.message
-                });
-            }
+        // Move the selected emails to deleted items, 20 per Graph $batch request
+        const batchResults = await graphService.bulkMessageAction('move', emailIds, { destinationId: 'deleteditems' });
+        const results = batchResults.map(result => result.success ? {
+            emailId: result.emailId,
+            success: true,
+            message: 'Moved to deleted items'
+        } : {
+            emailId: result.emailId,
+            success: false,
+            error: result.error
+        });
+        
+        // Keep the local store in step without waiting for the next delta sync
+        const movedIds = results.filter(r => r.success).map(r => r.emailId);
+        if (movedIds.length > 0) {
+            await MailMessage.removeForUser(req.userSettings.id, movedIds);
         }
         
         const successCount = results.filter(r => r.success).length;
@@ -800,112 +373,66 @@ app.post('/api/emails/move-selected-to-trash', async (req, res) => {
     }
 });
 
-app.post('/api/calendar/analyze', async (req, res) => {
-    const accessToken = req.cookies.accessToken;
-    if (!accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
+// Gathers emails, events and profile for a calendar analysis request and builds the AI prompt
+async function buildCalendarAnalysisContext(req) {
+    const { query, emailContext } = req.body;
+    const graphService = new MicrosoftGraphService(req.accessToken);
+    const graphClient = graphService.graphClient;
+    const mailboxSync = new MailboxSync(req.userSettings, graphService);
+    const userTimezone = req.userTimezone;
+    const now = new Date();
+    const timezoneLabel = getTimezoneLabel(userTimezone, now);
     
-    try {
-        const { query, emailContext } = req.body;
-        const graphClient = createGraphClient(accessToken);
-        const axios = require('axios');
-        const userTimezone = 'America/New_York';
-        
-        // Simple timezone detection
-        const now = new Date();
-        const jan = new Date(now.getFullYear(), 0, 1).getTimezoneOffset();
-        const jul = new Date(now.getFullYear(), 6, 1).getTimezoneOffset();
-        const isDST = Math.max(jan, jul) !== now.getTimezoneOffset();
-        const timezoneLabel = isDST ? 'EDT' : 'EST';
-        
-        // Get current time context
-        const currentTime = now.toLocaleString('en-US', {
+    // Get current time context
+    const currentTime = now.toLocaleString('en-US', {
+        timeZone: userTimezone,
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true,
+        timeZoneName: 'short'
+    });
+    
+    // Start of today through the end of the 14th day, in the user's time zone
+    const { start: startDate, end: endDate } = createUserTimezoneDateRange(userTimezone, 14);
+    
+    console.log('🕐 Calendar query debug:', {
+        userTimezone,
+        timezoneLabel,
+        startUTC: startDate.toISOString(),
+        endUTC: endDate.toISOString()
+    });
+    
+    // Get recent emails and calendar events for context
+    const [emails, events, userProfile] = await Promise.all([
+        mailboxSync.getMessages({ limit: 20 }),
+        // Microsoft Graph returns times in the user's timezone
+        graphService.getCalendarView(startDate, endDate, { timeZone: userTimezone, maxItems: 20 }),
+        graphClient.api('/me').select('mail,displayName').get()
+    ]);
+
+    // Format email summary with correct timezone
+    const emailSummary = emails.map(email => {
+        const emailTime = new Date(email.receivedDateTime).toLocaleString('en-US', {
             timeZone: userTimezone,
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
+            month: 'short',
             day: 'numeric',
             hour: 'numeric',
             minute: '2-digit',
-            hour12: true,
-            timeZoneName: 'short'
-        });
-        
-        // Use timezone-aware date range
-        const startDate = new Date();
-        startDate.setHours(0, 0, 0, 0);
-        const endDate = new Date();
-        endDate.setDate(endDate.getDate() + 14);
-        endDate.setHours(23, 59, 59, 999);
-        
-        console.log('🕐 Calendar query debug:', {
-            userTimezone,
-            timezoneLabel,
-            startUTC: startDate.toISOString(),
-            endUTC: endDate.toISOString()
+            hour12: true
         });
-        
-        // Get recent emails and calendar events for context
-        const [emails, events, userProfile] = await Promise.all([
-            graphClient.api('/me/messages').top(20).select('id,subject,from,receivedDateTime,bodyPreview,body').get(),
-            graphClient.api('/me/events')
-                .filter(`start/dateTime ge '${startDate.toISOString()}' and end/dateTime le '${endDate.toISOString()}'`)
-                .header('Prefer', `outlook.timezone="${userTimezone}"`) // Microsoft Graph returns times in this timezone
-                .select('id,subject,start,end,location,attendees,importance,showAs,organizer')
-                .orderby('start/dateTime')
-                .top(20).get(),
-            graphClient.api('/me').select('mail,displayName').get()
-        ]);
+        return `${email.subject} from ${email.from?.emailAddress?.name} (${emailTime} ${timezoneLabel}) - ${email.bodyPreview?.substring(0, 100)}`;
+    }).join('\n');
 
-        // Format email summary with correct timezone
-        const emailSummary = emails.value.map(email => {
-            const emailTime = new Date(email.receivedDateTime).toLocaleString('en-US', {
-                timeZone: userTimezone,
-                month: 'short',
-                day: 'numeric',
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
-            });
-            return `${email.subject} from ${email.from?.emailAddress?.name} (${emailTime} ${timezoneLabel}) - ${email.bodyPreview?.substring(0, 100)}`;
-        }).join('\n');
+    // Graph returns wall-clock times in userTimezone (Prefer header) - parse them as such
+    // E1, E2, ... let the model point at an event when proposing a change to it
+    const eventSummary = describeEventsForActions(events.value, userTimezone);
 
-        // FIXED: Use Microsoft Graph times directly without double conversion
-        const eventSummary = events.value.map(event => {
-            // Microsoft Graph already returns times in the requested timezone
-            // We just need to parse and format them without timezone conversion
-            const rawDateTime = event.start.dateTime; // e.g., "2025-08-22T14:00:00.0000000"
-            
-            // Parse the time and format it directly (no timezone conversion needed)
-            const eventDateTime = new Date(rawDateTime);
-            
-            // Format without timezone conversion since Graph already returned it in correct timezone
-            const dayOfWeek = eventDateTime.toLocaleDateString('en-US', { weekday: 'short' });
-            const month = eventDateTime.toLocaleDateString('en-US', { month: 'short' });
-            const day = eventDateTime.getDate();
-            const hour = eventDateTime.getHours();
-            const minute = eventDateTime.getMinutes();
-            
-            // Format time in 12-hour format
-            const displayHour = hour === 0 ? 12 : hour > 12 ? hour - 12 : hour;
-            const ampm = hour >= 12 ? 'PM' : 'AM';
-            const displayMinute = minute.toString().padStart(2, '0');
-            
-            const formattedTime = `${dayOfWeek}, ${month} ${day}, ${displayHour}:${displayMinute} ${ampm}`;
-            
-            console.log('📅 Event formatting:', {
-                eventTitle: event.subject,
-                rawDateTime: rawDateTime,
-                parsedHour: hour,
-                formattedTime: formattedTime
-            });
-            
-            return `${event.subject} - ${formattedTime} ${timezoneLabel}`;
-        }).join('\n');
-
-        // Build prompt for Claude
-        const prompt = `You are an AI calendar assistant. Current time: ${currentTime}
+    // Build prompt for Claude
+    const prompt = `You are an AI calendar assistant. Current time: ${currentTime}
 
 User Request: ${query}
 
@@ -927,64 +454,45 @@ Current User: ${userProfile.displayName} (${userProfile.mail})
 CRITICAL: All event times above are in ${timezoneLabel}. Display them exactly as provided.
 
 INSTRUCTIONS:
-1. All times should be referenced in Eastern Time (${timezoneLabel})
+1. All times should be referenced in the user's time zone, ${userTimezone} (${timezoneLabel})
 2. Provide clean, formatted text response
 3. DO NOT include JSON code blocks in your main response
 
 Provide analysis of the request and calendar information.
 
-If you detect a meeting should be scheduled, end with only this JSON:
-{"meetingDetected": true, "meetingDetails": {"title": "title", "duration": 60, "attendees": ["email"], "description": "description", "meetingType": "teams", "suggestedTimes": [{"date": "2025-08-21", "time": "14:00", "label": "Tomorrow 2:00 PM ${timezoneLabel}"}], "priority": "medium"}}
+If a meeting should be scheduled, also call the propose_meeting tool. Give each suggested slot start as local time in the ${userTimezone} time zone (YYYY-MM-DDTHH:mm) with timeZone "${userTimezone}", and avoid the events listed above.
 
-If no meeting detected:
-{"meetingDetected": false}`;
+If the user asks to change an existing event (move, reschedule, rename, change attendees, cancel, accept, decline), call the propose_event_action tool once per event, using its reference (E1, E2, ...) from the list above. Give times as local time in ${userTimezone} (YYYY-MM-DDTHH:mm) with timeZone "${userTimezone}". Only the organizer can cancel; attendees decline instead. Nothing is changed until the user confirms.`;
 
-        const claudeResponse = await axios.post('https://api.anthropic.com/v1/messages', {
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 1500,
-            messages: [{ role: 'user', content: prompt }]
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': process.env.ANTHROPIC_API_KEY,
-                'anthropic-version': '2023-06-01'
-            }
-        });
+    return { prompt, emails, events, currentTime, userTimezone, timezoneLabel };
+}
 
-        let responseText = claudeResponse.data.content[0].text;
-        
-        // Extract and clean JSON from response
-        let meetingData = null;
-        const jsonMatch = responseText.match(/\{[\s\S]*?"meetingDetected"[\s\S]*?\}/);
-        
-        if (jsonMatch) {
-            try {
-                meetingData = JSON.parse(jsonMatch[0]);
-                responseText = responseText.replace(jsonMatch[0], '').trim();
-                
-                if (meetingData.meetingDetails && meetingData.meetingDetails.suggestedTimes) {
-                    meetingData.meetingDetails.suggestedTimes = meetingData.meetingDetails.suggestedTimes.map(time => ({
-                        ...time,
-                        timezone: userTimezone,
-                        timezoneLabel: timezoneLabel
-                    }));
-                }
-            } catch (e) {
-                console.log('Could not parse meeting JSON:', e);
-                responseText = responseText.replace(/\{[\s\S]*?\}/g, '').trim();
-            }
-        }
+// Tool calls that didn't validate are reported as such (502), everything else as a failed analysis
+function calendarAnalysisErrorBody(error) {
+    if (error instanceof MeetingProposalValidationError) {
+        return { error: 'Invalid meeting proposal from AI', message: error.message, validationErrors: error.errors };
+    }
+    if (error instanceof EventActionValidationError) {
+        return { error: 'Invalid event action from AI', message: error.message, validationErrors: error.errors };
+    }
+    return { error: 'Failed to analyze calendar', message: error.message };
+}
+
+app.post('/api/calendar/analyze', requireGraphAuth, async (req, res) => {
+    try {
+        const { prompt, emails, events, currentTime, userTimezone, timezoneLabel } = await buildCalendarAnalysisContext(req);
 
-        // Clean up any remaining JSON artifacts
-        responseText = responseText.replace(/```json[\s\S]*?```/g, '').trim();
-        responseText = responseText.replace(/```[\s\S]*?```/g, '').trim();
+        const aiService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+        const { analysis, meetingData, eventActions } = await aiService.analyzeCalendarRequest(prompt, { maxTokens: 1500, events: events.value });
 
         res.json({
             success: true,
-            analysis: responseText,
+            analysis: analysis,
             meetingData: meetingData,
-            emailCount: emails.value.length,
+            eventActions: eventActions,
+            emailCount: emails.length,
             eventCount: events.value.length,
+            eventsTruncated: events.truncated,
             currentTime: currentTime,
             timezone: userTimezone,
             timezoneLabel: timezoneLabel
@@ -992,59 +500,112 @@ If no meeting detected:
         
     } catch (error) {
         console.error('Error analyzing calendar:', error);
-        res.status(500).json({ 
-            error: 'Failed to analyze calendar', 
-            message: error.message 
+        res.status(error.statusCode || 500).json(calendarAnalysisErrorBody(error));
+    }
+});
+
+// Streaming variant of /api/calendar/analyze - AI text arrives as SSE `delta` events,
+// the cleaned analysis and meeting data follow in a final `done` event
+app.post('/api/calendar/analyze/stream', requireGraphAuth, async (req, res) => {
+    let stream = null;
+
+    try {
+        const { prompt, emails, events, currentTime, userTimezone, timezoneLabel } = await buildCalendarAnalysisContext(req);
+        const aiService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+
+        stream = openEventStream(res);
+        stream.send('meta', {
+            emailCount: emails.length,
+            eventCount: events.value.length,
+            eventsTruncated: events.truncated,
+            currentTime: currentTime,
+            timezone: userTimezone,
+            timezoneLabel: timezoneLabel
         });
+
+        const { text, toolCalls } = await relayEventStream(stream, aiService.streamEvents(prompt, {
+            maxTokens: 1500,
+            tools: [MEETING_PROPOSAL_TOOL, EVENT_ACTION_TOOL],
+            signal: stream.signal
+        }));
+        if (stream.signal.aborted) {
+            console.log(`⏹️ Calendar analysis stream cancelled by ${req.userEmail}`);
+            return;
+        }
+
+        const { analysis, meetingData, eventActions } = aiService.buildCalendarAnalysis(text, toolCalls, events.value);
+        stream.send('done', { success: true, analysis, meetingData, eventActions });
+        stream.end();
+
+    } catch (error) {
+        console.error('Error streaming calendar analysis:', error);
+        const body = calendarAnalysisErrorBody(error);
+        if (!stream) {
+            return res.status(error.statusCode || 500).json(body);
+        }
+        stream.send('error', body);
+        stream.end();
     }
 });
 
 // Enhanced meeting creation endpoint with Teams/Zoom support
-app.post('/api/calendar/create-invite', async (req, res) => {
-    const accessToken = req.cookies.accessToken;
-    if (!accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
+app.post('/api/calendar/create-invite', requireGraphAuth, async (req, res) => {
+    const accessToken = req.accessToken;
     
     try {
-        const { title, startTime, endTime, attendees, location, agenda, meetingType } = req.body;
+        const { title, startTime, endTime, attendees, location, agenda, meetingType, recurrence } = req.body;
         
         if (!title || !startTime || !endTime) {
             return res.status(400).json({ error: 'Title, start time, and end time are required' });
         }
         
         const graphClient = createGraphClient(accessToken);
-        const userTimezone = 'America/New_York';
+        const userTimezone = req.userTimezone;
+        
+        // Optional series: { frequency, interval, daysOfWeek, endDate | occurrences } - see utils/recurrence
+        let seriesRecurrence;
+        if (recurrence) {
+            try {
+                seriesRecurrence = buildRecurrence(recurrence, parseGraphDateTime(toGraphDateTime(startTime, userTimezone)), userTimezone);
+            } catch (error) {
+                if (error instanceof RecurrenceValidationError) {
+                    return res.status(400).json({ error: 'Invalid recurrence', message: error.message });
+                }
+                throw error;
+            }
+        }
         
-        // Prepare meeting location based on type
-        let meetingLocation = location;
-        let onlineMeeting = null;
+        const start = toGraphDateTime(startTime, userTimezone);
+        const end = toGraphDateTime(endTime, userTimezone);
         
-        if (meetingType === 'teams') {
-            onlineMeeting = {
-                provider: 'teamsForBusiness'
-            };
-            meetingLocation = 'Microsoft Teams Meeting';
-        } else if (meetingType === 'zoom') {
-            meetingLocation = 'Zoom Meeting (Link to be provided)';
+        // Teams/Zoom meetings come from the tenant's conferencing provider; in-person and phone have none
+        const organization = req.userTenant ? await ClientOrganization.findByTenantId(req.userTenant) : null;
+        const provider = createConferencingProvider(meetingType, organization?.getConferencingSettings());
+        if (provider && !provider.isConfigured()) {
+            return res.status(400).json({ error: `${provider.label} is not configured for your organization` });
         }
         
+        const conference = provider ? await provider.createMeeting({
+            title,
+            start: parseGraphDateTime(start),
+            end: parseGraphDateTime(end),
+            timeZone: userTimezone,
+            agenda,
+            recurring: !!seriesRecurrence,
+            organizerEmail: req.userEmail
+        }) : null;
+        
         const event = {
             subject: title,
-            start: {
-                dateTime: new Date(startTime).toISOString(),
-                timeZone: userTimezone // Specify the user's timezone
-            },
-            end: {
-                dateTime: new Date(endTime).toISOString(),
-                timeZone: userTimezone // Specify the user's timezone
-            },
+            // Form times are wall-clock times in the user's timezone
+            start: start,
+            end: end,
             body: {
                 contentType: 'HTML',
-                content: agenda || 'Meeting agenda to be determined.'
+                content: (agenda || 'Meeting agenda to be determined.') + (conference ? formatJoinDetails(conference) : '')
             },
-            location: meetingLocation ? {
-                displayName: meetingLocation
+            location: location ? {
+                displayName: location
             } : undefined,
             attendees: attendees ? attendees.map(email => ({
                 emailAddress: {
@@ -1053,13 +614,24 @@ app.post('/api/calendar/create-invite', async (req, res) => {
                 },
                 type: 'required'
             })) : [],
-            isOnlineMeeting: meetingType === 'teams',
-            onlineMeetingProvider: meetingType === 'teams' ? 'teamsForBusiness' : undefined
+            ...(provider ? provider.eventFields(conference) : {}),
+            recurrence: seriesRecurrence
         };
 
-        const createdEvent = await graphClient
-            .api('/me/events')
-            .post(event);
+        let createdEvent;
+        try {
+            createdEvent = await graphClient
+                .api('/me/events')
+                .post(event);
+        } catch (error) {
+            // Don't leave an orphaned Zoom meeting behind
+            if (conference) {
+                await provider.deleteMeeting(conference).catch(deleteError => {
+                    console.error(`⚠️ Could not delete ${conference.provider} meeting ${conference.meetingId}:`, deleteError.message);
+                });
+            }
+            throw error;
+        }
         
         res.json({
             success: true,
@@ -1067,135 +639,21 @@ app.post('/api/calendar/create-invite', async (req, res) => {
             eventId: createdEvent.id,
             event: createdEvent,
             meetingType: meetingType,
+            conference: provider ? provider.conferenceFromEvent(createdEvent, conference) : null,
+            recurrence: seriesRecurrence ? describeRecurrence(seriesRecurrence) : null,
             timezone: userTimezone
         });
         
     } catch (error) {
         console.error('Error creating calendar invite:', error);
-        res.status(500).json({ 
-            error: 'Failed to create calendar invite', 
-            message: error.message 
-        });
-    }
-});
-
-// Email API endpoint for dashboard metrics - TODAY ONLY
-app.get('/api/emails', async (req, res) => {
-    const accessToken = req.cookies.accessToken;
-    if (!accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    try {
-        const { days = 1 } = req.query;
-        const graphClient = createGraphClient(accessToken);
-        
-        // Calculate the proper date range for "today" (calendar day, not 24 hours)
-        const userTimezone = 'America/New_York'; // You can make this dynamic based on user
-        const now = new Date();
-        
-        if (days == 1) {
-            // For "today" - get emails from start of current day to now
-            const todayStart = new Date();
-            todayStart.setHours(0, 0, 0, 0);
-            
-            console.log('📧 Fetching TODAY\'S emails since:', todayStart.toISOString());
-            
-            const emails = await graphClient
-                .api('/me/mailFolders/inbox/messages')
-                .filter(`receivedDateTime ge ${todayStart.toISOString()}`)
-                .select('id,subject,from,receivedDateTime,bodyPreview,isRead,importance,hasAttachments')
-                .orderby('receivedDateTime desc')
-                .top(100)
-                .get();
-            
-            console.log(`✅ Found ${emails.value.length} emails for today`);
-            
-            return res.json({
-                success: true,
-                count: emails.value.length,
-                emails: emails.value,
-                period: 'today',
-                dateRange: {
-                    since: todayStart.toISOString(),
-                    until: now.toISOString()
-                }
-            });
-        } else {
-            // For multiple days - use the existing logic
-            const sinceDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-            
-            const emails = await graphClient
-                .api('/me/mailFolders/inbox/messages')
-                .filter(`receivedDateTime ge ${sinceDate.toISOString()}`)
-                .select('id,subject,from,receivedDateTime,bodyPreview,isRead,importance,hasAttachments')
-                .orderby('receivedDateTime desc')
-                .top(100)
-                .get();
-            
-            return res.json({
-                success: true,
-                count: emails.value.length,
-                emails: emails.value,
-                period: `${days} days`,
-                dateRange: {
-                    since: sinceDate.toISOString(),
-                    until: now.toISOString()
-                }
+        if (error instanceof ConferencingError) {
+            return res.status(error.statusCode).json({
+                error: 'Failed to create the online meeting',
+                message: error.message
             });
         }
-        
-    } catch (error) {
-        console.error('Error fetching emails for dashboard:', error);
         res.status(500).json({ 
-            error: 'Failed to fetch emails', 
-            message: error.message 
-        });
-    }
-});
-
-// Add endpoint to get yesterday's stats for comparison
-app.get('/api/emails/yesterday', async (req, res) => {
-    const accessToken = req.cookies.accessToken;
-    if (!accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    try {
-        const graphClient = createGraphClient(accessToken);
-        
-        // Get yesterday's date range
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        yesterday.setHours(0, 0, 0, 0);
-        
-        const yesterdayEnd = new Date(yesterday);
-        yesterdayEnd.setHours(23, 59, 59, 999);
-        
-        console.log('📧 Fetching YESTERDAY\'S emails:', {
-            from: yesterday.toISOString(),
-            to: yesterdayEnd.toISOString()
-        });
-        
-        const emails = await graphClient
-            .api('/me/mailFolders/inbox/messages')
-            .filter(`receivedDateTime ge '${yesterday.toISOString()}' and receivedDateTime le '${yesterdayEnd.toISOString()}'`)
-            .select('id,subject,from,receivedDateTime,isRead')
-            .get();
-        
-        console.log(`✅ Found ${emails.value.length} emails for yesterday`);
-        
-        res.json({
-            success: true,
-            count: emails.value.length,
-            unreadCount: emails.value.filter(e => !e.isRead).length,
-            emails: emails.value
-        });
-        
-    } catch (error) {
-        console.error('Error fetching yesterday\'s emails:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch yesterday\'s emails', 
+            error: 'Failed to create calendar invite', 
             message: error.message 
         });
     }
@@ -1,86 +0,0 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const session = require('express-session');
-const path = require('path');
-
-const app = express();
-
-// Middleware
-app.use(helmet());
-app.use(cors());
-app.use(morgan('combined'));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Session configuration
-app.use(session({
-    secret: process.env.SESSION_SECRET || 'your-session-secret',
-    resave: false,
-    saveUninitialized: false,
-    cookie: { 
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
-    }
-}));
-
-// Static files
-app.use(express.static(path.join(__dirname, '../public')));
-
-// Basic routes first
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '../public/index.html'));
-});
-
-app.get('/dashboard', (req, res) => {
-    if (!req.session.accessToken) {
-        return res.redirect('/auth/login');
-    }
-    res.sendFile(path.join(__dirname, '../public/dashboard.html'));
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        timestamp: new Date().toISOString(),
-        version: '1.0.0'
-    });
-});
-
-// Auth routes - inline to avoid import issues
-app.get('/auth/login', (req, res) => {
-    res.json({ 
-        message: 'Login endpoint working',
-        redirectUri: process.env.REDIRECT_URI,
-        hasClientId: !!process.env.AZURE_CLIENT_ID 
-    });
-});
-
-app.get('/auth/callback', (req, res) => {
-    res.json({ message: 'Callback endpoint working' });
-});
-
-app.get('/auth/user', (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Not authenticated' });
-    }
-    res.json({ user: req.session.user, authenticated: true });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ 
-        error: 'Something went wrong!',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-    });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({ error: 'Route not found' });
-});
-
-module.exports = app;
@@ -5,7 +5,7 @@ const msalConfig = {
     auth: {
         clientId: process.env.AZURE_CLIENT_ID,
         clientSecret: process.env.AZURE_CLIENT_SECRET,
-        authority: 'https://login.microsoftonline.com/common' // Changed from specific tenant
+        authority: `https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID || 'common'}`
     },
     system: {
         loggerOptions: {
@@ -20,13 +20,23 @@ const msalConfig = {
     }
 };
 
-const pca = new ConfidentialClientApplication(msalConfig);
-
 const scopes = [
     'https://graph.microsoft.com/Mail.ReadWrite',
     'https://graph.microsoft.com/Mail.Send',
     'https://graph.microsoft.com/Calendars.ReadWrite',
+    'https://graph.microsoft.com/Calendars.Read.Shared',
+    'https://graph.microsoft.com/MailboxSettings.Read',
+    'https://graph.microsoft.com/Tasks.ReadWrite',
     'https://graph.microsoft.com/User.Read'
 ];
 
-module.exports = { pca, scopes };
+// Create an MSAL client, optionally backed by a persistent cache plugin.
+// Clients are created on demand so the server can start without Azure credentials.
+function createMsalClient(cachePlugin = null) {
+    return new ConfidentialClientApplication({
+        ...msalConfig,
+        cache: cachePlugin ? { cachePlugin } : undefined
+    });
+}
+
+module.exports = { scopes, msalConfig, createMsalClient };
@@ -15,9 +15,20 @@ async function initializeDatabase() {
         console.log('📋 Loading models...');
         const ClientOrganization = require('../models/ClientOrganization');
         const UserSettings = require('../models/UserSettings'); // Add this line
+        require('../models/UserSession');
+        require('../models/GraphSubscription');
+        const MailMessage = require('../models/MailMessage');
+        require('../models/MailboxSyncState');
+        require('../models/Job');
+        require('../models/ActionItem');
+        require('../models/FollowUp');
+        require('../models/EmailDraft');
+        require('../models/OutgoingMessage');
         
         console.log('🔄 Synchronizing database tables...');
         await sequelize.sync({ alter: false }); // Don't auto-alter tables in production
+        await addMissingColumns(UserSettings);
+        await addMissingColumns(MailMessage);
         console.log('✅ Database tables synchronized');
         
         // Check current data - MOVE THESE INSIDE THE ASYNC FUNCTION
@@ -36,6 +47,22 @@ async function initializeDatabase() {
     }
 }
 
+// sync({ alter: false }) never adds columns to existing tables, so add any
+// nullable/defaulted attributes that were introduced after the table was created
+async function addMissingColumns(model) {
+    const queryInterface = sequelize.getQueryInterface();
+    const tableName = model.getTableName();
+    const existingColumns = await queryInterface.describeTable(tableName);
+    
+    for (const [attributeName, attribute] of Object.entries(model.rawAttributes)) {
+        const columnName = attribute.field || attributeName;
+        if (!existingColumns[columnName]) {
+            console.log(`➕ Adding missing column ${tableName}.${columnName}`);
+            await queryInterface.addColumn(tableName, columnName, attribute);
+        }
+    }
+}
+
 // Function to get database status
 function getDatabaseStatus() {
     return {
@@ -0,0 +1,44 @@
+const { requireAuth } = require('./sessionAuth');
+const { acquireTokenForUser, ReauthenticationRequiredError } = require('../services/tokenCache');
+const MicrosoftGraphService = require('../services/microsoftGraph');
+const { resolveUserTimezone } = require('../services/userTimezone');
+
+// Resolve a fresh Graph access token for the session's user before the route runs.
+// Expects requireAuth to have set req.userSettings; sets req.accessToken.
+// MSAL refreshes the token when it is near expiry.
+const requireGraphToken = async (req, res, next) => {
+    if (!req.userSettings) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        req.accessToken = await acquireTokenForUser(req.userSettings);
+        next();
+    } catch (error) {
+        if (error instanceof ReauthenticationRequiredError) {
+            console.warn(`🔑 Reauthentication required for ${req.userEmail}: ${error.message}`);
+            return res.status(401).json({
+                error: 'Authentication required',
+                message: 'Your Microsoft 365 session has expired. Please sign in again.',
+                reauthenticate: true
+            });
+        }
+
+        console.error('Error acquiring Graph token:', error);
+        res.status(500).json({
+            error: 'Failed to acquire access token',
+            message: error.message
+        });
+    }
+};
+
+// Sets req.userTimezone (IANA) from the user's override or Outlook mailbox settings
+const attachUserTimezone = async (req, res, next) => {
+    req.userTimezone = await resolveUserTimezone(req.userSettings, new MicrosoftGraphService(req.accessToken));
+    next();
+};
+
+// Session check followed by token acquisition - use on every route that calls Graph
+const requireGraphAuth = [requireAuth, requireGraphToken, attachUserTimezone];
+
+module.exports = { requireGraphToken, attachUserTimezone, requireGraphAuth };
@@ -0,0 +1,78 @@
+const UserSession = require('../models/UserSession');
+const UserSettings = require('../models/UserSettings');
+
+const SESSION_COOKIE = 'sessionId';
+const TOUCH_INTERVAL = 5 * 60 * 1000; // Only write lastSeenAt every 5 minutes
+
+// Shared authentication middleware for every user-facing route.
+// Identity comes only from the server-side session, never from browser-supplied data.
+const requireAuth = async (req, res, next) => {
+    const sessionId = req.cookies[SESSION_COOKIE];
+
+    if (!sessionId) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const session = await UserSession.findActiveBySessionId(sessionId);
+        if (!session) {
+            clearSessionCookie(res);
+            return res.status(401).json({ error: 'Session expired or revoked', reauthenticate: true });
+        }
+
+        const userSettings = await UserSettings.findByPk(session.userSettingsId);
+        if (!userSettings || !userSettings.isActive) {
+            return res.status(401).json({ error: 'User account is not active' });
+        }
+
+        if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > TOUCH_INTERVAL) {
+            await session.touch();
+        }
+
+        const profile = session.getProfile();
+
+        req.userSession = session;
+        req.userSettings = userSettings;
+        req.userEmail = session.userEmail;
+        req.userTenant = session.tenantId;
+        req.userName = profile.name || userSettings.userName;
+        req.userOrganization = profile.organizationName;
+        req.organizationId = profile.organizationId;
+        req.user = {
+            id: profile.homeAccountId,
+            username: session.userEmail,
+            name: req.userName,
+            tenantId: session.tenantId,
+            organizationName: profile.organizationName,
+            organizationId: profile.organizationId
+        };
+
+        next();
+    } catch (error) {
+        console.error('Error validating user session:', error);
+        res.status(500).json({
+            error: 'Failed to validate session',
+            message: error.message
+        });
+    }
+};
+
+const setSessionCookie = (res, sessionId, expiresAt) => {
+    res.cookie(SESSION_COOKIE, sessionId, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        expires: expiresAt
+    });
+};
+
+const clearSessionCookie = (res) => {
+    res.clearCookie(SESSION_COOKIE);
+};
+
+module.exports = {
+    SESSION_COOKIE,
+    requireAuth,
+    setSessionCookie,
+    clearSessionCookie
+};
@@ -0,0 +1,98 @@
+const { sequelize } = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+// Define the ActionItem model - tasks extracted from email, proposed to the user before they go to Microsoft To Do
+const ActionItem = sequelize.define('ActionItem', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    userSettingsId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    messageId: {
+        type: DataTypes.STRING(512),
+        allowNull: false,
+        comment: 'Graph message the task was extracted from'
+    },
+    subject: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Subject of the source message'
+    },
+    webLink: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Outlook link to the source message'
+    },
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    owner: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: '"me" for the signed-in user, otherwise a name or address'
+    },
+    dueDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    quote: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Sentence of the email the task comes from'
+    },
+    status: {
+        type: DataTypes.ENUM('proposed', 'accepted', 'rejected'),
+        defaultValue: 'proposed',
+        allowNull: false
+    },
+    todoListId: {
+        type: DataTypes.STRING(512),
+        allowNull: true
+    },
+    todoTaskId: {
+        type: DataTypes.STRING(512),
+        allowNull: true
+    }
+}, {
+    tableName: 'action_items',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['userSettingsId', 'status']
+        },
+        {
+            fields: ['userSettingsId', 'messageId']
+        }
+    ]
+});
+
+// Instance methods
+ActionItem.prototype.toJSONForUser = function() {
+    return {
+        id: this.id,
+        description: this.description,
+        owner: this.owner,
+        dueDate: this.dueDate,
+        quote: this.quote,
+        status: this.status,
+        source: { messageId: this.messageId, subject: this.subject, webLink: this.webLink },
+        todo: this.todoTaskId ? { listId: this.todoListId, taskId: this.todoTaskId } : null,
+        createdAt: this.createdAt
+    };
+};
+
+// Class methods
+ActionItem.findForUser = function(userSettingsId, status = null) {
+    const where = { userSettingsId };
+    if (status) {
+        where.status = status;
+    }
+    return this.findAll({ where, order: [['createdAt', 'DESC']], limit: 200 });
+};
+
+module.exports = ActionItem;
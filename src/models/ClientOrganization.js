@@ -94,6 +94,28 @@ ClientOrganization.prototype.decrementUserCount = function() {
     return this.save();
 };
 
+// AI overrides for this tenant: settings.ai = { model, temperature, maxTokens }
+ClientOrganization.prototype.getAISettings = function() {
+    const ai = (this.settings && this.settings.ai) || {};
+    const aiSettings = {};
+
+    if (typeof ai.model === 'string' && ai.model) aiSettings.model = ai.model;
+    if (typeof ai.temperature === 'number') aiSettings.temperature = ai.temperature;
+    if (Number.isInteger(ai.maxTokens) && ai.maxTokens > 0) aiSettings.maxTokens = ai.maxTokens;
+
+    return aiSettings;
+};
+
+// Conferencing providers for this tenant: settings.conferencing = { zoom: { accountId, clientId, clientSecret (encrypted) } }
+ClientOrganization.prototype.getConferencingSettings = function() {
+    return (this.settings && this.settings.conferencing) || {};
+};
+
+// Whether AI-written replies may only be saved as Outlook drafts: settings.aiReplies = { draftsOnly: true }
+ClientOrganization.prototype.isDraftsOnly = function() {
+    return Boolean(this.settings && this.settings.aiReplies && this.settings.aiReplies.draftsOnly === true);
+};
+
 // Class methods
 ClientOrganization.findByTenantId = function(tenantId) {
     return this.findOne({ where: { tenantId, isActive: true } });
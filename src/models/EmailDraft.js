@@ -0,0 +1,108 @@
+const { sequelize } = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+// Define the EmailDraft model - reply drafts the app placed in the user's Outlook Drafts folder
+const EmailDraft = sequelize.define('EmailDraft', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    userSettingsId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    draftId: {
+        type: DataTypes.STRING(512),
+        allowNull: false,
+        comment: 'Immutable Graph ID of the draft message'
+    },
+    sourceMessageId: {
+        type: DataTypes.STRING(512),
+        allowNull: false,
+        comment: 'Message the draft replies to'
+    },
+    replyAll: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    subject: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    recipients: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        comment: 'To and Cc addresses as last seen'
+    },
+    content: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Reply text written into the draft (plain text)'
+    },
+    quotedBody: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'HTML Outlook generated for the reply (quoted original), kept to rebuild the body on edits'
+    },
+    aiGenerated: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    },
+    status: {
+        type: DataTypes.ENUM('draft', 'sent', 'discarded'),
+        defaultValue: 'draft',
+        allowNull: false
+    },
+    webLink: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'email_drafts',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['userSettingsId', 'draftId'],
+            name: 'unique_draft_per_user'
+        },
+        {
+            fields: ['userSettingsId', 'status']
+        }
+    ]
+});
+
+// Instance methods
+EmailDraft.prototype.toJSONForUser = function() {
+    return {
+        id: this.id,
+        draftId: this.draftId,
+        sourceMessageId: this.sourceMessageId,
+        replyAll: this.replyAll,
+        subject: this.subject,
+        recipients: this.recipients || [],
+        content: this.content,
+        aiGenerated: this.aiGenerated,
+        status: this.status,
+        webLink: this.webLink,
+        sentAt: this.sentAt,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+// Class methods
+EmailDraft.findForUser = function(userSettingsId, status = null) {
+    const where = { userSettingsId };
+    if (status) {
+        where.status = status;
+    }
+    return this.findAll({ where, order: [['updatedAt', 'DESC']], limit: 100 });
+};
+
+module.exports = EmailDraft;
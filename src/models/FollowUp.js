@@ -0,0 +1,124 @@
+const { sequelize } = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+// Define the FollowUp model - sent messages watched for a reply (see services/followUpTracker)
+const FollowUp = sequelize.define('FollowUp', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    userSettingsId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    messageId: {
+        type: DataTypes.STRING(512),
+        allowNull: false,
+        comment: 'Graph ID of the sent message'
+    },
+    conversationId: {
+        type: DataTypes.STRING(512),
+        allowNull: true
+    },
+    subject: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    webLink: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    recipients: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        comment: 'To and Cc as [{ name, address }]'
+    },
+    sentDateTime: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('waiting', 'replied', 'dismissed', 'not_needed'),
+        defaultValue: 'waiting',
+        allowNull: false,
+        comment: 'not_needed: scanned, but the message asks for nothing'
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'What the message asks the recipients for'
+    },
+    source: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+        comment: 'ai or rules'
+    },
+    repliedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lastNudgedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Last nudge, or later message of the user in the same conversation'
+    },
+    nudgeCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    nudgeDraft: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'follow_ups',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['userSettingsId', 'messageId'],
+            name: 'unique_follow_up_per_message'
+        },
+        {
+            fields: ['userSettingsId', 'status']
+        }
+    ]
+});
+
+// Instance methods
+// When the current wait started - the nudge (or the user's own later message) restarts it
+FollowUp.prototype.getWaitingSince = function() {
+    return this.lastNudgedAt || this.sentDateTime;
+};
+
+FollowUp.prototype.toJSONForUser = function(now = new Date()) {
+    const waitingSince = this.getWaitingSince();
+    return {
+        id: this.id,
+        messageId: this.messageId,
+        subject: this.subject,
+        webLink: this.webLink,
+        recipients: this.recipients || [],
+        sentDateTime: this.sentDateTime,
+        status: this.status,
+        reason: this.reason,
+        source: this.source,
+        repliedAt: this.repliedAt,
+        daysWaiting: Math.floor((now - waitingSince) / (24 * 60 * 60 * 1000)),
+        nudgeCount: this.nudgeCount,
+        lastNudgedAt: this.lastNudgedAt,
+        nudgeDraft: this.nudgeDraft
+    };
+};
+
+// Class methods
+FollowUp.findForUser = function(userSettingsId, status = null) {
+    const where = { userSettingsId };
+    if (status) {
+        where.status = status;
+    }
+    return this.findAll({ where, order: [['sentDateTime', 'DESC']], limit: 200 });
+};
+
+module.exports = FollowUp;
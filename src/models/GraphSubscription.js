@@ -0,0 +1,88 @@
+const { sequelize } = require('../config/database');
+const { DataTypes, Op } = require('sequelize');
+
+// Define the GraphSubscription model tracking change-notification subscriptions per user
+const GraphSubscription = sequelize.define('GraphSubscription', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    subscriptionId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'Subscription ID assigned by Microsoft Graph'
+    },
+    userSettingsId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'UserSettings row whose mailbox/calendar is watched'
+    },
+    resourceType: {
+        type: DataTypes.ENUM('inbox', 'calendar'),
+        allowNull: false
+    },
+    resource: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Graph resource path, e.g. me/mailFolders(\'Inbox\')/messages'
+    },
+    changeType: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    clientState: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Secret echoed back by Graph on every notification'
+    },
+    expirationDateTime: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        allowNull: false
+    },
+    lastNotificationAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'graph_subscriptions',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['subscriptionId']
+        },
+        {
+            fields: ['userSettingsId']
+        },
+        {
+            fields: ['expirationDateTime']
+        }
+    ]
+});
+
+// Class methods
+GraphSubscription.findActiveBySubscriptionId = function(subscriptionId) {
+    return this.findOne({ where: { subscriptionId, isActive: true } });
+};
+
+GraphSubscription.findActiveForUser = function(userSettingsId) {
+    return this.findAll({ where: { userSettingsId, isActive: true } });
+};
+
+GraphSubscription.findExpiringBefore = function(date) {
+    return this.findAll({
+        where: {
+            isActive: true,
+            expirationDateTime: { [Op.lt]: date }
+        }
+    });
+};
+
+module.exports = GraphSubscription;
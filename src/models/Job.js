@@ -0,0 +1,138 @@
+const { sequelize } = require('../config/database');
+const { DataTypes, Op } = require('sequelize');
+
+// Define the Job model backing the background job queue (see services/jobQueue.js)
+const Job = sequelize.define('Job', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Registered handler name, e.g. webhook.dispatch'
+    },
+    payload: {
+        type: DataTypes.JSON,
+        defaultValue: {},
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'running', 'completed', 'dead'),
+        defaultValue: 'pending',
+        allowNull: false,
+        comment: 'pending also covers jobs waiting for a retry; dead = gave up (dead-letter)'
+    },
+    tenantId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Tenant the work belongs to - running jobs are capped per tenant'
+    },
+    userSettingsId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User who enqueued the job, for user-facing status lookups'
+    },
+    uniqueKey: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        unique: true,
+        comment: 'Deduplicates jobs, e.g. one run per recurring slot across instances'
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+    },
+    maxAttempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 5,
+        allowNull: false
+    },
+    runAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'Earliest time the job may run (scheduled jobs and retry backoff)'
+    },
+    lockedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lockedBy: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Worker that claimed the job'
+    },
+    lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    result: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'jobs',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['status', 'runAt']
+        },
+        {
+            fields: ['tenantId', 'status']
+        },
+        {
+            unique: true,
+            fields: ['uniqueKey']
+        }
+    ]
+});
+
+// Class methods
+Job.findDue = function(limit, now = new Date()) {
+    return this.findAll({
+        where: { status: 'pending', runAt: { [Op.lte]: now } },
+        order: [['runAt', 'ASC'], ['id', 'ASC']],
+        limit
+    });
+};
+
+// Claim a pending job for a worker; false when another worker got it first
+Job.claim = async function(job, workerId, now = new Date()) {
+    const [claimed] = await this.update(
+        { status: 'running', lockedAt: now, lockedBy: workerId, attempts: job.attempts + 1 },
+        { where: { id: job.id, status: 'pending' } }
+    );
+    return claimed === 1;
+};
+
+// A running job's worker is still alive - refresh its lock
+Job.heartbeat = function(job, workerId, now = new Date()) {
+    return this.update({ lockedAt: now }, { where: { id: job.id, status: 'running', lockedBy: workerId } });
+};
+
+// Running jobs per tenant: { tenantId: count } (jobs without a tenant are not counted)
+Job.countRunningByTenant = async function() {
+    const running = await this.findAll({
+        where: { status: 'running', tenantId: { [Op.ne]: null } },
+        attributes: ['tenantId']
+    });
+    return running.reduce((counts, job) => ({ ...counts, [job.tenantId]: (counts[job.tenantId] || 0) + 1 }), {});
+};
+
+// Running jobs whose worker stopped responding (crashed or redeployed mid-job)
+Job.findStale = function(lockedBefore) {
+    return this.findAll({ where: { status: 'running', lockedAt: { [Op.lt]: lockedBefore } } });
+};
+
+Job.removeCompletedBefore = function(date) {
+    return this.destroy({ where: { status: 'completed', completedAt: { [Op.lt]: date } } });
+};
+
+module.exports = Job;
@@ -0,0 +1,198 @@
+const { sequelize } = require('../config/database');
+const { DataTypes, Op } = require('sequelize');
+
+// Define the MailMessage model - local metadata copy of synced mailbox messages
+const MailMessage = sequelize.define('MailMessage', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    userSettingsId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'UserSettings row that owns the mailbox'
+    },
+    messageId: {
+        type: DataTypes.STRING(512),
+        allowNull: false,
+        comment: 'Microsoft Graph message ID'
+    },
+    folderId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'inbox',
+        comment: 'Folder the message was synced from (well-known name or Graph folder ID)'
+    },
+    conversationId: {
+        type: DataTypes.STRING(512),
+        allowNull: true
+    },
+    subject: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    fromName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    fromAddress: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    toRecipients: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        allowNull: false
+    },
+    receivedDateTime: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    bodyPreview: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    isRead: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+    },
+    importance: {
+        type: DataTypes.STRING,
+        defaultValue: 'normal',
+        allowNull: false
+    },
+    hasAttachments: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+    },
+    categories: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        allowNull: false
+    },
+    triageCategory: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Triage category key, e.g. action_required (see services/emailTriage.js)'
+    },
+    triagePriority: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Triage priority score, 0-100'
+    },
+    triageReasons: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    triageSource: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'ai or rules'
+    },
+    triagedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'mail_messages',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['userSettingsId', 'messageId'],
+            name: 'unique_message_per_user'
+        },
+        {
+            fields: ['userSettingsId', 'folderId', 'receivedDateTime']
+        },
+        {
+            fields: ['conversationId']
+        },
+        {
+            fields: ['userSettingsId', 'triagePriority']
+        }
+    ]
+});
+
+// Convert a Graph message (delta item) into model attributes
+MailMessage.fromGraphMessage = function(userSettingsId, folderId, message) {
+    return {
+        userSettingsId,
+        folderId,
+        messageId: message.id,
+        conversationId: message.conversationId || null,
+        subject: message.subject || null,
+        fromName: message.from?.emailAddress?.name || null,
+        fromAddress: message.from?.emailAddress?.address || null,
+        toRecipients: (message.toRecipients || []).map(recipient => ({
+            name: recipient.emailAddress?.name,
+            address: recipient.emailAddress?.address
+        })),
+        receivedDateTime: message.receivedDateTime ? new Date(message.receivedDateTime) : null,
+        bodyPreview: message.bodyPreview || null,
+        isRead: !!message.isRead,
+        importance: message.importance || 'normal',
+        hasAttachments: !!message.hasAttachments,
+        categories: message.categories || []
+    };
+};
+
+// Instance methods
+// Same shape the Graph API returns, so existing prompt/dashboard code keeps working
+MailMessage.prototype.toGraphMessage = function() {
+    return {
+        id: this.messageId,
+        subject: this.subject,
+        from: {
+            emailAddress: {
+                name: this.fromName,
+                address: this.fromAddress
+            }
+        },
+        toRecipients: (this.toRecipients || []).map(recipient => ({ emailAddress: recipient })),
+        receivedDateTime: this.receivedDateTime ? this.receivedDateTime.toISOString() : null,
+        bodyPreview: this.bodyPreview,
+        isRead: this.isRead,
+        importance: this.importance,
+        hasAttachments: this.hasAttachments,
+        categories: this.categories,
+        conversationId: this.conversationId,
+        triage: this.triagedAt ? {
+            category: this.triageCategory,
+            priority: this.triagePriority,
+            reasons: this.triageReasons || [],
+            source: this.triageSource,
+            triagedAt: this.triagedAt.toISOString()
+        } : null
+    };
+};
+
+// Class methods
+MailMessage.findRecentForUser = function(userSettingsId, options = {}) {
+    const { folderId = 'inbox', since = null, until = null, limit = null, unreadOnly = false } = options;
+
+    const where = { userSettingsId, folderId };
+    if (since || until) {
+        where.receivedDateTime = {};
+        if (since) where.receivedDateTime[Op.gte] = since;
+        if (until) where.receivedDateTime[Op.lte] = until;
+    }
+    if (unreadOnly) {
+        where.isRead = false;
+    }
+
+    return this.findAll({
+        where,
+        order: [['receivedDateTime', 'DESC']],
+        limit: limit || undefined
+    });
+};
+
+MailMessage.removeForUser = function(userSettingsId, messageIds) {
+    return this.destroy({ where: { userSettingsId, messageId: messageIds } });
+};
+
+module.exports = MailMessage;
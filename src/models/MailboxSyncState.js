@@ -0,0 +1,58 @@
+const { sequelize } = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+// Define the MailboxSyncState model - delta query position per user and folder
+const MailboxSyncState = sequelize.define('MailboxSyncState', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    userSettingsId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    folderId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Well-known folder name or Graph folder ID'
+    },
+    deltaLink: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: '@odata.deltaLink returned by the last completed sync round'
+    },
+    lastSyncedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lastFullSyncAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'mailbox_sync_states',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['userSettingsId', 'folderId'],
+            name: 'unique_sync_state_per_folder'
+        }
+    ]
+});
+
+// Class methods
+MailboxSyncState.getOrCreate = async function(userSettingsId, folderId) {
+    const [syncState] = await this.findOrCreate({
+        where: { userSettingsId, folderId },
+        defaults: { userSettingsId, folderId }
+    });
+    return syncState;
+};
+
+module.exports = MailboxSyncState;
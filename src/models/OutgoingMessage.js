@@ -0,0 +1,109 @@
+const { sequelize } = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+// Define the OutgoingMessage model - mail waiting in the send queue (undo window or scheduled send)
+const OutgoingMessage = sequelize.define('OutgoingMessage', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    userSettingsId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    kind: {
+        type: DataTypes.ENUM('reply', 'replyAll', 'new', 'draft'),
+        allowNull: false
+    },
+    replyToMessageId: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+        comment: 'Message replied to (reply and replyAll)'
+    },
+    emailDraftId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'EmailDraft whose Outlook draft is sent (draft)'
+    },
+    toRecipients: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        comment: 'Addresses for new mail; for replies the original sender, for display'
+    },
+    subject: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    content: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Plain text body'
+    },
+    sendAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    scheduled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: 'false when only held for the undo window'
+    },
+    timeZone: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'Zone the send time was chosen in'
+    },
+    status: {
+        type: DataTypes.ENUM('queued', 'sent', 'cancelled', 'failed'),
+        defaultValue: 'queued',
+        allowNull: false
+    },
+    sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'outgoing_messages',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['userSettingsId', 'status', 'sendAt']
+        }
+    ]
+});
+
+// Instance methods
+OutgoingMessage.prototype.toJSONForUser = function() {
+    return {
+        id: this.id,
+        kind: this.kind,
+        replyToMessageId: this.replyToMessageId,
+        emailDraftId: this.emailDraftId,
+        toRecipients: this.toRecipients || [],
+        subject: this.subject,
+        content: this.content,
+        sendAt: this.sendAt,
+        scheduled: this.scheduled,
+        timeZone: this.timeZone,
+        status: this.status,
+        sentAt: this.sentAt,
+        error: this.status === 'failed' ? (this.lastError || '').split('\n')[0] : null,
+        createdAt: this.createdAt
+    };
+};
+
+// Class methods
+OutgoingMessage.findForUser = function(userSettingsId, status = null) {
+    const where = { userSettingsId };
+    if (status) {
+        where.status = status;
+    }
+    return this.findAll({ where, order: [['sendAt', status === 'queued' ? 'ASC' : 'DESC']], limit: 100 });
+};
+
+module.exports = OutgoingMessage;
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { DataTypes, Op } = require('sequelize');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Only a hash of the session ID is stored, so a database leak cannot be replayed as cookies
+function hashSessionId(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex');
+}
+
+// Define the UserSession model backing the opaque sessionId cookie
+const UserSession = sequelize.define('UserSession', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    sessionIdHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 of the opaque session ID held in the browser cookie'
+    },
+    userSettingsId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'UserSettings row holding this user\'s encrypted token cache'
+    },
+    userEmail: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'The email address of the signed-in user'
+    },
+    tenantId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'The organization tenant ID of the signed-in user'
+    },
+    data: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Encrypted JSON profile (name, organization, account IDs)'
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    userAgent: {
+        type: DataTypes.STRING(512),
+        allowNull: true
+    }
+}, {
+    tableName: 'user_sessions',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['sessionIdHash']
+        },
+        {
+            fields: ['userSettingsId']
+        },
+        {
+            fields: ['expiresAt']
+        }
+    ]
+});
+
+// Instance methods
+UserSession.prototype.getProfile = function() {
+    if (!this.data) {
+        return {};
+    }
+    try {
+        return JSON.parse(decrypt(this.data));
+    } catch (error) {
+        console.error(`⚠️ Could not decrypt session data for ${this.userEmail}:`, error.message);
+        return {};
+    }
+};
+
+UserSession.prototype.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+UserSession.prototype.revoke = function() {
+    this.revokedAt = new Date();
+    return this.save();
+};
+
+UserSession.prototype.touch = function() {
+    this.lastSeenAt = new Date();
+    return this.save({ fields: ['lastSeenAt'] });
+};
+
+// Class methods
+UserSession.createForUser = async function(userSettings, profile = {}, requestInfo = {}) {
+    const sessionId = crypto.randomBytes(32).toString('hex');
+
+    const session = await this.create({
+        sessionIdHash: hashSessionId(sessionId),
+        userSettingsId: userSettings.id,
+        userEmail: userSettings.userEmail,
+        tenantId: userSettings.tenantId,
+        data: encrypt(JSON.stringify(profile)),
+        expiresAt: new Date(Date.now() + SESSION_TTL),
+        lastSeenAt: new Date(),
+        ipAddress: requestInfo.ipAddress || null,
+        userAgent: requestInfo.userAgent ? requestInfo.userAgent.substring(0, 512) : null
+    });
+
+    // The raw session ID is only ever returned here - it goes straight into the cookie
+    return { session, sessionId };
+};
+
+UserSession.findActiveBySessionId = async function(sessionId) {
+    if (!sessionId) {
+        return null;
+    }
+
+    const session = await this.findOne({ where: { sessionIdHash: hashSessionId(sessionId) } });
+    return session && session.isActive() ? session : null;
+};
+
+UserSession.countActiveForUser = function(userSettingsId) {
+    return this.count({
+        where: {
+            userSettingsId,
+            revokedAt: null,
+            expiresAt: { [Op.gt]: new Date() }
+        }
+    });
+};
+
+UserSession.revokeAllForUser = function(userSettingsId) {
+    return this.update(
+        { revokedAt: new Date() },
+        { where: { userSettingsId, revokedAt: null } }
+    );
+};
+
+UserSession.deleteExpired = function() {
+    return this.destroy({
+        where: {
+            [Op.or]: [
+                { expiresAt: { [Op.lt]: new Date() } },
+                { revokedAt: { [Op.ne]: null } }
+            ]
+        }
+    });
+};
+
+UserSession.SESSION_TTL = SESSION_TTL;
+UserSession.CLEANUP_INTERVAL = 60 * 60 * 1000; // how often the sessions.cleanup job runs
+
+module.exports = UserSession;
@@ -1,5 +1,6 @@
 const { sequelize } = require('../config/database');
 const { DataTypes } = require('sequelize');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
 
 // Define the UserSettings model for individual user preferences
 const UserSettings = sequelize.define('UserSettings', {
@@ -42,6 +43,16 @@ const UserSettings = sequelize.define('UserSettings', {
         allowNull: false,
         comment: 'Other user-specific preferences (tone, meeting settings, etc.)'
     },
+    homeAccountId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'MSAL home account ID used to look up cached tokens'
+    },
+    tokenCache: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Encrypted serialized MSAL token cache (holds the refresh token)'
+    },
     isActive: {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
@@ -84,6 +95,28 @@ UserSettings.prototype.updateSignature = function(signatureData) {
     return this.save();
 };
 
+// IANA time zone for this user: the settings override, else the zone cached from Outlook
+UserSettings.prototype.getTimezone = function() {
+    const preferences = this.preferences || {};
+    return preferences.timezoneOverride || preferences.mailboxTimezone || DEFAULT_TIMEZONE;
+};
+
+// Merge keys into preferences (assigning a new object so Sequelize sees the JSON change). The row is
+// re-read under a lock first, so concurrent updates of other keys (a settings PUT racing the
+// mailbox time zone refresh) aren't overwritten with this request's snapshot.
+UserSettings.prototype.updatePreferences = function(updates) {
+    return sequelize.transaction(async (transaction) => {
+        await this.reload({ attributes: ['preferences'], transaction, lock: transaction.LOCK.UPDATE });
+        this.preferences = { ...(this.preferences || {}), ...updates };
+        return this.save({ fields: ['preferences'], transaction });
+    });
+};
+
+UserSettings.prototype.clearTokenCache = function() {
+    this.tokenCache = null;
+    return this.save();
+};
+
 // Class methods
 UserSettings.findByUserEmail = function(userEmail, tenantId = null) {
     const whereClause = { userEmail, isActive: true };
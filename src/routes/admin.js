@@ -1,5 +1,8 @@
 const express = require('express');
 const { requireAdminAuth, logoutAdmin, getActiveSessionsCount } = require('../middleware/adminAuth');
+const { getGraphMetrics } = require('../services/graphResilience');
+const { withZoomCredentials, redactSettings, ConferencingError } = require('../services/conferencingProviders');
+const { jobQueue } = require('../services/jobQueue');
 const router = express.Router();
 
 // Middleware to parse form data
@@ -253,6 +256,8 @@ router.get('/status', requireAdminAuth, async (req, res) => {
                 error: dbError,
                 organizationCount: orgCount
             },
+            graph: getGraphMetrics(),
+            jobQueue: await jobQueue.stats().then(queue => queue.counts).catch(error => ({ error: error.message })),
             environmentVariables: {
                 hasAdminUsername: !!process.env.ADMIN_USERNAME,
                 hasAdminPassword: !!process.env.ADMIN_PASSWORD,
@@ -280,6 +285,46 @@ router.get('/status', requireAdminAuth, async (req, res) => {
     }
 });
 
+// Background job queue: depth by status/type/tenant, schedules and the dead-letter list
+router.get('/jobs', requireAdminAuth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            queue: await jobQueue.stats(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Job queue stats error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to load job queue statistics',
+            message: error.message 
+        });
+    }
+});
+
+// Requeue a dead job with a fresh set of attempts
+router.post('/jobs/:id/retry', requireAdminAuth, async (req, res) => {
+    try {
+        const job = await jobQueue.retry(parseInt(req.params.id) || 0);
+        
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'No dead job with this ID', id: req.params.id });
+        }
+        
+        console.log(`🔁 Job ${job.id} (${job.type}) requeued by ${req.adminUser}`);
+        res.json({ success: true, job: { id: job.id, type: job.type, status: job.status } });
+        
+    } catch (error) {
+        console.error('Job retry error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to retry job',
+            message: error.message 
+        });
+    }
+});
+
 // Organization details
 router.get('/org/:id', requireAdminAuth, async (req, res) => {
     try {
@@ -295,11 +340,12 @@ router.get('/org/:id', requireAdminAuth, async (req, res) => {
             });
         }
         
+        const settings = redactSettings(organization.settings);
         res.json({
             success: true,
-            organization: organization,
+            organization: { ...organization.toJSON(), settings },
             lastAccess: organization.updatedAt || organization.createdAt,
-            settings: organization.settings || {}
+            settings: settings
         });
         
     } catch (error) {
@@ -312,6 +358,92 @@ router.get('/org/:id', requireAdminAuth, async (req, res) => {
     }
 });
 
+// Zoom Server-to-Server OAuth app for an organization: { accountId, clientId, clientSecret }
+router.put('/org/:id/conferencing/zoom', requireAdminAuth, async (req, res) => {
+    try {
+        const ClientOrganization = getWorkingDatabase();
+        await ClientOrganization.sync();
+        const organization = await ClientOrganization.findByPk(req.params.id);
+        
+        if (!organization) {
+            return res.status(404).json({ success: false, error: 'Organization not found', id: req.params.id });
+        }
+        
+        const { accountId, clientId, clientSecret } = req.body || {};
+        organization.settings = withZoomCredentials(organization.settings, { accountId, clientId, clientSecret });
+        await organization.save();
+        
+        console.log(`🎥 Zoom credentials updated for ${organization.organizationName} by ${req.adminUser}`);
+        res.json({ success: true, settings: redactSettings(organization.settings) });
+        
+    } catch (error) {
+        console.error('Error saving Zoom credentials:', error);
+        res.status(error instanceof ConferencingError ? error.statusCode : 500).json({
+            success: false,
+            error: 'Failed to save Zoom credentials',
+            message: error.message
+        });
+    }
+});
+
+router.delete('/org/:id/conferencing/zoom', requireAdminAuth, async (req, res) => {
+    try {
+        const ClientOrganization = getWorkingDatabase();
+        await ClientOrganization.sync();
+        const organization = await ClientOrganization.findByPk(req.params.id);
+        
+        if (!organization) {
+            return res.status(404).json({ success: false, error: 'Organization not found', id: req.params.id });
+        }
+        
+        organization.settings = withZoomCredentials(organization.settings, null);
+        await organization.save();
+        
+        console.log(`🎥 Zoom credentials removed for ${organization.organizationName} by ${req.adminUser}`);
+        res.json({ success: true, settings: redactSettings(organization.settings) });
+        
+    } catch (error) {
+        console.error('Error removing Zoom credentials:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove Zoom credentials',
+            message: error.message
+        });
+    }
+});
+
+// AI reply policy for an organization: { draftsOnly } - when true, AI replies can only be saved as Outlook drafts
+router.put('/org/:id/ai-replies', requireAdminAuth, async (req, res) => {
+    try {
+        const ClientOrganization = getWorkingDatabase();
+        await ClientOrganization.sync();
+        const organization = await ClientOrganization.findByPk(req.params.id);
+        
+        if (!organization) {
+            return res.status(404).json({ success: false, error: 'Organization not found', id: req.params.id });
+        }
+        
+        const { draftsOnly } = req.body || {};
+        if (typeof draftsOnly !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'draftsOnly must be true or false' });
+        }
+        
+        organization.settings = { ...(organization.settings || {}), aiReplies: { ...(organization.settings?.aiReplies || {}), draftsOnly } };
+        await organization.save();
+        
+        console.log(`📝 Drafts-only AI replies ${draftsOnly ? 'enforced' : 'lifted'} for ${organization.organizationName} by ${req.adminUser}`);
+        res.json({ success: true, settings: redactSettings(organization.settings) });
+        
+    } catch (error) {
+        console.error('Error saving AI reply policy:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save AI reply policy',
+            message: error.message
+        });
+    }
+});
+
 // Logout
 router.get('/logout', logoutAdmin);
 
@@ -454,6 +586,10 @@ function generateAdminHTML(organizations, stats, adminUser) {
                         📊 Export Client Data
                     </a>
                     
+                    <a href="/admin/jobs" class="action-button secondary">
+                        🧵 Job Queue
+                    </a>
+                    
                     <a href="/admin/status" class="action-button secondary">
                         🖥️ System Status
                     </a>
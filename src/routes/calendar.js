@@ -1,154 +1,370 @@
 const express = require('express');
 const MicrosoftGraphService = require('../services/microsoftGraph');
 const ClaudeAIService = require('../services/claudeAI');
+const AvailabilityService = require('../services/availability');
+const { requireGraphAuth } = require('../middleware/graphAuth');
+const { getZonedDateString, getZonedDayRange, parseGraphDateTime, zonedTimeToUtc, addDays } = require('../utils/timezone');
+const { analyzeCalendar } = require('../services/calendarAnalyzer');
+const { EventActionService, EventActionError } = require('../services/eventActions');
+const { describeConferencingProviders } = require('../services/conferencingProviders');
+const { IcsCalendarService, IcsImportError } = require('../services/icsCalendar');
+const { MeetingBriefService, MeetingBriefValidationError, formatBriefText } = require('../services/meetingBrief');
+const ClientOrganization = require('../models/ClientOrganization');
 const router = express.Router();
 
-// Middleware to check authentication
-const requireAuth = (req, res, next) => {
-    if (!req.session.accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    next();
-};
-
-// Get calendar events
-router.get('/events', requireAuth, async (req, res) => {
+// Calendar events for today + ?days=7, with display times in the user's time zone
+router.get('/events', requireGraphAuth, async (req, res) => {
     try {
+        const graphService = new MicrosoftGraphService(req.accessToken);
         const { days = 7 } = req.query;
-        const graphService = new MicrosoftGraphService(req.session.accessToken);
-        const events = await graphService.getCalendarEvents(parseInt(days));
+        const userTimezone = req.userTimezone;
+        
+        // Use proper timezone-aware date range creation
+        const dateRange = getZonedDayRange(userTimezone, { days: parseInt(days) + 1 });
+        
+        console.log('📅 Calendar events range calculation:', {
+            userTimezone,
+            days: parseInt(days),
+            startISO: dateRange.start.toISOString(),
+            endISO: dateRange.end.toISOString(),
+            timezoneLabel: dateRange.timezoneLabel,
+            startLocal: dateRange.start.toLocaleString('en-US', { timeZone: userTimezone }),
+            endLocal: dateRange.end.toLocaleString('en-US', { timeZone: userTimezone })
+        });
+
+        // Fetch events with timezone preference, following nextLink up to the service cap
+        const events = await graphService.getCalendarView(dateRange.start, dateRange.end, { timeZone: userTimezone });
+        
+        // Process events with corrected timezone handling
+        const processedEvents = events.value.map(event => {
+            // Graph returns wall-clock times in userTimezone (Prefer header) - turn them into instants
+            const startDateTime = parseGraphDateTime(event.start, userTimezone);
+            const endDateTime = parseGraphDateTime(event.end, userTimezone);
+            
+            // Format times in user's timezone
+            const startTimeFormatted = startDateTime.toLocaleString('en-US', {
+                timeZone: userTimezone,
+                weekday: 'short',
+                month: 'short', 
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit',
+                hour12: true
+            });
+            
+            const endTimeFormatted = endDateTime.toLocaleString('en-US', {
+                timeZone: userTimezone,
+                hour: 'numeric',
+                minute: '2-digit',
+                hour12: true
+            });
+            
+            return {
+                ...event,
+                start: {
+                    ...event.start,
+                    timeZone: userTimezone,
+                    displayTime: startTimeFormatted,
+                    timezoneLabel: dateRange.timezoneLabel
+                },
+                end: {
+                    ...event.end,
+                    timeZone: userTimezone,
+                    displayTime: endTimeFormatted,
+                    timezoneLabel: dateRange.timezoneLabel
+                },
+                displayTimeRange: `${startTimeFormatted} - ${endTimeFormatted} ${dateRange.timezoneLabel}`
+            };
+        });
         
         res.json({
             success: true,
-            period: `${days} days`,
-            count: events.length,
-            events: events
+            count: processedEvents.length,
+            events: processedEvents,
+            truncated: events.truncated,
+            timezone: userTimezone,
+            timezoneLabel: dateRange.timezoneLabel,
+            debug: {
+                queryStartUTC: dateRange.start.toISOString(),
+                queryEndUTC: dateRange.end.toISOString(),
+                requestedDays: parseInt(days),
+                userTimezone: userTimezone
+            }
         });
+        
     } catch (error) {
-        console.error('Error fetching calendar events:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch calendar events',
+        console.error('Error fetching calendar:', error);
+        res.status(500).json({
+            error: 'Failed to fetch calendar events', 
             message: error.message 
         });
     }
 });
 
-// Get today's schedule
-router.get('/today', requireAuth, async (req, res) => {
+// Export events as an .ics file: ?start=YYYY-MM-DD&end=YYYY-MM-DD (inclusive, user's timezone),
+// or ?days=N from today. Recurring meetings are written as one series with their repeat rule.
+router.get('/events.ics', requireGraphAuth, async (req, res) => {
     try {
-        const graphService = new MicrosoftGraphService(req.session.accessToken);
-        const claudeService = new ClaudeAIService();
+        const timeZone = req.userTimezone;
+        const today = getZonedDateString(new Date(), timeZone);
+        const { start = today, days = 30 } = req.query;
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+        const end = req.query.end || (isDate(start) ? addDays(start, Math.max(1, parseInt(days) || 30) - 1) : start);
+        
+        if (!isDate(start) || !isDate(end) || end < start) {
+            return res.status(400).json({ error: 'start and end must be YYYY-MM-DD dates with end on or after start' });
+        }
+        if (end > addDays(start, 365)) {
+            return res.status(400).json({ error: 'Export at most one year at a time' });
+        }
         
-        // Get today's events
-        const today = new Date();
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+        const icsService = new IcsCalendarService(new MicrosoftGraphService(req.accessToken), { timeZone, userEmail: req.userEmail });
+        const { calendar, count, truncated } = await icsService.exportRange(
+            zonedTimeToUtc(`${start}T00:00`, timeZone),
+            zonedTimeToUtc(`${addDays(end, 1)}T00:00`, timeZone)
+        );
         
-        const events = await graphService.getCalendarEvents(1);
+        console.log(`📤 Exported ${count} events (${start} to ${end}) as ICS for ${req.userEmail}${truncated ? ' - truncated' : ''}`);
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="calendar-${start}-to-${end}.ics"`);
+        res.send(calendar);
+    } catch (error) {
+        console.error('Error exporting calendar:', error);
+        res.status(500).json({
+            error: 'Failed to export calendar',
+            message: error.message
+        });
+    }
+});
+
+// Today's schedule (calendar day in the user's time zone) - also feeds the dashboard stats
+router.get('/today', requireGraphAuth, async (req, res) => {
+    try {
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const userTimezone = req.userTimezone;
         
-        // Filter for today only
-        const todayEvents = events.filter(event => {
-            const eventDate = new Date(event.start.dateTime);
-            return eventDate.toDateString() === today.toDateString();
+        // Use proper timezone-aware date range creation
+        const todayRange = getZonedDayRange(userTimezone);
+        
+        console.log('🕐 Today range calculation:', {
+            userTimezone,
+            startISO: todayRange.start.toISOString(),
+            endISO: todayRange.end.toISOString(),
+            timezoneLabel: todayRange.timezoneLabel,
+            startLocal: todayRange.start.toLocaleString('en-US', { timeZone: userTimezone }),
+            endLocal: todayRange.end.toLocaleString('en-US', { timeZone: userTimezone })
         });
+
+        const events = await graphService.getCalendarView(todayRange.start, todayRange.end, { timeZone: userTimezone });
         
-        // Generate AI summary
-        const summaryQuery = `Provide a brief summary of today's schedule including:
-        1. Number of meetings
-        2. Most important meetings
-        3. Available time blocks
-        4. Any scheduling conflicts or tight timings`;
+        // Format events with proper timezone display
+        const formattedEvents = events.value.map(event => {
+            const startTime = parseGraphDateTime(event.start, userTimezone);
+            const endTime = parseGraphDateTime(event.end, userTimezone);
+            
+            // Format times specifically in user's timezone
+            const startTimeFormatted = startTime.toLocaleTimeString('en-US', {
+                hour: 'numeric',
+                minute: '2-digit',
+                hour12: true,
+                timeZone: userTimezone
+            });
+            
+            const endTimeFormatted = endTime.toLocaleTimeString('en-US', {
+                hour: 'numeric',
+                minute: '2-digit',
+                hour12: true,
+                timeZone: userTimezone
+            });
+            
+            return {
+                ...event,
+                displayTime: `${startTimeFormatted} - ${endTimeFormatted} ${todayRange.timezoneLabel}`,
+                start: {
+                    ...event.start,
+                    timeZone: userTimezone,
+                    localTime: startTimeFormatted,
+                    timezoneLabel: todayRange.timezoneLabel
+                },
+                end: {
+                    ...event.end,
+                    timeZone: userTimezone,
+                    localTime: endTimeFormatted,
+                    timezoneLabel: todayRange.timezoneLabel
+                }
+            };
+        });
         
-        const summary = await claudeService.processEmailQuery(summaryQuery, [], todayEvents);
+        // Get current date in user's timezone for display
+        const todayInUserTZ = new Date().toLocaleDateString('en-US', { 
+            timeZone: userTimezone,
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
         
         res.json({
             success: true,
-            date: today.toDateString(),
-            eventCount: todayEvents.length,
-            events: todayEvents,
-            summary: summary
+            date: todayInUserTZ,
+            eventCount: formattedEvents.length,
+            events: formattedEvents,
+            truncated: events.truncated,
+            summary: `You have ${formattedEvents.length} meetings today.`,
+            timezone: userTimezone,
+            timezoneLabel: todayRange.timezoneLabel,
+            debug: {
+                queryStartUTC: todayRange.start.toISOString(),
+                queryEndUTC: todayRange.end.toISOString(),
+                userTimezone: userTimezone
+            }
         });
     } catch (error) {
-        console.error('Error fetching today\'s schedule:', error);
+        console.error('Error fetching today schedule:', error);
         res.status(500).json({ 
-            error: 'Failed to fetch today\'s schedule',
+            error: 'Failed to fetch today\'s schedule', 
             message: error.message 
         });
     }
 });
 
-// Check availability
-router.get('/availability', requireAuth, async (req, res) => {
+// Availability options from the query string:
+// ?date=YYYY-MM-DD|today|tomorrow&days=1&duration=60&attendees=a@x.com,b@y.com&buffer=10&lunch=12:00-13:00|none&increment=30&tentative=ignore
+function parseAvailabilityQuery(query, timeZone) {
+    const toInt = (value, fallback) => value === undefined ? fallback : Number(value);
+    let lunch;
+    if (query.lunch === 'none') {
+        lunch = null;
+    } else if (query.lunch) {
+        const [start, end] = String(query.lunch).split('-');
+        lunch = { start, end };
+    }
+
+    const today = getZonedDateString(new Date(), timeZone);
+    const relativeDays = { today: 0, tomorrow: 1 };
+
+    return {
+        date: query.date in relativeDays ? addDays(today, relativeDays[query.date]) : query.date,
+        days: toInt(query.days, undefined),
+        durationMinutes: toInt(query.duration, undefined),
+        attendees: query.attendees ? String(query.attendees).split(',').map(email => email.trim()).filter(Boolean) : [],
+        bufferMinutes: toInt(query.buffer, undefined),
+        lunch: lunch,
+        incrementMinutes: toInt(query.increment, undefined),
+        maxSlots: toInt(query.maxSlots, undefined),
+        ignoreTentative: query.tentative === 'ignore'
+    };
+}
+
+function availabilityErrorResponse(res, error, message) {
+    if (error instanceof AvailabilityService.AvailabilityValidationError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`Error ${message.toLowerCase()}:`, error);
+    res.status(500).json({
+        error: `Failed to ${message.toLowerCase()}`,
+        message: error.message
+    });
+}
+
+// Check availability - exact free slots computed from free/busy and working hours.
+// ?narrate=true adds an AI description of the computed slots.
+router.get('/availability', requireGraphAuth, async (req, res) => {
     try {
-        const { date, duration = 60 } = req.query;
-        
-        if (!date) {
-            return res.status(400).json({ error: 'Date parameter is required (YYYY-MM-DD)' });
-        }
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const availabilityService = new AvailabilityService(graphService, {
+            timeZone: req.userTimezone,
+            organizerEmail: req.userEmail
+        });
         
-        const graphService = new MicrosoftGraphService(req.session.accessToken);
-        const claudeService = new ClaudeAIService();
+        const availability = await availabilityService.findSlots(parseAvailabilityQuery(req.query, req.userTimezone));
         
-        // Get events for the specified date
-        const events = await graphService.getCalendarEvents(7);
+        let narration = null;
+        if (req.query.narrate === 'true') {
+            const claudeService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+            narration = await claudeService.complete(`Summarize these available meeting slots for the user in two or three sentences. Only mention slots from this list - do not add, move or merge any. Times are in ${availability.timeZone}.
+
+${JSON.stringify(availability.slots.map(slot => slot.label))}`, { maxTokens: 300 });
+        }
         
-        // Filter events for the specific date
-        const targetDate = new Date(date);
-        const dayEvents = events.filter(event => {
-            const eventDate = new Date(event.start.dateTime);
-            return eventDate.toDateString() === targetDate.toDateString();
+        res.json({
+            success: true,
+            ...availability,
+            narration: narration
         });
+    } catch (error) {
+        availabilityErrorResponse(res, error, 'Check availability');
+    }
+});
+
+// Graph's findMeetingTimes suggestions for the same query parameters (attendees required)
+router.get('/availability/suggestions', requireGraphAuth, async (req, res) => {
+    try {
+        const options = parseAvailabilityQuery(req.query, req.userTimezone);
+        if (options.attendees.length === 0) {
+            return res.status(400).json({ error: 'attendees is required' });
+        }
         
-        // Use AI to analyze availability
-        const availabilityQuery = `Based on these calendar events for ${date}, identify available time slots of at least ${duration} minutes during business hours (9 AM - 5 PM). Consider:
-        1. Existing meetings and their durations
-        2. Buffer time between meetings
-        3. Lunch break (12-1 PM typically)
-        4. Suggest the best available time slots`;
-        
-        const availability = await claudeService.processEmailQuery(availabilityQuery, [], dayEvents);
+        const availabilityService = new AvailabilityService(new MicrosoftGraphService(req.accessToken), {
+            timeZone: req.userTimezone,
+            organizerEmail: req.userEmail
+        });
         
         res.json({
             success: true,
-            date: date,
-            requestedDuration: `${duration} minutes`,
-            existingEvents: dayEvents.length,
-            availability: availability,
-            events: dayEvents
+            ...(await availabilityService.suggestMeetingTimes(options))
         });
     } catch (error) {
-        console.error('Error checking availability:', error);
-        res.status(500).json({ 
-            error: 'Failed to check availability',
-            message: error.message 
-        });
+        availabilityErrorResponse(res, error, 'Suggest meeting times');
     }
 });
 
-// Analyze calendar for scheduling conflicts
-router.get('/conflicts', requireAuth, async (req, res) => {
+// Conflict and overload report for the next ?days=7 days, computed from the events.
+// Thresholds: ?maxHours=6&buffer=5&focus=90. ?narrate=true adds an AI summary of the report.
+router.get('/conflicts', requireGraphAuth, async (req, res) => {
     try {
-        const { days = 7 } = req.query;
-        const graphService = new MicrosoftGraphService(req.session.accessToken);
-        const claudeService = new ClaudeAIService();
+        const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 31);
+        const thresholds = {
+            maxMeetingHours: req.query.maxHours !== undefined ? Number(req.query.maxHours) : undefined,
+            minBufferMinutes: req.query.buffer !== undefined ? Number(req.query.buffer) : undefined,
+            minFocusMinutes: req.query.focus !== undefined ? Number(req.query.focus) : undefined
+        };
+        if (Object.values(thresholds).some(value => value !== undefined && !(value >= 0))) {
+            return res.status(400).json({ error: 'maxHours, buffer and focus must be non-negative numbers' });
+        }
         
-        const events = await graphService.getCalendarEvents(parseInt(days));
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const startDate = getZonedDateString(new Date(), req.userTimezone);
         
-        const conflictQuery = `Analyze these calendar events for the next ${days} days and identify:
-        1. Any overlapping meetings or scheduling conflicts
-        2. Back-to-back meetings without breaks
-        3. Very long meeting days (over 6 hours of meetings)
-        4. Recommendations for better scheduling
-        5. Potential free time for important tasks`;
+        const [{ value: events, truncated }, mailboxSettings] = await Promise.all([
+            graphService.getCalendarEvents(days, { startDate: zonedTimeToUtc(`${startDate}T00:00`, req.userTimezone) }),
+            graphService.getMailboxSettings()
+        ]);
+        
+        const report = analyzeCalendar(events, {
+            timeZone: req.userTimezone,
+            startDate: startDate,
+            days: days,
+            workingHours: mailboxSettings.workingHours,
+            ...thresholds
+        });
         
-        const analysis = await claudeService.processEmailQuery(conflictQuery, [], events);
+        let analysis = null;
+        if (req.query.narrate === 'true') {
+            const claudeService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+            analysis = await claudeService.complete(`Summarize this calendar report for the user and give scheduling recommendations. Use only the numbers and events in the report - do not recompute or invent conflicts. Times are in ${report.timeZone}.
+
+${JSON.stringify({ totals: report.totals, thresholds: report.thresholds, overlaps: report.overlaps, backToBack: report.backToBack, days: report.days })}`, { maxTokens: 800 });
+        }
         
         res.json({
             success: true,
             period: `${days} days`,
             totalEvents: events.length,
+            report: report,
             analysis: analysis,
-            events: events
+            events: events,
+            truncated: truncated
         });
     } catch (error) {
         console.error('Error analyzing calendar conflicts:', error);
@@ -160,19 +376,18 @@ router.get('/conflicts', requireAuth, async (req, res) => {
 });
 
 // Get meeting preparation summary
-router.get('/next-meeting', requireAuth, async (req, res) => {
+router.get('/next-meeting', requireGraphAuth, async (req, res) => {
     try {
-        const graphService = new MicrosoftGraphService(req.session.accessToken);
-        const claudeService = new ClaudeAIService();
+        const graphService = new MicrosoftGraphService(req.accessToken);
         
         // Get upcoming events
-        const events = await graphService.getCalendarEvents(1);
+        const { value: events } = await graphService.getCalendarEvents(1);
         
         // Find the next meeting (within next 24 hours)
         const now = new Date();
         const nextMeeting = events
-            .filter(event => new Date(event.start.dateTime) > now)
-            .sort((a, b) => new Date(a.start.dateTime) - new Date(b.start.dateTime))[0];
+            .filter(event => parseGraphDateTime(event.start) > now)
+            .sort((a, b) => parseGraphDateTime(a.start) - parseGraphDateTime(b.start))[0];
         
         if (!nextMeeting) {
             return res.json({
@@ -182,38 +397,194 @@ router.get('/next-meeting', requireAuth, async (req, res) => {
             });
         }
         
-        // Get recent emails that might be related to this meeting
-        const emails = await graphService.getRecentEmails(7);
-        
-        const preparationQuery = `Based on this upcoming meeting and recent emails, provide:
-        1. Meeting details summary
-        2. Likely agenda or topics based on subject and attendees
-        3. Any recent email discussions that might be relevant
-        4. Preparation recommendations
-        5. Key attendees to note
-        
-        Meeting: ${nextMeeting.subject}
-        Time: ${new Date(nextMeeting.start.dateTime).toLocaleString()}
-        Location: ${nextMeeting.location?.displayName || 'No location specified'}`;
-        
-        const preparation = await claudeService.processEmailQuery(preparationQuery, emails, [nextMeeting]);
+        const { brief, structured, sources } = await (await meetingBriefsFor(req, graphService)).generate(nextMeeting.id);
         
         res.json({
             success: true,
             nextMeeting: {
+                id: nextMeeting.id,
                 subject: nextMeeting.subject,
                 start: nextMeeting.start.dateTime,
                 end: nextMeeting.end.dateTime,
                 location: nextMeeting.location?.displayName,
                 attendees: nextMeeting.attendees?.length || 0
             },
-            preparation: preparation
+            preparation: formatBriefText(brief),
+            brief: brief,
+            structured: structured,
+            sources: sources
         });
     } catch (error) {
-        console.error('Error getting next meeting info:', error);
-        res.status(500).json({ 
-            error: 'Failed to get next meeting information',
-            message: error.message 
+        meetingBriefErrorResponse(res, error, 'Failed to get next meeting information');
+    }
+});
+
+async function meetingBriefsFor(req, graphService) {
+    const aiService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+    return new MeetingBriefService(graphService, aiService, {
+        userSettings: req.userSettings,
+        userEmail: req.userEmail,
+        timeZone: req.userTimezone
+    });
+}
+
+function meetingBriefErrorResponse(res, error, message) {
+    if (error instanceof MeetingBriefValidationError) {
+        return res.status(502).json({ error: 'Invalid meeting brief from AI', message: error.message, validationErrors: error.errors });
+    }
+    if (error.statusCode >= 400 && error.statusCode < 500) {
+        return res.status(error.statusCode).json({ error: message, message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        error: message,
+        message: error.message
+    });
+}
+
+function eventActionErrorResponse(res, error, message) {
+    if (error instanceof EventActionError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    // Graph's own 4xx (unknown event, not allowed for this user) pass through
+    if (error.statusCode >= 400 && error.statusCode < 500) {
+        return res.status(error.statusCode).json({ error: `Failed to ${message.toLowerCase()}`, message: error.message });
+    }
+    console.error(`Error ${message.toLowerCase()}:`, error);
+    res.status(500).json({
+        error: `Failed to ${message.toLowerCase()}`,
+        message: error.message
+    });
+}
+
+function eventActionsFor(req) {
+    return new EventActionService(new MicrosoftGraphService(req.accessToken), { timeZone: req.userTimezone });
+}
+
+// Online meeting providers available to the user's organization: { teams: { label, configured }, zoom: ... }
+router.get('/conferencing', requireGraphAuth, async (req, res) => {
+    try {
+        const organization = req.userTenant ? await ClientOrganization.findByTenantId(req.userTenant) : null;
+        
+        res.json({
+            success: true,
+            providers: describeConferencingProviders(organization?.getConferencingSettings())
+        });
+    } catch (error) {
+        console.error('Error loading conferencing providers:', error);
+        res.status(500).json({
+            error: 'Failed to load conferencing providers',
+            message: error.message
+        });
+    }
+});
+
+// Get one event (times in the user's timezone)
+router.get('/events/:id', requireGraphAuth, async (req, res) => {
+    try {
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const event = await graphService.getEvent(req.params.id, { timeZone: req.userTimezone });
+        
+        res.json({ success: true, event: event });
+    } catch (error) {
+        eventActionErrorResponse(res, error, 'Fetch event');
+    }
+});
+
+// Prep brief for any event: related emails (Graph search by attendees and subject), earlier meetings
+// with the same people, and a structured brief - context, talking points, open questions, attachments
+router.get('/events/:id/brief', requireGraphAuth, async (req, res) => {
+    try {
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const result = await (await meetingBriefsFor(req, graphService)).generate(req.params.id);
+        
+        console.log(`📋 Meeting brief for "${result.event.subject}" (${result.sources.emails.length} emails, ${result.sources.priorMeetings.length} prior meetings) for ${req.userEmail}`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        meetingBriefErrorResponse(res, error, 'Failed to generate meeting brief');
+    }
+});
+
+// Update an event: { title, startTime, endTime, timeZone, attendees, agenda, location } - any subset.
+// Times are wall-clock in the user's timezone (or timeZone) unless they carry an offset.
+router.patch('/events/:id', requireGraphAuth, async (req, res) => {
+    try {
+        const event = await eventActionsFor(req).update(req.params.id, req.body || {});
+        
+        console.log(`✏️ Updated event ${req.params.id} for ${req.userEmail}`);
+        res.json({ success: true, event: event });
+    } catch (error) {
+        eventActionErrorResponse(res, error, 'Update event');
+    }
+});
+
+// Move an event: { startTime, endTime?, timeZone? } - without endTime the duration is kept
+router.post('/events/:id/reschedule', requireGraphAuth, async (req, res) => {
+    try {
+        const event = await eventActionsFor(req).reschedule(req.params.id, req.body || {});
+        
+        console.log(`🕒 Rescheduled event ${req.params.id} for ${req.userEmail}`);
+        res.json({ success: true, event: event });
+    } catch (error) {
+        eventActionErrorResponse(res, error, 'Reschedule event');
+    }
+});
+
+// Cancel a meeting you organize: { comment } is sent to the attendees
+router.post('/events/:id/cancel', requireGraphAuth, async (req, res) => {
+    try {
+        const result = await eventActionsFor(req).cancel(req.params.id, req.body || {});
+        
+        console.log(`🗑️ Cancelled event ${req.params.id} for ${req.userEmail}`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        eventActionErrorResponse(res, error, 'Cancel event');
+    }
+});
+
+// RSVP: { response: accept|tentative|decline, comment, sendResponse, proposedStartTime, proposedEndTime, timeZone }
+router.post('/events/:id/respond', requireGraphAuth, async (req, res) => {
+    try {
+        const result = await eventActionsFor(req).respond(req.params.id, req.body || {});
+        
+        console.log(`📨 Responded "${result.response}" to event ${req.params.id} for ${req.userEmail}`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        eventActionErrorResponse(res, error, 'Respond to event');
+    }
+});
+
+// Preview events from an .ics invitation before importing them. Body: { ics } with the file's text,
+// { emailId } to read the .ics attachments of a message, or the raw file as text/calendar.
+// Each event comes with the create-invite payload that adds it - nothing is created here.
+router.post('/import/preview', express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), requireGraphAuth, async (req, res) => {
+    try {
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const icsService = new IcsCalendarService(graphService, { timeZone: req.userTimezone, userEmail: req.userEmail });
+        const body = typeof req.body === 'string' ? { ics: req.body } : (req.body || {});
+        
+        let preview;
+        if (body.emailId) {
+            preview = await icsService.previewEmail(body.emailId);
+        } else if (typeof body.ics === 'string' && body.ics.trim()) {
+            preview = icsService.previewFile(body.ics);
+        } else {
+            return res.status(400).json({ error: 'Send the .ics file as { ics } or text/calendar, or an { emailId } with .ics attachments' });
+        }
+        
+        console.log(`📥 Previewed ${preview.events.length} events from ${preview.source.type === 'email' ? `email ${body.emailId}` : 'an uploaded file'} for ${req.userEmail}`);
+        res.json({ success: true, ...preview });
+    } catch (error) {
+        if (error instanceof IcsImportError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error.statusCode >= 400 && error.statusCode < 500) {
+            return res.status(error.statusCode).json({ error: 'Failed to read the email', message: error.message });
+        }
+        console.error('Error previewing calendar import:', error);
+        res.status(500).json({
+            error: 'Failed to preview calendar import',
+            message: error.message
         });
     }
 });
@@ -1,29 +1,30 @@
 const express = require('express');
 const MicrosoftGraphService = require('../services/microsoftGraph');
 const ClaudeAIService = require('../services/claudeAI');
+const MailboxSync = require('../services/mailboxSync');
 const UserSettings = require('../models/UserSettings');
+const Job = require('../models/Job');
+const { requireGraphAuth } = require('../middleware/graphAuth');
+const { requireAuth } = require('../middleware/sessionAuth');
+const { jobQueue } = require('../services/jobQueue');
+const { openEventStream, relayTextStream } = require('../utils/sse');
+const { getZonedDayRange } = require('../utils/timezone');
+const { DailyDigest, DailyDigestValidationError, getDigestSettings } = require('../services/dailyDigest');
+const { EmailTriageService, EmailTriageValidationError, TRIAGE_CATEGORIES } = require('../services/emailTriage');
+const { ActionItemService, ActionItemError, ActionItemValidationError } = require('../services/actionItems');
+const ActionItem = require('../models/ActionItem');
+const FollowUp = require('../models/FollowUp');
+const { FollowUpTracker, FollowUpError, FollowUpValidationError, getFollowUpSettings } = require('../services/followUpTracker');
+const EmailDraft = require('../models/EmailDraft');
+const { ReplyDraftService, ReplyDraftError, isDraftsOnly } = require('../services/replyDrafts');
+const OutgoingMessage = require('../models/OutgoingMessage');
+const { SendQueue, SendQueueError, getSendQueueSettings } = require('../services/sendQueue');
 const router = express.Router();
 
-// Updated authentication middleware to extract user data
-const requireAuth = (req, res, next) => {
-    if (!req.cookies.accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    const userData = req.cookies.userData ? JSON.parse(req.cookies.userData) : null;
-    if (!userData || !userData.tenantId || !userData.username) {
-        return res.status(401).json({ error: 'Invalid authentication data' });
-    }
-    
-    req.accessToken = req.cookies.accessToken;
-    
-    // Extract user information for signature lookup
-    req.userEmail = userData.username;
-    req.userTenant = userData.tenantId;
-    req.userOrganization = userData.organizationName;
-    req.userName = userData.name;
-    
-    next();
+const DRAFTS_ONLY_ERROR = {
+    error: 'Drafts only',
+    message: 'Your organization requires AI replies to be saved as drafts and reviewed before sending',
+    draftsOnly: true
 };
 
 // Helper function to get user's signature
@@ -47,13 +48,15 @@ async function getUserSignature(userEmail, tenantId) {
 }
 
 // Get recent emails
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireGraphAuth, async (req, res) => {
     try {
-        const { days = 1 } = req.query;
+        const days = parseInt(req.query.days) || 1;
         console.log(`📧 Loading ${days} days of emails for user: ${req.userEmail}`);
         
+        // Served from the local store; only the delta since the last sync is fetched from Graph
         const graphService = new MicrosoftGraphService(req.accessToken);
-        const emails = await graphService.getRecentEmails(parseInt(days));
+        const mailboxSync = new MailboxSync(req.userSettings, graphService);
+        const { value: emails, truncated } = await mailboxSync.listRecentEmails(days);
         
         console.log(`✅ Successfully loaded ${emails.length} emails`);
         
@@ -61,9 +64,10 @@ router.get('/', requireAuth, async (req, res) => {
             success: true,
             count: emails.length,
             emails: emails,
-            totalDays: parseInt(days),
+            truncated: truncated,
+            totalDays: days,
             dateRange: {
-                since: new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000).toISOString(),
+                since: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
                 until: new Date().toISOString()
             }
         });
@@ -79,8 +83,630 @@ router.get('/', requireAuth, async (req, res) => {
     }
 });
 
+// Preview of the scheduled daily digest email - JSON sections, or the email itself with ?format=html
+router.get('/digest/preview', requireGraphAuth, async (req, res) => {
+    try {
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const aiService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+        const { subject, html, digest } = await new DailyDigest(req.userSettings, graphService, aiService, { timeZone: req.userTimezone }).build();
+
+        if (req.query.format === 'html') {
+            return res.type('html').send(html);
+        }
+        res.json({ success: true, subject, html, digest, settings: getDigestSettings(req.userSettings) });
+    } catch (error) {
+        if (error instanceof DailyDigestValidationError) {
+            return res.status(502).json({ error: 'Invalid daily digest from AI', message: error.message, validationErrors: error.errors });
+        }
+        console.error('Error building daily digest preview:', error);
+        res.status(500).json({ 
+            error: 'Failed to build daily digest preview',
+            message: error.message 
+        });
+    }
+});
+
+// Triaged inbox, highest priority first. Untriaged messages (up to 50 per call) are classified first
+// unless refresh=false. Filters: category, minPriority (0-100), unreadOnly, days (default 7), limit
+router.get('/triage', requireGraphAuth, async (req, res) => {
+    try {
+        const { category, refresh } = req.query;
+        const minPriority = req.query.minPriority !== undefined ? parseInt(req.query.minPriority) : 0;
+        const days = parseInt(req.query.days) || 7;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        if (category && !TRIAGE_CATEGORIES[category]) {
+            return res.status(400).json({ error: `Unknown triage category: ${category}`, categories: Object.keys(TRIAGE_CATEGORIES) });
+        }
+        if (isNaN(minPriority) || minPriority < 0 || minPriority > 100) {
+            return res.status(400).json({ error: 'minPriority must be a number from 0 to 100' });
+        }
+
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        let triaged = 0;
+        if (refresh !== 'false') {
+            await new MailboxSync(req.userSettings, graphService).syncIfStale('inbox');
+            const aiService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+            triaged = (await new EmailTriageService(req.userSettings, graphService, aiService).triageUntriaged()).size;
+        }
+
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const [emails, counts] = await Promise.all([
+            EmailTriageService.list(req.userSettings.id, { category, minPriority, unreadOnly: req.query.unreadOnly === 'true', since, limit }),
+            EmailTriageService.countByCategory(req.userSettings.id, { since })
+        ]);
+
+        res.json({
+            success: true,
+            count: emails.length,
+            emails: emails,
+            counts: counts,
+            categories: TRIAGE_CATEGORIES,
+            newlyTriaged: triaged
+        });
+    } catch (error) {
+        triageErrorResponse(res, error, 'Failed to load triaged emails');
+    }
+});
+
+// Classify specific messages again, e.g. after the user disagreed with a category - { emailIds }
+router.post('/triage', requireGraphAuth, async (req, res) => {
+    try {
+        const { emailIds } = req.body;
+
+        if (!Array.isArray(emailIds) || emailIds.length === 0 || emailIds.length > 50) {
+            return res.status(400).json({ error: 'emailIds must be an array of 1 to 50 email IDs' });
+        }
+
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const aiService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+        const triageService = new EmailTriageService(req.userSettings, graphService, aiService);
+
+        await triageService.reset(emailIds);
+        const triaged = await triageService.triageUntriaged({ messageIds: emailIds });
+
+        res.json({
+            success: true,
+            count: triaged.size,
+            results: Object.fromEntries(triaged),
+            notFound: emailIds.filter(id => !triaged.has(id))
+        });
+    } catch (error) {
+        triageErrorResponse(res, error, 'Failed to triage emails');
+    }
+});
+
+function triageErrorResponse(res, error, message) {
+    if (error instanceof EmailTriageValidationError) {
+        return res.status(502).json({ error: 'Invalid triage from AI', message: error.message, validationErrors: error.errors });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        error: message,
+        message: error.message
+    });
+}
+
+// Bulk mailbox actions (move, read, unread, flag, categorize, delete) sent as Graph $batch requests
+router.post('/bulk/:action', requireGraphAuth, async (req, res) => {
+    try {
+        const { action } = req.params;
+        const { emailIds, destinationId, markAsRead = false, flagStatus = 'flagged', categories } = req.body;
+
+        if (!MicrosoftGraphService.BULK_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `Unsupported bulk action: ${action}`, supportedActions: MicrosoftGraphService.BULK_ACTIONS });
+        }
+        if (!Array.isArray(emailIds) || emailIds.length === 0) {
+            return res.status(400).json({ error: 'Email IDs array is required' });
+        }
+        if (action === 'move' && !destinationId) {
+            return res.status(400).json({ error: 'destinationId is required for move' });
+        }
+        if (action === 'flag' && !['flagged', 'complete', 'notFlagged'].includes(flagStatus)) {
+            return res.status(400).json({ error: 'flagStatus must be flagged, complete or notFlagged' });
+        }
+        if (action === 'categorize' && !Array.isArray(categories)) {
+            return res.status(400).json({ error: 'categories array is required for categorize' });
+        }
+
+        console.log(`📦 Bulk ${action} of ${emailIds.length} emails for user: ${req.userEmail}`);
+
+        const options = { destinationId, markAsRead, flagStatus, categories };
+
+        // Large selections can run on the job queue; poll GET /bulk/jobs/:jobId for the results
+        if (req.body.background) {
+            const job = await jobQueue.enqueue('emails.bulk', { userSettingsId: req.userSettings.id, action, emailIds, options }, {
+                tenantId: req.userTenant,
+                userSettingsId: req.userSettings.id,
+                maxAttempts: 3
+            });
+            return res.status(202).json({ success: true, action, jobId: job.id, status: job.status });
+        }
+
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const { results, summary } = await new MailboxSync(req.userSettings, graphService).bulkAction(action, emailIds, options);
+
+        res.json({
+            success: true,
+            action: action,
+            results: results,
+            summary: summary
+        });
+    } catch (error) {
+        console.error('Error running bulk email action:', error);
+        res.status(500).json({
+            error: 'Failed to run bulk email action',
+            message: error.message
+        });
+    }
+});
+
+// Status of a background bulk action - results once the job has completed
+router.get('/bulk/jobs/:jobId', requireAuth, async (req, res) => {
+    try {
+        const job = await Job.findOne({ where: { id: parseInt(req.params.jobId) || 0, type: 'emails.bulk', userSettingsId: req.userSettings.id } });
+
+        if (!job) {
+            return res.status(404).json({ error: 'Bulk action job not found' });
+        }
+
+        res.json({
+            success: true,
+            jobId: job.id,
+            action: job.payload.action,
+            status: job.status,
+            attempts: job.attempts,
+            error: job.status === 'completed' ? null : (job.lastError || '').split('\n')[0] || null,
+            ...job.result
+        });
+    } catch (error) {
+        console.error('Error loading bulk action job:', error);
+        res.status(500).json({
+            error: 'Failed to load bulk action job',
+            message: error.message
+        });
+    }
+});
+
+// Action items extracted from email - ?status=proposed|accepted|rejected
+router.get('/action-items', requireAuth, async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !['proposed', 'accepted', 'rejected'].includes(status)) {
+            return res.status(400).json({ error: 'status must be proposed, accepted or rejected' });
+        }
+
+        const items = await ActionItem.findForUser(req.userSettings.id, status);
+        res.json({
+            success: true,
+            count: items.length,
+            actionItems: items.map(item => item.toJSONForUser())
+        });
+    } catch (error) {
+        actionItemErrorResponse(res, error, 'Failed to load action items');
+    }
+});
+
+// Extract tasks from { emailIds } (up to 10; default the latest unread inbox emails) as proposals.
+// Tasks already proposed for the same email, or already open in To Do, come back as skipped.
+router.post('/action-items/extract', requireGraphAuth, async (req, res) => {
+    try {
+        const { emailIds } = req.body || {};
+        if (emailIds !== undefined && (!Array.isArray(emailIds) || emailIds.length === 0 || emailIds.length > 10)) {
+            return res.status(400).json({ error: 'emailIds must be an array of 1 to 10 email IDs' });
+        }
+
+        console.log(`✅ Extracting action items for user: ${req.userSettings.userEmail}`);
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const aiService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+        const { proposed, skipped, structured } = await new ActionItemService(req.userSettings, graphService, aiService, { timeZone: req.userTimezone })
+            .extract(emailIds || null);
+
+        res.json({
+            success: true,
+            structured: structured,
+            count: proposed.length,
+            actionItems: proposed.map(item => item.toJSONForUser()),
+            skipped: skipped
+        });
+    } catch (error) {
+        actionItemErrorResponse(res, error, 'Failed to extract action items');
+    }
+});
+
+// Accept a proposal and create its Microsoft To Do task - optional edits { description, dueDate, listId }
+router.post('/action-items/:id/accept', requireGraphAuth, async (req, res) => {
+    try {
+        const actionItem = await ActionItem.findOne({ where: { id: parseInt(req.params.id) || 0, userSettingsId: req.userSettings.id } });
+        if (!actionItem) {
+            return res.status(404).json({ error: 'Action item not found' });
+        }
+
+        const { description, dueDate, listId } = req.body || {};
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        await new ActionItemService(req.userSettings, graphService, null, { timeZone: req.userTimezone })
+            .accept(actionItem, { description, dueDate, listId });
+
+        console.log(`✅ Action item ${actionItem.id} added to To Do for user: ${req.userSettings.userEmail}`);
+        res.json({ success: true, actionItem: actionItem.toJSONForUser() });
+    } catch (error) {
+        actionItemErrorResponse(res, error, 'Failed to add action item to To Do');
+    }
+});
+
+router.post('/action-items/:id/reject', requireAuth, async (req, res) => {
+    try {
+        const actionItem = await ActionItem.findOne({ where: { id: parseInt(req.params.id) || 0, userSettingsId: req.userSettings.id } });
+        if (!actionItem) {
+            return res.status(404).json({ error: 'Action item not found' });
+        }
+
+        await new ActionItemService(req.userSettings, null, null, { timeZone: null }).reject(actionItem);
+        res.json({ success: true, actionItem: actionItem.toJSONForUser() });
+    } catch (error) {
+        actionItemErrorResponse(res, error, 'Failed to reject action item');
+    }
+});
+
+// Microsoft To Do lists an accepted item can go to
+router.get('/todo/lists', requireGraphAuth, async (req, res) => {
+    try {
+        const lists = await new MicrosoftGraphService(req.accessToken).getTodoLists();
+        res.json({
+            success: true,
+            lists: lists.map(list => ({ id: list.id, displayName: list.displayName, isDefault: list.wellknownListName === 'defaultList' }))
+        });
+    } catch (error) {
+        actionItemErrorResponse(res, error, 'Failed to load To Do lists');
+    }
+});
+
+function actionItemErrorResponse(res, error, message) {
+    if (error instanceof ActionItemValidationError) {
+        return res.status(502).json({ error: 'Invalid action items from AI', message: error.message, validationErrors: error.errors });
+    }
+    if (error instanceof ActionItemError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        error: message,
+        message: error.message
+    });
+}
+
+// Sent emails still waiting for a reply after the user's follow-up days (default), or every
+// follow-up with ?status=waiting|replied|dismissed. Scans Sent Items first when tracking is enabled
+// (skip with ?refresh=false) or when asked with ?refresh=true.
+router.get('/follow-ups', requireGraphAuth, async (req, res) => {
+    try {
+        const { status, refresh } = req.query;
+        if (status && !['waiting', 'replied', 'dismissed'].includes(status)) {
+            return res.status(400).json({ error: 'status must be waiting, replied or dismissed' });
+        }
+
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const aiService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+        const tracker = new FollowUpTracker(req.userSettings, graphService, aiService);
+        const shouldScan = refresh === 'true' || (refresh !== 'false' && tracker.settings.enabled);
+        const scan = shouldScan ? await tracker.scan() : null;
+
+        const followUps = status ? await FollowUp.findForUser(req.userSettings.id, status) : await tracker.listDue();
+        res.json({
+            success: true,
+            count: followUps.length,
+            followUps: followUps.map(followUp => followUp.toJSONForUser()),
+            settings: getFollowUpSettings(req.userSettings),
+            scan: scan
+        });
+    } catch (error) {
+        followUpErrorResponse(res, error, 'Failed to load follow-ups');
+    }
+});
+
+// Draft (or redraft) the nudge for a follow-up - returns { draft } for the user to review
+router.post('/follow-ups/:id/draft', requireGraphAuth, async (req, res) => {
+    try {
+        const followUp = await FollowUp.findOne({ where: { id: parseInt(req.params.id) || 0, userSettingsId: req.userSettings.id } });
+        if (!followUp) {
+            return res.status(404).json({ error: 'Follow-up not found' });
+        }
+
+        const aiService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+        const draft = await new FollowUpTracker(req.userSettings, null, aiService).draftNudge(followUp);
+        res.json({ success: true, draft: draft, followUp: followUp.toJSONForUser() });
+    } catch (error) {
+        followUpErrorResponse(res, error, 'Failed to draft follow-up');
+    }
+});
+
+// Send the nudge as a reply-all to the original message - { content } overrides the stored draft.
+// It is queued (202) for the undo window or until { sendAt, timeZone }, like replies. With
+// { saveAsDraft: true }, or for drafts-only tenants, it goes to Outlook Drafts instead.
+router.post('/follow-ups/:id/send', requireGraphAuth, async (req, res) => {
+    try {
+        const followUp = await FollowUp.findOne({ where: { id: parseInt(req.params.id) || 0, userSettingsId: req.userSettings.id } });
+        if (!followUp) {
+            return res.status(404).json({ error: 'Follow-up not found' });
+        }
+        const { content, saveAsDraft = false, sendAt, timeZone } = req.body || {};
+        if (content !== undefined && (typeof content !== 'string' || !content.trim())) {
+            return res.status(400).json({ error: 'content must be non-empty text' });
+        }
+
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const aiService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+        const tracker = new FollowUpTracker(req.userSettings, graphService, aiService);
+
+        if (saveAsDraft || await isDraftsOnly(req.userTenant)) {
+            const draft = await tracker.saveNudgeAsDraft(followUp, content || null);
+            console.log(`📝 Follow-up nudge saved as draft for "${followUp.subject}" by ${req.userEmail}`);
+            return res.json({ success: true, savedAsDraft: true, draft: draft.toJSONForUser(), followUp: followUp.toJSONForUser() });
+        }
+
+        const sendQueue = sendQueueFor(req);
+        if (sendQueue.shouldQueue({ sendAt })) {
+            const message = await tracker.queueNudge(followUp, sendQueue, content || null, { sendAt, timeZone });
+            return res.status(202).json({ ...queuedResponse(message), followUp: followUp.toJSONForUser() });
+        }
+        await tracker.sendNudge(followUp, content || null);
+
+        console.log(`⏳ Follow-up nudge sent for "${followUp.subject}" by ${req.userEmail}`);
+        res.json({ success: true, followUp: followUp.toJSONForUser() });
+    } catch (error) {
+        followUpErrorResponse(res, error, 'Failed to send follow-up');
+    }
+});
+
+router.post('/follow-ups/:id/dismiss', requireAuth, async (req, res) => {
+    try {
+        const followUp = await FollowUp.findOne({ where: { id: parseInt(req.params.id) || 0, userSettingsId: req.userSettings.id } });
+        if (!followUp) {
+            return res.status(404).json({ error: 'Follow-up not found' });
+        }
+
+        await new FollowUpTracker(req.userSettings, null, null).dismiss(followUp);
+        res.json({ success: true, followUp: followUp.toJSONForUser() });
+    } catch (error) {
+        followUpErrorResponse(res, error, 'Failed to dismiss follow-up');
+    }
+});
+
+function followUpErrorResponse(res, error, message) {
+    if (error instanceof FollowUpValidationError) {
+        return res.status(502).json({ error: 'Invalid follow-up check from AI', message: error.message, validationErrors: error.errors });
+    }
+    if (error instanceof FollowUpError || error instanceof SendQueueError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        error: message,
+        message: error.message
+    });
+}
+
+// Reply drafts created by the app - ?status=draft (default)|sent|discarded. Open drafts are checked
+// against Outlook first, so ones sent or deleted there show up as such.
+router.get('/drafts', requireGraphAuth, async (req, res) => {
+    try {
+        const status = req.query.status || 'draft';
+        if (!['draft', 'sent', 'discarded'].includes(status)) {
+            return res.status(400).json({ error: 'status must be draft, sent or discarded' });
+        }
+
+        const draftService = new ReplyDraftService(req.userSettings, new MicrosoftGraphService(req.accessToken));
+        if (status === 'draft') {
+            await draftService.refresh(await EmailDraft.findForUser(req.userSettings.id, 'draft'));
+        }
+
+        const drafts = await EmailDraft.findForUser(req.userSettings.id, status);
+        res.json({
+            success: true,
+            count: drafts.length,
+            drafts: drafts.map(draft => draft.toJSONForUser()),
+            draftsOnly: await isDraftsOnly(req.userTenant)
+        });
+    } catch (error) {
+        draftErrorResponse(res, error, 'Failed to load drafts');
+    }
+});
+
+// Edit a draft's reply text and/or subject - { responseContent, subject }
+router.patch('/drafts/:id', requireGraphAuth, async (req, res) => {
+    try {
+        const draft = await EmailDraft.findOne({ where: { id: parseInt(req.params.id) || 0, userSettingsId: req.userSettings.id } });
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+        const { responseContent, subject } = req.body || {};
+        if (responseContent === undefined && subject === undefined) {
+            return res.status(400).json({ error: 'Provide responseContent and/or subject' });
+        }
+        if ((responseContent !== undefined && (typeof responseContent !== 'string' || !responseContent.trim()))
+            || (subject !== undefined && typeof subject !== 'string')) {
+            return res.status(400).json({ error: 'responseContent must be non-empty text and subject a string' });
+        }
+
+        await new ReplyDraftService(req.userSettings, new MicrosoftGraphService(req.accessToken))
+            .update(draft, { content: responseContent, subject });
+        res.json({ success: true, draft: draft.toJSONForUser() });
+    } catch (error) {
+        draftErrorResponse(res, error, 'Failed to update draft');
+    }
+});
+
+// Send a draft - queued (202) for the undo window or until { sendAt, timeZone }, like replies
+router.post('/drafts/:id/send', requireGraphAuth, async (req, res) => {
+    try {
+        const draft = await EmailDraft.findOne({ where: { id: parseInt(req.params.id) || 0, userSettingsId: req.userSettings.id } });
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+        const { sendAt, timeZone } = req.body || {};
+
+        const draftService = new ReplyDraftService(req.userSettings, new MicrosoftGraphService(req.accessToken));
+        const sendQueue = sendQueueFor(req);
+        if (sendQueue.shouldQueue({ sendAt })) {
+            const message = await draftService.queueSend(draft, sendQueue, { sendAt, timeZone });
+            return res.status(202).json({ ...queuedResponse(message), draft: draft.toJSONForUser() });
+        }
+        await draftService.send(draft);
+        console.log(`📤 Draft ${draft.id} sent by ${req.userEmail}`);
+        res.json({ success: true, draft: draft.toJSONForUser() });
+    } catch (error) {
+        draftErrorResponse(res, error, 'Failed to send draft');
+    }
+});
+
+// Discard a draft - deletes it from Outlook Drafts
+router.delete('/drafts/:id', requireGraphAuth, async (req, res) => {
+    try {
+        const draft = await EmailDraft.findOne({ where: { id: parseInt(req.params.id) || 0, userSettingsId: req.userSettings.id } });
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+
+        await new ReplyDraftService(req.userSettings, new MicrosoftGraphService(req.accessToken)).discard(draft);
+        res.json({ success: true, draft: draft.toJSONForUser() });
+    } catch (error) {
+        draftErrorResponse(res, error, 'Failed to discard draft');
+    }
+});
+
+function draftErrorResponse(res, error, message) {
+    if (error instanceof ReplyDraftError || error instanceof SendQueueError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        error: message,
+        message: error.message
+    });
+}
+
+function sendQueueFor(req) {
+    return new SendQueue(req.userSettings, req.accessToken ? new MicrosoftGraphService(req.accessToken) : null, {
+        timeZone: req.userTimezone,
+        queue: jobQueue
+    });
+}
+
+// 202 body for a message put in the send queue
+function queuedResponse(message) {
+    const outgoing = message.toJSONForUser();
+    return {
+        success: true,
+        queued: true,
+        message: outgoing.scheduled
+            ? `Scheduled for ${new Date(outgoing.sendAt).toISOString()}`
+            : `Sending at ${new Date(outgoing.sendAt).toISOString()} - cancel before then to undo`,
+        outgoing
+    };
+}
+
+// The send queue - ?status=queued (default)|sent|cancelled|failed
+router.get('/outbox', requireAuth, async (req, res) => {
+    try {
+        const status = req.query.status || 'queued';
+        if (!['queued', 'sent', 'cancelled', 'failed'].includes(status)) {
+            return res.status(400).json({ error: 'status must be queued, sent, cancelled or failed' });
+        }
+
+        const messages = await OutgoingMessage.findForUser(req.userSettings.id, status);
+        res.json({
+            success: true,
+            count: messages.length,
+            messages: messages.map(message => message.toJSONForUser()),
+            undoSeconds: getSendQueueSettings(req.userSettings).undoSeconds
+        });
+    } catch (error) {
+        sendQueueErrorResponse(res, error, 'Failed to load outbox');
+    }
+});
+
+// Queue a new email - { to: [addresses], subject, content, sendAt, timeZone }. Without sendAt it goes
+// out once the undo window has passed; see SendQueue.resolveSchedule for sendAt and timeZone.
+router.post('/outbox', requireGraphAuth, async (req, res) => {
+    try {
+        const { to, subject, content, sendAt, timeZone } = req.body || {};
+
+        const message = await sendQueueFor(req).queueMessage({ kind: 'new', to, subject, content }, { sendAt, timeZone });
+        res.status(202).json(queuedResponse(message));
+    } catch (error) {
+        sendQueueErrorResponse(res, error, 'Failed to queue email');
+    }
+});
+
+// Undo: cancel a queued message before its send time
+router.post('/outbox/:id/cancel', requireAuth, async (req, res) => {
+    try {
+        const message = await OutgoingMessage.findOne({ where: { id: parseInt(req.params.id) || 0, userSettingsId: req.userSettings.id } });
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        await sendQueueFor(req).cancel(message);
+        res.json({ success: true, outgoing: message.toJSONForUser() });
+    } catch (error) {
+        sendQueueErrorResponse(res, error, 'Failed to cancel message');
+    }
+});
+
+// Move a queued message to another time - { sendAt, timeZone }
+router.post('/outbox/:id/reschedule', requireGraphAuth, async (req, res) => {
+    try {
+        const message = await OutgoingMessage.findOne({ where: { id: parseInt(req.params.id) || 0, userSettingsId: req.userSettings.id } });
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        const { sendAt, timeZone } = req.body || {};
+
+        await sendQueueFor(req).reschedule(message, { sendAt, timeZone });
+        console.log(`🕒 ${message.kind} ${message.id} rescheduled to ${message.sendAt.toISOString()} by ${req.userEmail}`);
+        res.json({ success: true, outgoing: message.toJSONForUser() });
+    } catch (error) {
+        sendQueueErrorResponse(res, error, 'Failed to reschedule message');
+    }
+});
+
+function sendQueueErrorResponse(res, error, message) {
+    if (error instanceof SendQueueError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        error: message,
+        message: error.message
+    });
+}
+
+// Yesterday's emails (calendar day in the user's time zone), for the dashboard's day-over-day stats
+router.get('/yesterday', requireGraphAuth, async (req, res) => {
+    try {
+        const mailboxSync = new MailboxSync(req.userSettings, new MicrosoftGraphService(req.accessToken));
+        const { start, end } = getZonedDayRange(req.userTimezone, { daysOffset: -1 });
+
+        console.log('📧 Fetching YESTERDAY\'S emails:', { from: start.toISOString(), to: end.toISOString() });
+        const emails = await mailboxSync.getMessages({ since: start, until: end });
+
+        res.json({
+            success: true,
+            count: emails.length,
+            unreadCount: emails.filter(e => !e.isRead).length,
+            emails: emails
+        });
+    } catch (error) {
+        console.error('Error fetching yesterday\'s emails:', error);
+        res.status(500).json({
+            error: 'Failed to fetch yesterday\'s emails',
+            message: error.message
+        });
+    }
+});
+
 // Get specific email content
-router.get('/:emailId', requireAuth, async (req, res) => {
+router.get('/:emailId', requireGraphAuth, async (req, res) => {
     try {
         const { emailId } = req.params;
         const graphService = new MicrosoftGraphService(req.accessToken);
@@ -100,16 +726,16 @@ router.get('/:emailId', requireAuth, async (req, res) => {
 });
 
 // Generate email response with signature support
-router.post('/:emailId/respond', requireAuth, async (req, res) => {
+router.post('/:emailId/respond', requireGraphAuth, async (req, res) => {
     try {
         const { emailId } = req.params;
-        const { context = '', tone = 'professional' } = req.body;
+        const { context = '', tone = 'professional', saveAsDraft = false, replyToAll = false } = req.body;
         
         console.log(`📝 Generating email response for email ${emailId}`);
         console.log(`👤 User: ${req.userEmail} in tenant: ${req.userTenant}`);
         
         const graphService = new MicrosoftGraphService(req.accessToken);
-        const claudeService = new ClaudeAIService();
+        const claudeService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
         
         // Get original email
         const originalEmail = await graphService.getEmailContent(emailId);
@@ -126,9 +752,17 @@ router.post('/:emailId/respond', requireAuth, async (req, res) => {
             tone, 
             userSignature
         );
+
+        // Draft mode: the reply goes into Outlook Drafts for review - always for drafts-only tenants
+        const draftsOnly = await isDraftsOnly(req.userTenant);
+        const draft = saveAsDraft || draftsOnly
+            ? await new ReplyDraftService(req.userSettings, graphService).create(emailId, responseContent, { replyAll: replyToAll })
+            : null;
         
         res.json({
             success: true,
+            draft: draft ? draft.toJSONForUser() : null,
+            draftsOnly: draftsOnly,
             originalSubject: originalEmail.subject,
             originalFrom: `${originalEmail.from?.emailAddress?.name} <${originalEmail.from?.emailAddress?.address}>`,
             generatedResponse: responseContent,
@@ -146,15 +780,46 @@ router.post('/:emailId/respond', requireAuth, async (req, res) => {
     }
 });
 
+// Save reply text (e.g. an edited /respond result) as an Outlook reply draft - { responseContent, replyToAll }
+router.post('/:emailId/draft', requireGraphAuth, async (req, res) => {
+    try {
+        const { emailId } = req.params;
+        const { responseContent, replyToAll = false, aiGenerated = true } = req.body;
+
+        if (!responseContent) {
+            return res.status(400).json({ error: 'Response content is required' });
+        }
+
+        const draft = await new ReplyDraftService(req.userSettings, new MicrosoftGraphService(req.accessToken))
+            .create(emailId, responseContent, { replyAll: Boolean(replyToAll), aiGenerated: aiGenerated !== false });
+
+        console.log(`📝 Reply draft saved for email ${emailId} by ${req.userEmail}`);
+        res.json({ success: true, draft: draft.toJSONForUser() });
+    } catch (error) {
+        draftErrorResponse(res, error, 'Failed to save reply draft');
+    }
+});
+
 // FIXED: Send email response as REPLY - NO DUPLICATE SIGNATURES
-router.post('/:emailId/send', requireAuth, async (req, res) => {
+router.post('/:emailId/send', requireGraphAuth, async (req, res) => {
     try {
+        if (await isDraftsOnly(req.userTenant)) {
+            return res.status(403).json(DRAFTS_ONLY_ERROR);
+        }
+
         const { emailId } = req.params;
-        const { responseContent, subject, replyToAll = false } = req.body;
+        const { responseContent, subject, replyToAll = false, sendAt, timeZone } = req.body;
         
         if (!responseContent) {
             return res.status(400).json({ error: 'Response content is required' });
         }
+
+        // Held in the send queue for the undo window, or until { sendAt, timeZone }
+        const sendQueue = sendQueueFor(req);
+        if (sendQueue.shouldQueue({ sendAt })) {
+            const message = await sendQueue.queueMessage({ kind: 'reply', replyToMessageId: emailId, content: responseContent }, { sendAt, timeZone });
+            return res.status(202).json(queuedResponse(message));
+        }
         
         console.log(`📧 Replying to email thread ${emailId}`);
         console.log(`👤 Sent by user: ${req.userEmail}`);
@@ -196,6 +861,9 @@ router.post('/:emailId/send', requireAuth, async (req, res) => {
         });
         
     } catch (error) {
+        if (error instanceof SendQueueError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Error sending email reply:', error);
         res.status(500).json({ 
             error: 'Failed to send email reply',
@@ -205,14 +873,24 @@ router.post('/:emailId/send', requireAuth, async (req, res) => {
 });
 
 // FIXED: Reply to all endpoint - NO DUPLICATE SIGNATURES
-router.post('/:emailId/reply-all', requireAuth, async (req, res) => {
+router.post('/:emailId/reply-all', requireGraphAuth, async (req, res) => {
     try {
+        if (await isDraftsOnly(req.userTenant)) {
+            return res.status(403).json(DRAFTS_ONLY_ERROR);
+        }
+
         const { emailId } = req.params;
-        const { responseContent } = req.body;
+        const { responseContent, sendAt, timeZone } = req.body;
         
         if (!responseContent) {
             return res.status(400).json({ error: 'Response content is required' });
         }
+
+        const sendQueue = sendQueueFor(req);
+        if (sendQueue.shouldQueue({ sendAt })) {
+            const message = await sendQueue.queueMessage({ kind: 'replyAll', replyToMessageId: emailId, content: responseContent }, { sendAt, timeZone });
+            return res.status(202).json(queuedResponse(message));
+        }
         
         console.log(`📧 Replying to ALL on email thread ${emailId}`);
         console.log(`👤 Sent by user: ${req.userEmail}`);
@@ -248,6 +926,9 @@ router.post('/:emailId/reply-all', requireAuth, async (req, res) => {
         });
         
     } catch (error) {
+        if (error instanceof SendQueueError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Error sending reply to all:', error);
         res.status(500).json({ 
             error: 'Failed to send reply to all',
@@ -257,20 +938,22 @@ router.post('/:emailId/reply-all', requireAuth, async (req, res) => {
 });
 
 // Process email query with AI
-router.post('/query', requireAuth, async (req, res) => {
+router.post('/query', requireGraphAuth, async (req, res) => {
     try {
-        const { query, includeDays = 1 } = req.body;
+        const { query } = req.body;
+        const includeDays = parseInt(req.body.includeDays) || 1;
         
         if (!query) {
             return res.status(400).json({ error: 'Query is required' });
         }
 
         const graphService = new MicrosoftGraphService(req.accessToken);
-        const claudeService = new ClaudeAIService();
+        const claudeService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+        const mailboxSync = new MailboxSync(req.userSettings, graphService);
         
-        const [emails, calendarEvents] = await Promise.all([
-            graphService.getRecentEmails(includeDays),
-            graphService.getCalendarEvents(7).catch(() => [])
+        const [{ value: emails, truncated: emailsTruncated }, { value: calendarEvents, truncated: calendarTruncated }] = await Promise.all([
+            mailboxSync.listRecentEmails(includeDays),
+            graphService.getCalendarEvents(7).catch(() => ({ value: [], truncated: false }))
         ]);
         
         const response = await claudeService.processEmailQuery(query, emails, calendarEvents);
@@ -280,7 +963,9 @@ router.post('/query', requireAuth, async (req, res) => {
             query: query,
             response: response,
             emailCount: emails.length,
-            calendarEventCount: calendarEvents.length
+            emailsTruncated: emailsTruncated,
+            calendarEventCount: calendarEvents.length,
+            calendarTruncated: calendarTruncated
         });
     } catch (error) {
         console.error('Error processing email query:', error);
@@ -291,4 +976,51 @@ router.post('/query', requireAuth, async (req, res) => {
     }
 });
 
+// Streaming variant of /query - AI text arrives as SSE `delta` events, then a final `done` event
+router.post('/query/stream', requireGraphAuth, async (req, res) => {
+    const { query } = req.body;
+    const includeDays = parseInt(req.body.includeDays) || 1;
+
+    if (!query) {
+        return res.status(400).json({ error: 'Query is required' });
+    }
+
+    let stream = null;
+    try {
+        const graphService = new MicrosoftGraphService(req.accessToken);
+        const claudeService = await ClaudeAIService.forTenant(req.userTenant, { timezone: req.userTimezone });
+        const mailboxSync = new MailboxSync(req.userSettings, graphService);
+
+        const [{ value: emails, truncated: emailsTruncated }, { value: calendarEvents, truncated: calendarTruncated }] = await Promise.all([
+            mailboxSync.listRecentEmails(includeDays),
+            graphService.getCalendarEvents(7).catch(() => ({ value: [], truncated: false }))
+        ]);
+
+        stream = openEventStream(res);
+        stream.send('meta', {
+            query: query,
+            emailCount: emails.length,
+            emailsTruncated: emailsTruncated,
+            calendarEventCount: calendarEvents.length,
+            calendarTruncated: calendarTruncated
+        });
+
+        const response = await relayTextStream(stream, claudeService.streamEmailQuery(query, emails, calendarEvents, { signal: stream.signal }));
+        if (stream.signal.aborted) {
+            console.log(`⏹️ Email query stream cancelled by ${req.userEmail}`);
+            return;
+        }
+
+        stream.send('done', { success: true, query, response });
+        stream.end();
+    } catch (error) {
+        console.error('Error streaming email query:', error);
+        if (!stream) {
+            return res.status(500).json({ error: 'Failed to process query', message: error.message });
+        }
+        stream.send('error', { error: 'Failed to process query', message: error.message });
+        stream.end();
+    }
+});
+
 module.exports = router;
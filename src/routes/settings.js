@@ -1,26 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const UserSettings = require('../models/UserSettings');
+const { requireAuth } = require('../middleware/sessionAuth');
+const { toIanaTimeZone, getTimezoneLabel } = require('../utils/timezone');
+const { getDigestSettings, validateDigestSettings } = require('../services/dailyDigest');
+const { getFollowUpSettings, validateFollowUpSettings } = require('../services/followUpTracker');
+const { getSendQueueSettings, validateSendQueueSettings } = require('../services/sendQueue');
 
-// Middleware to require authentication and extract user data
-const requireAuth = (req, res, next) => {
-    if (!req.cookies.accessToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    const userData = req.cookies.userData ? JSON.parse(req.cookies.userData) : null;
-    if (!userData || !userData.tenantId || !userData.username) {
-        return res.status(401).json({ error: 'Invalid authentication data' });
-    }
-    
-    // Extract user information
-    req.userEmail = userData.username; // This should be the email from Microsoft 365
-    req.userTenant = userData.tenantId;
-    req.userOrganization = userData.organizationName;
-    req.userName = userData.name;
-    
-    next();
-};
+// Current timezone settings: the effective zone plus where it came from
+function describeTimezone(userSettings) {
+    const preferences = userSettings.preferences || {};
+    const timezone = userSettings.getTimezone();
+
+    return {
+        timezone: timezone,
+        timezoneLabel: getTimezoneLabel(timezone),
+        source: preferences.timezoneOverride ? 'override' : preferences.mailboxTimezone ? 'mailbox' : 'default',
+        override: preferences.timezoneOverride || null,
+        mailboxTimezone: preferences.mailboxTimezone || null,
+        mailboxTimezoneCheckedAt: preferences.mailboxTimezoneCheckedAt || null
+    };
+}
 
 // GET signature settings for the current user
 router.get('/signature', requireAuth, async (req, res) => {
@@ -205,4 +205,195 @@ router.post('/preferences', requireAuth, async (req, res) => {
     }
 });
 
+// GET timezone settings for the current user
+router.get('/timezone', requireAuth, async (req, res) => {
+    try {
+        const userSettings = await UserSettings.findByUserEmail(req.userEmail, req.userTenant);
+        
+        if (!userSettings) {
+            return res.status(404).json({ error: 'User settings not found' });
+        }
+        
+        res.json({ success: true, ...describeTimezone(userSettings) });
+        
+    } catch (error) {
+        console.error('Error loading timezone settings:', error);
+        res.status(500).json({ 
+            error: 'Failed to load timezone settings',
+            message: error.message 
+        });
+    }
+});
+
+// PUT timezone override - { timezone: 'Europe/Berlin' }, or { timezone: null } to follow Outlook again
+router.put('/timezone', requireAuth, async (req, res) => {
+    try {
+        const { timezone } = req.body;
+        const override = timezone ? toIanaTimeZone(timezone) : null;
+        
+        if (timezone && !override) {
+            return res.status(400).json({ error: `Unknown time zone "${timezone}" - use an IANA name such as Europe/Berlin` });
+        }
+        
+        const userSettings = await UserSettings.findByUserEmail(req.userEmail, req.userTenant);
+        
+        if (!userSettings) {
+            return res.status(404).json({ error: 'User settings not found' });
+        }
+        
+        await userSettings.updatePreferences({ timezoneOverride: override });
+        
+        console.log(`🌍 Timezone for ${req.userEmail} set to ${override || 'Outlook mailbox setting'}`);
+        res.json({ success: true, ...describeTimezone(userSettings) });
+        
+    } catch (error) {
+        console.error('Error saving timezone settings:', error);
+        res.status(500).json({ 
+            error: 'Failed to save timezone settings',
+            message: error.message 
+        });
+    }
+});
+
+// GET daily digest settings - { enabled, time, weekdaysOnly, lastSentDate } plus the zone the time is in
+router.get('/digest', requireAuth, async (req, res) => {
+    try {
+        const userSettings = await UserSettings.findByUserEmail(req.userEmail, req.userTenant);
+        
+        if (!userSettings) {
+            return res.status(404).json({ error: 'User settings not found' });
+        }
+        
+        res.json({ success: true, digest: getDigestSettings(userSettings), timezone: userSettings.getTimezone() });
+        
+    } catch (error) {
+        console.error('Error loading digest settings:', error);
+        res.status(500).json({ 
+            error: 'Failed to load digest settings',
+            message: error.message 
+        });
+    }
+});
+
+// PUT daily digest settings - any of { enabled: true, time: '07:30', weekdaysOnly: false }
+router.put('/digest', requireAuth, async (req, res) => {
+    try {
+        const userSettings = await UserSettings.findByUserEmail(req.userEmail, req.userTenant);
+        
+        if (!userSettings) {
+            return res.status(404).json({ error: 'User settings not found' });
+        }
+        
+        const digest = { ...getDigestSettings(userSettings), ...validateDigestSettings(req.body) };
+        await userSettings.updatePreferences({ dailyDigest: digest });
+        
+        console.log(`☀️ Daily digest for ${req.userEmail} ${digest.enabled ? `on at ${digest.time}` : 'off'}`);
+        res.json({ success: true, digest, timezone: userSettings.getTimezone() });
+        
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error saving digest settings:', error);
+        res.status(500).json({ 
+            error: 'Failed to save digest settings',
+            message: error.message 
+        });
+    }
+});
+
+// GET follow-up settings - { enabled, days }: background checks on or off, days without a reply before a nudge
+router.get('/follow-ups', requireAuth, async (req, res) => {
+    try {
+        const userSettings = await UserSettings.findByUserEmail(req.userEmail, req.userTenant);
+        
+        if (!userSettings) {
+            return res.status(404).json({ error: 'User settings not found' });
+        }
+        
+        res.json({ success: true, followUps: getFollowUpSettings(userSettings) });
+        
+    } catch (error) {
+        console.error('Error loading follow-up settings:', error);
+        res.status(500).json({ 
+            error: 'Failed to load follow-up settings',
+            message: error.message 
+        });
+    }
+});
+
+// PUT follow-up settings - any of { enabled: true, days: 3 }
+router.put('/follow-ups', requireAuth, async (req, res) => {
+    try {
+        const userSettings = await UserSettings.findByUserEmail(req.userEmail, req.userTenant);
+        
+        if (!userSettings) {
+            return res.status(404).json({ error: 'User settings not found' });
+        }
+        
+        const followUps = { ...getFollowUpSettings(userSettings), ...validateFollowUpSettings(req.body) };
+        await userSettings.updatePreferences({ followUps });
+        
+        console.log(`⏳ Follow-up tracking for ${req.userEmail} ${followUps.enabled ? `on after ${followUps.days} days` : 'off'}`);
+        res.json({ success: true, followUps });
+        
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error saving follow-up settings:', error);
+        res.status(500).json({ 
+            error: 'Failed to save follow-up settings',
+            message: error.message 
+        });
+    }
+});
+
+// GET send queue settings - { undoSeconds }: how long a sent message can still be cancelled
+router.get('/send-queue', requireAuth, async (req, res) => {
+    try {
+        const userSettings = await UserSettings.findByUserEmail(req.userEmail, req.userTenant);
+        
+        if (!userSettings) {
+            return res.status(404).json({ error: 'User settings not found' });
+        }
+        
+        res.json({ success: true, sendQueue: getSendQueueSettings(userSettings) });
+        
+    } catch (error) {
+        console.error('Error loading send queue settings:', error);
+        res.status(500).json({ 
+            error: 'Failed to load send queue settings',
+            message: error.message 
+        });
+    }
+});
+
+// PUT send queue settings - { undoSeconds: 30 }, 0 sends right away
+router.put('/send-queue', requireAuth, async (req, res) => {
+    try {
+        const userSettings = await UserSettings.findByUserEmail(req.userEmail, req.userTenant);
+        
+        if (!userSettings) {
+            return res.status(404).json({ error: 'User settings not found' });
+        }
+        
+        const sendQueue = { ...getSendQueueSettings(userSettings), ...validateSendQueueSettings(req.body) };
+        await userSettings.updatePreferences({ sendQueue });
+        
+        console.log(`↩️ Undo send window for ${req.userEmail}: ${sendQueue.undoSeconds}s`);
+        res.json({ success: true, sendQueue });
+        
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error saving send queue settings:', error);
+        res.status(500).json({ 
+            error: 'Failed to save send queue settings',
+            message: error.message 
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const MicrosoftGraphService = require('../services/microsoftGraph');
+const SubscriptionManager = require('../services/subscriptionManager');
+const GraphSubscription = require('../models/GraphSubscription');
+const { webhookDispatcher } = require('../services/webhookDispatcher');
+const { jobQueue } = require('../services/jobQueue');
+const { registerMailPipeline } = require('../services/mailPipeline');
+const { requireAuth } = require('../middleware/sessionAuth');
+const { requireGraphAuth } = require('../middleware/graphAuth');
+const router = express.Router();
+
+registerMailPipeline(webhookDispatcher);
+
+// Graph change notifications (also used as the lifecycle notification URL)
+router.post('/graph', async (req, res) => {
+    // Subscription validation handshake: echo the token back as plain text within 10 seconds
+    if (req.query.validationToken) {
+        console.log('🤝 Graph subscription validation request received');
+        return res.status(200).type('text/plain').send(req.query.validationToken);
+    }
+
+    const notifications = Array.isArray(req.body?.value) ? req.body.value : [];
+
+    try {
+        const accepted = await webhookDispatcher.validateNotifications(notifications);
+
+        // Graph expects a response within 3 seconds - queue the work and acknowledge, the job queue processes it
+        if (accepted.length > 0) {
+            await webhookDispatcher.enqueue(jobQueue, accepted);
+        }
+        res.status(202).end();
+    } catch (error) {
+        console.error('Error validating Graph notifications:', error);
+        res.status(500).json({ error: 'Failed to process notifications' });
+    }
+});
+
+// List the current user's active subscriptions
+router.get('/subscriptions', requireAuth, async (req, res) => {
+    try {
+        const subscriptions = await GraphSubscription.findActiveForUser(req.userSettings.id);
+
+        res.json({
+            success: true,
+            count: subscriptions.length,
+            subscriptions: subscriptions.map(sub => ({
+                subscriptionId: sub.subscriptionId,
+                resourceType: sub.resourceType,
+                changeType: sub.changeType,
+                expirationDateTime: sub.expirationDateTime,
+                lastNotificationAt: sub.lastNotificationAt
+            }))
+        });
+    } catch (error) {
+        console.error('Error listing subscriptions:', error);
+        res.status(500).json({
+            error: 'Failed to list subscriptions',
+            message: error.message
+        });
+    }
+});
+
+// Create or renew the current user's inbox and calendar subscriptions
+router.post('/subscriptions', requireGraphAuth, async (req, res) => {
+    try {
+        const manager = new SubscriptionManager(req.userSettings, new MicrosoftGraphService(req.accessToken));
+        const subscriptions = await manager.ensureSubscriptions();
+
+        res.json({
+            success: true,
+            count: subscriptions.length,
+            subscriptions: subscriptions.map(sub => ({
+                subscriptionId: sub.subscriptionId,
+                resourceType: sub.resourceType,
+                expirationDateTime: sub.expirationDateTime
+            }))
+        });
+    } catch (error) {
+        console.error('Error creating subscriptions:', error);
+        res.status(500).json({
+            error: 'Failed to create subscriptions',
+            message: error.message
+        });
+    }
+});
+
+// Remove the current user's subscriptions
+router.delete('/subscriptions', requireGraphAuth, async (req, res) => {
+    try {
+        const manager = new SubscriptionManager(req.userSettings, new MicrosoftGraphService(req.accessToken));
+        const removed = await manager.deleteSubscriptions();
+
+        res.json({
+            success: true,
+            message: `Removed ${removed} subscriptions`
+        });
+    } catch (error) {
+        console.error('Error deleting subscriptions:', error);
+        res.status(500).json({
+            error: 'Failed to delete subscriptions',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,287 @@
+const MailboxSync = require('./mailboxSync');
+const ActionItem = require('../models/ActionItem');
+const { validateAgainstSchema } = require('../utils/jsonSchema');
+const { getZonedDateString, toGraphDateTime } = require('../utils/timezone');
+
+// Action items are tasks extracted from email bodies. They are stored as proposals first; the user
+// accepts (optionally editing) or rejects each one, and accepted items become Microsoft To Do tasks
+// with a linked resource pointing back at the source email.
+
+const MAX_EMAILS = 10;
+const MAX_BODY_LENGTH = 4000;
+const SIMILARITY_THRESHOLD = 0.6;
+const SAME_MESSAGE_THRESHOLD = 0.4; // looser when the existing task links to the same email
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const APPLICATION_NAME = 'AI Email Agent';
+
+const ACTION_ITEMS_SCHEMA = {
+    type: 'object',
+    properties: {
+        items: {
+            type: 'array',
+            maxItems: 20,
+            items: {
+                type: 'object',
+                properties: {
+                    description: { type: 'string', minLength: 1, maxLength: 255, description: 'The task, starting with a verb' },
+                    owner: { type: 'string', minLength: 1, maxLength: 200, description: '"me" for the user, otherwise the person who has to do it' },
+                    dueDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'YYYY-MM-DD, only when the email gives a deadline' },
+                    source: { type: 'string', pattern: '^E\\d+$', description: 'Email reference, e.g. E2' },
+                    quote: { type: 'string', maxLength: 500, description: 'The sentence the task comes from' }
+                },
+                required: ['description', 'owner', 'source']
+            }
+        }
+    },
+    required: ['items']
+};
+
+const ACTION_ITEMS_TOOL = {
+    name: 'extract_action_items',
+    description: 'Record the concrete tasks found in the listed emails (E1, E2, ...), with owner and deadline.',
+    inputSchema: ACTION_ITEMS_SCHEMA
+};
+
+class ActionItemValidationError extends Error {
+    constructor(errors, input) {
+        super(`AI action items did not match the schema: ${errors.join('; ')}`);
+        this.name = 'ActionItemValidationError';
+        this.statusCode = 502;
+        this.errors = errors;
+        this.input = input;
+    }
+}
+
+class ActionItemError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ActionItemError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Resolve an extract_action_items call against the emails listed in the prompt
+function parseActionItems(input, emails) {
+    const errors = validateAgainstSchema(input, ACTION_ITEMS_SCHEMA);
+    const items = [];
+
+    if (errors.length === 0) {
+        input.items.forEach((item, index) => {
+            const email = emails[parseInt(item.source.substring(1), 10) - 1];
+            if (!email) {
+                errors.push(`input.items[${index}].source: ${item.source} is not one of the listed emails`);
+            } else {
+                items.push({
+                    description: item.description.trim(),
+                    owner: item.owner.trim(),
+                    dueDate: item.dueDate || null,
+                    quote: item.quote || null,
+                    email
+                });
+            }
+        });
+    }
+    if (errors.length > 0) {
+        throw new ActionItemValidationError(errors, input);
+    }
+    return items;
+}
+
+// Word-set overlap (Jaccard) of two task titles, ignoring case, punctuation and short words
+function similarity(a, b) {
+    const words = (text) => new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2));
+    const left = words(a);
+    const right = words(b);
+    if (left.size === 0 || right.size === 0) {
+        return 0;
+    }
+    const shared = [...left].filter(word => right.has(word)).length;
+    return shared / (left.size + right.size - shared);
+}
+
+// The open To Do task a proposal would duplicate, if any
+function findDuplicateTask(tasks, { description, messageId }) {
+    return tasks.find(task => {
+        const linked = (task.linkedResources || []).some(resource => resource.externalId === messageId);
+        return similarity(task.title, description) >= (linked ? SAME_MESSAGE_THRESHOLD : SIMILARITY_THRESHOLD);
+    });
+}
+
+class ActionItemService {
+    // aiService: ClaudeAIService (extractActionItems)
+    constructor(userSettings, graphService, aiService, { timeZone }) {
+        this.userSettings = userSettings;
+        this.graphService = graphService;
+        this.aiService = aiService;
+        this.timeZone = timeZone;
+    }
+
+    buildPrompt(emails) {
+        const today = getZonedDateString(new Date(), this.timeZone);
+        const weekday = new Date(`${today}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+        const blocks = emails.map((email, index) =>
+            `E${index + 1}: from ${email.from?.emailAddress?.name || ''} <${email.from?.emailAddress?.address || 'unknown'}>`
+            + `, to ${(email.toRecipients || []).map(r => r.emailAddress?.address).join(', ') || 'unknown'}`
+            + `${email.ccRecipients?.length ? `, cc ${email.ccRecipients.map(r => r.emailAddress?.address).join(', ')}` : ''}`
+            + ` - "${email.subject || '(no subject)'}"\n${(email.body?.content || '').trim().substring(0, MAX_BODY_LENGTH)}`);
+
+        return `Extract action items from these emails for ${this.userSettings.userEmail}. Today is ${weekday} ${today} (${this.timeZone}).
+
+${blocks.join('\n\n---\n\n')}
+
+Call extract_action_items with every concrete task the emails ask for or commit to:
+- description: a short imperative task ("Send the Q3 budget to Dana"), not a summary of the email.
+- owner: "me" when ${this.userSettings.userEmail} has to do it, otherwise the name or address of who does.
+- dueDate: only when the email gives a deadline; resolve "Friday" or "end of month" against today's date.
+- quote: the sentence the task comes from.
+Leave out newsletters, notifications and things that are already done. Return an empty list if there are none.`;
+    }
+
+    // The user's default To Do list ("Tasks"), or the list with the given ID
+    async getList(listId = null) {
+        const lists = await this.graphService.getTodoLists();
+        const list = listId
+            ? lists.find(candidate => candidate.id === listId)
+            : lists.find(candidate => candidate.wellknownListName === 'defaultList') || lists[0];
+        if (!list) {
+            throw new ActionItemError(listId ? 'To Do list not found' : 'No Microsoft To Do list found', 404);
+        }
+        return list;
+    }
+
+    // Extract tasks from the given emails (default: the most recent unread inbox emails) and store the
+    // ones that aren't already proposed or in To Do. Returns { proposed, skipped, structured }.
+    async extract(emailIds = null) {
+        if (!emailIds) {
+            const { value } = await new MailboxSync(this.userSettings, this.graphService).listMessages({ unreadOnly: true, limit: MAX_EMAILS });
+            emailIds = value.map(message => message.id);
+        }
+        if (emailIds.length === 0) {
+            return { proposed: [], skipped: [], structured: true };
+        }
+
+        const ids = [...new Set(emailIds)];
+        const bodies = await this.graphService.getMessageBodies(ids);
+        const emails = ids.map(id => bodies.get(id)).filter(Boolean);
+        if (emails.length === 0) {
+            throw new ActionItemError('None of the emails were found', 404);
+        }
+
+        const list = await this.getList();
+        const [{ items, structured }, tasks, existing] = await Promise.all([
+            this.aiService.extractActionItems(this.buildPrompt(emails), { emails }),
+            this.graphService.getOpenTodoTasks(list.id),
+            ActionItem.findAll({ where: { userSettingsId: this.userSettings.id, messageId: emails.map(email => email.id) } })
+        ]);
+
+        const proposed = [];
+        const skipped = [];
+        for (const item of items) {
+            const messageId = item.email.id;
+            // Earlier proposals for the same email count whatever their status, so rejected items stay rejected
+            const earlier = [...existing, ...proposed].find(other =>
+                other.messageId === messageId && similarity(other.description, item.description) >= SIMILARITY_THRESHOLD);
+            const task = earlier ? null : findDuplicateTask(tasks, { description: item.description, messageId });
+
+            if (earlier || task) {
+                skipped.push({
+                    description: item.description,
+                    messageId,
+                    reason: earlier ? `Already ${earlier.status}` : 'Already in Microsoft To Do',
+                    match: earlier ? { actionItemId: earlier.id } : { todoTaskId: task.id, title: task.title }
+                });
+                continue;
+            }
+
+            proposed.push(await ActionItem.create({
+                userSettingsId: this.userSettings.id,
+                messageId,
+                subject: item.email.subject || null,
+                webLink: item.email.webLink || null,
+                description: item.description,
+                owner: item.owner,
+                dueDate: item.dueDate,
+                quote: item.quote
+            }));
+        }
+
+        return { proposed, skipped, structured };
+    }
+
+    // Moves a proposed item to status; the conditional update makes concurrent accept/reject calls race safely
+    async claim(actionItem, status) {
+        const [updated] = await ActionItem.update({ status }, { where: { id: actionItem.id, status: 'proposed' } });
+        await actionItem.reload();
+        if (updated === 0) {
+            throw new ActionItemError(`Action item is already ${actionItem.status}`, 409);
+        }
+        return actionItem;
+    }
+
+    // Create the To Do task for a proposed item. changes: { listId, description, dueDate } (null clears the date)
+    async accept(actionItem, changes = {}) {
+        if (actionItem.status !== 'proposed') {
+            throw new ActionItemError(`Action item is already ${actionItem.status}`, 409);
+        }
+
+        const description = changes.description !== undefined ? String(changes.description).trim() : actionItem.description;
+        if (!description || description.length > 255) {
+            throw new ActionItemError('description must be 1 to 255 characters');
+        }
+        const dueDate = changes.dueDate !== undefined ? changes.dueDate : actionItem.dueDate;
+        if (dueDate !== null && !DATE_PATTERN.test(String(dueDate))) {
+            throw new ActionItemError('dueDate must be a YYYY-MM-DD date or null');
+        }
+
+        await this.claim(actionItem, 'accepted');
+
+        let list;
+        let task;
+        try {
+            list = await this.getList(changes.listId);
+            const duplicate = findDuplicateTask(await this.graphService.getOpenTodoTasks(list.id), { description, messageId: actionItem.messageId });
+            if (duplicate) {
+                throw new ActionItemError(`A similar task is already in ${list.displayName}: "${duplicate.title}"`, 409);
+            }
+
+            task = await this.graphService.createTodoTask(list.id, {
+                title: description,
+                ...(dueDate ? { dueDateTime: toGraphDateTime(`${dueDate}T00:00:00`, this.timeZone) } : {}),
+                body: {
+                    contentType: 'text',
+                    content: [
+                        actionItem.owner && actionItem.owner !== 'me' ? `Owner: ${actionItem.owner}` : null,
+                        actionItem.quote ? `"${actionItem.quote}"` : null,
+                        `From the email "${actionItem.subject || '(no subject)'}"`
+                    ].filter(Boolean).join('\n')
+                },
+                linkedResources: [{
+                    webUrl: actionItem.webLink,
+                    applicationName: APPLICATION_NAME,
+                    displayName: actionItem.subject || 'Source email',
+                    externalId: actionItem.messageId
+                }]
+            });
+        } catch (error) {
+            // No task was created, so the item goes back to the user as a proposal
+            await actionItem.update({ status: 'proposed' })
+                .catch(revertError => console.error(`Error releasing action item ${actionItem.id}:`, revertError.message));
+            throw error;
+        }
+
+        await actionItem.update({ description, dueDate, todoListId: list.id, todoTaskId: task.id });
+        return actionItem;
+    }
+
+    async reject(actionItem) {
+        return this.claim(actionItem, 'rejected');
+    }
+}
+
+module.exports = {
+    ACTION_ITEMS_TOOL,
+    ActionItemService,
+    ActionItemError,
+    ActionItemValidationError,
+    parseActionItems
+};
@@ -0,0 +1,235 @@
+const {
+    zonedTimeToUtc,
+    parseGraphDateTime,
+    getTimeZoneOffset,
+    getZonedDateTimeString,
+    addDays
+} = require('../utils/timezone');
+const { intersectIntervals, subtractIntervals } = require('../utils/intervals');
+const { describeWorkingHours, workingIntervals } = require('../utils/workingHours');
+
+// Deterministic availability: free slots are computed from Graph free/busy and working hours,
+// never guessed by the model. Intervals are { start, end } in epoch milliseconds.
+
+const DEFAULT_BUFFER_MINUTES = 10;
+const DEFAULT_LUNCH = { start: '12:00', end: '13:00' };
+const DEFAULT_INCREMENT_MINUTES = 30;
+const DEFAULT_MAX_SLOTS = 20;
+const MAX_RANGE_DAYS = 31; // getSchedule accepts up to 62 days
+const MAX_ATTENDEES = 20;
+
+// free and workingElsewhere don't block a slot; tentative does unless the caller opts out
+const BLOCKING_STATUSES = ['busy', 'oof', 'tentative'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class AvailabilityValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AvailabilityValidationError';
+        this.statusCode = 400;
+    }
+}
+
+class AvailabilityService {
+    // timeZone: the organizer's IANA zone; organizerEmail: the signed-in user's address
+    constructor(graphService, { timeZone, organizerEmail }) {
+        this.graphService = graphService;
+        this.timeZone = timeZone;
+        this.organizerEmail = organizerEmail;
+    }
+
+    normalizeOptions(options) {
+        const {
+            date,
+            days = 1,
+            durationMinutes = 60,
+            attendees = [],
+            bufferMinutes = DEFAULT_BUFFER_MINUTES,
+            lunch = DEFAULT_LUNCH,
+            incrementMinutes = DEFAULT_INCREMENT_MINUTES,
+            maxSlots = DEFAULT_MAX_SLOTS,
+            ignoreTentative = false
+        } = options;
+
+        if (!DATE_PATTERN.test(date || '')) {
+            throw new AvailabilityValidationError('date is required (YYYY-MM-DD)');
+        }
+        if (!Number.isInteger(days) || days < 1 || days > MAX_RANGE_DAYS) {
+            throw new AvailabilityValidationError(`days must be between 1 and ${MAX_RANGE_DAYS}`);
+        }
+        if (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > 8 * 60) {
+            throw new AvailabilityValidationError('duration must be between 5 and 480 minutes');
+        }
+        if (!Number.isInteger(bufferMinutes) || bufferMinutes < 0 || bufferMinutes > 120) {
+            throw new AvailabilityValidationError('buffer must be between 0 and 120 minutes');
+        }
+        if (!Number.isInteger(incrementMinutes) || incrementMinutes < 5 || incrementMinutes > 240) {
+            throw new AvailabilityValidationError('increment must be between 5 and 240 minutes');
+        }
+        if (lunch && (!TIME_PATTERN.test(lunch.start) || !TIME_PATTERN.test(lunch.end) || lunch.end <= lunch.start)) {
+            throw new AvailabilityValidationError('lunch must be HH:mm-HH:mm');
+        }
+        if (!Number.isInteger(maxSlots) || maxSlots < 1 || maxSlots > 100) {
+            throw new AvailabilityValidationError('maxSlots must be between 1 and 100');
+        }
+        if (attendees.length > MAX_ATTENDEES) {
+            throw new AvailabilityValidationError(`At most ${MAX_ATTENDEES} attendees are supported`);
+        }
+
+        return { date, days, durationMinutes, attendees, bufferMinutes, lunch, incrementMinutes, maxSlots, ignoreTentative };
+    }
+
+    // Exact free slots for the organizer and all attendees. Returns the slots plus what they were computed from.
+    async findSlots(options) {
+        const { date, days, durationMinutes, attendees, bufferMinutes, lunch, incrementMinutes, maxSlots, ignoreTentative } = this.normalizeOptions(options);
+        const lastDay = addDays(date, days - 1);
+        const rangeStart = zonedTimeToUtc(`${date}T00:00`, this.timeZone);
+        const rangeEnd = zonedTimeToUtc(`${addDays(date, days)}T00:00`, this.timeZone);
+        const participants = [this.organizerEmail, ...attendees.filter(email => email.toLowerCase() !== this.organizerEmail.toLowerCase())];
+
+        const [mailboxSettings, schedules] = await Promise.all([
+            this.graphService.getMailboxSettings(),
+            this.graphService.getSchedule(participants, rangeStart, rangeEnd, this.timeZone)
+        ]);
+
+        // Nothing in the past is bookable
+        let free = [{ start: Math.max(rangeStart.getTime(), Date.now()), end: rangeEnd.getTime() }];
+        const busy = [];
+        const people = [];
+
+        for (const email of participants) {
+            const isOrganizer = email === this.organizerEmail;
+            const schedule = schedules.find(item => item.scheduleId?.toLowerCase() === email.toLowerCase());
+            const workingHours = isOrganizer ? mailboxSettings.workingHours : schedule?.workingHours;
+
+            // The organizer's working hours come from mailboxSettings, so they apply even without free/busy
+            if (isOrganizer || (schedule && !schedule.error)) {
+                free = intersectIntervals(free, workingIntervals(workingHours, this.timeZone, date, lastDay));
+            }
+
+            if (!schedule || schedule.error) {
+                // Free/busy not visible (external address, no permission) - reported, not guessed
+                people.push({
+                    email,
+                    available: null,
+                    ...(isOrganizer ? { workingHours: describeWorkingHours(workingHours, this.timeZone) } : {}),
+                    error: schedule?.error?.message || 'No free/busy information returned'
+                });
+                continue;
+            }
+
+            const blocking = (schedule.scheduleItems || []).filter(item =>
+                BLOCKING_STATUSES.includes(item.status) && (!ignoreTentative || item.status !== 'tentative')
+            );
+            for (const item of blocking) {
+                busy.push({
+                    start: parseGraphDateTime(item.start, this.timeZone).getTime() - bufferMinutes * 60000,
+                    end: parseGraphDateTime(item.end, this.timeZone).getTime() + bufferMinutes * 60000
+                });
+            }
+
+            people.push({
+                email,
+                workingHours: describeWorkingHours(workingHours, this.timeZone),
+                busyBlocks: blocking.length
+            });
+        }
+
+        if (lunch) {
+            const lunchBlocks = [];
+            for (let day = date; day <= lastDay; day = addDays(day, 1)) {
+                lunchBlocks.push({
+                    start: zonedTimeToUtc(`${day}T${lunch.start}`, this.timeZone).getTime(),
+                    end: zonedTimeToUtc(`${day}T${lunch.end}`, this.timeZone).getTime()
+                });
+            }
+            free = subtractIntervals(free, lunchBlocks);
+        }
+
+        free = subtractIntervals(free, busy);
+
+        return {
+            timeZone: this.timeZone,
+            range: { start: rangeStart.toISOString(), end: rangeEnd.toISOString() },
+            durationMinutes,
+            bufferMinutes,
+            lunch: lunch || null,
+            participants: people,
+            freeIntervals: free.map(interval => this.formatInterval(interval)),
+            slots: this.cutSlots(free, durationMinutes, incrementMinutes, maxSlots)
+        };
+    }
+
+    // Slot starts fall on local-clock multiples of incrementMinutes (e.g. :00 and :30)
+    cutSlots(free, durationMinutes, incrementMinutes, maxSlots) {
+        const slots = [];
+        const duration = durationMinutes * 60000;
+        const increment = incrementMinutes * 60000;
+
+        for (const interval of free) {
+            const offset = getTimeZoneOffset(this.timeZone, new Date(interval.start)) * 60000;
+            let start = Math.ceil((interval.start + offset) / increment) * increment - offset;
+
+            while (start + duration <= interval.end && slots.length < maxSlots) {
+                slots.push(this.formatInterval({ start, end: start + duration }));
+                start += increment;
+            }
+        }
+        return slots;
+    }
+
+    formatInterval({ start, end }) {
+        return {
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            startLocal: getZonedDateTimeString(new Date(start), this.timeZone),
+            endLocal: getZonedDateTimeString(new Date(end), this.timeZone),
+            label: new Date(start).toLocaleString('en-US', {
+                timeZone: this.timeZone,
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit',
+                timeZoneName: 'short'
+            })
+        };
+    }
+
+    // Graph findMeetingTimes suggestions for the same window, normalized to the slot shape
+    async suggestMeetingTimes(options) {
+        const { date, days, durationMinutes, attendees, maxSlots } = this.normalizeOptions(options);
+        const rangeStart = zonedTimeToUtc(`${date}T00:00`, this.timeZone);
+        const rangeEnd = zonedTimeToUtc(`${addDays(date, days)}T00:00`, this.timeZone);
+
+        const response = await this.graphService.findMeetingTimes(attendees, rangeStart, rangeEnd, durationMinutes, {
+            timeZone: this.timeZone,
+            maxCandidates: maxSlots
+        });
+
+        return {
+            timeZone: this.timeZone,
+            durationMinutes,
+            emptySuggestionsReason: response.emptySuggestionsReason || null,
+            suggestions: (response.meetingTimeSuggestions || []).map(suggestion => ({
+                ...this.formatInterval({
+                    start: parseGraphDateTime(suggestion.meetingTimeSlot.start, this.timeZone).getTime(),
+                    end: parseGraphDateTime(suggestion.meetingTimeSlot.end, this.timeZone).getTime()
+                }),
+                confidence: suggestion.confidence,
+                organizerAvailability: suggestion.organizerAvailability,
+                attendeeAvailability: (suggestion.attendeeAvailability || []).map(entry => ({
+                    email: entry.attendee?.emailAddress?.address,
+                    availability: entry.availability
+                })),
+                reason: suggestion.suggestionReason || null
+            }))
+        };
+    }
+}
+
+AvailabilityService.AvailabilityValidationError = AvailabilityValidationError;
+
+module.exports = AvailabilityService;
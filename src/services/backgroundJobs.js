@@ -0,0 +1,144 @@
+const SubscriptionManager = require('./subscriptionManager');
+const DigestScheduler = require('./digestScheduler');
+const MailboxSync = require('./mailboxSync');
+const MicrosoftGraphService = require('./microsoftGraph');
+const ClaudeAIService = require('./claudeAI');
+const { EmailTriageService } = require('./emailTriage');
+const { FollowUpTracker, getFollowUpSettings } = require('./followUpTracker');
+const { SendQueue } = require('./sendQueue');
+const { acquireTokenForUser } = require('./tokenCache');
+const GraphSubscription = require('../models/GraphSubscription');
+const UserSettings = require('../models/UserSettings');
+const UserSession = require('../models/UserSession');
+const OutgoingMessage = require('../models/OutgoingMessage');
+const { webhookDispatcher } = require('./webhookDispatcher');
+
+// Job types run by the shared job queue. Handlers throw to have the job retried with backoff.
+
+// Jobs for a user who has since been deactivated fail without retries
+async function findActiveUser(userSettingsId) {
+    const userSettings = await UserSettings.findByPk(userSettingsId);
+    if (!userSettings || !userSettings.isActive) {
+        const error = new Error('User is no longer active');
+        error.retryable = false;
+        throw error;
+    }
+    return userSettings;
+}
+
+// A Graph notification queued by POST /api/webhooks/graph
+async function dispatchNotification({ subscriptionId, notification }) {
+    const subscription = await GraphSubscription.findActiveBySubscriptionId(subscriptionId);
+    if (!subscription) {
+        return { skipped: 'subscription no longer active' };
+    }
+
+    const [result] = await webhookDispatcher.dispatch([{ notification, subscription }]);
+    if (result?.error || result?.errors) {
+        throw new Error(result.error || result.errors.join('; '));
+    }
+    return result || { skipped: 'user inactive' };
+}
+
+// Bulk mailbox action queued by POST /api/emails/bulk/:action with background: true
+async function runBulkAction({ userSettingsId, action, emailIds, options }) {
+    const userSettings = await findActiveUser(userSettingsId);
+
+    console.log(`📦 Bulk ${action} of ${emailIds.length} emails for user: ${userSettings.userEmail} (background)`);
+    return new MailboxSync(userSettings).bulkAction(action, emailIds, options);
+}
+
+// Expired and revoked login sessions
+async function cleanUpSessions() {
+    const removed = await UserSession.deleteExpired();
+    if (removed > 0) {
+        console.log(`🧹 Removed ${removed} expired user sessions`);
+    }
+    return { removed };
+}
+
+// New inbox messages queued by the mail pipeline; messages triaged in the meantime are skipped
+async function triageMessages({ userSettingsId, messageIds }) {
+    const userSettings = await findActiveUser(userSettingsId);
+    const graphService = new MicrosoftGraphService(() => acquireTokenForUser(userSettings));
+    const aiService = await ClaudeAIService.forTenant(userSettings.tenantId, { timezone: userSettings.getTimezone() });
+
+    const triaged = await new EmailTriageService(userSettings, graphService, aiService).triageUntriaged({ messageIds });
+    return { triaged: triaged.size };
+}
+
+// How often sent mail is checked for replies for users who turned follow-up tracking on
+const FOLLOW_UP_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// One followups.scan job per user with tracking on, keyed by hour so overlapping checks don't double up
+async function enqueueFollowUpScans(queue) {
+    const users = await UserSettings.findAll({ where: { isActive: true } });
+    const hour = new Date().toISOString().substring(0, 13);
+    let enqueued = 0;
+
+    for (const userSettings of users.filter(user => getFollowUpSettings(user).enabled)) {
+        await queue.enqueue('followups.scan', { userSettingsId: userSettings.id }, {
+            tenantId: userSettings.tenantId,
+            userSettingsId: userSettings.id,
+            uniqueKey: `followups:${userSettings.id}:${hour}`,
+            maxAttempts: 2
+        });
+        enqueued++;
+    }
+    return { enqueued };
+}
+
+async function scanFollowUps({ userSettingsId }) {
+    const userSettings = await findActiveUser(userSettingsId);
+    const graphService = new MicrosoftGraphService(() => acquireTokenForUser(userSettings));
+    const aiService = await ClaudeAIService.forTenant(userSettings.tenantId, { timezone: userSettings.getTimezone() });
+
+    return new FollowUpTracker(userSettings, graphService, aiService).scan();
+}
+
+// A reply or new mail from the send queue, due now (see services/sendQueue)
+async function sendOutgoingMessage({ outgoingMessageId }, job) {
+    const message = await OutgoingMessage.findByPk(outgoingMessageId);
+    if (!message) {
+        return { skipped: 'message deleted' };
+    }
+    let userSettings;
+    try {
+        userSettings = await findActiveUser(message.userSettingsId);
+    } catch (error) {
+        if (message.status === 'queued') {
+            await message.update({ status: 'failed', lastError: error.message });
+        }
+        throw error;
+    }
+    const graphService = new MicrosoftGraphService(() => acquireTokenForUser(userSettings));
+
+    const result = await new SendQueue(userSettings, graphService).deliver(message, job);
+    if (result.sent && message.kind === 'replyAll') {
+        await new FollowUpTracker(userSettings, graphService, null).recordSentNudge(message.replyToMessageId);
+    }
+    return result;
+}
+
+function registerBackgroundJobs(queue) {
+    queue.register('webhook.dispatch', dispatchNotification);
+    queue.register('emails.bulk', runBulkAction, { maxAttempts: 3 });
+    queue.register('emails.triage', triageMessages, { maxAttempts: 3 });
+    queue.register('subscriptions.renew', () => SubscriptionManager.renewExpiringSubscriptions());
+    queue.register('digest.check', () => DigestScheduler.enqueueDueDigests(queue));
+    queue.register('digest.send', (payload) => DigestScheduler.sendDigest(payload), { maxAttempts: 3 });
+    queue.register('sessions.cleanup', cleanUpSessions);
+    queue.register('followups.check', () => enqueueFollowUpScans(queue));
+    queue.register('followups.scan', scanFollowUps, { maxAttempts: 2 });
+    queue.register('mail.send', sendOutgoingMessage, { maxAttempts: 3 });
+
+    queue.schedule('subscriptions.renew', { every: SubscriptionManager.RENEWAL_INTERVAL }, 'subscriptions.renew');
+    queue.schedule('digest.check', { every: DigestScheduler.CHECK_INTERVAL }, 'digest.check');
+    queue.schedule('sessions.cleanup', { every: UserSession.CLEANUP_INTERVAL }, 'sessions.cleanup');
+    queue.schedule('followups.check', { every: FOLLOW_UP_CHECK_INTERVAL }, 'followups.check');
+    return queue;
+}
+
+module.exports = {
+    registerBackgroundJobs
+};
@@ -0,0 +1,214 @@
+const { parseGraphDateTime, getZonedDateString, zonedTimeToUtc, addDays } = require('../utils/timezone');
+const { intersectIntervals, subtractIntervals, totalMinutes } = require('../utils/intervals');
+const { workingIntervals, describeWorkingHours } = require('../utils/workingHours');
+
+// Conflict and overload report computed from calendar events - the numbers come from here,
+// an AI summary (if any) only narrates them.
+
+const DEFAULT_MAX_MEETING_HOURS = 6;
+const DEFAULT_MIN_BUFFER_MINUTES = 5;
+const DEFAULT_MIN_FOCUS_MINUTES = 90;
+
+// Events that don't take the user's time
+const NON_BLOCKING_SHOW_AS = ['free', 'workingElsewhere'];
+
+function responseOf(event) {
+    return event.responseStatus?.response || 'none';
+}
+
+function isCommitted(event) {
+    return ['organizer', 'accepted'].includes(responseOf(event));
+}
+
+function toTimedEvent(event, timeZone) {
+    return {
+        id: event.id,
+        subject: event.subject || '(no subject)',
+        start: parseGraphDateTime(event.start, timeZone).getTime(),
+        end: parseGraphDateTime(event.end, timeZone).getTime(),
+        response: responseOf(event),
+        showAs: event.showAs || 'busy',
+        committed: isCommitted(event)
+    };
+}
+
+// Events that count toward conflicts and load: not cancelled, not declined, not all-day, not marked free
+function blockingEvents(events, timeZone) {
+    return events
+        .filter(event => !event.isCancelled && !event.isAllDay)
+        .filter(event => responseOf(event) !== 'declined' && !NON_BLOCKING_SHOW_AS.includes(event.showAs))
+        .map(event => toTimedEvent(event, timeZone))
+        .filter(event => event.end > event.start)
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+// double-booked: both accepted/organized; tentative: at least one tentative; unanswered: at least one not responded
+function classifyOverlap(a, b) {
+    if (a.committed && b.committed) return 'double-booked';
+    if ([a.response, b.response].includes('tentativelyAccepted') || [a.showAs, b.showAs].includes('tentative')) return 'tentative';
+    return 'unanswered';
+}
+
+function findOverlaps(events) {
+    const overlaps = [];
+
+    for (let i = 0; i < events.length; i++) {
+        for (let j = i + 1; j < events.length && events[j].start < events[i].end; j++) {
+            const start = Math.max(events[i].start, events[j].start);
+            const end = Math.min(events[i].end, events[j].end);
+            overlaps.push({
+                type: classifyOverlap(events[i], events[j]),
+                overlapMinutes: (end - start) / 60000,
+                start,
+                end,
+                events: [events[i], events[j]]
+            });
+        }
+    }
+    return overlaps;
+}
+
+// Consecutive meetings with less than minBufferMinutes between them (0 = no break at all)
+function findBackToBack(events, minBufferMinutes) {
+    const transitions = [];
+    let latest = null;
+
+    for (const event of events) {
+        if (latest && event.start >= latest.end) {
+            const gapMinutes = (event.start - latest.end) / 60000;
+            if (gapMinutes < Math.max(minBufferMinutes, 1)) {
+                transitions.push({ gapMinutes, zeroBuffer: gapMinutes === 0, from: latest, to: event });
+            }
+        }
+        if (!latest || event.end > latest.end) {
+            latest = event;
+        }
+    }
+    return transitions;
+}
+
+class CalendarReportFormatter {
+    constructor(timeZone) {
+        this.timeZone = timeZone;
+    }
+
+    time(ms) {
+        return new Date(ms).toLocaleString('en-US', {
+            timeZone: this.timeZone,
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    event(event) {
+        return {
+            id: event.id,
+            subject: event.subject,
+            start: new Date(event.start).toISOString(),
+            end: new Date(event.end).toISOString(),
+            displayTime: `${this.time(event.start)} - ${new Date(event.end).toLocaleTimeString('en-US', { timeZone: this.timeZone, hour: 'numeric', minute: '2-digit' })}`,
+            response: event.response,
+            showAs: event.showAs
+        };
+    }
+
+    interval({ start, end }) {
+        return {
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            minutes: (end - start) / 60000,
+            displayTime: `${this.time(start)} - ${new Date(end).toLocaleTimeString('en-US', { timeZone: this.timeZone, hour: 'numeric', minute: '2-digit' })}`
+        };
+    }
+}
+
+/**
+ * Build the conflict/overload report for Graph events.
+ * options: { timeZone, startDate, days, workingHours (Outlook shape), maxMeetingHours, minBufferMinutes, minFocusMinutes }
+ */
+function analyzeCalendar(events, options) {
+    const {
+        timeZone,
+        startDate = getZonedDateString(new Date(), timeZone),
+        days = 7,
+        workingHours = null,
+        maxMeetingHours = DEFAULT_MAX_MEETING_HOURS,
+        minBufferMinutes = DEFAULT_MIN_BUFFER_MINUTES,
+        minFocusMinutes = DEFAULT_MIN_FOCUS_MINUTES
+    } = options;
+    const format = new CalendarReportFormatter(timeZone);
+    const lastDay = addDays(startDate, days - 1);
+
+    const timed = blockingEvents(events, timeZone);
+    const overlaps = findOverlaps(timed);
+    const backToBack = findBackToBack(timed, minBufferMinutes);
+    const working = workingIntervals(workingHours, timeZone, startDate, lastDay);
+
+    const dailyReport = [];
+    for (let date = startDate; date <= lastDay; date = addDays(date, 1)) {
+        const day = {
+            start: zonedTimeToUtc(`${date}T00:00`, timeZone).getTime(),
+            end: zonedTimeToUtc(`${addDays(date, 1)}T00:00`, timeZone).getTime()
+        };
+        const dayEvents = timed.filter(event => event.start < day.end && event.end > day.start);
+        const busy = intersectIntervals(dayEvents.map(({ start, end }) => ({ start, end })), [day]);
+        const meetingMinutes = totalMinutes(busy);
+
+        // Focus time: uninterrupted working-hour gaps of at least minFocusMinutes
+        const workingToday = intersectIntervals(working, [day]);
+        const focusBlocks = subtractIntervals(workingToday, busy)
+            .filter(gap => gap.end - gap.start >= minFocusMinutes * 60000);
+
+        dailyReport.push({
+            date,
+            workingDay: workingToday.length > 0,
+            meetingCount: dayEvents.length,
+            meetingHours: Math.round(meetingMinutes / 6) / 10,
+            overloaded: meetingMinutes > maxMeetingHours * 60,
+            overlapCount: overlaps.filter(overlap => overlap.start >= day.start && overlap.start < day.end).length,
+            backToBackCount: backToBack.filter(transition => transition.to.start >= day.start && transition.to.start < day.end).length,
+            focusMinutes: totalMinutes(focusBlocks),
+            focusBlocks: focusBlocks.map(block => format.interval(block))
+        });
+    }
+
+    return {
+        timeZone,
+        period: { startDate, endDate: lastDay, days },
+        thresholds: { maxMeetingHours, minBufferMinutes, minFocusMinutes },
+        workingHours: describeWorkingHours(workingHours, timeZone),
+        totals: {
+            events: timed.length,
+            meetingHours: Math.round(dailyReport.reduce((sum, day) => sum + day.meetingHours, 0) * 10) / 10,
+            overlaps: overlaps.length,
+            doubleBooked: overlaps.filter(overlap => overlap.type === 'double-booked').length,
+            tentativeOverlaps: overlaps.filter(overlap => overlap.type === 'tentative').length,
+            backToBack: backToBack.length,
+            zeroBufferTransitions: backToBack.filter(transition => transition.zeroBuffer).length,
+            overloadedDays: dailyReport.filter(day => day.overloaded).length,
+            workingDaysWithoutFocusTime: dailyReport.filter(day => day.workingDay && day.focusBlocks.length === 0).length
+        },
+        overlaps: overlaps.map(overlap => ({
+            type: overlap.type,
+            overlapMinutes: overlap.overlapMinutes,
+            events: overlap.events.map(event => format.event(event))
+        })),
+        backToBack: backToBack.map(transition => ({
+            gapMinutes: transition.gapMinutes,
+            zeroBuffer: transition.zeroBuffer,
+            from: format.event(transition.from),
+            to: format.event(transition.to)
+        })),
+        days: dailyReport
+    };
+}
+
+module.exports = {
+    analyzeCalendar,
+    DEFAULT_MAX_MEETING_HOURS,
+    DEFAULT_MIN_BUFFER_MINUTES,
+    DEFAULT_MIN_FOCUS_MINUTES
+};
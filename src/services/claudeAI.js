@@ -1,15 +1,221 @@
-const axios = require('axios');
+const { createLLMProvider } = require('./llmProviders');
+const ClientOrganization = require('../models/ClientOrganization');
+const { MEETING_PROPOSAL_TOOL, parseMeetingProposal, toMeetingData } = require('./meetingProposal');
+const { EVENT_ACTION_TOOL, parseEventActionProposal } = require('./eventActions');
+const { MEETING_BRIEF_TOOL, parseMeetingBrief } = require('./meetingBrief');
+const { DAILY_DIGEST_TOOL, parseDailyDigest } = require('./dailyDigest');
+const { TRIAGE_TOOL, TRIAGE_CATEGORIES, parseTriage } = require('./emailTriage');
+const { ACTION_ITEMS_TOOL, parseActionItems } = require('./actionItems');
+const { FOLLOW_UP_TOOL, parseFollowUpCheck } = require('./followUpTracker');
+const { DEFAULT_TIMEZONE, getTimezoneLabel, parseGraphDateTime } = require('../utils/timezone');
+
+const DEFAULT_MAX_TOKENS = 1500;
+const CALENDAR_ANALYSIS_TOOLS = [MEETING_PROPOSAL_TOOL, EVENT_ACTION_TOOL];
 
 class ClaudeAIService {
-    constructor() {
-        this.apiKey = process.env.ANTHROPIC_API_KEY;
-        this.baseURL = 'https://api.anthropic.com/v1/messages';
-        this.userTimezone = 'America/New_York'; // Make this configurable later
+    // aiSettings: per-tenant overrides from ClientOrganization.settings.ai - { model, temperature, maxTokens }
+    // options.timezone: the user's IANA time zone, used for every time in prompts
+    constructor(aiSettings = {}, options = {}) {
+        this.provider = createLLMProvider();
+        this.aiSettings = aiSettings || {};
+        this.userTimezone = options.timezone || DEFAULT_TIMEZONE;
+    }
+
+    // Service configured with the tenant's AI settings (defaults when the tenant has none)
+    static async forTenant(tenantId, options = {}) {
+        const organization = tenantId ? await ClientOrganization.findByTenantId(tenantId) : null;
+        return new ClaudeAIService(organization ? organization.getAISettings() : {}, options);
+    }
+
+    // e.g. "America/Los_Angeles (PDT)"
+    get timezoneDescription() {
+        return `${this.userTimezone} (${getTimezoneLabel(this.userTimezone)})`;
+    }
+
+    // Tenant settings win over per-call defaults, which win over environment defaults.
+    // The tenant maxTokens is a ceiling: a call that asks for less keeps its smaller budget.
+    resolveOptions(options = {}) {
+        const maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+        return {
+            model: this.aiSettings.model || options.model || process.env.LLM_MODEL,
+            temperature: this.aiSettings.temperature ?? options.temperature,
+            maxTokens: this.aiSettings.maxTokens ? Math.min(this.aiSettings.maxTokens, maxTokens) : maxTokens
+        };
+    }
+
+    // Single entry point for every AI call; prompt is a string or a messages array
+    async complete(prompt, options = {}) {
+        const result = await this.completeWithTools(prompt, [], options);
+        return result.text;
+    }
+
+    // Like complete(), but declares tools and returns { text, toolCalls }. options.toolChoice forces one tool.
+    async completeWithTools(prompt, tools, options = {}) {
+        const messages = typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt;
+        const result = await this.provider.complete({
+            system: options.system,
+            messages: messages,
+            tools: tools,
+            toolChoice: options.toolChoice,
+            ...this.resolveOptions(options)
+        });
+        return { text: result.text, toolCalls: result.toolCalls || [] };
+    }
+
+    // Streaming counterpart of completeWithTools(): yields { type: 'text', text } and { type: 'tool_call', name, input }.
+    // Pass options.signal (AbortSignal) to stop the upstream request when the client goes away.
+    async *streamEvents(prompt, options = {}) {
+        const messages = typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt;
+        yield* this.provider.stream({
+            system: options.system,
+            messages: messages,
+            tools: options.tools,
+            signal: options.signal,
+            ...this.resolveOptions(options)
+        });
+    }
+
+    // Text-only stream: yields text deltas
+    async *streamComplete(prompt, options = {}) {
+        for await (const event of this.streamEvents(prompt, options)) {
+            if (event.type === 'text') {
+                yield event.text;
+            }
+        }
+    }
+
+    // Calendar analysis with meeting detection (propose_meeting) and changes to existing events
+    // (propose_event_action, resolved against options.events - the events listed in the prompt).
+    // Throws MeetingProposalValidationError / EventActionValidationError when a tool call doesn't validate.
+    async analyzeCalendarRequest(prompt, options = {}) {
+        const { events = [], ...completeOptions } = options;
+        const { text, toolCalls } = await this.completeWithTools(prompt, CALENDAR_ANALYSIS_TOOLS, { maxTokens: 1500, ...completeOptions });
+        return this.buildCalendarAnalysis(text, toolCalls, events);
+    }
+
+    buildCalendarAnalysis(text, toolCalls, events = []) {
+        const call = toolCalls.find(toolCall => toolCall.name === MEETING_PROPOSAL_TOOL.name);
+        const proposal = call ? parseMeetingProposal(call.input) : null;
+
+        return {
+            analysis: text.trim(),
+            meetingProposal: proposal,
+            meetingData: toMeetingData(proposal),
+            eventActions: toolCalls
+                .filter(toolCall => toolCall.name === EVENT_ACTION_TOOL.name)
+                .map(toolCall => parseEventActionProposal(toolCall.input, events))
+        };
+    }
+
+    // Structured meeting brief from a write_meeting_brief call; sources are the emails/meetings listed
+    // in the prompt. A model that answers in prose anyway gets its text as the brief's context.
+    // Throws MeetingBriefValidationError when the tool call doesn't validate.
+    async generateMeetingBrief(prompt, { emails = [], priorMeetings = [], fallbackSummary = '' } = {}) {
+        const { text, toolCalls } = await this.completeWithTools(prompt, [MEETING_BRIEF_TOOL], { maxTokens: 2000, toolChoice: MEETING_BRIEF_TOOL.name });
+        const call = toolCalls.find(toolCall => toolCall.name === MEETING_BRIEF_TOOL.name);
+
+        if (!call) {
+            return {
+                structured: false,
+                brief: { summary: fallbackSummary, context: text.trim(), talkingPoints: [], openQuestions: [], attachmentsToReview: [], attendeeNotes: [] }
+            };
+        }
+        return { structured: true, brief: parseMeetingBrief(call.input, { emails, priorMeetings }) };
+    }
+
+    // Priorities and action items for the daily digest; unread is the list the prompt numbers U1, U2, ...
+    // Without a tool call (stub provider) high-importance mail stands in for the priorities.
+    async generateDailyDigest(prompt, { unread = [] } = {}) {
+        const { text, toolCalls } = await this.completeWithTools(prompt, [DAILY_DIGEST_TOOL], { maxTokens: 1500, toolChoice: DAILY_DIGEST_TOOL.name });
+        const call = toolCalls.find(toolCall => toolCall.name === DAILY_DIGEST_TOOL.name);
+
+        if (!call) {
+            return {
+                structured: false,
+                headline: text.trim().split('\n')[0].substring(0, 300) || `${unread.length} unread emails`,
+                priorities: unread.filter(email => email.importance === 'high').map(email => ({ email, reason: 'Marked as high importance' })),
+                actionItems: []
+            };
+        }
+        return { structured: true, ...parseDailyDigest(call.input, unread) };
+    }
+
+    // Structured tasks from email bodies; emails is the list the prompt numbers E1, E2, ...
+    // Without a tool call (stub provider) nothing is proposed.
+    async extractActionItems(prompt, { emails = [] } = {}) {
+        const { toolCalls } = await this.completeWithTools(prompt, [ACTION_ITEMS_TOOL], { maxTokens: 2000, toolChoice: ACTION_ITEMS_TOOL.name });
+        const call = toolCalls.find(toolCall => toolCall.name === ACTION_ITEMS_TOOL.name);
+
+        return call ? { structured: true, items: parseActionItems(call.input, emails) } : { structured: false, items: [] };
+    }
+
+    // Triage a batch of Graph-shaped messages: { results: Map of messageId -> { category, priority, reasons }, source }.
+    // Messages missing from the map (no tool call, or skipped by the model) are left to the caller's rules.
+    async triageEmails(messages) {
+        const list = messages.map((email, index) =>
+            `E${index + 1}: from ${email.from?.emailAddress?.name || ''} <${email.from?.emailAddress?.address || 'unknown'}>`
+            + ` - "${email.subject || '(no subject)'}"${email.importance === 'high' ? ' [high importance]' : ''}${email.hasAttachments ? ' [attachments]' : ''}`
+            + `\n    ${(email.bodyPreview || '').replace(/\s+/g, ' ').substring(0, 300)}`).join('\n');
+
+        const prompt = `Triage these inbox emails for the user. ${this.getCurrentTimeContext()}
+
+${list}
+
+Call triage_emails with one result per email:
+- category: ${Object.keys(TRIAGE_CATEGORIES).join(', ')}. Use phishing for messages that ask for credentials,
+  payment or urgent clicks from senders that don't match the brand they claim.
+- priority: 0-100, how soon the user should look at it (direct requests with deadlines high, bulk mail low).
+- reasons: one to three short reasons a user would find convincing.`;
+
+        const { toolCalls } = await this.completeWithTools(prompt, [TRIAGE_TOOL], { maxTokens: 3000, toolChoice: TRIAGE_TOOL.name });
+        const call = toolCalls.find(toolCall => toolCall.name === TRIAGE_TOOL.name);
+
+        return { results: call ? parseTriage(call.input, messages) : new Map(), source: 'ai' };
+    }
+
+    // Which sent messages wait for a reply: { results: Map of messageId -> { needsReply, reason }, source }.
+    // Messages missing from the map are left to the caller's rules.
+    async checkSentForFollowUp(messages) {
+        const list = messages.map((email, index) =>
+            `S${index + 1}: to ${(email.toRecipients || []).map(r => r.emailAddress?.address).join(', ') || 'unknown'}`
+            + ` - "${email.subject || '(no subject)'}"\n    ${(email.bodyPreview || '').replace(/\s+/g, ' ').substring(0, 300)}`).join('\n');
+
+        const prompt = `These emails were sent by the user. ${this.getCurrentTimeContext()}
+
+${list}
+
+Call flag_awaiting_reply with one result per email. needsReply is true when the email asks the recipients
+a question, for a decision, or to do something; false for thank-yous, FYIs, confirmations and replies that
+close a thread. reason: what the user is waiting for, e.g. "Approval of the Q3 budget".`;
+
+        const { toolCalls } = await this.completeWithTools(prompt, [FOLLOW_UP_TOOL], { maxTokens: 2000, toolChoice: FOLLOW_UP_TOOL.name });
+        const call = toolCalls.find(toolCall => toolCall.name === FOLLOW_UP_TOOL.name);
+
+        return { results: call ? parseFollowUpCheck(call.input, messages) : new Map(), source: 'ai' };
+    }
+
+    // Short, polite nudge for a sent email nobody answered - plain text with the user's signature
+    async draftFollowUpNudge(followUp, userSignature = null) {
+        const signature = this.formatSignature(userSignature);
+        const recipients = followUp.recipients.map(recipient => recipient.name || recipient.address).join(', ');
+
+        const prompt = `${this.getCurrentTimeContext()}
+
+The user emailed ${recipients} ${followUp.daysWaiting} days ago and has had no reply.
+Subject: ${followUp.subject || '(no subject)'}
+Waiting for: ${followUp.reason || 'a reply'}
+${followUp.nudgeCount > 0 ? `The user has already followed up ${followUp.nudgeCount} time(s).\n` : ''}
+Write a short follow-up (2-4 sentences) to send as a reply in the same thread: friendly, not pushy, restating
+what is needed and by when if that helps. Start with a greeting${signature ? '' : ' and end with a closing with just the first name'}.
+Return only the email text${signature ? ', without a closing or signature' : ''}.`;
+
+        const draft = (await this.complete(prompt, { maxTokens: 500 })).trim();
+        return signature ? `${draft}${signature}` : draft;
     }
 
     getCurrentTimeContext() {
         const now = new Date();
-        const estTime = now.toLocaleString('en-US', {
+        const localTime = now.toLocaleString('en-US', {
             timeZone: this.userTimezone,
             weekday: 'long',
             year: 'numeric',
@@ -21,7 +227,7 @@ class ClaudeAIService {
             timeZoneName: 'short'
         });
         
-        return `Current time: ${estTime}`;
+        return `Current time: ${localTime}`;
     }
     // Helper method to format signature
     formatSignature(signature) {
@@ -64,27 +270,19 @@ class ClaudeAIService {
         const prompt = this.buildEmailQueryPrompt(query, emailData, calendarData);
         
         try {
-            const response = await axios.post(this.baseURL, {
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: 1500,
-                messages: [
-                    { role: 'user', content: prompt }
-                ]
-            }, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': this.apiKey,
-                    'anthropic-version': '2023-06-01'
-                }
-            });
-
-            return response.data.content[0].text;
+            return await this.complete(prompt, { maxTokens: 1500 });
         } catch (error) {
-            console.error('Error calling Claude API:', error.response?.data || error.message);
+            console.error(`Error calling ${this.provider.name} API:`, error.response?.data || error.message);
             throw new Error('AI processing failed');
         }
     }
 
+    // Streaming counterpart of processEmailQuery()
+    streamEmailQuery(query, emailData, calendarData = null, options = {}) {
+        const prompt = this.buildEmailQueryPrompt(query, emailData, calendarData);
+        return this.streamComplete(prompt, { maxTokens: 1500, signal: options.signal });
+    }
+
     buildEmailQueryPrompt(query, emailData, calendarData) {
         let prompt = `You are an AI assistant helping to manage Microsoft 365 emails and calendar. 
 
@@ -96,11 +294,11 @@ Recent Email Data:
 ${this.formatEmailsForPrompt(emailData)}`;
 
         if (calendarData && calendarData.length > 0) {
-            prompt += `\n\nUpcoming Calendar Events (times in Eastern Time):
+            prompt += `\n\nUpcoming Calendar Events (times in ${this.timezoneDescription}):
 ${this.formatCalendarForPrompt(calendarData)}`;
         }
 
-        prompt += `\n\nProvide a helpful response to the user's query. When mentioning times, always specify they are in Eastern Time (EST/EDT). Be specific and actionable.`;
+        prompt += `\n\nProvide a helpful response to the user's query. When mentioning times, always give them in the user's time zone, ${this.timezoneDescription}. Be specific and actionable.`;
 
         return prompt;
     }
@@ -114,7 +312,7 @@ ${this.formatCalendarForPrompt(calendarData)}`;
             const from = email.from?.emailAddress?.address || 'Unknown sender';
             const name = email.from?.emailAddress?.name || '';
             
-            // Format date in Eastern Time
+            // Format date in the user's time zone
             const date = new Date(email.receivedDateTime).toLocaleDateString('en-US', {
                 timeZone: this.userTimezone
             });
@@ -129,7 +327,7 @@ ${this.formatCalendarForPrompt(calendarData)}`;
             
             return `${index + 1}. From: ${name} <${from}>
    Subject: ${email.subject}
-   Date: ${date} ${time} EST
+   Date: ${date} ${time} ${getTimezoneLabel(this.userTimezone, new Date(email.receivedDateTime))}
    Read: ${email.isRead ? 'Yes' : 'No'}
    Preview: ${preview}...`;
         }).join('\n\n');
@@ -141,8 +339,9 @@ ${this.formatCalendarForPrompt(calendarData)}`;
         }
 
         return events.slice(0, 10).map((event, index) => {
-            // Format times in Eastern Time
-            const start = new Date(event.start.dateTime).toLocaleString('en-US', {
+            // Format times in the user's time zone
+            const startTime = parseGraphDateTime(event.start);
+            const start = startTime.toLocaleString('en-US', {
                 timeZone: this.userTimezone,
                 weekday: 'short',
                 month: 'short',
@@ -151,7 +350,7 @@ ${this.formatCalendarForPrompt(calendarData)}`;
                 minute: '2-digit',
                 hour12: true
             });
-            const end = new Date(event.end.dateTime).toLocaleString('en-US', {
+            const end = parseGraphDateTime(event.end).toLocaleString('en-US', {
                 timeZone: this.userTimezone,
                 hour: 'numeric',
                 minute: '2-digit',
@@ -161,8 +360,8 @@ ${this.formatCalendarForPrompt(calendarData)}`;
             const location = event.location?.displayName || 'No location';
             
             return `${index + 1}. ${event.subject}
-   Start: ${start} EST
-   End: ${end} EST
+   Start: ${start} ${getTimezoneLabel(this.userTimezone, startTime)}
+   End: ${end} ${getTimezoneLabel(this.userTimezone, startTime)}
    Location: ${location}`;
         }).join('\n\n');
     }
@@ -194,7 +393,7 @@ Generate an appropriate response that:
 - Maintains a ${tone} tone
 - Is concise but complete
 - Includes a proper greeting
-- If scheduling is mentioned, reference Eastern Time
+- If scheduling is mentioned, reference times in ${this.timezoneDescription}
 - ${signature ? 'Must end with the provided signature exactly as shown' : 'Includes an appropriate closing with just the first name'}
 
 ${signature ? `IMPORTANT: You must include this exact signature at the end:
@@ -203,21 +402,7 @@ ${signature}` : ''}
 Return only the email content without subject line.`;
 
     try {
-        const response = await axios.post(this.baseURL, {
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 1000,
-            messages: [
-                { role: 'user', content: prompt }
-            ]
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': this.apiKey,
-                'anthropic-version': '2023-06-01'
-            }
-        });
-
-        let generatedResponse = response.data.content[0].text;
+        let generatedResponse = await this.complete(prompt, { maxTokens: 1000 });
         
         // If signature wasn't properly included by Claude, append it manually
         if (signature && !generatedResponse.includes(signature.trim().split('\n')[1])) {
@@ -0,0 +1,246 @@
+const axios = require('axios');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+// Conferencing providers share one interface:
+//   createMeeting({ title, start, end, timeZone, agenda, recurring, organizerEmail }) -> conference or null (created together with the event)
+//   eventFields(conference) -> fields merged into the Graph event before it is created
+//   conferenceFromEvent(createdEvent, conference) -> { provider, joinUrl, meetingId, passcode, dialIns: [{ country, number }] }
+//   deleteMeeting(conference) -> undo createMeeting when the calendar event could not be created
+// start/end are Dates. Tenant credentials live in client_organizations.settings.conferencing.
+
+const ZOOM_API_BASE_URL = (process.env.ZOOM_API_BASE_URL || 'https://api.zoom.us/v2').replace(/\/$/, '');
+const ZOOM_OAUTH_URL = process.env.ZOOM_OAUTH_URL || 'https://zoom.us/oauth/token';
+
+class ConferencingError extends Error {
+    constructor(message, statusCode = 502) {
+        super(message);
+        this.name = 'ConferencingError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Teams meetings are created by Exchange when the event is saved with isOnlineMeeting
+class TeamsProvider {
+    constructor() {
+        this.name = 'teams';
+        this.label = 'Microsoft Teams';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async createMeeting() {
+        return null;
+    }
+
+    eventFields() {
+        return {
+            isOnlineMeeting: true,
+            onlineMeetingProvider: 'teamsForBusiness',
+            location: { displayName: 'Microsoft Teams Meeting' }
+        };
+    }
+
+    conferenceFromEvent(createdEvent) {
+        const onlineMeeting = createdEvent.onlineMeeting || {};
+        return {
+            provider: this.name,
+            joinUrl: onlineMeeting.joinUrl || null,
+            meetingId: onlineMeeting.conferenceId || null,
+            passcode: null,
+            dialIns: [
+                ...(onlineMeeting.tollNumber ? [{ country: null, number: onlineMeeting.tollNumber }] : []),
+                ...(onlineMeeting.phones || []).map(phone => ({ country: phone.region || null, number: phone.number }))
+            ]
+        };
+    }
+
+    async deleteMeeting() {}
+}
+
+// Zoom Server-to-Server OAuth app per tenant: settings.conferencing.zoom = { accountId, clientId, clientSecret (encrypted) }
+class ZoomProvider {
+    constructor(credentials) {
+        this.name = 'zoom';
+        this.label = 'Zoom';
+        this.credentials = credentials || null;
+    }
+
+    isConfigured() {
+        return !!(this.credentials && this.credentials.accountId && this.credentials.clientId && this.credentials.clientSecret);
+    }
+
+    // account_credentials tokens last an hour; cached per Zoom app until shortly before they expire
+    async getAccessToken() {
+        if (!this.isConfigured()) {
+            throw new ConferencingError('Zoom is not configured for this organization', 400);
+        }
+
+        const { accountId, clientId } = this.credentials;
+        const cached = ZoomProvider.tokens.get(clientId);
+        if (cached && cached.expiresAt > Date.now() + 60 * 1000) {
+            return cached.accessToken;
+        }
+
+        try {
+            const response = await axios.post(ZOOM_OAUTH_URL, null, {
+                params: { grant_type: 'account_credentials', account_id: accountId },
+                auth: { username: clientId, password: decrypt(this.credentials.clientSecret) }
+            });
+            ZoomProvider.tokens.set(clientId, {
+                accessToken: response.data.access_token,
+                expiresAt: Date.now() + response.data.expires_in * 1000
+            });
+            return response.data.access_token;
+        } catch (error) {
+            throw new ConferencingError(`Zoom authentication failed: ${error.response?.data?.reason || error.message}`);
+        }
+    }
+
+    async request(method, path, data) {
+        const accessToken = await this.getAccessToken();
+        try {
+            const response = await axios({
+                method,
+                url: `${ZOOM_API_BASE_URL}${path}`,
+                data,
+                headers: { Authorization: `Bearer ${accessToken}` }
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 401) {
+                ZoomProvider.tokens.delete(this.credentials.clientId);
+            }
+            const failure = new ConferencingError(`Zoom API ${method.toUpperCase()} ${path} failed: ${error.response?.data?.message || error.message}`);
+            failure.zoomCode = error.response?.data?.code ?? null;
+            throw failure;
+        }
+    }
+
+    // The organizer hosts the meeting - 'me' would be the account that owns the Zoom app.
+    // Recurring invites get a recurring meeting with no fixed time - one join link for every occurrence
+    async createMeeting({ title, start, end, timeZone, agenda, recurring = false, organizerEmail }) {
+        if (!organizerEmail) {
+            throw new ConferencingError('The organizer\'s email address is needed to host a Zoom meeting', 400);
+        }
+
+        let meeting;
+        try {
+            meeting = await this.request('post', `/users/${encodeURIComponent(organizerEmail)}/meetings`, {
+                topic: title,
+                type: recurring ? 3 : 2, // 3: recurring without fixed time, 2: scheduled
+                start_time: recurring ? undefined : start.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+                duration: Math.max(1, Math.round((end - start) / 60000)),
+                timezone: timeZone,
+                agenda: (agenda || '').substring(0, 2000),
+                settings: { join_before_host: false, waiting_room: true }
+            });
+        } catch (error) {
+            // 1001: the user is not in the organization's Zoom account
+            if (error.zoomCode === 1001) {
+                throw new ConferencingError(`${organizerEmail} is not a user in your organization's Zoom account`, 400);
+            }
+            throw error;
+        }
+
+        return {
+            provider: this.name,
+            joinUrl: meeting.join_url,
+            meetingId: String(meeting.id),
+            passcode: meeting.password || null,
+            dialIns: (meeting.settings?.global_dial_in_numbers || []).map(dialIn => ({
+                country: dialIn.country_name || dialIn.country || null,
+                number: dialIn.number
+            }))
+        };
+    }
+
+    eventFields(conference) {
+        return {
+            isOnlineMeeting: false,
+            location: { displayName: 'Zoom Meeting', locationUri: conference.joinUrl }
+        };
+    }
+
+    conferenceFromEvent(createdEvent, conference) {
+        return conference;
+    }
+
+    async deleteMeeting(conference) {
+        await this.request('delete', `/meetings/${encodeURIComponent(conference.meetingId)}`);
+    }
+}
+ZoomProvider.tokens = new Map();
+
+// Meeting types backed by a conferencing service - in-person and phone meetings have none
+const PROVIDERS = {
+    teams: () => new TeamsProvider(),
+    zoom: (settings) => new ZoomProvider(settings.zoom)
+};
+
+// Provider for a meeting type, or null for meeting types without a conference link.
+// conferencingSettings: ClientOrganization settings.conferencing (may be empty)
+function createConferencingProvider(meetingType, conferencingSettings = {}) {
+    const create = PROVIDERS[meetingType];
+    return create ? create(conferencingSettings || {}) : null;
+}
+
+// { teams: { label, configured }, zoom: { ... } } for the tenant
+function describeConferencingProviders(conferencingSettings = {}) {
+    const providers = {};
+    for (const meetingType of Object.keys(PROVIDERS)) {
+        const provider = createConferencingProvider(meetingType, conferencingSettings);
+        providers[meetingType] = { label: provider.label, configured: provider.isConfigured() };
+    }
+    return providers;
+}
+
+// Settings with new Zoom credentials - the client secret is stored encrypted; null removes them
+function withZoomCredentials(settings, credentials) {
+    const conferencing = { ...(settings?.conferencing || {}) };
+    if (credentials) {
+        const { accountId, clientId, clientSecret } = credentials;
+        if (!accountId || !clientId || !clientSecret) {
+            throw new ConferencingError('accountId, clientId and clientSecret are required', 400);
+        }
+        conferencing.zoom = { accountId, clientId, clientSecret: encrypt(clientSecret) };
+    } else {
+        delete conferencing.zoom;
+    }
+    return { ...(settings || {}), conferencing };
+}
+
+// Organization settings safe to show - stored secrets are replaced with a marker
+function redactSettings(settings) {
+    const zoom = settings?.conferencing?.zoom;
+    if (!zoom) {
+        return settings || {};
+    }
+    return { ...settings, conferencing: { ...settings.conferencing, zoom: { ...zoom, clientSecret: '********' } } };
+}
+
+// HTML join details appended to the invite body (Teams adds its own)
+function formatJoinDetails(conference) {
+    const lines = [
+        `<p><strong>Join ${conference.provider === 'zoom' ? 'Zoom' : 'online'} meeting:</strong> <a href="${conference.joinUrl}">${conference.joinUrl}</a></p>`
+    ];
+    if (conference.meetingId) {
+        lines.push(`<p>Meeting ID: ${conference.meetingId}${conference.passcode ? ` &nbsp; Passcode: ${conference.passcode}` : ''}</p>`);
+    }
+    if (conference.dialIns.length > 0) {
+        lines.push(`<p>Dial in:<br>${conference.dialIns.map(dialIn => `${dialIn.country ? `${dialIn.country}: ` : ''}${dialIn.number}`).join('<br>')}</p>`);
+    }
+    return `<hr>${lines.join('\n')}`;
+}
+
+module.exports = {
+    ConferencingError,
+    TeamsProvider,
+    ZoomProvider,
+    createConferencingProvider,
+    describeConferencingProviders,
+    withZoomCredentials,
+    redactSettings,
+    formatJoinDetails
+};
@@ -0,0 +1,273 @@
+const MailboxSync = require('./mailboxSync');
+const { validateAgainstSchema } = require('../utils/jsonSchema');
+const { getZonedDayRange, getZonedDateString, getZonedDateTimeString, parseGraphDateTime, getTimezoneLabel } = require('../utils/timezone');
+
+// Daily digest mailed to the user's own inbox at a local time of their choosing: unread priorities,
+// action items, today's agenda and flagged follow-ups that are due. Opt-in, stored in
+// UserSettings.preferences.dailyDigest = { enabled, time: 'HH:mm', weekdaysOnly, lastSentDate }.
+
+const DIGEST_DEFAULTS = { enabled: false, time: '07:30', weekdaysOnly: false, lastSentDate: null };
+const SEND_WINDOW_MINUTES = 120; // after downtime, a digest more than 2 hours late is skipped for the day
+const MAX_UNREAD = 30;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DAILY_DIGEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        headline: { type: 'string', minLength: 1, maxLength: 300, description: 'One sentence on what matters most today' },
+        priorities: {
+            type: 'array',
+            maxItems: 8,
+            items: {
+                type: 'object',
+                properties: {
+                    ref: { type: 'string', pattern: '^U\\d+$', description: 'Unread email reference, e.g. U2' },
+                    reason: { type: 'string', minLength: 1, maxLength: 200 }
+                },
+                required: ['ref', 'reason']
+            }
+        },
+        actionItems: {
+            type: 'array',
+            maxItems: 15,
+            items: {
+                type: 'object',
+                properties: {
+                    task: { type: 'string', minLength: 1, maxLength: 300 },
+                    ref: { type: 'string', pattern: '^U\\d+$' },
+                    due: { type: 'string', description: 'Deadline as written in the email, if any' }
+                },
+                required: ['task']
+            }
+        }
+    },
+    required: ['headline', 'priorities', 'actionItems']
+};
+
+const DAILY_DIGEST_TOOL = {
+    name: 'write_daily_digest',
+    description: 'Pick the unread emails (U1, U2, ...) that need attention today and list the action items they contain.',
+    inputSchema: DAILY_DIGEST_SCHEMA
+};
+
+class DigestSettingsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DigestSettingsError';
+        this.statusCode = 400;
+    }
+}
+
+class DailyDigestValidationError extends Error {
+    constructor(errors, input) {
+        super(`AI daily digest did not match the schema: ${errors.join('; ')}`);
+        this.name = 'DailyDigestValidationError';
+        this.statusCode = 502;
+        this.errors = errors;
+        this.input = input;
+    }
+}
+
+// Stored digest settings with defaults filled in
+function getDigestSettings(userSettings) {
+    return { ...DIGEST_DEFAULTS, ...(userSettings.preferences?.dailyDigest || {}) };
+}
+
+// Validated changes from a settings request: { enabled, time, weekdaysOnly } - any subset
+function validateDigestSettings(input) {
+    const { enabled, time, weekdaysOnly } = input || {};
+    const changes = {};
+
+    if (enabled !== undefined) {
+        if (typeof enabled !== 'boolean') throw new DigestSettingsError('enabled must be true or false');
+        changes.enabled = enabled;
+    }
+    if (time !== undefined) {
+        if (!TIME_PATTERN.test(String(time))) throw new DigestSettingsError('time must be a 24-hour HH:mm local time, e.g. 07:30');
+        changes.time = time;
+    }
+    if (weekdaysOnly !== undefined) {
+        if (typeof weekdaysOnly !== 'boolean') throw new DigestSettingsError('weekdaysOnly must be true or false');
+        changes.weekdaysOnly = weekdaysOnly;
+    }
+    return changes;
+}
+
+// Whether the digest should go out now: past the configured local time (within the send window)
+// and not sent yet on this local date
+function isDigestDue(settings, timeZone, now = new Date()) {
+    if (!settings.enabled) {
+        return false;
+    }
+    const local = getZonedDateTimeString(now, timeZone);
+    const today = local.substring(0, 10);
+    if (settings.lastSentDate === today) {
+        return false;
+    }
+    const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+    if (settings.weekdaysOnly && (weekday === 0 || weekday === 6)) {
+        return false;
+    }
+
+    const toMinutes = (hhmm) => parseInt(hhmm.substring(0, 2), 10) * 60 + parseInt(hhmm.substring(3, 5), 10);
+    const minutesLate = toMinutes(local.substring(11, 16)) - toMinutes(settings.time);
+    return minutesLate >= 0 && minutesLate < SEND_WINDOW_MINUTES;
+}
+
+// Resolve a write_daily_digest call against the unread emails listed in the prompt
+function parseDailyDigest(input, unread) {
+    const errors = validateAgainstSchema(input, DAILY_DIGEST_SCHEMA);
+    const lookup = (ref) => ref ? unread[parseInt(ref.substring(1), 10) - 1] : undefined;
+
+    if (errors.length === 0) {
+        for (const field of ['priorities', 'actionItems']) {
+            input[field].forEach((item, index) => {
+                if (item.ref && !lookup(item.ref)) {
+                    errors.push(`input.${field}[${index}].ref: ${item.ref} is not one of the listed emails`);
+                }
+            });
+        }
+    }
+    if (errors.length > 0) {
+        throw new DailyDigestValidationError(errors, input);
+    }
+
+    return {
+        headline: input.headline,
+        priorities: input.priorities.map(item => ({ email: lookup(item.ref), reason: item.reason })),
+        actionItems: input.actionItems.map(item => ({ task: item.task, due: item.due || null, email: lookup(item.ref) || null }))
+    };
+}
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+const escapeHtml = (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+class DailyDigest {
+    constructor(userSettings, graphService, aiService, { timeZone }) {
+        this.userSettings = userSettings;
+        this.graphService = graphService;
+        this.aiService = aiService;
+        this.timeZone = timeZone;
+    }
+
+    async getUnread() {
+        const { value } = await new MailboxSync(this.userSettings, this.graphService).listMessages({ unreadOnly: true, limit: MAX_UNREAD });
+        return value;
+    }
+
+    async getAgenda() {
+        const { start, end } = getZonedDayRange(this.timeZone);
+        const { value } = await this.graphService.getCalendarView(start, end, { timeZone: this.timeZone });
+        return value.filter(event => !event.isCancelled);
+    }
+
+    // Flagged messages due today or earlier (flags without a due date are left out). Outlook stores
+    // the due day as midnight, so the date part is compared as is rather than converted between zones.
+    async getFollowUpsDue() {
+        const today = getZonedDateString(new Date(), this.timeZone);
+        const flagged = await this.graphService.getFlaggedMessages();
+        return flagged.filter(message => message.flag?.dueDateTime && message.flag.dueDateTime.dateTime.substring(0, 10) <= today);
+    }
+
+    formatTime(date) {
+        return date.toLocaleTimeString('en-US', { timeZone: this.timeZone, hour: 'numeric', minute: '2-digit' });
+    }
+
+    buildPrompt(unread) {
+        const lines = unread.map((email, index) =>
+            `U${index + 1}: from ${email.from?.emailAddress?.name || ''} <${email.from?.emailAddress?.address || 'unknown'}>`
+            + ` - "${email.subject || '(no subject)'}"${email.importance === 'high' ? ' [high importance]' : ''}`
+            + `\n    ${(email.bodyPreview || '').replace(/\s+/g, ' ').substring(0, 250)}`);
+
+        return `These are the user's unread emails this morning (${getZonedDateString(new Date(), this.timeZone)}, ${this.timeZone}):
+
+${lines.join('\n') || 'No unread emails.'}
+
+Call write_daily_digest: pick the emails that need the user's attention today and why, and list concrete
+action items (what the user has to do) with the email they come from. Skip newsletters and notifications.`;
+    }
+
+    // { subject, html, digest } - digest holds the raw sections for the preview endpoint
+    async build() {
+        const [unread, agenda, followUps] = await Promise.all([this.getUnread(), this.getAgenda(), this.getFollowUpsDue()]);
+        const summary = unread.length > 0
+            ? await this.aiService.generateDailyDigest(this.buildPrompt(unread), { unread })
+            : { structured: true, headline: 'Inbox zero - no unread email.', priorities: [], actionItems: [] };
+
+        const today = getZonedDateString(new Date(), this.timeZone);
+        const digest = {
+            date: today,
+            timeZone: this.timeZone,
+            headline: summary.headline,
+            structured: summary.structured,
+            unreadCount: unread.length,
+            priorities: summary.priorities,
+            actionItems: summary.actionItems,
+            agenda: agenda.map(event => ({
+                id: event.id,
+                subject: event.subject,
+                start: parseGraphDateTime(event.start, this.timeZone),
+                end: parseGraphDateTime(event.end, this.timeZone),
+                isAllDay: !!event.isAllDay,
+                location: event.location?.displayName || null
+            })),
+            followUps: followUps.map(message => ({
+                id: message.id,
+                subject: message.subject,
+                from: message.from?.emailAddress?.address || null,
+                due: message.flag.dueDateTime.dateTime.substring(0, 10),
+                webLink: message.webLink || null
+            }))
+        };
+
+        const dateLabel = new Date(`${today}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+        return {
+            subject: `Your daily digest - ${dateLabel}`,
+            html: this.renderHtml(digest, dateLabel),
+            digest
+        };
+    }
+
+    renderHtml(digest, dateLabel) {
+        const section = (title, items, empty) => `
+            <h3 style="color: #667eea; margin: 24px 0 8px 0;">${title}</h3>
+            ${items.length > 0 ? `<ul style="padding-left: 20px; margin: 0;">${items.map(item => `<li style="margin-bottom: 6px;">${item}</li>`).join('')}</ul>` : `<p style="color: #888; margin: 0;">${empty}</p>`}`;
+        const emailLink = (email) => email?.webLink
+            ? `<a href="${escapeHtml(email.webLink)}">${escapeHtml(email.subject || '(no subject)')}</a>`
+            : `<strong>${escapeHtml(email?.subject || '(no subject)')}</strong>`;
+        const zone = getTimezoneLabel(this.timeZone);
+
+        return `<div style="font-family: -apple-system, Segoe UI, Arial, sans-serif; max-width: 640px; color: #333;">
+            <h2 style="margin: 0;">☀️ ${escapeHtml(dateLabel)}</h2>
+            <p style="font-size: 16px;">${escapeHtml(digest.headline)}</p>
+            <p style="color: #666;">${digest.unreadCount} unread · ${plural(digest.agenda.length, 'meeting')} · ${plural(digest.followUps.length, 'follow-up')} due</p>
+            ${section('📌 Unread priorities', digest.priorities.map(item =>
+                `${emailLink(item.email)} from ${escapeHtml(item.email.from?.emailAddress?.name || item.email.from?.emailAddress?.address || 'unknown')}<br><span style="color: #666;">${escapeHtml(item.reason)}</span>`), 'Nothing urgent in your inbox.')}
+            ${section('✅ Action items', digest.actionItems.map(item =>
+                `${escapeHtml(item.task)}${item.due ? ` <span style="color: #c62828;">(due ${escapeHtml(item.due)})</span>` : ''}${item.email ? `<br><span style="color: #666;">From: ${emailLink(item.email)}</span>` : ''}`), 'No action items found.')}
+            ${section(`📅 Today's agenda (${zone})`, digest.agenda.map(event =>
+                `<strong>${event.isAllDay ? 'All day' : `${this.formatTime(event.start)} - ${this.formatTime(event.end)}`}</strong> ${escapeHtml(event.subject)}${event.location ? ` <span style="color: #666;">· ${escapeHtml(event.location)}</span>` : ''}`), 'No meetings today.')}
+            ${section('🚩 Follow-ups due', digest.followUps.map(item =>
+                `${emailLink(item)}${item.from ? ` from ${escapeHtml(item.from)}` : ''} <span style="color: #c62828;">due ${escapeHtml(item.due)}</span>`), 'No flagged follow-ups due.')}
+            <p style="color: #aaa; font-size: 12px; margin-top: 32px;">Sent by AI Email Agent. Turn the daily digest off under Settings.</p>
+        </div>`;
+    }
+
+    // Build and mail the digest to the user's own mailbox
+    async send() {
+        const { subject, html, digest } = await this.build();
+        await this.graphService.sendEmail(this.userSettings.userEmail, subject, html);
+        return digest;
+    }
+}
+
+module.exports = {
+    DAILY_DIGEST_TOOL,
+    DailyDigest,
+    DigestSettingsError,
+    DailyDigestValidationError,
+    getDigestSettings,
+    validateDigestSettings,
+    isDigestDue,
+    parseDailyDigest
+};
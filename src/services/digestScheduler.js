@@ -0,0 +1,63 @@
+const MicrosoftGraphService = require('./microsoftGraph');
+const ClaudeAIService = require('./claudeAI');
+const UserSettings = require('../models/UserSettings');
+const { acquireTokenForUser } = require('./tokenCache');
+const { DailyDigest, getDigestSettings, isDigestDue } = require('./dailyDigest');
+const { getZonedDateString } = require('../utils/timezone');
+
+// How often the job queue checks for due digests - they go out within this long of the configured time
+const CHECK_INTERVAL = 5 * 60 * 1000;
+
+class DigestScheduler {
+    // Queue a digest.send job for every user whose digest is due. The job is keyed by user and
+    // local date, so repeated checks (or several instances) never queue a second one that day.
+    static async enqueueDueDigests(queue, now = new Date()) {
+        const users = await UserSettings.findAll({ where: { isActive: true } });
+        let enqueued = 0;
+
+        for (const userSettings of users) {
+            const timeZone = userSettings.getTimezone();
+            if (!isDigestDue(getDigestSettings(userSettings), timeZone, now)) {
+                continue;
+            }
+
+            const date = getZonedDateString(now, timeZone);
+            await queue.enqueue('digest.send', { userSettingsId: userSettings.id, date }, {
+                tenantId: userSettings.tenantId,
+                userSettingsId: userSettings.id,
+                uniqueKey: `digest:${userSettings.id}:${date}`,
+                maxAttempts: 3
+            });
+            enqueued++;
+        }
+
+        return { enqueued };
+    }
+
+    // digest.send job: build and mail one user's digest for `date` (their local date)
+    static async sendDigest({ userSettingsId, date }) {
+        const userSettings = await UserSettings.findByPk(userSettingsId);
+        if (!userSettings || !userSettings.isActive) {
+            return { skipped: 'user inactive' };
+        }
+        const settings = getDigestSettings(userSettings);
+        if (!settings.enabled || settings.lastSentDate === date) {
+            return { skipped: settings.enabled ? 'already sent' : 'digest turned off' };
+        }
+
+        const timeZone = userSettings.getTimezone();
+        const graphService = new MicrosoftGraphService(() => acquireTokenForUser(userSettings));
+        const aiService = await ClaudeAIService.forTenant(userSettings.tenantId, { timezone: timeZone });
+        await new DailyDigest(userSettings, graphService, aiService, { timeZone }).send();
+
+        // Reload so a settings change made while the digest was being built isn't overwritten
+        await userSettings.reload();
+        await userSettings.updatePreferences({ dailyDigest: { ...getDigestSettings(userSettings), lastSentDate: date } });
+        console.log(`☀️ Daily digest sent to ${userSettings.userEmail}`);
+        return { sent: true };
+    }
+}
+
+DigestScheduler.CHECK_INTERVAL = CHECK_INTERVAL;
+
+module.exports = DigestScheduler;
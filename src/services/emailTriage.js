@@ -0,0 +1,232 @@
+const { Op } = require('sequelize');
+const MailMessage = require('../models/MailMessage');
+const { validateAgainstSchema } = require('../utils/jsonSchema');
+
+// Triage sorts inbox messages into a fixed set of categories with a 0-100 priority score. The model
+// answers with a `triage_emails` tool call covering a batch of messages; results are stored on the
+// MailMessage rows and written back to Outlook as categories ("AI: Action required", ...) so they
+// show up in every mail client.
+
+const TRIAGE_CATEGORIES = {
+    action_required: 'AI: Action required',
+    fyi: 'AI: FYI',
+    meeting_request: 'AI: Meeting request',
+    newsletter: 'AI: Newsletter',
+    receipt: 'AI: Receipt',
+    personal: 'AI: Personal',
+    phishing: 'AI: Possible phishing'
+};
+const CATEGORY_PREFIX = 'AI: ';
+const BATCH_SIZE = 20;
+
+const TRIAGE_SCHEMA = {
+    type: 'object',
+    properties: {
+        results: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    ref: { type: 'string', pattern: '^E\\d+$', description: 'Email reference from the list, e.g. E3' },
+                    category: { type: 'string', enum: Object.keys(TRIAGE_CATEGORIES) },
+                    priority: { type: 'integer', minimum: 0, maximum: 100, description: '100 = needs the user right now, 0 = can be ignored' },
+                    reasons: {
+                        type: 'array',
+                        minItems: 1,
+                        maxItems: 3,
+                        items: { type: 'string', minLength: 1, maxLength: 200 }
+                    }
+                },
+                required: ['ref', 'category', 'priority', 'reasons']
+            }
+        }
+    },
+    required: ['results']
+};
+
+const TRIAGE_TOOL = {
+    name: 'triage_emails',
+    description: 'Record a category, priority score and short reasons for every listed email (E1, E2, ...).',
+    inputSchema: TRIAGE_SCHEMA
+};
+
+class EmailTriageValidationError extends Error {
+    constructor(errors, input) {
+        super(`AI triage did not match the schema: ${errors.join('; ')}`);
+        this.name = 'EmailTriageValidationError';
+        this.statusCode = 502;
+        this.errors = errors;
+        this.input = input;
+    }
+}
+
+// Map of messageId -> { category, priority, reasons } for a triage_emails call over `messages`
+function parseTriage(input, messages) {
+    const errors = validateAgainstSchema(input, TRIAGE_SCHEMA);
+    const results = new Map();
+
+    if (errors.length === 0) {
+        input.results.forEach((result, index) => {
+            const message = messages[parseInt(result.ref.substring(1), 10) - 1];
+            if (!message) {
+                errors.push(`input.results[${index}].ref: ${result.ref} is not one of the listed emails`);
+            } else {
+                results.set(message.id, { category: result.category, priority: result.priority, reasons: result.reasons });
+            }
+        });
+    }
+    if (errors.length > 0) {
+        throw new EmailTriageValidationError(errors, input);
+    }
+    return results;
+}
+
+// Keyword rules used when the provider returns no tool call (stub provider, or an email the model skipped)
+function ruleBasedTriage(message) {
+    const subject = (message.subject || '').toLowerCase();
+    const sender = (message.from?.emailAddress?.address || '').toLowerCase();
+    const preview = (message.bodyPreview || '').toLowerCase();
+    const boost = (message.importance === 'high' ? 20 : 0) + (message.isRead ? 0 : 10);
+
+    const rules = [
+        [/verify your (account|password)|suspended|unusual sign-in|confirm your identity/.test(`${subject} ${preview}`), 'phishing', 60, 'Asks to verify an account or password'],
+        [/^(invitation|updated invitation|accepted|declined):|meeting request/.test(subject), 'meeting_request', 50, 'Looks like a calendar invitation'],
+        [/receipt|order confirmation|your order|invoice|payment received/.test(subject), 'receipt', 15, 'Looks like a receipt or invoice'],
+        [/no-?reply|newsletter|news@|digest/.test(sender) || /unsubscribe/.test(preview), 'newsletter', 5, 'Sent from a bulk or no-reply address'],
+        [/please|can you|could you|action required|deadline|asap|by (monday|tuesday|wednesday|thursday|friday|eod|tomorrow)/.test(`${subject} ${preview}`), 'action_required', 55, 'Contains a request or deadline']
+    ];
+    const [, category, base, reason] = rules.find(([matches]) => matches) || [true, 'fyi', 25, 'No request or deadline found'];
+
+    return {
+        category,
+        priority: Math.min(base + (category === 'newsletter' ? 0 : boost), 100),
+        reasons: [reason, ...(message.importance === 'high' ? ['Marked as high importance'] : [])]
+    };
+}
+
+// Replace any earlier AI category, keeping the user's own categories
+function withTriageCategory(categories, category) {
+    return [...(categories || []).filter(name => !name.startsWith(CATEGORY_PREFIX)), TRIAGE_CATEGORIES[category]];
+}
+
+class EmailTriageService {
+    // aiService: ClaudeAIService (triageEmails); options.writeCategories: false to skip the Outlook write-back
+    constructor(userSettings, graphService, aiService, options = {}) {
+        this.userSettings = userSettings;
+        this.graphService = graphService;
+        this.aiService = aiService;
+        this.writeCategories = options.writeCategories !== false;
+    }
+
+    // Classify Graph-shaped messages, store the results and tag the messages in Outlook.
+    // Returns the stored results keyed by messageId.
+    async triageMessages(messages) {
+        const triaged = new Map();
+
+        for (let start = 0; start < messages.length; start += BATCH_SIZE) {
+            const batch = messages.slice(start, start + BATCH_SIZE);
+            const { results, source } = await this.aiService.triageEmails(batch);
+            const triagedAt = new Date();
+
+            for (const message of batch) {
+                const result = results.get(message.id) || ruleBasedTriage(message);
+                const triage = { ...result, source: results.has(message.id) ? source : 'rules', triagedAt };
+                await MailMessage.update({
+                    triageCategory: triage.category,
+                    triagePriority: triage.priority,
+                    triageReasons: triage.reasons,
+                    triageSource: triage.source,
+                    triagedAt
+                }, { where: { userSettingsId: this.userSettings.id, messageId: message.id } });
+                triaged.set(message.id, triage);
+            }
+
+            if (this.writeCategories) {
+                await this.writeBack(batch, triaged);
+            }
+        }
+
+        return triaged;
+    }
+
+    // One $batch of PATCHes per triage batch; a message that can't be tagged keeps its stored triage
+    async writeBack(messages, triaged) {
+        const updates = messages
+            .map(message => ({ message, categories: withTriageCategory(message.categories, triaged.get(message.id).category) }))
+            .filter(({ message, categories }) => categories.join('\n') !== (message.categories || []).join('\n'))
+            .map(({ message, categories }) => ({ emailId: message.id, categories }));
+        if (updates.length === 0) {
+            return;
+        }
+
+        const results = await this.graphService.setMessageCategories(updates);
+        for (const result of results.filter(result => result.success)) {
+            const { categories } = updates.find(update => update.emailId === result.emailId);
+            await MailMessage.update({ categories }, { where: { userSettingsId: this.userSettings.id, messageId: result.emailId } });
+        }
+        const failed = results.filter(result => !result.success).length;
+        if (failed > 0) {
+            console.warn(`⚠️ Could not write triage categories to ${failed} messages for ${this.userSettings.userEmail}`);
+        }
+    }
+
+    // Triage stored inbox messages that haven't been classified yet, newest first
+    async triageUntriaged({ limit = 50, messageIds = null } = {}) {
+        const where = { userSettingsId: this.userSettings.id, folderId: 'inbox', triagedAt: null };
+        if (messageIds) {
+            where.messageId = messageIds;
+        }
+        const pending = await MailMessage.findAll({ where, order: [['receivedDateTime', 'DESC']], limit });
+        return this.triageMessages(pending.map(message => message.toGraphMessage()));
+    }
+
+    // Triaged inbox messages for the dashboard, highest priority first.
+    // filters: { category, minPriority, unreadOnly, since }
+    static async list(userSettingsId, { category, minPriority, unreadOnly, since, limit = 100 } = {}) {
+        const where = { userSettingsId, folderId: 'inbox', triagedAt: { [Op.ne]: null } };
+        if (category) where.triageCategory = category;
+        if (minPriority) where.triagePriority = { [Op.gte]: minPriority };
+        if (unreadOnly) where.isRead = false;
+        if (since) where.receivedDateTime = { [Op.gte]: since };
+
+        const messages = await MailMessage.findAll({
+            where,
+            order: [['triagePriority', 'DESC'], ['receivedDateTime', 'DESC']],
+            limit
+        });
+        return messages.map(message => message.toGraphMessage());
+    }
+
+    // { action_required: 3, fyi: 10, ... } over the same window, for the dashboard's filter counts
+    static async countByCategory(userSettingsId, { since } = {}) {
+        const where = { userSettingsId, folderId: 'inbox', triagedAt: { [Op.ne]: null } };
+        if (since) where.receivedDateTime = { [Op.gte]: since };
+
+        const messages = await MailMessage.findAll({ where, attributes: ['triageCategory'] });
+        const counts = Object.fromEntries(Object.keys(TRIAGE_CATEGORIES).map(category => [category, 0]));
+        for (const { triageCategory } of messages) {
+            counts[triageCategory] = (counts[triageCategory] || 0) + 1;
+        }
+        return counts;
+    }
+
+    // Clear stored triage so the next run classifies these messages again
+    async reset(messageIds) {
+        const [count] = await MailMessage.update(
+            { triagedAt: null },
+            { where: { userSettingsId: this.userSettings.id, messageId: messageIds } }
+        );
+        return count;
+    }
+}
+
+module.exports = {
+    TRIAGE_CATEGORIES,
+    TRIAGE_TOOL,
+    EmailTriageService,
+    EmailTriageValidationError,
+    parseTriage,
+    ruleBasedTriage,
+    withTriageCategory
+};
@@ -0,0 +1,246 @@
+const { validateAgainstSchema } = require('../utils/jsonSchema');
+const { toGraphDateTime, parseGraphDateTime, isValidTimeZone, getTimezoneLabel, getZonedDateTimeString } = require('../utils/timezone');
+
+// Changes to existing events: update, reschedule, cancel and RSVP. The model can propose the same
+// actions through the `propose_event_action` tool; they only run once the user confirms them.
+
+const EVENT_ACTIONS = ['update', 'reschedule', 'cancel', 'respond'];
+// RSVP values accepted by the API -> Graph action names
+const RESPONSES = { accept: 'accept', tentative: 'tentativelyAccept', decline: 'decline' };
+const LOCAL_DATE_TIME = '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}$';
+
+const EVENT_ACTION_SCHEMA = {
+    type: 'object',
+    properties: {
+        action: { type: 'string', enum: EVENT_ACTIONS },
+        eventRef: { type: 'string', pattern: '^E\\d+$', description: 'Reference of the event in the calendar list, e.g. E3' },
+        summary: { type: 'string', minLength: 1, maxLength: 300, description: 'One line for the confirm button, e.g. "Move Design review to tomorrow 3:00 PM"' },
+        start: { type: 'string', pattern: LOCAL_DATE_TIME, description: 'reschedule/update: new local start, YYYY-MM-DDTHH:mm. respond: proposed new start' },
+        end: { type: 'string', pattern: LOCAL_DATE_TIME, description: 'New local end, YYYY-MM-DDTHH:mm. Omit to keep the duration' },
+        timeZone: { type: 'string', format: 'iana-time-zone', description: 'IANA time zone of start/end' },
+        title: { type: 'string', minLength: 1, maxLength: 255 },
+        attendees: { type: 'array', maxItems: 50, items: { type: 'string', format: 'email' }, description: 'update: the complete new attendee list' },
+        agenda: { type: 'string' },
+        response: { type: 'string', enum: Object.keys(RESPONSES), description: 'respond: the RSVP to send' },
+        comment: { type: 'string', maxLength: 2000, description: 'cancel/respond: message for the organizer or attendees' }
+    },
+    required: ['action', 'eventRef', 'summary']
+};
+
+const EVENT_ACTION_TOOL = {
+    name: 'propose_event_action',
+    description: 'Propose a change to an existing calendar event (update, reschedule, cancel, or RSVP). The user confirms before anything happens. Call once per event to change.',
+    inputSchema: EVENT_ACTION_SCHEMA
+};
+
+// Invalid request to the event endpoints (400), or an action that can't apply to this event (409)
+class EventActionError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'EventActionError';
+        this.statusCode = statusCode;
+    }
+}
+
+// The model's propose_event_action input didn't validate
+class EventActionValidationError extends Error {
+    constructor(errors, input) {
+        super(`AI event action did not match the schema: ${errors.join('; ')}`);
+        this.name = 'EventActionValidationError';
+        this.statusCode = 502;
+        this.errors = errors;
+        this.input = input;
+    }
+}
+
+// Short references (E1, E2, ...) for the events listed in a prompt - Graph ids are too long to repeat
+function eventRefs(events) {
+    return events.map((event, index) => ({ ref: `E${index + 1}`, event }));
+}
+
+/**
+ * Validated action from a propose_event_action call, with eventRef resolved against the events
+ * that were listed in the prompt. Returns the request body the matching endpoint expects.
+ */
+function parseEventActionProposal(input, events) {
+    const errors = validateAgainstSchema(input, EVENT_ACTION_SCHEMA);
+    if (errors.length === 0) {
+        const { action, start, end, title, attendees, agenda, response } = input;
+        if (action === 'reschedule' && !start) errors.push('input.start: is required to reschedule');
+        if (action === 'update' && [title, start, end, attendees, agenda].every(value => value === undefined)) {
+            errors.push('input: update needs at least one of title, start, end, attendees, agenda');
+        }
+        if (action === 'respond' && !response) errors.push('input.response: is required to respond');
+        if (action === 'respond' && start && response === 'accept') errors.push('input.start: a new time can only be proposed when declining or tentatively accepting');
+    }
+
+    const match = eventRefs(events).find(({ ref }) => ref === input?.eventRef);
+    if (errors.length === 0 && !match) {
+        errors.push(`input.eventRef: ${input.eventRef} is not one of the listed events`);
+    }
+    if (errors.length > 0) {
+        throw new EventActionValidationError(errors, input);
+    }
+
+    const { action, summary, start, end, timeZone, title, attendees, agenda, response, comment } = input;
+    const request = action === 'respond'
+        ? { response, comment, proposedStartTime: start, proposedEndTime: end, timeZone }
+        : action === 'cancel'
+            ? { comment }
+            : { title, startTime: start, endTime: end, attendees, agenda, timeZone };
+
+    return {
+        action,
+        summary,
+        eventId: match.event.id,
+        eventSubject: match.event.subject,
+        request: JSON.parse(JSON.stringify(request)) // drop undefined fields
+    };
+}
+
+class EventActionService {
+    // timeZone: the user's IANA zone - wall-clock times in requests are read in it unless they name another
+    constructor(graphService, { timeZone }) {
+        this.graphService = graphService;
+        this.timeZone = timeZone;
+    }
+
+    resolveTimeZone(timeZone) {
+        if (timeZone === undefined) {
+            return this.timeZone;
+        }
+        if (!isValidTimeZone(timeZone)) {
+            throw new EventActionError(`Unknown time zone "${timeZone}"`);
+        }
+        return timeZone;
+    }
+
+    toDateTime(value, timeZone, field) {
+        try {
+            return toGraphDateTime(value, timeZone);
+        } catch (error) {
+            throw new EventActionError(`${field} must be YYYY-MM-DDTHH:mm or an ISO timestamp`);
+        }
+    }
+
+    // New start/end; with only a start the current duration is kept
+    async buildTimes(eventId, { startTime, endTime, timeZone }) {
+        const zone = this.resolveTimeZone(timeZone);
+        const changes = {};
+
+        if (startTime !== undefined) {
+            changes.start = this.toDateTime(startTime, zone, 'startTime');
+        }
+        if (endTime !== undefined) {
+            changes.end = this.toDateTime(endTime, zone, 'endTime');
+        } else if (changes.start) {
+            const event = await this.graphService.getEvent(eventId);
+            const duration = parseGraphDateTime(event.end) - parseGraphDateTime(event.start);
+            const end = new Date(parseGraphDateTime(changes.start).getTime() + duration);
+            changes.end = { dateTime: getZonedDateTimeString(end, changes.start.timeZone), timeZone: changes.start.timeZone };
+        }
+
+        if (changes.start && changes.end && parseGraphDateTime(changes.end) <= parseGraphDateTime(changes.start)) {
+            throw new EventActionError('endTime must be after startTime');
+        }
+        return changes;
+    }
+
+    // changes: { title, startTime, endTime, timeZone, attendees, agenda, location }
+    async update(eventId, changes) {
+        const { title, attendees, agenda, location } = changes;
+        const patch = await this.buildTimes(eventId, changes);
+
+        if (title !== undefined) {
+            if (typeof title !== 'string' || !title.trim()) throw new EventActionError('title must not be empty');
+            patch.subject = title.trim();
+        }
+        if (attendees !== undefined) {
+            if (!Array.isArray(attendees)) throw new EventActionError('attendees must be an array of email addresses');
+            patch.attendees = attendees.map(email => ({ emailAddress: { address: email, name: email }, type: 'required' }));
+        }
+        if (agenda !== undefined) {
+            patch.body = { contentType: 'HTML', content: agenda };
+        }
+        if (location !== undefined) {
+            patch.location = { displayName: location };
+        }
+        if (Object.keys(patch).length === 0) {
+            throw new EventActionError('Nothing to update - give title, startTime, endTime, attendees, agenda or location');
+        }
+
+        return this.graphService.updateEvent(eventId, patch);
+    }
+
+    async reschedule(eventId, { startTime, endTime, timeZone }) {
+        if (!startTime) {
+            throw new EventActionError('startTime is required');
+        }
+        return this.graphService.updateEvent(eventId, await this.buildTimes(eventId, { startTime, endTime, timeZone }));
+    }
+
+    // Graph only lets the organizer cancel; attendees have to decline instead
+    async cancel(eventId, { comment = '' } = {}) {
+        const event = await this.graphService.getEvent(eventId);
+        if (!event.isOrganizer) {
+            throw new EventActionError('Only the organizer can cancel this meeting - decline it instead', 409);
+        }
+        await this.graphService.cancelEvent(eventId, comment);
+        return { id: eventId, subject: event.subject, cancelled: true };
+    }
+
+    // response: accept | tentative | decline; proposedStartTime/EndTime suggest another time (not with accept)
+    async respond(eventId, { response, comment = '', sendResponse = true, proposedStartTime, proposedEndTime, timeZone }) {
+        if (!RESPONSES[response]) {
+            throw new EventActionError(`response must be one of ${Object.keys(RESPONSES).join(', ')}`);
+        }
+
+        let proposedNewTime;
+        if (proposedStartTime !== undefined || proposedEndTime !== undefined) {
+            if (response === 'accept') {
+                throw new EventActionError('A new time can only be proposed when declining or tentatively accepting');
+            }
+            if (sendResponse === false) {
+                throw new EventActionError('Proposing a new time requires sending the response');
+            }
+            proposedNewTime = await this.buildTimes(eventId, { startTime: proposedStartTime, endTime: proposedEndTime, timeZone });
+            if (!proposedNewTime.start || !proposedNewTime.end) {
+                throw new EventActionError('proposedStartTime is required to propose a new time');
+            }
+        }
+
+        await this.graphService.respondToEvent(eventId, RESPONSES[response], { comment, sendResponse, proposedNewTime });
+        return { id: eventId, response, proposedNewTime: proposedNewTime || null };
+    }
+
+    // Run an action confirmed from an AI proposal: { action, eventId, request }
+    async execute({ action, eventId, request }) {
+        switch (action) {
+            case 'update': return this.update(eventId, request);
+            case 'reschedule': return this.reschedule(eventId, request);
+            case 'cancel': return this.cancel(eventId, request);
+            case 'respond': return this.respond(eventId, request);
+            default: throw new EventActionError(`action must be one of ${EVENT_ACTIONS.join(', ')}`);
+        }
+    }
+}
+
+// Prompt lines for the events the model may act on: "E1: Weekly sync - Mon, Oct 20, 10:00 AM PDT (organizer)"
+function describeEventsForActions(events, timeZone) {
+    return eventRefs(events).map(({ ref, event }) => {
+        const start = parseGraphDateTime(event.start, timeZone);
+        const time = start.toLocaleString('en-US', { timeZone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        const role = event.isOrganizer ? 'organizer' : (event.responseStatus?.response || 'attendee');
+        const repeats = event.series?.pattern ? `, recurring: ${event.series.pattern}` : '';
+        return `${ref}: ${event.subject} - ${time} ${getTimezoneLabel(timeZone, start)} (${role}${repeats})`;
+    }).join('\n');
+}
+
+module.exports = {
+    EVENT_ACTION_TOOL,
+    EventActionService,
+    EventActionError,
+    EventActionValidationError,
+    parseEventActionProposal,
+    describeEventsForActions
+};
@@ -0,0 +1,315 @@
+const { Op } = require('sequelize');
+const FollowUp = require('../models/FollowUp');
+const OutgoingMessage = require('../models/OutgoingMessage');
+const { validateAgainstSchema } = require('../utils/jsonSchema');
+const { textToHtml } = require('../utils/emailHtml');
+const { ReplyDraftService } = require('./replyDrafts');
+
+// Follow-ups watch the Sent Items folder: messages that ask a question or request action are tracked
+// until someone else posts in the same conversation. After the user's configured number of days
+// without a reply they are surfaced with an AI-drafted nudge, sent as a reply-all to the original -
+// through the send queue when the user has an undo window or schedules it.
+// Settings live in UserSettings.preferences.followUps = { enabled, days }.
+
+const FOLLOW_UP_DEFAULTS = { enabled: false, days: 3 };
+const SCAN_DAYS = 14;
+const BATCH_SIZE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FOLLOW_UP_SCHEMA = {
+    type: 'object',
+    properties: {
+        results: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    ref: { type: 'string', pattern: '^S\\d+$', description: 'Sent email reference, e.g. S2' },
+                    needsReply: { type: 'boolean', description: 'true when the email asks the recipients a question or to do something' },
+                    reason: { type: 'string', minLength: 1, maxLength: 200, description: 'What the user is waiting for' }
+                },
+                required: ['ref', 'needsReply', 'reason']
+            }
+        }
+    },
+    required: ['results']
+};
+
+const FOLLOW_UP_TOOL = {
+    name: 'flag_awaiting_reply',
+    description: 'Record for every listed sent email (S1, S2, ...) whether the user is waiting for a reply to it.',
+    inputSchema: FOLLOW_UP_SCHEMA
+};
+
+class FollowUpSettingsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FollowUpSettingsError';
+        this.statusCode = 400;
+    }
+}
+
+class FollowUpValidationError extends Error {
+    constructor(errors, input) {
+        super(`AI follow-up check did not match the schema: ${errors.join('; ')}`);
+        this.name = 'FollowUpValidationError';
+        this.statusCode = 502;
+        this.errors = errors;
+        this.input = input;
+    }
+}
+
+class FollowUpError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'FollowUpError';
+        this.statusCode = statusCode;
+    }
+}
+
+function getFollowUpSettings(userSettings) {
+    return { ...FOLLOW_UP_DEFAULTS, ...(userSettings.preferences?.followUps || {}) };
+}
+
+// Validated changes from a settings request: { enabled, days } - either
+function validateFollowUpSettings(input) {
+    const { enabled, days } = input || {};
+    const changes = {};
+
+    if (enabled !== undefined) {
+        if (typeof enabled !== 'boolean') throw new FollowUpSettingsError('enabled must be true or false');
+        changes.enabled = enabled;
+    }
+    if (days !== undefined) {
+        if (!Number.isInteger(days) || days < 1 || days > 30) throw new FollowUpSettingsError('days must be a whole number from 1 to 30');
+        changes.days = days;
+    }
+    return changes;
+}
+
+// Map of messageId -> { needsReply, reason } for a flag_awaiting_reply call over `messages`
+function parseFollowUpCheck(input, messages) {
+    const errors = validateAgainstSchema(input, FOLLOW_UP_SCHEMA);
+    const results = new Map();
+
+    if (errors.length === 0) {
+        input.results.forEach((result, index) => {
+            const message = messages[parseInt(result.ref.substring(1), 10) - 1];
+            if (!message) {
+                errors.push(`input.results[${index}].ref: ${result.ref} is not one of the listed emails`);
+            } else {
+                results.set(message.id, { needsReply: result.needsReply, reason: result.reason });
+            }
+        });
+    }
+    if (errors.length > 0) {
+        throw new FollowUpValidationError(errors, input);
+    }
+    return results;
+}
+
+// Used when the provider returns no tool call (stub provider, or a message the model skipped)
+function ruleBasedFollowUpCheck(message) {
+    const text = `${message.subject || ''} ${message.bodyPreview || ''}`;
+    if (/\?/.test(text)) {
+        return { needsReply: true, reason: 'Asks a question' };
+    }
+    if (/\b(please|could you|can you|let me know|waiting for|get back to me|by (monday|tuesday|wednesday|thursday|friday|eod|tomorrow))\b/i.test(text)) {
+        return { needsReply: true, reason: 'Asks the recipients to do something' };
+    }
+    return { needsReply: false, reason: 'No question or request found' };
+}
+
+const recipientsOf = (message) => [...(message.toRecipients || []), ...(message.ccRecipients || [])]
+    .map(recipient => ({ name: recipient.emailAddress?.name || null, address: recipient.emailAddress?.address }))
+    .filter(recipient => recipient.address);
+
+class FollowUpTracker {
+    // aiService: ClaudeAIService (checkSentForFollowUp, draftFollowUpNudge)
+    constructor(userSettings, graphService, aiService) {
+        this.userSettings = userSettings;
+        this.graphService = graphService;
+        this.aiService = aiService;
+        this.settings = getFollowUpSettings(userSettings);
+    }
+
+    isOwnAddress(address) {
+        return String(address || '').toLowerCase() === this.userSettings.userEmail.toLowerCase();
+    }
+
+    // Track sent messages from the last `days` that haven't been looked at yet, then check every
+    // waiting follow-up for replies. Returns { scanned, tracked, replied }.
+    async scan({ days = SCAN_DAYS } = {}) {
+        const { value: sent } = await this.graphService.getSentMessages(new Date(Date.now() - days * DAY_MS));
+        const known = new Set((await FollowUp.findAll({
+            where: { userSettingsId: this.userSettings.id, messageId: sent.map(message => message.id) },
+            attributes: ['messageId']
+        })).map(followUp => followUp.messageId));
+
+        // Notes to self never get a reply
+        const fresh = sent.filter(message => !known.has(message.id)
+            && recipientsOf(message).some(recipient => !this.isOwnAddress(recipient.address)));
+        let tracked = 0;
+
+        for (let start = 0; start < fresh.length; start += BATCH_SIZE) {
+            const batch = fresh.slice(start, start + BATCH_SIZE);
+            const { results, source } = await this.aiService.checkSentForFollowUp(batch);
+
+            for (const message of batch) {
+                const result = results.get(message.id) || ruleBasedFollowUpCheck(message);
+                // A scan running alongside (the job and a page load) may have tracked it meanwhile
+                const [, created] = await FollowUp.findOrCreate({
+                    where: { userSettingsId: this.userSettings.id, messageId: message.id },
+                    defaults: {
+                        conversationId: message.conversationId || null,
+                        subject: message.subject || null,
+                        webLink: message.webLink || null,
+                        recipients: recipientsOf(message),
+                        sentDateTime: new Date(message.sentDateTime),
+                        status: result.needsReply ? 'waiting' : 'not_needed',
+                        reason: result.reason,
+                        source: results.has(message.id) ? source : 'rules'
+                    }
+                });
+                tracked += created && result.needsReply ? 1 : 0;
+            }
+        }
+
+        const replied = await this.checkReplies();
+        return { scanned: fresh.length, tracked, replied };
+    }
+
+    // Mark follow-ups replied once someone else posts in the conversation. A later message of the
+    // user's own (a manual nudge) restarts the wait instead.
+    async checkReplies() {
+        const waiting = await FollowUp.findAll({
+            where: { userSettingsId: this.userSettings.id, status: 'waiting', conversationId: { [Op.ne]: null } }
+        });
+        const conversations = await this.graphService.getConversationMessages([...new Set(waiting.map(followUp => followUp.conversationId))]);
+        let replied = 0;
+
+        for (const followUp of waiting) {
+            const later = (conversations.get(followUp.conversationId) || [])
+                .filter(message => message.id !== followUp.messageId)
+                .map(message => ({ message, at: new Date(message.receivedDateTime || message.sentDateTime) }))
+                .filter(({ at }) => at > followUp.sentDateTime)
+                .sort((a, b) => a.at - b.at);
+
+            const reply = later.find(({ message }) => !this.isOwnAddress(message.from?.emailAddress?.address));
+            if (reply) {
+                await followUp.update({ status: 'replied', repliedAt: reply.at });
+                replied++;
+                continue;
+            }
+            const ownLatest = later[later.length - 1];
+            if (ownLatest && ownLatest.at > followUp.getWaitingSince()) {
+                await followUp.update({ lastNudgedAt: ownLatest.at });
+            }
+        }
+        return replied;
+    }
+
+    // Messages with a nudge waiting in the send queue
+    async queuedNudges(messageIds) {
+        const queued = await OutgoingMessage.findAll({
+            where: { userSettingsId: this.userSettings.id, kind: 'replyAll', status: 'queued', replyToMessageId: messageIds },
+            attributes: ['replyToMessageId']
+        });
+        return new Set(queued.map(message => message.replyToMessageId));
+    }
+
+    // Waiting follow-ups with no reply for the configured number of days, longest wait first. Ones
+    // with a nudge in the send queue aren't due again.
+    async listDue(now = new Date()) {
+        const cutoff = new Date(now.getTime() - this.settings.days * DAY_MS);
+        const waiting = await FollowUp.findForUser(this.userSettings.id, 'waiting');
+        const queued = await this.queuedNudges(waiting.map(followUp => followUp.messageId));
+        return waiting
+            .filter(followUp => followUp.getWaitingSince() <= cutoff && !queued.has(followUp.messageId))
+            .sort((a, b) => a.getWaitingSince() - b.getWaitingSince());
+    }
+
+    // AI-drafted nudge text, kept on the follow-up until it is sent
+    async draftNudge(followUp) {
+        if (followUp.status !== 'waiting') {
+            throw new FollowUpError(`Follow-up is ${followUp.status}`, 409);
+        }
+        const draft = await this.aiService.draftFollowUpNudge(followUp.toJSONForUser(), this.userSettings.signature);
+        await followUp.update({ nudgeDraft: draft });
+        return draft;
+    }
+
+    // Reply-all to the original message (a reply-all on a sent message goes to its recipients).
+    // content defaults to the stored draft, drafting one first if needed.
+    async sendNudge(followUp, content = null) {
+        if (followUp.status !== 'waiting') {
+            throw new FollowUpError(`Follow-up is ${followUp.status}`, 409);
+        }
+        const text = content || followUp.nudgeDraft || await this.draftNudge(followUp);
+
+        const result = await this.graphService.replyToEmail(followUp.messageId, textToHtml(text), true);
+        await this.markNudged(followUp);
+        return result;
+    }
+
+    // Put the nudge in the send queue (undo window or { sendAt, timeZone }). The draft is kept until
+    // the mail.send job has sent it and called recordSentNudge, so an undo doesn't lose it.
+    async queueNudge(followUp, sendQueue, content = null, schedule = {}) {
+        if (followUp.status !== 'waiting') {
+            throw new FollowUpError(`Follow-up is ${followUp.status}`, 409);
+        }
+        if ((await this.queuedNudges([followUp.messageId])).size > 0) {
+            throw new FollowUpError('A nudge is already queued for this follow-up', 409);
+        }
+        const text = content || followUp.nudgeDraft || await this.draftNudge(followUp);
+
+        return sendQueue.queueMessage({ kind: 'replyAll', replyToMessageId: followUp.messageId, content: text }, schedule);
+    }
+
+    // A reply-all to a tracked message went out through the send queue - counts as a nudge
+    async recordSentNudge(messageId, sentAt = new Date()) {
+        const followUp = await FollowUp.findOne({ where: { userSettingsId: this.userSettings.id, messageId, status: 'waiting' } });
+        if (followUp) {
+            await this.markNudged(followUp, sentAt);
+        }
+        return followUp;
+    }
+
+    markNudged(followUp, at = new Date()) {
+        return followUp.update({ lastNudgedAt: at, nudgeCount: followUp.nudgeCount + 1, nudgeDraft: null });
+    }
+
+    // Put the nudge in Outlook Drafts instead (drafts-only tenants, or when the user asks). Once the
+    // user sends it, checkReplies sees their message in the conversation and restarts the wait.
+    async saveNudgeAsDraft(followUp, content = null) {
+        if (followUp.status !== 'waiting') {
+            throw new FollowUpError(`Follow-up is ${followUp.status}`, 409);
+        }
+        const text = content || followUp.nudgeDraft || await this.draftNudge(followUp);
+
+        const draft = await new ReplyDraftService(this.userSettings, this.graphService).create(followUp.messageId, text, { replyAll: true });
+        await followUp.update({ nudgeDraft: null });
+        return draft;
+    }
+
+    async dismiss(followUp) {
+        if (followUp.status !== 'waiting') {
+            throw new FollowUpError(`Follow-up is ${followUp.status}`, 409);
+        }
+        await followUp.update({ status: 'dismissed' });
+        return followUp;
+    }
+}
+
+module.exports = {
+    FOLLOW_UP_TOOL,
+    FollowUpTracker,
+    FollowUpError,
+    FollowUpSettingsError,
+    FollowUpValidationError,
+    getFollowUpSettings,
+    validateFollowUpSettings,
+    parseFollowUpCheck,
+    ruleBasedFollowUpCheck
+};
@@ -0,0 +1,57 @@
+const {
+    Client,
+    AuthenticationHandler,
+    RedirectHandler,
+    RedirectHandlerOptions,
+    TelemetryHandler,
+    HTTPMessageHandler
+} = require('@microsoft/microsoft-graph-client');
+const { GraphResilienceHandler } = require('./graphResilience');
+
+class TokenAuthProvider {
+    // accessToken may be a token string or an async function returning a fresh token
+    constructor(accessToken) {
+        this.accessToken = accessToken;
+    }
+
+    async getAccessToken() {
+        if (typeof this.accessToken === 'function') {
+            return this.accessToken();
+        }
+        return this.accessToken;
+    }
+}
+
+// Shared Graph client factory used by MicrosoftGraphService and the inline server.js routes.
+// GRAPH_BASE_URL points the app at a local fake Graph (see scripts/fake-graph.js) during development.
+// The SDK's default RetryHandler is swapped for GraphResilienceHandler (throttling, concurrency, circuit breaker).
+function createGraphClient(accessToken) {
+    const options = {
+        middleware: [
+            new AuthenticationHandler(new TokenAuthProvider(accessToken)),
+            new GraphResilienceHandler(),
+            new RedirectHandler(new RedirectHandlerOptions()),
+            new TelemetryHandler(),
+            new HTTPMessageHandler()
+        ]
+    };
+
+    if (process.env.GRAPH_BASE_URL) {
+        options.baseUrl = process.env.GRAPH_BASE_URL;
+        options.customHosts = new Set([new URL(process.env.GRAPH_BASE_URL).hostname]);
+    }
+
+    return Client.initWithMiddleware(options);
+}
+
+// nextLink/deltaLink values are absolute URLs. The SDK only parses absolute https URLs,
+// so plain-http links (a local fake Graph) are turned into version-relative paths.
+function toGraphRequestPath(link) {
+    if (!link.startsWith('http://')) {
+        return link;
+    }
+    const url = new URL(link);
+    return url.pathname.replace(/^\/[^/]+/, '') + url.search;
+}
+
+module.exports = { createGraphClient, toGraphRequestPath, TokenAuthProvider };
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+
+// Shared Graph middleware: per-user concurrency limit, circuit breaker and
+// Retry-After-aware retries with jitter. Sits between the SDK's authentication
+// handler (which sets the Authorization header) and the HTTP handler.
+
+const MAX_RETRIES = parseInt(process.env.GRAPH_MAX_RETRIES) || 4;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 60 * 1000; // A longer Retry-After than this fails the request instead of stalling it
+const MAX_CONCURRENCY = parseInt(process.env.GRAPH_MAX_CONCURRENCY) || 4; // Graph allows 4 concurrent requests per mailbox
+const BREAKER_THRESHOLD = 5; // Consecutive failed requests before the circuit opens
+const BREAKER_COOLDOWN = 30 * 1000;
+const MAILBOX_IDLE_TTL = 30 * 60 * 1000; // Limiter/breaker state of a mailbox unused this long is dropped
+const SWEEP_INTERVAL = 60 * 1000;
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+class GraphCircuitOpenError extends Error {
+    constructor(retryAt) {
+        super('Microsoft Graph is failing for this mailbox - requests are paused until ' + retryAt.toISOString());
+        this.name = 'GraphCircuitOpenError';
+        this.statusCode = 503;
+        this.retryAt = retryAt;
+    }
+}
+
+const metrics = {
+    requests: 0,
+    retries: 0,
+    retriesByReason: {},
+    throttled: 0,
+    networkErrors: 0,
+    failures: 0,
+    circuitOpened: 0,
+    circuitRejections: 0,
+    lastRetryAt: null,
+    lastThrottledAt: null
+};
+
+function countRetry(reason) {
+    metrics.retries++;
+    metrics.retriesByReason[reason] = (metrics.retriesByReason[reason] || 0) + 1;
+    metrics.lastRetryAt = new Date();
+}
+
+// FIFO semaphore - at most `limit` requests in flight per user
+class ConcurrencyLimiter {
+    constructor(limit) {
+        this.limit = limit;
+        this.active = 0;
+        this.queue = [];
+    }
+
+    acquire() {
+        if (this.active < this.limit) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.queue.push(resolve));
+    }
+
+    release() {
+        const next = this.queue.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+}
+
+// closed -> open after BREAKER_THRESHOLD consecutive failures -> half-open after the cooldown,
+// where a single trial request decides whether to close again
+class CircuitBreaker {
+    constructor() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    beforeRequest() {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < BREAKER_COOLDOWN) {
+                metrics.circuitRejections++;
+                throw new GraphCircuitOpenError(new Date(this.openedAt + BREAKER_COOLDOWN));
+            }
+            this.state = 'half-open';
+        }
+
+        if (this.state === 'half-open') {
+            if (this.trialInFlight) {
+                metrics.circuitRejections++;
+                throw new GraphCircuitOpenError(new Date(Date.now() + BREAKER_COOLDOWN));
+            }
+            this.trialInFlight = true;
+        }
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+
+        if (this.state === 'half-open' || this.failures >= BREAKER_THRESHOLD) {
+            if (this.state !== 'open') {
+                metrics.circuitOpened++;
+                console.warn(`⚡ Graph circuit opened after ${this.failures} consecutive failures`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+}
+
+// key -> { limiter, breaker, lastUsedAt }. Keys are per mailbox (or token hash), so idle entries are
+// swept on access to keep the map from growing for the life of the process.
+const mailboxes = new Map();
+let lastSweepAt = Date.now();
+
+function sweepIdleMailboxes(now) {
+    lastSweepAt = now;
+    for (const [key, state] of mailboxes) {
+        const idle = state.limiter.active === 0 && state.limiter.queue.length === 0;
+        if (idle && now - state.lastUsedAt > MAILBOX_IDLE_TTL) {
+            mailboxes.delete(key);
+        }
+    }
+}
+
+function getMailboxState(key) {
+    const now = Date.now();
+    if (now - lastSweepAt > SWEEP_INTERVAL) {
+        sweepIdleMailboxes(now);
+    }
+
+    let state = mailboxes.get(key);
+    if (!state) {
+        state = { limiter: new ConcurrencyLimiter(MAX_CONCURRENCY), breaker: new CircuitBreaker(), lastUsedAt: now };
+        mailboxes.set(key, state);
+    }
+    state.lastUsedAt = now;
+    return state;
+}
+
+function getHeader(headers, name) {
+    if (!headers) return null;
+    if (typeof headers.get === 'function') return headers.get(name);
+    const match = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+    return match ? headers[match] : null;
+}
+
+function setHeader(options, name, value) {
+    if (options.headers && typeof options.headers.set === 'function') {
+        options.headers.set(name, value);
+    } else {
+        options.headers = { ...(options.headers || {}), [name]: value };
+    }
+}
+
+// Limit per mailbox: the token's object ID when it is a JWT, otherwise a hash of the token
+function getUserKey(options) {
+    const authorization = getHeader(options.headers, 'Authorization') || '';
+    const token = authorization.replace(/^Bearer\s+/i, '');
+
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        if (payload.oid || payload.upn) {
+            return `${payload.tid || ''}:${payload.oid || payload.upn}`;
+        }
+    } catch (error) {
+        // Not a JWT (e.g. a test token) - fall through to the hash
+    }
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Delay before the next attempt: Retry-After when Graph sends one, otherwise
+// exponential backoff with full jitter
+function getRetryDelay(response, attempt) {
+    const retryAfter = response ? getHeader(response.headers, 'Retry-After') : null;
+
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        // Small jitter so a burst of throttled requests doesn't retry in lockstep
+        return Math.max(delay, 0) + Math.floor(Math.random() * 500);
+    }
+
+    const ceiling = Math.min(BASE_DELAY * Math.pow(2, attempt), MAX_DELAY);
+    return Math.floor(Math.random() * ceiling) + 100;
+}
+
+function isRetryableNetworkError(error) {
+    const code = error.code || error.cause?.code;
+    return RETRYABLE_NETWORK_CODES.includes(code) || (error.name === 'TypeError' && error.message === 'fetch failed');
+}
+
+// Streams can only be sent once
+function isReplayable(options) {
+    const body = options.body;
+    return body === undefined || body === null || typeof body === 'string' || body instanceof ArrayBuffer || Buffer.isBuffer(body);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class GraphResilienceHandler {
+    async execute(context) {
+        const { limiter, breaker } = getMailboxState(getUserKey(context.options));
+
+        breaker.beforeRequest();
+        metrics.requests++;
+
+        for (let attempt = 0; ; attempt++) {
+            let networkError = null;
+
+            context.response = undefined;
+            await limiter.acquire();
+            try {
+                await this.nextMiddleware.execute(context);
+            } catch (error) {
+                networkError = error;
+            } finally {
+                limiter.release();
+            }
+
+            const status = context.response?.status;
+            const retryable = networkError ? isRetryableNetworkError(networkError) : RETRYABLE_STATUSES.includes(status);
+
+            if (status === 429) {
+                metrics.throttled++;
+                metrics.lastThrottledAt = new Date();
+            }
+            if (networkError) {
+                metrics.networkErrors++;
+            }
+
+            if (!retryable) {
+                if (networkError) {
+                    breaker.recordFailure();
+                    throw networkError;
+                }
+                // 500/501 aren't worth retrying but are Graph failures all the same; 4xx other
+                // than 429 are caller errors, not Graph health problems
+                if (status >= 500) {
+                    metrics.failures++;
+                    breaker.recordFailure();
+                } else {
+                    breaker.recordSuccess();
+                }
+                return;
+            }
+
+            const delay = getRetryDelay(networkError ? null : context.response, attempt);
+            if (attempt >= MAX_RETRIES || delay > MAX_DELAY || !isReplayable(context.options)) {
+                metrics.failures++;
+                breaker.recordFailure();
+                if (networkError) {
+                    throw networkError;
+                }
+                return;
+            }
+
+            const reason = networkError ? (networkError.code || networkError.cause?.code || 'network') : String(status);
+            countRetry(reason);
+            console.warn(`🔁 Graph ${reason} - retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+
+            setHeader(context.options, 'Retry-Attempt', String(attempt + 1));
+            await sleep(delay);
+        }
+    }
+
+    setNext(next) {
+        this.nextMiddleware = next;
+    }
+}
+
+// Snapshot for the admin status page
+function getGraphMetrics() {
+    const circuits = { closed: 0, open: 0, 'half-open': 0 };
+    let activeRequests = 0;
+    let queuedRequests = 0;
+    for (const { limiter, breaker } of mailboxes.values()) {
+        circuits[breaker.state]++;
+        activeRequests += limiter.active;
+        queuedRequests += limiter.queue.length;
+    }
+
+    return {
+        ...metrics,
+        retriesByReason: { ...metrics.retriesByReason },
+        trackedMailboxes: mailboxes.size,
+        activeRequests,
+        queuedRequests,
+        circuits,
+        config: {
+            maxRetries: MAX_RETRIES,
+            maxConcurrencyPerUser: MAX_CONCURRENCY,
+            breakerThreshold: BREAKER_THRESHOLD,
+            breakerCooldownMs: BREAKER_COOLDOWN
+        }
+    };
+}
+
+module.exports = {
+    GraphResilienceHandler,
+    GraphCircuitOpenError,
+    getGraphMetrics
+};
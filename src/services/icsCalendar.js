@@ -0,0 +1,195 @@
+const { buildTimezone, buildEvent, serializeCalendar, parseEvents, toRecurrenceInput } = require('../utils/ics');
+const { parseGraphDateTime, getZonedDateString, getZonedDateTimeString, toIanaTimeZone } = require('../utils/timezone');
+const { describeRecurrence, buildRecurrence } = require('../utils/recurrence');
+
+// Calendar events in and out of the app as .ics files. Export writes recurring series once (master
+// with RRULE, changed occurrences with RECURRENCE-ID); import only previews - events are created
+// through /api/calendar/create-invite with the payloads returned here.
+
+const EXPORT_FIELDS = ['iCalUId', 'originalStart', 'bodyPreview', 'onlineMeeting'];
+const MASTER_FIELDS = 'id,subject,start,end,location,attendees,organizer,showAs,isAllDay,isCancelled,iCalUId,bodyPreview,onlineMeeting,recurrence';
+const MAX_IMPORT_EVENTS = 100;
+const DEFAULT_IMPORT_MINUTES = 30;
+
+class IcsImportError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'IcsImportError';
+        this.statusCode = statusCode;
+    }
+}
+
+const isIcsAttachment = (attachment) =>
+    /\.ics$/i.test(attachment.name || '') || /^(text|application)\/(calendar|ics)/i.test(attachment.contentType || '');
+
+const escapeHtml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+class IcsCalendarService {
+    // timeZone: the user's IANA zone, used for exported times and for floating times in imports
+    constructor(graphService, { timeZone, userEmail }) {
+        this.graphService = graphService;
+        this.timeZone = timeZone;
+        this.userEmail = (userEmail || '').toLowerCase();
+    }
+
+    // .ics text for every event overlapping [start, end)
+    async exportRange(start, end, { name = 'Calendar' } = {}) {
+        const { value: events, truncated } = await this.graphService.getCalendarView(start, end, { timeZone: this.timeZone, fields: EXPORT_FIELDS });
+        const masters = await this.graphService.getEventsById(
+            events.map(event => event.seriesMasterId).filter(Boolean),
+            { select: MASTER_FIELDS, timeZone: this.timeZone }
+        );
+
+        const stamp = new Date();
+        const options = (event, timeZone = this.timeZone) => ({
+            timeZone,
+            stamp,
+            start: parseGraphDateTime(event.start, this.timeZone),
+            end: parseGraphDateTime(event.end, this.timeZone)
+        });
+        const lines = [];
+        const timeZones = new Set([this.timeZone]);
+        let earliest = start;
+
+        // A series whose master is readable is written once with its RRULE; its plain occurrences are
+        // covered by the rule and only exceptions are written. Occurrences deleted from a series can't
+        // be listed as EXDATEs (calendarView doesn't return them), so they reappear in the export.
+        // The series keeps its own zone so BYDAY means the same days it does in Outlook.
+        for (const master of masters.values()) {
+            const seriesTimeZone = toIanaTimeZone(master.recurrence?.range?.recurrenceTimeZone) || this.timeZone;
+            const masterOptions = options(master, seriesTimeZone);
+            timeZones.add(seriesTimeZone);
+            earliest = new Date(Math.min(earliest, masterOptions.start));
+            lines.push(...buildEvent(master, { ...masterOptions, recurrence: master.recurrence }));
+        }
+        for (const event of events) {
+            const master = masters.get(event.seriesMasterId);
+            if (!master) {
+                lines.push(...buildEvent(event, options(event)));
+            } else if (event.type === 'exception') {
+                lines.push(...buildEvent(event, {
+                    ...options(event),
+                    uid: master.iCalUId || `${master.id}@graph.microsoft.com`,
+                    recurrenceId: event.originalStart ? new Date(event.originalStart) : parseGraphDateTime(event.start, this.timeZone)
+                }));
+            }
+        }
+
+        const vtimezones = [...timeZones].flatMap(timeZone => buildTimezone(timeZone, earliest, end));
+        const calendar = serializeCalendar([...vtimezones, ...lines], { name });
+        return { calendar, count: events.length, truncated };
+    }
+
+    // Events of an uploaded .ics file, each with the create-invite payload that would add it
+    previewFile(text, source = { type: 'upload' }) {
+        let parsed;
+        try {
+            parsed = parseEvents(text, this.timeZone);
+        } catch (error) {
+            throw new IcsImportError(`Could not read the calendar file: ${error.message}`);
+        }
+        if (parsed.length === 0) {
+            throw new IcsImportError('The calendar file has no events');
+        }
+
+        const warnings = [];
+        if (parsed.length > MAX_IMPORT_EVENTS) {
+            warnings.push(`Only the first ${MAX_IMPORT_EVENTS} of ${parsed.length} events are shown`);
+        }
+        return {
+            source,
+            method: parsed[0].method,
+            events: parsed.slice(0, MAX_IMPORT_EVENTS).map(event => this.previewEvent(event)),
+            warnings
+        };
+    }
+
+    // Same as previewFile for the .ics attachments of a mail message
+    async previewEmail(emailId) {
+        const attachments = (await this.graphService.getMessageAttachments(emailId)).filter(isIcsAttachment);
+        if (attachments.length === 0) {
+            throw new IcsImportError('This email has no .ics attachments', 404);
+        }
+
+        const previews = attachments.map(attachment => {
+            const text = Buffer.from(attachment.contentBytes || '', 'base64').toString('utf8');
+            return this.previewFile(text, { type: 'email', emailId, attachment: attachment.name });
+        });
+        return {
+            source: { type: 'email', emailId, attachments: attachments.map(attachment => attachment.name) },
+            method: previews[0].method,
+            events: previews.flatMap(preview => preview.events.map(event => ({ ...event, attachment: preview.source.attachment }))),
+            warnings: previews.flatMap(preview => preview.warnings)
+        };
+    }
+
+    previewEvent(event) {
+        const warnings = [];
+        const isOwnEvent = !event.organizer || event.organizer.address.toLowerCase() === this.userEmail;
+        let end = event.end;
+
+        if (end <= event.start) {
+            end = new Date(event.start.getTime() + DEFAULT_IMPORT_MINUTES * 60 * 1000);
+            warnings.push(`No end time - imported as a ${DEFAULT_IMPORT_MINUTES} minute event`);
+        }
+        if (event.allDay) {
+            warnings.push('All-day event - imported as a timed event from midnight to midnight');
+        }
+        if (event.recurrenceId) {
+            warnings.push('Changed occurrence of a recurring meeting - imported as a single event');
+        }
+        if (event.method === 'CANCEL' || event.status === 'CANCELLED') {
+            warnings.push('This invitation is a cancellation');
+        }
+        // Recreating someone else's invitation with its attendees would invite them all again
+        if (!isOwnEvent && event.attendees.length > 0) {
+            warnings.push(`Organized by ${event.organizer.address} - attendees are not invited again`);
+        }
+
+        let recurrence;
+        let repeats = null;
+        if (event.rrule && !event.recurrenceId) {
+            try {
+                // 10:00 Monday in Tokyo is Sunday evening in New York - weekly days move with the start
+                const dayShift = Math.round((Date.parse(getZonedDateString(event.start, this.timeZone)) - Date.parse(getZonedDateString(event.start, event.timeZone))) / 86400000);
+                const input = toRecurrenceInput(event.rrule, this.timeZone, dayShift);
+                if (input.unsupported) throw new Error(input.unsupported);
+                repeats = describeRecurrence(buildRecurrence(input, event.start, this.timeZone));
+                recurrence = input;
+            } catch (error) {
+                warnings.push(`Repeat rule not supported (${error.message}) - imported as a single event`);
+            }
+        }
+
+        const invite = {
+            title: event.summary || '(no subject)',
+            startTime: getZonedDateTimeString(event.start, this.timeZone),
+            endTime: getZonedDateTimeString(end, this.timeZone),
+            location: event.location || undefined,
+            agenda: event.description ? escapeHtml(event.description).replace(/\n/g, '<br>') : undefined,
+            attendees: isOwnEvent
+                ? event.attendees.map(attendee => attendee.address).filter(address => address.toLowerCase() !== this.userEmail)
+                : [],
+            recurrence
+        };
+
+        return {
+            uid: event.uid,
+            summary: invite.title,
+            start: event.start.toISOString(),
+            end: end.toISOString(),
+            allDay: event.allDay,
+            organizer: event.organizer,
+            attendees: event.attendees,
+            repeats,
+            cancelled: event.method === 'CANCEL' || event.status === 'CANCELLED',
+            invite: JSON.parse(JSON.stringify(invite)), // drop undefined fields
+            warnings
+        };
+    }
+}
+
+module.exports = {
+    IcsCalendarService,
+    IcsImportError
+};
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const os = require('os');
+const { UniqueConstraintError } = require('sequelize');
+const Job = require('../models/Job');
+const { addDays, getZonedDateString, zonedTimeToUtc } = require('../utils/timezone');
+
+// Postgres-backed background jobs. Several app instances can poll the same table: a job is claimed
+// with a conditional UPDATE (status pending -> running), so only one worker runs it. Failed jobs are
+// retried with exponential backoff and end up as 'dead' (the dead-letter list in /admin/jobs) once
+// they run out of attempts.
+
+const POLL_INTERVAL = 2000;
+const CONCURRENCY = 4; // jobs running at once in this process
+const TENANT_CONCURRENCY = 2; // running jobs per tenant across all workers
+const HEARTBEAT_INTERVAL = 60 * 1000; // running jobs refresh lockedAt this often
+const LOCK_TIMEOUT = 10 * 60 * 1000; // a running job without a heartbeat for this long has lost its worker
+const DAILY_CATCH_UP = 60 * 60 * 1000; // a daily run missed by less than this (restart, deploy) still happens
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 60 * 60 * 1000;
+const KEEP_COMPLETED = 7 * 24 * 60 * 60 * 1000;
+const MAINTENANCE_INTERVAL = 60 * 1000;
+
+class JobQueue {
+    constructor(options = {}) {
+        this.workerId = options.workerId || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.pollInterval = options.pollInterval || POLL_INTERVAL;
+        this.concurrency = options.concurrency || CONCURRENCY;
+        this.tenantConcurrency = options.tenantConcurrency || TENANT_CONCURRENCY;
+        this.handlers = new Map();
+        this.schedules = new Map();
+        this.running = new Set();
+        this.timer = null;
+        this.lastMaintenance = 0;
+        this.polling = false;
+    }
+
+    // handler(payload, job) - throw to retry; errors with retryable === false go straight to dead
+    register(type, handler, { maxAttempts = 5 } = {}) {
+        this.handlers.set(type, { handler, maxAttempts });
+        return this;
+    }
+
+    // Recurring job every `every` ms, or daily at a wall-clock time { at: 'HH:mm', timeZone } (UTC
+    // by default). Runs are keyed by time slot, so with several instances each slot is still
+    // enqueued only once.
+    schedule(name, { every, at, timeZone = 'UTC' }, type, payload = {}) {
+        if (!every && !/^([01]\d|2[0-3]):[0-5]\d$/.test(at || '')) {
+            throw new Error(`Schedule ${name} needs every (ms) or at ('HH:mm')`);
+        }
+        this.schedules.set(name, { every, at, timeZone, type, payload });
+        return this;
+    }
+
+    // options: { tenantId, userSettingsId, runAt, delay (ms), maxAttempts, uniqueKey }.
+    // With a uniqueKey that's already queued, the existing job is returned instead.
+    async enqueue(type, payload = {}, options = {}) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`No job handler registered for ${type}`);
+        }
+
+        const values = {
+            type,
+            payload,
+            tenantId: options.tenantId || null,
+            userSettingsId: options.userSettingsId || null,
+            uniqueKey: options.uniqueKey || null,
+            maxAttempts: options.maxAttempts || this.handlers.get(type).maxAttempts,
+            runAt: options.runAt || new Date(Date.now() + (options.delay || 0))
+        };
+
+        if (!values.uniqueKey) {
+            return Job.create(values);
+        }
+        try {
+            const [job] = await Job.findOrCreate({ where: { uniqueKey: values.uniqueKey }, defaults: values });
+            return job;
+        } catch (error) {
+            // Another instance created it between our lookup and insert
+            if (error instanceof UniqueConstraintError) {
+                return Job.findOne({ where: { uniqueKey: values.uniqueKey } });
+            }
+            throw error;
+        }
+    }
+
+    // Delay before the next attempt: 30s, 1m, 2m, ... capped at an hour, with 20% jitter
+    static retryDelay(attempts) {
+        const delay = Math.min(RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    start() {
+        if (this.timer) {
+            return this.timer;
+        }
+        console.log(`🧵 Job queue worker ${this.workerId} started (${this.handlers.size} job types, ${this.schedules.size} schedules)`);
+        this.timer = setInterval(() => {
+            this.poll().catch(error => console.error('Error polling job queue:', error.message));
+        }, this.pollInterval);
+        return this.timer;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // One polling round: enqueue due schedules, recover stale jobs, then claim what capacity allows
+    async poll(now = new Date()) {
+        if (this.polling) {
+            return [];
+        }
+        this.polling = true;
+        try {
+            if (now - this.lastMaintenance >= MAINTENANCE_INTERVAL) {
+                this.lastMaintenance = now.getTime();
+                await this.enqueueSchedules(now);
+                await this.recoverStaleJobs(now);
+                await Job.removeCompletedBefore(new Date(now - KEEP_COMPLETED));
+            }
+
+            const claimed = await this.claimJobs(now);
+            // Jobs run in the background; the next poll claims more as slots free up
+            return claimed.map(job => this.run(job));
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async enqueueSchedules(now) {
+        for (const [name, schedule] of this.schedules) {
+            const slot = JobQueue.scheduleSlot(schedule, now);
+            if (slot) {
+                await this.enqueue(schedule.type, schedule.payload, { uniqueKey: `${name}:${slot.getTime()}`, runAt: slot, maxAttempts: 1 });
+            }
+        }
+    }
+
+    // Start of a schedule's current slot - for daily schedules the latest `at` in its zone, or null
+    // once that is too long ago to catch up on
+    static scheduleSlot({ every, at, timeZone }, now) {
+        if (every) {
+            return new Date(Math.floor(now.getTime() / every) * every);
+        }
+        const today = getZonedDateString(now, timeZone);
+        let slot = zonedTimeToUtc(`${today}T${at}`, timeZone);
+        if (slot > now) {
+            slot = zonedTimeToUtc(`${addDays(today, -1)}T${at}`, timeZone);
+        }
+        return now - slot <= DAILY_CATCH_UP ? slot : null;
+    }
+
+    async recoverStaleJobs(now) {
+        for (const job of await Job.findStale(new Date(now - LOCK_TIMEOUT))) {
+            console.warn(`⚠️ Job ${job.id} (${job.type}) was abandoned by ${job.lockedBy} - releasing it`);
+            await this.fail(job, new Error(`Worker ${job.lockedBy} stopped responding`), now);
+        }
+    }
+
+    async claimJobs(now) {
+        const free = this.concurrency - this.running.size;
+        if (free <= 0) {
+            return [];
+        }
+
+        const candidates = await Job.findDue(free * 5, now);
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        const runningByTenant = await Job.countRunningByTenant();
+        const claimed = [];
+        for (const job of candidates) {
+            if (claimed.length >= free) break;
+            if (job.tenantId && (runningByTenant[job.tenantId] || 0) >= this.tenantConcurrency) continue;
+
+            if (await Job.claim(job, this.workerId, now)) {
+                if (job.tenantId) {
+                    runningByTenant[job.tenantId] = (runningByTenant[job.tenantId] || 0) + 1;
+                }
+                await job.reload();
+                claimed.push(job);
+            }
+        }
+        return claimed;
+    }
+
+    async run(job) {
+        this.running.add(job.id);
+        // Keeps recoverStaleJobs from handing a long-running job to another worker
+        const heartbeat = setInterval(() => {
+            Job.heartbeat(job, this.workerId).catch(error => console.error(`Error refreshing the lock of job ${job.id}:`, error.message));
+        }, HEARTBEAT_INTERVAL);
+        heartbeat.unref();
+        try {
+            const registration = this.handlers.get(job.type);
+            if (!registration) {
+                const error = new Error(`No job handler registered for ${job.type}`);
+                error.retryable = false;
+                throw error;
+            }
+
+            const result = await registration.handler(job.payload, job);
+            await job.update({ status: 'completed', completedAt: new Date(), lockedAt: null, lockedBy: null, lastError: null, result: result ?? null });
+        } catch (error) {
+            await this.fail(job, error).catch(failError => console.error(`Error recording failure of job ${job.id}:`, failError.message));
+        } finally {
+            clearInterval(heartbeat);
+            this.running.delete(job.id);
+        }
+        return job;
+    }
+
+    // Schedule a retry, or move the job to the dead-letter list once it is out of attempts
+    async fail(job, error, now = new Date()) {
+        const dead = error.retryable === false || job.attempts >= job.maxAttempts;
+        const lastError = String(error.stack || error.message).substring(0, 4000);
+
+        if (dead) {
+            console.error(`💀 Job ${job.id} (${job.type}) failed after ${job.attempts} attempts:`, error.message);
+            return job.update({ status: 'dead', lockedAt: null, lockedBy: null, lastError });
+        }
+
+        const delay = JobQueue.retryDelay(job.attempts);
+        console.warn(`🔁 Job ${job.id} (${job.type}) failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+        return job.update({ status: 'pending', runAt: new Date(now.getTime() + delay), lockedAt: null, lockedBy: null, lastError });
+    }
+
+    // Put a dead job back in the queue with a fresh set of attempts
+    async retry(jobId) {
+        const job = await Job.findByPk(jobId);
+        if (!job || job.status !== 'dead') {
+            return null;
+        }
+        return job.update({ status: 'pending', attempts: 0, runAt: new Date(), lastError: null });
+    }
+
+    // Queue depth and failures for the admin view
+    async stats() {
+        const [jobs, dead] = await Promise.all([
+            Job.findAll({ where: { status: ['pending', 'running', 'dead'] }, attributes: ['type', 'status', 'tenantId', 'runAt'] }),
+            Job.findAll({ where: { status: 'dead' }, order: [['updatedAt', 'DESC']], limit: 50 })
+        ]);
+
+        const now = Date.now();
+        const byType = {};
+        const byTenant = {};
+        const counts = { pending: 0, scheduled: 0, running: 0, dead: 0 };
+        let oldestDue = null;
+
+        for (const job of jobs) {
+            // pending jobs that can't run yet (retry backoff, scheduled) are counted separately
+            const state = job.status === 'pending' && job.runAt > now ? 'scheduled' : job.status;
+            counts[state]++;
+            byType[job.type] = byType[job.type] || { pending: 0, scheduled: 0, running: 0, dead: 0 };
+            byType[job.type][state]++;
+            if (job.tenantId) {
+                byTenant[job.tenantId] = byTenant[job.tenantId] || { pending: 0, scheduled: 0, running: 0, dead: 0 };
+                byTenant[job.tenantId][state]++;
+            }
+            if (state === 'pending' && (!oldestDue || job.runAt < oldestDue)) {
+                oldestDue = job.runAt;
+            }
+        }
+
+        return {
+            workerId: this.workerId,
+            runningHere: this.running.size,
+            counts,
+            oldestPendingSeconds: oldestDue ? Math.round((now - oldestDue) / 1000) : 0,
+            byType,
+            byTenant,
+            schedules: [...this.schedules].map(([name, { every, at, timeZone, type }]) => (every
+                ? { name, type, everySeconds: every / 1000 }
+                : { name, type, dailyAt: at, timeZone })),
+            deadJobs: dead.map(job => ({
+                id: job.id,
+                type: job.type,
+                tenantId: job.tenantId,
+                attempts: job.attempts,
+                lastError: (job.lastError || '').split('\n')[0],
+                failedAt: job.updatedAt
+            }))
+        };
+    }
+}
+
+// One shared queue so job types can register from anywhere
+const jobQueue = new JobQueue();
+
+module.exports = { JobQueue, jobQueue };
@@ -0,0 +1,302 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+
+// LLM providers share one interface:
+//   complete({ system, messages, model, temperature, maxTokens, tools, toolChoice }) -> { text, toolCalls, model, usage }
+//   stream({ ..., signal }) -> async generator of { type: 'text', text } and { type: 'tool_call', name, input }
+// messages are [{ role: 'user' | 'assistant', content }]; tools are [{ name, description, inputSchema }].
+// toolChoice names a tool the model must call (structured output); without it tools are optional.
+// LLM_PROVIDER picks the provider.
+
+// Parse a server-sent event byte stream into { event, data } records
+async function* readServerSentEvents(stream) {
+    const decoder = new StringDecoder('utf8'); // chunks can split multi-byte characters
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += decoder.write(chunk);
+
+        let boundary;
+        while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+            let event = 'message';
+            const data = [];
+            for (const line of rawEvent.split(/\r?\n/)) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+            }
+            if (data.length > 0) {
+                yield { event, data: data.join('\n') };
+            }
+        }
+    }
+}
+
+class AnthropicProvider {
+    constructor() {
+        this.name = 'anthropic';
+        this.apiKey = process.env.ANTHROPIC_API_KEY;
+        this.baseURL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1/messages';
+        this.defaultModel = 'claude-sonnet-4-20250514';
+    }
+
+    buildRequest({ system, messages, model, temperature, maxTokens, tools, toolChoice }) {
+        const body = {
+            model: model || this.defaultModel,
+            max_tokens: maxTokens,
+            messages: messages
+        };
+        if (system) body.system = system;
+        if (temperature !== undefined) body.temperature = temperature;
+        if (tools && tools.length > 0) {
+            body.tools = tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.inputSchema }));
+            if (toolChoice) body.tool_choice = { type: 'tool', name: toolChoice };
+        }
+        return body;
+    }
+
+    get headers() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        };
+    }
+
+    async complete(params) {
+        const response = await axios.post(this.baseURL, this.buildRequest(params), { headers: this.headers });
+
+        return {
+            text: response.data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+            toolCalls: response.data.content
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ name: block.name, input: block.input })),
+            model: response.data.model,
+            usage: {
+                inputTokens: response.data.usage?.input_tokens,
+                outputTokens: response.data.usage?.output_tokens
+            }
+        };
+    }
+
+    // Messages API with stream: true - relays text_delta events; tool_use input arrives as
+    // input_json_delta fragments and is emitted once its content block closes
+    async *stream(params) {
+        const response = await axios.post(this.baseURL, { ...this.buildRequest(params), stream: true }, {
+            headers: this.headers,
+            responseType: 'stream',
+            signal: params.signal
+        });
+        const toolBlocks = new Map();
+
+        for await (const { event, data } of readServerSentEvents(response.data)) {
+            if (event === 'content_block_start') {
+                const payload = JSON.parse(data);
+                if (payload.content_block?.type === 'tool_use') {
+                    toolBlocks.set(payload.index, { name: payload.content_block.name, json: '' });
+                }
+            } else if (event === 'content_block_delta') {
+                const payload = JSON.parse(data);
+                if (payload.delta?.type === 'text_delta') {
+                    yield { type: 'text', text: payload.delta.text };
+                } else if (payload.delta?.type === 'input_json_delta') {
+                    toolBlocks.get(payload.index).json += payload.delta.partial_json;
+                }
+            } else if (event === 'content_block_stop') {
+                const payload = JSON.parse(data);
+                const block = toolBlocks.get(payload.index);
+                if (block) {
+                    yield { type: 'tool_call', name: block.name, input: block.json ? JSON.parse(block.json) : {} };
+                }
+            } else if (event === 'error') {
+                const payload = JSON.parse(data);
+                throw new Error(payload.error?.message || 'Anthropic stream error');
+            } else if (event === 'message_stop') {
+                return;
+            }
+        }
+    }
+}
+
+// Any server speaking the OpenAI chat completions API (OpenAI, Azure OpenAI proxies, vLLM, Ollama, ...)
+class OpenAICompatibleProvider {
+    constructor() {
+        this.name = 'openai';
+        this.apiKey = process.env.OPENAI_API_KEY;
+        this.baseURL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.defaultModel = 'gpt-4o';
+    }
+
+    buildRequest({ system, messages, model, temperature, maxTokens, tools, toolChoice }) {
+        const body = {
+            model: model || this.defaultModel,
+            max_tokens: maxTokens,
+            messages: system ? [{ role: 'system', content: system }, ...messages] : messages
+        };
+        if (temperature !== undefined) body.temperature = temperature;
+        if (tools && tools.length > 0) {
+            body.tools = tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.inputSchema }
+            }));
+            if (toolChoice) body.tool_choice = { type: 'function', function: { name: toolChoice } };
+        }
+        return body;
+    }
+
+    get headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+        return headers;
+    }
+
+    async complete(params) {
+        const response = await axios.post(`${this.baseURL}/chat/completions`, this.buildRequest(params), { headers: this.headers });
+
+        const message = response.data.choices[0].message;
+
+        return {
+            text: message.content || '',
+            toolCalls: (message.tool_calls || []).map(call => ({
+                name: call.function.name,
+                input: JSON.parse(call.function.arguments || '{}')
+            })),
+            model: response.data.model,
+            usage: {
+                inputTokens: response.data.usage?.prompt_tokens,
+                outputTokens: response.data.usage?.completion_tokens
+            }
+        };
+    }
+
+    async *stream(params) {
+        const response = await axios.post(`${this.baseURL}/chat/completions`, { ...this.buildRequest(params), stream: true }, {
+            headers: this.headers,
+            responseType: 'stream',
+            signal: params.signal
+        });
+
+        // Tool call names/arguments arrive in fragments keyed by index
+        const toolCalls = [];
+
+        for await (const { data } of readServerSentEvents(response.data)) {
+            if (data === '[DONE]') {
+                break;
+            }
+            const delta = JSON.parse(data).choices?.[0]?.delta || {};
+            if (delta.content) {
+                yield { type: 'text', text: delta.content };
+            }
+            for (const fragment of delta.tool_calls || []) {
+                const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = { name: '', json: '' });
+                if (fragment.function?.name) call.name += fragment.function.name;
+                if (fragment.function?.arguments) call.json += fragment.function.arguments;
+            }
+        }
+
+        for (const call of toolCalls.filter(Boolean)) {
+            yield { type: 'tool_call', name: call.name, input: call.json ? JSON.parse(call.json) : {} };
+        }
+    }
+}
+
+// Deterministic offline provider for tests and local development - same input, same output
+// Values tried, in order, for string fields with a pattern (refs like E1/S1/U1/M1, dates)
+const STUB_PATTERN_SAMPLES = ['E1', 'S1', 'U1', 'M1', 'P1', '2000-01-01', '2000-01-01T09:00', '09:00'];
+
+// Smallest deterministic value satisfying the subset of JSON schema that utils/jsonSchema checks:
+// required properties only, minItems array entries, first enum value, lowest allowed number.
+function exampleFromSchema(schema) {
+    if (schema.enum) {
+        return schema.enum[0];
+    }
+
+    switch (schema.type) {
+        case 'object': {
+            const example = {};
+            for (const key of schema.required || []) {
+                example[key] = exampleFromSchema(schema.properties[key]);
+            }
+            return example;
+        }
+        case 'array':
+            return Array.from({ length: schema.minItems || 0 }, () => exampleFromSchema(schema.items || {}));
+        case 'integer':
+        case 'number':
+            return schema.minimum ?? Math.min(0, schema.maximum ?? 0);
+        case 'boolean':
+            return true;
+        default: {
+            if (schema.format === 'email') return 'stub@example.com';
+            if (schema.format === 'iana-time-zone') return 'UTC';
+            if (schema.pattern) {
+                const pattern = new RegExp(schema.pattern);
+                const sample = STUB_PATTERN_SAMPLES.find(value => pattern.test(value));
+                if (sample) return sample;
+            }
+            return 'stub'.padEnd(schema.minLength || 0, '.').substring(0, schema.maxLength ?? Infinity);
+        }
+    }
+}
+
+class StubProvider {
+    constructor() {
+        this.name = 'stub';
+        this.defaultModel = 'stub-1';
+    }
+
+    // With a toolChoice the stub "calls" that tool with the minimal valid input for its schema
+    async complete({ system, messages, model, tools, toolChoice }) {
+        const prompt = messages.map(message => message.content).join('\n');
+        const digest = crypto.createHash('sha256').update(`${system || ''}\n${prompt}`).digest('hex').substring(0, 12);
+        const firstLine = prompt.split('\n').find(line => line.trim()) || '';
+        const tool = toolChoice && (tools || []).find(candidate => candidate.name === toolChoice);
+
+        return {
+            text: `[stub ${digest}] Received a ${prompt.length}-character prompt starting with: ${firstLine.trim().substring(0, 120)}`,
+            toolCalls: tool ? [{ name: tool.name, input: exampleFromSchema(tool.inputSchema) }] : [],
+            model: model || this.defaultModel,
+            usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: 0 }
+        };
+    }
+
+    // Streams the complete() text word by word, then any tool call
+    async *stream(params) {
+        const { text, toolCalls } = await this.complete(params);
+
+        for (const word of text.match(/\S+\s*/g) || []) {
+            if (params.signal?.aborted) {
+                return;
+            }
+            await new Promise(resolve => setImmediate(resolve));
+            yield { type: 'text', text: word };
+        }
+        for (const call of toolCalls) {
+            yield { type: 'tool_call', name: call.name, input: call.input };
+        }
+    }
+}
+
+const PROVIDERS = {
+    anthropic: AnthropicProvider,
+    openai: OpenAICompatibleProvider,
+    stub: StubProvider
+};
+
+function createLLMProvider(name = process.env.LLM_PROVIDER || 'anthropic') {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}" - expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider();
+}
+
+module.exports = {
+    createLLMProvider,
+    AnthropicProvider,
+    OpenAICompatibleProvider,
+    StubProvider
+};
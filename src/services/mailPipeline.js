@@ -0,0 +1,71 @@
+const SubscriptionManager = require('./subscriptionManager');
+const MailboxSync = require('./mailboxSync');
+const MailMessage = require('../models/MailMessage');
+const { jobQueue } = require('./jobQueue');
+
+// Processing steps run for each new inbox message delivered by a Graph webhook
+async function processNewMessage({ userSettings, graphService, resourceId }) {
+    // Pull the new message (and anything else that changed) into the local store
+    await new MailboxSync(userSettings, graphService).syncFolder('inbox');
+
+    if (!resourceId) {
+        return null;
+    }
+
+    const message = await MailMessage.findOne({ where: { userSettingsId: userSettings.id, messageId: resourceId } });
+    if (!message) {
+        console.log(`📭 Message ${resourceId} not in the synced inbox window for ${userSettings.userEmail}`);
+        return null;
+    }
+
+    console.log(`📨 New message for ${userSettings.userEmail}: "${message.subject}" from ${message.fromAddress || 'unknown sender'}`);
+
+    // Classify it in the background - the AI call shouldn't hold up the notification job
+    await jobQueue.enqueue('emails.triage', { userSettingsId: userSettings.id, messageIds: [resourceId] }, {
+        tenantId: userSettings.tenantId,
+        userSettingsId: userSettings.id
+    });
+
+    return message;
+}
+
+async function processCalendarChange({ userSettings, eventType, resourceId }) {
+    console.log(`📅 Calendar ${eventType.split('.')[1]} for ${userSettings.userEmail}: ${resourceId}`);
+}
+
+// Lifecycle notifications: Graph wants the subscription reauthorized, or has removed it
+async function processLifecycleEvent({ userSettings, notification, subscription }) {
+    const manager = new SubscriptionManager(userSettings);
+
+    switch (notification.lifecycleEvent) {
+        case 'reauthorizationRequired':
+            await manager.renewSubscription(subscription);
+            break;
+        case 'subscriptionRemoved':
+            await subscription.update({ isActive: false });
+            await manager.ensureSubscriptions();
+            break;
+        case 'missed':
+            // Notifications were dropped - a delta sync picks up whatever was missed
+            console.warn(`⚠️ Graph reported missed notifications for ${userSettings.userEmail} - resyncing`);
+            await new MailboxSync(userSettings).syncFolder('inbox');
+            break;
+        default:
+            console.log(`ℹ️ Unhandled lifecycle event: ${notification.lifecycleEvent}`);
+    }
+}
+
+function registerMailPipeline(dispatcher) {
+    dispatcher.on('message.created', processNewMessage);
+    dispatcher.on('event.created', processCalendarChange);
+    dispatcher.on('event.updated', processCalendarChange);
+    dispatcher.on('event.deleted', processCalendarChange);
+    dispatcher.on('lifecycle', processLifecycleEvent);
+    return dispatcher;
+}
+
+module.exports = {
+    registerMailPipeline,
+    processNewMessage,
+    processLifecycleEvent
+};
@@ -0,0 +1,222 @@
+const MicrosoftGraphService = require('./microsoftGraph');
+const MailMessage = require('../models/MailMessage');
+const MailboxSyncState = require('../models/MailboxSyncState');
+const { acquireTokenForUser } = require('./tokenCache');
+const { toGraphRequestPath } = require('./graphClient');
+
+const MESSAGE_SELECT = 'id,subject,from,toRecipients,receivedDateTime,bodyPreview,isRead,importance,hasAttachments,categories,conversationId';
+const INITIAL_SYNC_DAYS = parseInt(process.env.MAILBOX_INITIAL_SYNC_DAYS) || 30;
+const PAGE_SIZE = 100;
+const STALE_AFTER = 60 * 1000; // Reads within a minute of the last sync skip the Graph round trip
+
+const UPDATABLE_FIELDS = [
+    'folderId', 'conversationId', 'subject', 'fromName', 'fromAddress', 'toRecipients',
+    'receivedDateTime', 'bodyPreview', 'isRead', 'importance', 'hasAttachments', 'categories', 'updatedAt'
+];
+
+// One sync per user/folder at a time; concurrent callers share the running promise
+const inFlightSyncs = new Map();
+
+// Graph answers an expired/invalid deltaLink with 410 Gone (or a resync error code)
+function isDeltaResetError(error) {
+    return error.statusCode === 410 || ['syncStateNotFound', 'resyncRequired', 'SyncStateNotFound'].includes(error.code);
+}
+
+class MailboxSync {
+    // graphService is optional; background callers get one backed by the user's token cache
+    constructor(userSettings, graphService = null) {
+        this.userSettings = userSettings;
+        this.graphService = graphService || new MicrosoftGraphService(() => acquireTokenForUser(userSettings));
+    }
+
+    // Pull only the changes since the stored deltaLink into the local store
+    syncFolder(folderId = 'inbox') {
+        const key = `${this.userSettings.id}:${folderId}`;
+
+        if (!inFlightSyncs.has(key)) {
+            const sync = this.runSync(folderId).finally(() => inFlightSyncs.delete(key));
+            inFlightSyncs.set(key, sync);
+        }
+
+        return inFlightSyncs.get(key);
+    }
+
+    // Sync only when the local copy is older than maxAge
+    async syncIfStale(folderId = 'inbox', maxAge = STALE_AFTER) {
+        const syncState = await MailboxSyncState.getOrCreate(this.userSettings.id, folderId);
+
+        if (syncState.deltaLink && syncState.lastSyncedAt && Date.now() - syncState.lastSyncedAt.getTime() < maxAge) {
+            return { skipped: true, lastSyncedAt: syncState.lastSyncedAt };
+        }
+
+        return this.syncFolder(folderId);
+    }
+
+    async runSync(folderId) {
+        const syncState = await MailboxSyncState.getOrCreate(this.userSettings.id, folderId);
+        const isFullSync = !syncState.deltaLink;
+
+        try {
+            const result = await this.fetchChanges(folderId, syncState.deltaLink);
+            await this.saveSyncState(syncState, result.deltaLink, isFullSync);
+
+            console.log(`🔄 ${isFullSync ? 'Full' : 'Delta'} sync of ${folderId} for ${this.userSettings.userEmail}: ${result.upserted} changed, ${result.removed} removed`);
+            return { ...result, fullSync: isFullSync, lastSyncedAt: syncState.lastSyncedAt };
+
+        } catch (error) {
+            if (!isFullSync && isDeltaResetError(error)) {
+                // Sync state is gone - start over from a clean folder
+                console.warn(`⚠️ Delta token expired for ${this.userSettings.userEmail}/${folderId} - running full resync`);
+                await MailMessage.destroy({ where: { userSettingsId: this.userSettings.id, folderId } });
+
+                const result = await this.fetchChanges(folderId, null);
+                await this.saveSyncState(syncState, result.deltaLink, true);
+                return { ...result, fullSync: true, lastSyncedAt: syncState.lastSyncedAt };
+            }
+
+            await syncState.update({ lastError: error.message });
+            throw error;
+        }
+    }
+
+    // Walk @odata.nextLink pages until Graph hands back the next @odata.deltaLink
+    async fetchChanges(folderId, deltaLink) {
+        const graphClient = this.graphService.graphClient;
+        let upserted = 0;
+        let removed = 0;
+        let nextDeltaLink = null;
+
+        let request;
+        if (deltaLink) {
+            request = graphClient.api(toGraphRequestPath(deltaLink));
+        } else {
+            const since = new Date(Date.now() - INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000);
+            request = graphClient
+                .api(`/me/mailFolders/${folderId}/messages/delta`)
+                .filter(`receivedDateTime ge ${since.toISOString()}`)
+                .select(MESSAGE_SELECT);
+        }
+
+        // No item cap here - the deltaLink only arrives on the last page
+        for await (const page of this.graphService.pages(request, { maxPageSize: PAGE_SIZE })) {
+            const counts = await this.applyChanges(folderId, page.value || []);
+            upserted += counts.upserted;
+            removed += counts.removed;
+            nextDeltaLink = page['@odata.deltaLink'] || null;
+        }
+
+        return { upserted, removed, deltaLink: nextDeltaLink };
+    }
+
+    async applyChanges(folderId, items) {
+        const removedIds = items.filter(item => item['@removed']).map(item => item.id);
+        const changed = items
+            .filter(item => !item['@removed'])
+            .map(item => MailMessage.fromGraphMessage(this.userSettings.id, folderId, item));
+
+        if (removedIds.length > 0) {
+            await MailMessage.removeForUser(this.userSettings.id, removedIds);
+        }
+
+        if (changed.length > 0) {
+            await MailMessage.bulkCreate(changed, {
+                updateOnDuplicate: UPDATABLE_FIELDS,
+                conflictAttributes: ['userSettingsId', 'messageId']
+            });
+        }
+
+        return { upserted: changed.length, removed: removedIds.length };
+    }
+
+    async saveSyncState(syncState, deltaLink, isFullSync) {
+        const updates = {
+            deltaLink: deltaLink,
+            lastSyncedAt: new Date(),
+            lastError: null
+        };
+        if (isFullSync) {
+            updates.lastFullSyncAt = updates.lastSyncedAt;
+        }
+        await syncState.update(updates);
+    }
+
+    // Read messages from the local store after bringing it up to date
+    async getMessages(options = {}) {
+        const { value } = await this.listMessages(options);
+        return value;
+    }
+
+    // Like getMessages, but returns { value, truncated } so callers can report when limit cut the list short
+    async listMessages(options = {}) {
+        const { folderId = 'inbox', maxAge = STALE_AFTER, limit = null } = options;
+
+        await this.syncIfStale(folderId, maxAge);
+        const messages = await MailMessage.findRecentForUser(this.userSettings.id, {
+            ...options,
+            folderId,
+            limit: limit ? limit + 1 : null
+        });
+
+        const truncated = Boolean(limit) && messages.length > limit;
+        return {
+            value: messages.slice(0, limit || messages.length).map(message => message.toGraphMessage()),
+            truncated
+        };
+    }
+
+    // Bulk action (see MicrosoftGraphService.BULK_ACTIONS) through Graph $batch, then the same change
+    // in the local store so reads don't wait for the next delta sync
+    async bulkAction(action, emailIds, options = {}) {
+        const results = await this.graphService.bulkMessageAction(action, emailIds, options);
+        const succeededIds = results.filter(r => r.success).map(r => r.emailId);
+        const userSettingsId = this.userSettings.id;
+        const where = { userSettingsId, messageId: succeededIds };
+
+        if (succeededIds.length > 0) {
+            switch (action) {
+                // A moved message gets a new ID - the next delta sync picks it up again if it landed in the inbox
+                case 'move':
+                case 'delete':
+                    await MailMessage.removeForUser(userSettingsId, succeededIds);
+                    break;
+                case 'read':
+                case 'unread':
+                    await MailMessage.update({ isRead: action === 'read' }, { where });
+                    break;
+                case 'categorize':
+                    await MailMessage.update({ categories: options.categories }, { where });
+                    break;
+            }
+        }
+
+        return {
+            results,
+            summary: {
+                total: results.length,
+                successful: succeededIds.length,
+                failed: results.length - succeededIds.length
+            }
+        };
+    }
+
+    // Drop-in replacement for MicrosoftGraphService.getRecentEmails(days)
+    async getRecentEmails(days = 1) {
+        const { value } = await this.listRecentEmails(days);
+        return value;
+    }
+
+    // { value, truncated } for the last `days` of the inbox. The store only reaches back
+    // INITIAL_SYNC_DAYS, so longer ranges are read from Graph (up to its per-list cap) instead.
+    async listRecentEmails(days = 1) {
+        if (days > INITIAL_SYNC_DAYS) {
+            console.log(`📧 ${days} days is past the ${INITIAL_SYNC_DAYS}-day local store for ${this.userSettings.userEmail} - reading from Graph`);
+            return this.graphService.getRecentEmails(days);
+        }
+
+        const since = new Date();
+        since.setDate(since.getDate() - days);
+        return this.listMessages({ since });
+    }
+}
+
+module.exports = MailboxSync;
@@ -0,0 +1,339 @@
+const { Op } = require('sequelize');
+const MailMessage = require('../models/MailMessage');
+const { validateAgainstSchema } = require('../utils/jsonSchema');
+const { parseGraphDateTime, getTimezoneLabel } = require('../utils/timezone');
+const { describeRecurrence } = require('../utils/recurrence');
+
+// Meeting prep briefs: collect the mail and past meetings that involve an event's attendees or
+// subject, then have the model fill in a `write_meeting_brief` tool call. Sources are listed in
+// the prompt as M1.. (emails) and P1.. (prior meetings) so the brief can point back to them.
+
+const LOOKBACK_DAYS = 90;
+const MAX_EMAILS = 15;
+const MAX_PRIOR_MEETINGS = 5;
+const MAX_SEARCH_ATTENDEES = 10;
+const SOURCE_REF = '^[MP]\\d+$';
+
+const MEETING_BRIEF_SCHEMA = {
+    type: 'object',
+    properties: {
+        summary: { type: 'string', minLength: 1, maxLength: 300, description: 'One sentence: what the meeting is for' },
+        context: { type: 'string', minLength: 1, description: 'Background from the emails and earlier meetings, a short paragraph' },
+        talkingPoints: { type: 'array', maxItems: 10, items: { type: 'string' } },
+        openQuestions: {
+            type: 'array',
+            maxItems: 10,
+            items: {
+                type: 'object',
+                properties: {
+                    question: { type: 'string', minLength: 1 },
+                    raisedBy: { type: 'string', description: 'Who asked or owns it, if known' },
+                    source: { type: 'string', pattern: SOURCE_REF, description: 'Email (M3) or prior meeting (P1) it comes from' }
+                },
+                required: ['question']
+            }
+        },
+        attachmentsToReview: {
+            type: 'array',
+            maxItems: 10,
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    source: { type: 'string', pattern: '^M\\d+$', description: 'Email the attachment is on' },
+                    reason: { type: 'string' }
+                },
+                required: ['name', 'source']
+            }
+        },
+        attendeeNotes: {
+            type: 'array',
+            maxItems: 20,
+            items: {
+                type: 'object',
+                properties: {
+                    email: { type: 'string', format: 'email' },
+                    note: { type: 'string', minLength: 1 }
+                },
+                required: ['email', 'note']
+            }
+        }
+    },
+    required: ['summary', 'context', 'openQuestions', 'attachmentsToReview']
+};
+
+const MEETING_BRIEF_TOOL = {
+    name: 'write_meeting_brief',
+    description: 'Write the preparation brief for the meeting from the listed emails (M1, M2, ...) and prior meetings (P1, P2, ...).',
+    inputSchema: MEETING_BRIEF_SCHEMA
+};
+
+class MeetingBriefValidationError extends Error {
+    constructor(errors, input) {
+        super(`AI meeting brief did not match the schema: ${errors.join('; ')}`);
+        this.name = 'MeetingBriefValidationError';
+        this.statusCode = 502;
+        this.errors = errors;
+        this.input = input;
+    }
+}
+
+// "RE: FW: Budget review" -> "Budget review"
+function normalizeSubject(subject) {
+    return String(subject || '').replace(/^\s*((re|fw|fwd|aw|wg|sv)\s*:\s*)+/i, '').trim();
+}
+
+const addressOf = (recipient) => (recipient?.emailAddress?.address || '').toLowerCase();
+
+// Resolve a write_meeting_brief call against the sources listed in the prompt
+function parseMeetingBrief(input, { emails, priorMeetings }) {
+    const errors = validateAgainstSchema(input, MEETING_BRIEF_SCHEMA);
+    const sources = { M: emails, P: priorMeetings };
+    const lookup = (ref) => ref ? sources[ref[0]][parseInt(ref.substring(1), 10) - 1] : undefined;
+
+    if (errors.length === 0) {
+        for (const field of ['openQuestions', 'attachmentsToReview']) {
+            input[field].forEach((item, index) => {
+                if (item.source && !lookup(item.source)) {
+                    errors.push(`input.${field}[${index}].source: ${item.source} is not one of the listed sources`);
+                }
+            });
+        }
+    }
+    if (errors.length > 0) {
+        throw new MeetingBriefValidationError(errors, input);
+    }
+
+    const describeSource = (ref) => {
+        const source = lookup(ref);
+        if (!source) return null;
+        return ref[0] === 'M'
+            ? { type: 'email', ref, id: source.id, subject: source.subject, webLink: source.webLink || null }
+            : { type: 'meeting', ref, id: source.id, subject: source.subject, start: source.start };
+    };
+
+    return {
+        summary: input.summary,
+        context: input.context,
+        talkingPoints: input.talkingPoints || [],
+        openQuestions: input.openQuestions.map(item => ({
+            question: item.question,
+            raisedBy: item.raisedBy || null,
+            source: describeSource(item.source)
+        })),
+        attachmentsToReview: input.attachmentsToReview.map(item => {
+            const email = lookup(item.source);
+            const attachment = (email.attachments || []).find(file => file.name.toLowerCase() === item.name.toLowerCase());
+            return {
+                name: item.name,
+                reason: item.reason || null,
+                attachmentId: attachment?.id || null,
+                email: describeSource(item.source)
+            };
+        }),
+        attendeeNotes: input.attendeeNotes || []
+    };
+}
+
+class MeetingBriefService {
+    // userEmail is left out of attendee searches; timeZone is used for times in the prompt
+    constructor(graphService, aiService, { userSettings = null, userEmail, timeZone }) {
+        this.graphService = graphService;
+        this.aiService = aiService;
+        this.userSettings = userSettings;
+        this.userEmail = (userEmail || '').toLowerCase();
+        this.timeZone = timeZone;
+    }
+
+    // Other people in the meeting (organizer included when it isn't the user)
+    participants(event) {
+        const addresses = [event.organizer, ...(event.attendees || [])]
+            .map(addressOf)
+            .filter(address => address && address !== this.userEmail);
+        return [...new Set(addresses)];
+    }
+
+    // Emails involving the attendees or matching the subject, across all folders. Graph $search
+    // first; when the mailbox can't be searched the local store (synced inbox) is used instead.
+    async findRelatedEmails(event) {
+        const participants = this.participants(event);
+        const subject = normalizeSubject(event.subject);
+        const queries = [];
+        if (participants.length > 0) {
+            queries.push(participants.slice(0, MAX_SEARCH_ATTENDEES).map(address => `participants:${address}`).join(' OR '));
+        }
+        if (subject.length >= 4) {
+            queries.push(`subject:"${subject}"`);
+        }
+        if (queries.length === 0) {
+            return { emails: [], source: 'none' };
+        }
+
+        let found;
+        let source = 'graph';
+        try {
+            found = [];
+            for (const query of queries) {
+                found.push(...(await this.graphService.searchMessages(query)).value);
+            }
+        } catch (error) {
+            if (!this.userSettings || error.statusCode === 401) throw error;
+            console.warn(`⚠️ Mailbox search failed (${error.message}) - using the local message store`);
+            found = await this.searchLocalStore(participants, subject);
+            source = 'local';
+        }
+
+        // Rank: subject match first, then how many attendees are on the thread, then most recent
+        const score = (email) => {
+            const people = [email.from, ...(email.toRecipients || []), ...(email.ccRecipients || [])].map(addressOf);
+            const subjectMatch = subject && normalizeSubject(email.subject).toLowerCase().includes(subject.toLowerCase()) ? 10 : 0;
+            return subjectMatch + participants.filter(address => people.includes(address)).length;
+        };
+        const unique = [...new Map(found.map(email => [email.id, email])).values()];
+        const emails = unique
+            .map(email => ({ email, score: score(email) }))
+            .sort((a, b) => b.score - a.score || new Date(b.email.receivedDateTime) - new Date(a.email.receivedDateTime))
+            .slice(0, MAX_EMAILS)
+            .map(({ email }) => email);
+
+        return { emails, source };
+    }
+
+    async searchLocalStore(participants, subject) {
+        const conditions = [];
+        if (participants.length > 0) conditions.push({ fromAddress: participants });
+        if (subject) conditions.push({ subject: { [Op.iLike]: `%${subject}%` } });
+
+        const messages = await MailMessage.findAll({
+            where: { userSettingsId: this.userSettings.id, [Op.or]: conditions },
+            order: [['receivedDateTime', 'DESC']],
+            limit: 50
+        });
+        return messages.map(message => message.toGraphMessage());
+    }
+
+    // Earlier meetings of the same series, with the same subject, or with any of the same people
+    async findPriorMeetings(event) {
+        const eventStart = parseGraphDateTime(event.start);
+        const since = new Date(eventStart.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+        const participants = this.participants(event);
+        const subject = normalizeSubject(event.subject).toLowerCase();
+
+        const { value: events } = await this.graphService.getCalendarView(since, eventStart, { fields: ['bodyPreview'] });
+        return events
+            .filter(other => other.id !== event.id && !other.isCancelled)
+            .filter(other => (event.seriesMasterId && other.seriesMasterId === event.seriesMasterId)
+                || (subject && normalizeSubject(other.subject).toLowerCase() === subject)
+                || this.participants(other).some(address => participants.includes(address)))
+            .sort((a, b) => parseGraphDateTime(b.start) - parseGraphDateTime(a.start))
+            .slice(0, MAX_PRIOR_MEETINGS);
+    }
+
+    formatTime(value) {
+        const date = value instanceof Date ? value : parseGraphDateTime(value);
+        return `${date.toLocaleString('en-US', { timeZone: this.timeZone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })} ${getTimezoneLabel(this.timeZone, date)}`;
+    }
+
+    buildPrompt(event, emails, priorMeetings) {
+        const people = (event.attendees || []).map(attendee => `${attendee.emailAddress?.name || ''} <${addressOf(attendee)}>`.trim()).join(', ');
+        const emailLines = emails.map((email, index) => {
+            const files = (email.attachments || []).map(file => file.name);
+            return `M${index + 1}: ${this.formatTime(new Date(email.receivedDateTime))} - from ${email.from?.emailAddress?.name || ''} <${addressOf(email.from)}> - "${email.subject || '(no subject)'}"`
+                + `${files.length ? ` - attachments: ${files.join(', ')}` : ''}\n    ${(email.bodyPreview || '').replace(/\s+/g, ' ').substring(0, 300)}`;
+        });
+        const meetingLines = priorMeetings.map((meeting, index) =>
+            `P${index + 1}: ${this.formatTime(meeting.start)} - "${meeting.subject}" with ${this.participants(meeting).join(', ') || 'no other attendees'}`
+            + `${meeting.bodyPreview ? `\n    ${meeting.bodyPreview.replace(/\s+/g, ' ').substring(0, 200)}` : ''}`);
+
+        return `Prepare the user for this meeting. All times are in ${this.timeZone}.
+
+Meeting: ${event.subject}
+When: ${this.formatTime(event.start)} to ${this.formatTime(event.end)}
+Where: ${event.location?.displayName || 'Not specified'}
+Organizer: ${event.organizer?.emailAddress?.name || ''} <${addressOf(event.organizer)}>${event.isOrganizer ? ' (the user)' : ''}
+Attendees: ${people || 'none listed'}
+${event.recurrence ? `Repeats: ${describeRecurrence(event.recurrence)}\n` : ''}Description: ${(event.bodyPreview || '').replace(/\s+/g, ' ').substring(0, 500) || 'none'}
+
+Related emails (most relevant first):
+${emailLines.join('\n') || 'None found.'}
+
+Earlier meetings with the same people or subject:
+${meetingLines.join('\n') || 'None found.'}
+
+Call write_meeting_brief. Only use facts from the meeting, emails and earlier meetings above; cite them as M1/P1 in source.
+List open questions that are still unanswered in the threads, and attachments worth reading before the meeting.`;
+    }
+
+    // Brief for an event id: { event, brief, structured, sources: { emails, priorMeetings, search } }
+    async generate(eventId) {
+        const event = await this.graphService.getEvent(eventId);
+        const [{ emails, source }, priorMeetings] = await Promise.all([
+            this.findRelatedEmails(event),
+            this.findPriorMeetings(event)
+        ]);
+
+        const attachments = await this.graphService.getAttachmentInfo(emails.filter(email => email.hasAttachments).map(email => email.id));
+        for (const email of emails) {
+            email.attachments = attachments.get(email.id) || [];
+        }
+
+        const prompt = this.buildPrompt(event, emails, priorMeetings);
+        const { brief, structured } = await this.aiService.generateMeetingBrief(prompt, { emails, priorMeetings, fallbackSummary: event.subject });
+
+        return {
+            event: {
+                id: event.id,
+                subject: event.subject,
+                start: event.start,
+                end: event.end,
+                location: event.location?.displayName || null,
+                attendees: (event.attendees || []).map(addressOf)
+            },
+            brief,
+            structured,
+            sources: {
+                search: source,
+                emails: emails.map((email, index) => ({
+                    ref: `M${index + 1}`,
+                    id: email.id,
+                    subject: email.subject,
+                    from: addressOf(email.from),
+                    receivedDateTime: email.receivedDateTime,
+                    webLink: email.webLink || null,
+                    attachments: email.attachments.map(file => ({ id: file.id, name: file.name, contentType: file.contentType, size: file.size }))
+                })),
+                priorMeetings: priorMeetings.map((meeting, index) => ({
+                    ref: `P${index + 1}`,
+                    id: meeting.id,
+                    subject: meeting.subject,
+                    start: meeting.start,
+                    end: meeting.end
+                }))
+            }
+        };
+    }
+}
+
+// Plain-text rendering for callers that show the brief as one block (e.g. /next-meeting's preparation)
+function formatBriefText(brief) {
+    const sections = [brief.summary, '', brief.context];
+    if (brief.talkingPoints.length > 0) {
+        sections.push('', 'Talking points:', ...brief.talkingPoints.map(point => `- ${point}`));
+    }
+    if (brief.openQuestions.length > 0) {
+        sections.push('', 'Open questions:', ...brief.openQuestions.map(item => `- ${item.question}${item.raisedBy ? ` (${item.raisedBy})` : ''}`));
+    }
+    if (brief.attachmentsToReview.length > 0) {
+        sections.push('', 'Attachments to review:', ...brief.attachmentsToReview.map(item => `- ${item.name}${item.email ? ` (from "${item.email.subject}")` : ''}${item.reason ? ` - ${item.reason}` : ''}`));
+    }
+    return sections.join('\n');
+}
+
+module.exports = {
+    MEETING_BRIEF_TOOL,
+    MeetingBriefService,
+    MeetingBriefValidationError,
+    parseMeetingBrief,
+    formatBriefText,
+    normalizeSubject
+};
@@ -0,0 +1,105 @@
+const { validateAgainstSchema } = require('../utils/jsonSchema');
+
+// Meeting proposals are returned by the model as a `propose_meeting` tool call instead of
+// JSON scraped out of the answer text. The input schema is declared here and checked on the way back.
+
+const MEETING_TYPES = ['teams', 'zoom', 'in-person', 'phone'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const LOCAL_DATE_TIME = '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}$';
+
+const MEETING_PROPOSAL_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 255 },
+        durationMinutes: { type: 'integer', minimum: 5, maximum: 480 },
+        attendees: {
+            type: 'array',
+            items: { type: 'string', format: 'email' },
+            description: 'Attendee email addresses'
+        },
+        description: { type: 'string' },
+        meetingType: { type: 'string', enum: MEETING_TYPES },
+        priority: { type: 'string', enum: PRIORITIES },
+        suggestedSlots: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 5,
+            items: {
+                type: 'object',
+                properties: {
+                    start: { type: 'string', pattern: LOCAL_DATE_TIME, description: 'Local start time, YYYY-MM-DDTHH:mm' },
+                    timeZone: { type: 'string', format: 'iana-time-zone', description: 'IANA time zone of start, e.g. America/New_York' },
+                    label: { type: 'string', description: 'Human readable label, e.g. "Tomorrow 2:00 PM"' }
+                },
+                required: ['start', 'timeZone']
+            }
+        }
+    },
+    required: ['title', 'durationMinutes', 'suggestedSlots', 'priority']
+};
+
+const MEETING_PROPOSAL_TOOL = {
+    name: 'propose_meeting',
+    description: 'Propose a meeting to schedule. Call this only when the user asks to schedule something or the context clearly calls for a meeting.',
+    inputSchema: MEETING_PROPOSAL_SCHEMA
+};
+
+class MeetingProposalValidationError extends Error {
+    constructor(errors, input) {
+        super(`AI meeting proposal did not match the schema: ${errors.join('; ')}`);
+        this.name = 'MeetingProposalValidationError';
+        this.statusCode = 502;
+        this.errors = errors;
+        this.input = input;
+    }
+}
+
+// Returns the validated proposal or throws MeetingProposalValidationError
+function parseMeetingProposal(input) {
+    const errors = validateAgainstSchema(input, MEETING_PROPOSAL_SCHEMA);
+    if (errors.length > 0) {
+        throw new MeetingProposalValidationError(errors, input);
+    }
+
+    return {
+        title: input.title,
+        durationMinutes: input.durationMinutes,
+        attendees: input.attendees || [],
+        description: input.description || '',
+        meetingType: input.meetingType || 'teams',
+        priority: input.priority,
+        suggestedSlots: input.suggestedSlots.map(slot => ({ start: slot.start, timeZone: slot.timeZone, label: slot.label || slot.start }))
+    };
+}
+
+// Shape the dashboard already consumes: { meetingDetected, meetingDetails: { ..., suggestedTimes } }
+function toMeetingData(proposal) {
+    if (!proposal) {
+        return { meetingDetected: false };
+    }
+
+    return {
+        meetingDetected: true,
+        meetingDetails: {
+            title: proposal.title,
+            duration: proposal.durationMinutes,
+            attendees: proposal.attendees,
+            description: proposal.description,
+            meetingType: proposal.meetingType,
+            priority: proposal.priority,
+            suggestedTimes: proposal.suggestedSlots.map(slot => ({
+                date: slot.start.substring(0, 10),
+                time: slot.start.substring(11, 16),
+                label: slot.label,
+                timezone: slot.timeZone
+            }))
+        }
+    };
+}
+
+module.exports = {
+    MEETING_PROPOSAL_TOOL,
+    MeetingProposalValidationError,
+    parseMeetingProposal,
+    toMeetingData
+};
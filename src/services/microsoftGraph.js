@@ -1,21 +1,161 @@
 // Update your src/services/microsoftGraph.js file:
 
-const { Client } = require('@microsoft/microsoft-graph-client');
+const { createGraphClient, toGraphRequestPath } = require('./graphClient');
+const { seriesInfo } = require('../utils/recurrence');
 
-class TokenAuthProvider {
-    constructor(accessToken) {
-        this.accessToken = accessToken;
+// List defaults: items per Graph page and the hard cap on items collected per call
+const DEFAULT_PAGE_SIZE = parseInt(process.env.GRAPH_PAGE_SIZE) || 50;
+const DEFAULT_MAX_ITEMS = parseInt(process.env.GRAPH_MAX_ITEMS) || 500;
+
+const BATCH_SIZE = 20; // Graph's limit on requests per $batch call
+const BATCH_MAX_RETRIES = 3;
+const RETRYABLE_BATCH_STATUSES = [429, 503, 504];
+
+// calendarView fields - type/seriesMasterId tell occurrences and exceptions from single events
+const CALENDAR_VIEW_FIELDS = 'id,subject,start,end,location,attendees,organizer,importance,showAs,responseStatus,isAllDay,isCancelled,isOrganizer,type,seriesMasterId';
+
+// Bulk message actions accepted by bulkMessageAction()
+const BULK_ACTIONS = ['move', 'read', 'unread', 'flag', 'categorize', 'delete'];
+
+// Split operations into $batch payloads of at most BATCH_SIZE, keeping each dependsOn chain in one batch
+function groupForBatch(operations) {
+    const parent = new Map(operations.map(op => [op.id, op.id]));
+    const find = (id) => parent.get(id) === id ? id : find(parent.get(id));
+
+    for (const op of operations) {
+        for (const dependency of op.dependsOn || []) {
+            if (parent.has(dependency)) {
+                parent.set(find(op.id), find(dependency));
+            }
+        }
+    }
+
+    const chains = new Map();
+    for (const op of operations) {
+        const root = find(op.id);
+        if (!chains.has(root)) chains.set(root, []);
+        chains.get(root).push(op);
     }
 
-    async getAccessToken() {
-        return this.accessToken;
+    const batches = [];
+    let current = [];
+    for (const chain of chains.values()) {
+        if (chain.length > BATCH_SIZE) {
+            throw new Error(`A dependsOn chain of ${chain.length} requests exceeds the $batch limit of ${BATCH_SIZE}`);
+        }
+        if (current.length + chain.length > BATCH_SIZE) {
+            batches.push(current);
+            current = [];
+        }
+        current.push(...chain);
+    }
+    if (current.length > 0) {
+        batches.push(current);
+    }
+    return batches;
+}
+
+function toBatchRequest(op) {
+    const request = { id: op.id, method: op.method, url: op.url };
+    if (op.body !== undefined) {
+        request.body = op.body;
+        request.headers = { 'Content-Type': 'application/json', ...(op.headers || {}) };
+    } else if (op.headers) {
+        request.headers = op.headers;
+    }
+    if (op.dependsOn && op.dependsOn.length > 0) {
+        request.dependsOn = op.dependsOn;
+    }
+    return request;
+}
+
+function isSuccessStatus(status) {
+    return status >= 200 && status < 300;
+}
+
+function toBatchResult(op, response) {
+    if (!response) {
+        return { id: op.id, status: 0, success: false, error: 'No response returned for this request' };
     }
+    const success = isSuccessStatus(response.status);
+    return {
+        id: op.id,
+        status: response.status,
+        success: success,
+        body: response.body,
+        error: success ? undefined : (response.body?.error?.message || `Request failed with status ${response.status}`)
+    };
+}
+
+function getRetryAfterMs(response) {
+    const headers = response.headers || {};
+    const key = Object.keys(headers).find(name => name.toLowerCase() === 'retry-after');
+    const seconds = key ? Number(headers[key]) : NaN;
+    return Number.isNaN(seconds) ? 1000 : seconds * 1000;
 }
 
 class MicrosoftGraphService {
+    // accessToken may be a token string or an async function returning a fresh token
     constructor(accessToken) {
-        const authProvider = new TokenAuthProvider(accessToken);
-        this.graphClient = Client.initWithMiddleware({ authProvider });
+        this.graphClient = createGraphClient(accessToken);
+    }
+
+    // Yield each page of a collection, following @odata.nextLink until Graph stops returning one.
+    // maxPageSize sends Prefer: odata.maxpagesize on every page (delta queries ignore $top).
+    async *pages(request, options = {}) {
+        const { maxPageSize = null } = options;
+        const preferPageSize = (req) => maxPageSize ? req.header('Prefer', `odata.maxpagesize=${maxPageSize}`) : req;
+
+        let page = await preferPageSize(request).get();
+        yield page;
+
+        while (page['@odata.nextLink']) {
+            page = await preferPageSize(this.graphClient.api(toGraphRequestPath(page['@odata.nextLink']))).get();
+            yield page;
+        }
+    }
+
+    // Yield items across pages until maxItems is reached.
+    // The generator's return value reports whether Graph had more items than the cap.
+    async *paginate(request, options = {}) {
+        const { pageSize = DEFAULT_PAGE_SIZE, maxItems = DEFAULT_MAX_ITEMS } = options;
+        let count = 0;
+
+        for await (const page of this.pages(request.top(Math.min(pageSize, maxItems)))) {
+            const items = page.value || [];
+
+            for (const item of items) {
+                if (count >= maxItems) {
+                    return { count, truncated: true };
+                }
+                count++;
+                yield item;
+            }
+
+            if (count >= maxItems && page['@odata.nextLink']) {
+                return { count, truncated: true };
+            }
+        }
+
+        return { count, truncated: false };
+    }
+
+    // Collect a paged collection into { value, truncated }
+    async collect(request, options = {}) {
+        const iterator = this.paginate(request, options);
+        const value = [];
+
+        let next = await iterator.next();
+        while (!next.done) {
+            value.push(next.value);
+            next = await iterator.next();
+        }
+
+        if (next.value.truncated) {
+            console.warn(`⚠️ Graph list truncated at ${next.value.count} items (maxItems ${options.maxItems || DEFAULT_MAX_ITEMS})`);
+        }
+
+        return { value, truncated: next.value.truncated };
     }
 
     async getUserProfile() {
@@ -28,20 +168,19 @@ class MicrosoftGraphService {
         }
     }
 
-    async getRecentEmails(days = 1) {
+    // Returns { value, truncated } - see collect()
+    async getRecentEmails(days = 1, options = {}) {
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - days);
         
         try {
-            const emails = await this.graphClient
+            const request = this.graphClient
                 .api('/me/mailFolders/inbox/messages')
                 .filter(`receivedDateTime ge ${startDate.toISOString()}`)
                 .select('id,subject,from,receivedDateTime,bodyPreview,isRead,importance,hasAttachments')
-                .orderby('receivedDateTime desc')
-                .top(50)
-                .get();
+                .orderby('receivedDateTime desc');
             
-            return emails.value;
+            return await this.collect(request, options);
         } catch (error) {
             console.error('Error fetching emails:', error);
             throw error;
@@ -62,6 +201,204 @@ class MicrosoftGraphService {
         }
     }
 
+    // Full-mailbox search (all folders) with a KQL query, e.g. 'participants:a@x.com OR subject:"Budget"'.
+    // $search can't be combined with $orderby - Graph returns the most relevant/recent matches first.
+    async searchMessages(query, options = {}) {
+        const request = this.graphClient
+            .api('/me/messages')
+            .query({ $search: `"${query.replace(/"/g, '\\"')}"` })
+            .select('id,subject,from,toRecipients,ccRecipients,receivedDateTime,bodyPreview,hasAttachments,conversationId,webLink');
+
+        return this.collect(request, { pageSize: 25, maxItems: 50, ...options });
+    }
+
+    // Set each message's categories in one $batch: updates = [{ emailId, categories }].
+    // Returns [{ emailId, success, status }] like bulkMessageAction.
+    async setMessageCategories(updates) {
+        const results = await this.batch(updates.map(({ emailId, categories }, index) => ({
+            id: String(index + 1),
+            method: 'PATCH',
+            url: `/me/messages/${emailId}`,
+            body: { categories }
+        })));
+
+        return results.map(result => ({
+            emailId: updates[parseInt(result.id) - 1].emailId,
+            success: result.success,
+            status: result.status,
+            error: result.error
+        }));
+    }
+
+    // Several messages with their body as plain text (Graph converts HTML) in one $batch: Map of id -> message
+    async getMessageBodies(emailIds) {
+        const messages = new Map();
+        const ids = [...new Set(emailIds)];
+        if (ids.length === 0) {
+            return messages;
+        }
+
+        const results = await this.batch(ids.map(id => ({
+            id,
+            method: 'GET',
+            url: `/me/messages/${encodeURIComponent(id)}?$select=id,subject,from,toRecipients,ccRecipients,receivedDateTime,body,webLink`,
+            headers: { Prefer: 'outlook.body-content-type="text"' }
+        })));
+        for (const result of results.filter(result => result.success)) {
+            messages.set(result.id, result.body);
+        }
+        return messages;
+    }
+
+    // Reply (or reply-all) draft in the Drafts folder, with Outlook's quoted original as its body.
+    // Immutable IDs keep the draft's ID stable once it is sent and moves to Sent Items.
+    async createReplyDraft(emailId, replyToAll = false) {
+        return this.graphClient
+            .api(`/me/messages/${emailId}/${replyToAll ? 'createReplyAll' : 'createReply'}`)
+            .header('Prefer', 'IdType="ImmutableId"')
+            .post({});
+    }
+
+    // Current state of drafts in one $batch: Map of draftId -> message, or null once deleted
+    async getDrafts(draftIds) {
+        const drafts = new Map();
+        const ids = [...new Set(draftIds)];
+        if (ids.length === 0) {
+            return drafts;
+        }
+
+        const results = await this.batch(ids.map(id => ({
+            id,
+            method: 'GET',
+            url: `/me/messages/${encodeURIComponent(id)}?$select=id,subject,toRecipients,ccRecipients,isDraft,sentDateTime,lastModifiedDateTime,webLink`,
+            headers: { Prefer: 'IdType="ImmutableId"' }
+        })));
+        for (const result of results) {
+            if (result.success) {
+                drafts.set(result.id, result.body);
+            } else if (result.status === 404) {
+                drafts.set(result.id, null);
+            }
+        }
+        return drafts;
+    }
+
+    // changes: any of { subject, body: { contentType, content }, toRecipients, ccRecipients }
+    async updateDraft(draftId, changes) {
+        return this.graphClient
+            .api(`/me/messages/${draftId}`)
+            .header('Prefer', 'IdType="ImmutableId"')
+            .patch(changes);
+    }
+
+    async sendDraft(draftId) {
+        await this.graphClient
+            .api(`/me/messages/${draftId}/send`)
+            .post({});
+    }
+
+    async deleteDraft(draftId) {
+        await this.graphClient
+            .api(`/me/messages/${draftId}`)
+            .delete();
+    }
+
+    // Sent Items since a date, newest first - returns { value, truncated }
+    async getSentMessages(since, options = {}) {
+        const request = this.graphClient
+            .api('/me/mailFolders/sentitems/messages')
+            .filter(`sentDateTime ge ${since.toISOString()}`)
+            .select('id,subject,toRecipients,ccRecipients,sentDateTime,bodyPreview,conversationId,webLink')
+            .orderby('sentDateTime desc');
+
+        return this.collect(request, { maxItems: 100, ...options });
+    }
+
+    // Messages of several conversations (all folders) in one $batch: Map of conversationId -> messages
+    async getConversationMessages(conversationIds) {
+        const conversations = new Map();
+        if (conversationIds.length === 0) {
+            return conversations;
+        }
+
+        const results = await this.batch(conversationIds.map(conversationId => ({
+            method: 'GET',
+            url: `/me/messages?$filter=${encodeURIComponent(`conversationId eq '${conversationId.replace(/'/g, "''")}'`)}&$select=id,from,sentDateTime,receivedDateTime&$top=50`
+        })));
+        results.forEach((result, index) => {
+            if (result.success) {
+                conversations.set(conversationIds[index], result.body.value || []);
+            }
+        });
+        return conversations;
+    }
+
+    // Microsoft To Do lists; the one with wellknownListName 'defaultList' is "Tasks"
+    async getTodoLists() {
+        const request = this.graphClient
+            .api('/me/todo/lists')
+            .select('id,displayName,wellknownListName');
+
+        const { value } = await this.collect(request);
+        return value;
+    }
+
+    // Open tasks of a To Do list with their linked resources (links back to the source email)
+    async getOpenTodoTasks(listId, options = {}) {
+        const request = this.graphClient
+            .api(`/me/todo/lists/${encodeURIComponent(listId)}/tasks`)
+            .filter("status ne 'completed'")
+            .select('id,title,status,dueDateTime')
+            .expand('linkedResources');
+
+        const { value } = await this.collect(request, { maxItems: 500, ...options });
+        return value;
+    }
+
+    async createTodoTask(listId, task) {
+        return this.graphClient
+            .api(`/me/todo/lists/${encodeURIComponent(listId)}/tasks`)
+            .post(task);
+    }
+
+    // Messages flagged for follow-up in any folder, with their flag (dueDateTime is a dateTimeTimeZone)
+    async getFlaggedMessages(options = {}) {
+        const request = this.graphClient
+            .api('/me/messages')
+            .filter("flag/flagStatus eq 'flagged'")
+            .select('id,subject,from,receivedDateTime,flag,webLink');
+
+        const { value } = await this.collect(request, { pageSize: 50, maxItems: 200, ...options });
+        return value;
+    }
+
+    // Attachment names/types/sizes (no content) for several messages in one $batch: Map of messageId -> [attachment]
+    async getAttachmentInfo(emailIds) {
+        const attachments = new Map();
+        const ids = [...new Set(emailIds)];
+        if (ids.length === 0) {
+            return attachments;
+        }
+
+        const results = await this.batch(ids.map(id => ({
+            id,
+            method: 'GET',
+            url: `/me/messages/${encodeURIComponent(id)}/attachments?$select=id,name,contentType,size,isInline`
+        })));
+        for (const result of results.filter(result => result.success)) {
+            attachments.set(result.id, (result.body.value || []).filter(attachment => !attachment.isInline));
+        }
+        return attachments;
+    }
+
+    // File attachments of a message with their content (contentBytes is base64)
+    async getMessageAttachments(emailId) {
+        const result = await this.graphClient
+            .api(`/me/messages/${encodeURIComponent(emailId)}/attachments`)
+            .get();
+        return result.value.filter(attachment => attachment['@odata.type'] === '#microsoft.graph.fileAttachment');
+    }
+
     // UPDATED: Fixed sendEmail method to properly handle replies
     async sendEmail(to, subject, body, replyToEmailId = null) {
         try {
@@ -100,11 +437,11 @@ class MicrosoftGraphService {
                         contentType: 'HTML',
                         content: body
                     },
-                    toRecipients: [{
+                    toRecipients: [].concat(to).map(address => ({
                         emailAddress: {
-                            address: to
+                            address: address
                         }
-                    }]
+                    }))
                 };
 
                 const result = await this.graphClient
@@ -192,26 +529,255 @@ class MicrosoftGraphService {
             }
         }
 
-    async getCalendarEvents(days = 7) {
-        const startDate = new Date();
-        const endDate = new Date();
+    // Returns { value, truncated } - see collect(). options.startDate moves the window start (default now).
+    async getCalendarEvents(days = 7, options = {}) {
+        const startDate = options.startDate ? new Date(options.startDate) : new Date();
+        const endDate = new Date(startDate);
         endDate.setDate(endDate.getDate() + days);
 
         try {
-            const events = await this.graphClient
-                .api('/me/events')
-                .filter(`start/dateTime ge '${startDate.toISOString()}' and end/dateTime le '${endDate.toISOString()}'`)
-                .select('id,subject,start,end,location,attendees,importance,showAs')
-                .orderby('start/dateTime')
-                .get();
-            
-            return events.value;
+            return await this.getCalendarView(startDate, endDate, options);
         } catch (error) {
             console.error('Error fetching calendar events:', error);
             throw error;
         }
     }
 
+    // Events overlapping [start, end) with recurring series expanded into occurrences.
+    // /me/events only returns series masters, so anything recurring has to come through calendarView.
+    // options.timeZone sends Prefer: outlook.timezone, options.fields adds to the default $select;
+    // each event gets a `series` summary (see seriesInfo).
+    async getCalendarView(start, end, options = {}) {
+        let request = this.graphClient
+            .api('/me/calendarView')
+            .query({ startDateTime: start.toISOString(), endDateTime: end.toISOString() })
+            .select([CALENDAR_VIEW_FIELDS, ...(options.fields || [])].join(','))
+            .orderby('start/dateTime');
+        if (options.timeZone) {
+            request = request.header('Prefer', `outlook.timezone="${options.timeZone}"`);
+        }
+
+        const result = await this.collect(request, options);
+        return { ...result, value: await this.attachSeriesInfo(result.value) };
+    }
+
+    // Occurrences don't carry the recurrence pattern - fetch each series master once via $batch.
+    // A master that can't be read leaves its occurrences with recurrence: null rather than failing the list.
+    async attachSeriesInfo(events) {
+        const masterIds = events.map(event => event.seriesMasterId).filter(Boolean);
+        const masters = await this.getEventsById(masterIds, { select: 'id,subject,recurrence' });
+
+        return events.map(event => ({ ...event, series: seriesInfo(event, masters.get(event.seriesMasterId)) }));
+    }
+
+    // Map of id -> event for several events in one $batch; events that can't be read are left out.
+    // options: { select, timeZone }
+    async getEventsById(eventIds, options = {}) {
+        const ids = [...new Set(eventIds)];
+        const events = new Map();
+        if (ids.length === 0) {
+            return events;
+        }
+
+        const results = await this.batch(ids.map(id => ({
+            id,
+            method: 'GET',
+            url: `/me/events/${encodeURIComponent(id)}${options.select ? `?$select=${options.select}` : ''}`,
+            headers: options.timeZone ? { Prefer: `outlook.timezone="${options.timeZone}"` } : undefined
+        })));
+        for (const result of results.filter(result => result.success)) {
+            events.set(result.id, result.body);
+        }
+        return events;
+    }
+
+    async getEvent(eventId, options = {}) {
+        let request = this.graphClient
+            .api(`/me/events/${encodeURIComponent(eventId)}`)
+            .select(`${CALENDAR_VIEW_FIELDS},body,bodyPreview,recurrence`);
+        if (options.timeZone) {
+            request = request.header('Prefer', `outlook.timezone="${options.timeZone}"`);
+        }
+        return request.get();
+    }
+
+    // PATCH an event (subject, start/end, attendees, body, location...). Attendees are notified by Exchange.
+    // On an occurrence id this turns that occurrence into an exception; on a series master it changes the series.
+    async updateEvent(eventId, changes) {
+        return this.graphClient
+            .api(`/me/events/${encodeURIComponent(eventId)}`)
+            .patch(changes);
+    }
+
+    // Organizer only - sends the cancellation (with comment) to all attendees and removes the event
+    async cancelEvent(eventId, comment = '') {
+        await this.graphClient
+            .api(`/me/events/${encodeURIComponent(eventId)}/cancel`)
+            .post({ comment });
+    }
+
+    // response: 'accept' | 'tentativelyAccept' | 'decline'. proposedNewTime ({ start, end } dateTimeTimeZone)
+    // is only accepted by Graph with tentativelyAccept and decline.
+    async respondToEvent(eventId, response, options = {}) {
+        const { comment = '', sendResponse = true, proposedNewTime } = options;
+        const body = { comment, sendResponse };
+        if (proposedNewTime) {
+            body.proposedNewTime = proposedNewTime;
+        }
+
+        await this.graphClient
+            .api(`/me/events/${encodeURIComponent(eventId)}/${response}`)
+            .post(body);
+    }
+
+    // Outlook mailbox settings - time zone and working hours
+    async getMailboxSettings() {
+        return this.graphClient
+            .api('/me/mailboxSettings')
+            .select('timeZone,workingHours')
+            .get();
+    }
+
+    // Free/busy for the given addresses between two instants. Item times come back in timeZone.
+    async getSchedule(emails, start, end, timeZone, intervalMinutes = 15) {
+        const response = await this.graphClient
+            .api('/me/calendar/getSchedule')
+            .header('Prefer', `outlook.timezone="${timeZone}"`)
+            .post({
+                schedules: emails,
+                startTime: { dateTime: start.toISOString().replace('Z', ''), timeZone: 'UTC' },
+                endTime: { dateTime: end.toISOString().replace('Z', ''), timeZone: 'UTC' },
+                availabilityViewInterval: intervalMinutes
+            });
+
+        return response.value || [];
+    }
+
+    // Graph's own meeting time suggestions for the attendees within [start, end]
+    async findMeetingTimes(attendees, start, end, durationMinutes, options = {}) {
+        const response = await this.graphClient
+            .api('/me/findMeetingTimes')
+            .header('Prefer', `outlook.timezone="${options.timeZone || 'UTC'}"`)
+            .post({
+                attendees: attendees.map(address => ({ emailAddress: { address }, type: 'required' })),
+                timeConstraint: {
+                    activityDomain: 'work',
+                    timeSlots: [{
+                        start: { dateTime: start.toISOString().replace('Z', ''), timeZone: 'UTC' },
+                        end: { dateTime: end.toISOString().replace('Z', ''), timeZone: 'UTC' }
+                    }]
+                },
+                meetingDuration: `PT${durationMinutes}M`,
+                maxCandidates: options.maxCandidates || 10,
+                minimumAttendeePercentage: 100,
+                returnSuggestionReasons: true
+            });
+
+        return response;
+    }
+
+    // Send operations ({ id, method, url, body, headers, dependsOn }) through JSON $batch.
+    // Throttled items - and dependents that failed only because of them - are retried after Retry-After.
+    // Resolves to one { id, status, success, body, error } per operation, in input order.
+    async batch(operations) {
+        const ops = operations.map((op, index) => ({ ...op, id: String(op.id ?? index + 1) }));
+        const responses = new Map();
+        let pending = ops;
+
+        for (let attempt = 0; pending.length > 0; attempt++) {
+            for (const group of groupForBatch(pending)) {
+                const result = await this.graphClient.api('/$batch').post({ requests: group.map(toBatchRequest) });
+                for (const response of result.responses || []) {
+                    responses.set(response.id, response);
+                }
+            }
+
+            const retryIds = new Set();
+            let retryAfter = 0;
+            for (const op of pending) {
+                const response = responses.get(op.id);
+                if (RETRYABLE_BATCH_STATUSES.includes(response?.status)) {
+                    retryIds.add(op.id);
+                    retryAfter = Math.max(retryAfter, getRetryAfterMs(response));
+                } else if (response?.status === 424 && (op.dependsOn || []).every(id => retryIds.has(id) || isSuccessStatus(responses.get(id)?.status))) {
+                    retryIds.add(op.id);
+                }
+            }
+
+            if (retryIds.size === 0 || attempt >= BATCH_MAX_RETRIES) {
+                break;
+            }
+
+            console.warn(`🔁 Retrying ${retryIds.size} throttled batch requests in ${retryAfter}ms`);
+            await new Promise(resolve => setTimeout(resolve, retryAfter));
+
+            // Dependencies that already succeeded drop out of dependsOn
+            pending = pending
+                .filter(op => retryIds.has(op.id))
+                .map(op => ({ ...op, dependsOn: (op.dependsOn || []).filter(id => retryIds.has(id)) }));
+        }
+
+        return ops.map(op => toBatchResult(op, responses.get(op.id)));
+    }
+
+    // Apply one of BULK_ACTIONS to many messages via $batch.
+    // Resolves to one { emailId, success, status, error, newId } per message.
+    async bulkMessageAction(action, emailIds, options = {}) {
+        const operations = [];
+
+        emailIds.forEach((emailId, index) => {
+            const url = `/me/messages/${emailId}`;
+            const opId = (step) => `${index + 1}-${step}`;
+
+            switch (action) {
+                case 'move':
+                    // Moving changes the message ID, so the read flag is set first and the move depends on it
+                    if (options.markAsRead) {
+                        operations.push({ id: opId('read'), method: 'PATCH', url, body: { isRead: true } });
+                    }
+                    operations.push({
+                        id: opId('move'),
+                        method: 'POST',
+                        url: `${url}/move`,
+                        body: { destinationId: options.destinationId },
+                        dependsOn: options.markAsRead ? [opId('read')] : undefined
+                    });
+                    break;
+                case 'read':
+                case 'unread':
+                    operations.push({ id: opId(action), method: 'PATCH', url, body: { isRead: action === 'read' } });
+                    break;
+                case 'flag':
+                    operations.push({ id: opId('flag'), method: 'PATCH', url, body: { flag: { flagStatus: options.flagStatus || 'flagged' } } });
+                    break;
+                case 'categorize':
+                    operations.push({ id: opId('categorize'), method: 'PATCH', url, body: { categories: options.categories || [] } });
+                    break;
+                case 'delete':
+                    operations.push({ id: opId('delete'), method: 'DELETE', url });
+                    break;
+                default:
+                    throw new Error(`Unsupported bulk action: ${action}`);
+            }
+        });
+
+        const results = await this.batch(operations);
+
+        return emailIds.map((emailId, index) => {
+            const emailResults = results.filter(result => result.id.startsWith(`${index + 1}-`));
+            const failed = emailResults.find(result => !result.success);
+            const last = emailResults[emailResults.length - 1];
+
+            return {
+                emailId: emailId,
+                success: !failed,
+                status: (failed || last).status,
+                error: failed?.error,
+                newId: action === 'move' && !failed ? last.body?.id : undefined
+            };
+        });
+    }
+
     async markEmailAsRead(emailId) {
         try {
             await this.graphClient
@@ -226,4 +792,6 @@ class MicrosoftGraphService {
     }
 }
 
+MicrosoftGraphService.BULK_ACTIONS = BULK_ACTIONS;
+
 module.exports = MicrosoftGraphService;
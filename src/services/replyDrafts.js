@@ -0,0 +1,136 @@
+const ClientOrganization = require('../models/ClientOrganization');
+const EmailDraft = require('../models/EmailDraft');
+const { textToHtml } = require('../utils/emailHtml');
+
+// Reply drafts: instead of sending an AI reply right away, the app creates an Outlook reply draft
+// (createReply/createReplyAll) with the reply text above the quoted original, so the user can edit it
+// in Outlook or here and send it when ready. Tenants with settings.aiReplies.draftsOnly can't send
+// AI content any other way.
+
+class ReplyDraftError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ReplyDraftError';
+        this.statusCode = statusCode;
+    }
+}
+
+async function isDraftsOnly(tenantId) {
+    const organization = await ClientOrganization.findByTenantId(tenantId);
+    return Boolean(organization && organization.isDraftsOnly());
+}
+
+// Reply text above the quoted original, inside <body> when Outlook generated a full document
+function composeBody(content, quotedBody) {
+    const reply = textToHtml(content);
+    if (!quotedBody) {
+        return reply;
+    }
+    return /<body[^>]*>/i.test(quotedBody)
+        ? quotedBody.replace(/<body[^>]*>/i, match => `${match}${reply}`)
+        : `${reply}${quotedBody}`;
+}
+
+const recipientsOf = (message) => [...(message.toRecipients || []), ...(message.ccRecipients || [])]
+    .map(recipient => recipient.emailAddress?.address)
+    .filter(Boolean);
+
+class ReplyDraftService {
+    constructor(userSettings, graphService) {
+        this.userSettings = userSettings;
+        this.graphService = graphService;
+    }
+
+    // Create the Outlook draft for a reply to emailId and start tracking it
+    async create(emailId, content, { replyAll = false, aiGenerated = true } = {}) {
+        const scaffold = await this.graphService.createReplyDraft(emailId, replyAll);
+        const quotedBody = scaffold.body?.content || null;
+        await this.graphService.updateDraft(scaffold.id, { body: { contentType: 'HTML', content: composeBody(content, quotedBody) } });
+
+        return EmailDraft.create({
+            userSettingsId: this.userSettings.id,
+            draftId: scaffold.id,
+            sourceMessageId: emailId,
+            replyAll,
+            subject: scaffold.subject || null,
+            recipients: recipientsOf(scaffold),
+            content,
+            quotedBody,
+            aiGenerated,
+            webLink: scaffold.webLink || null
+        });
+    }
+
+    // Pick up changes made in Outlook: a draft that was sent there is marked sent, a deleted one discarded
+    async refresh(drafts) {
+        const open = drafts.filter(draft => draft.status === 'draft');
+        const messages = await this.graphService.getDrafts(open.map(draft => draft.draftId));
+
+        for (const draft of open.filter(draft => messages.has(draft.draftId))) {
+            const message = messages.get(draft.draftId);
+            if (!message) {
+                await draft.update({ status: 'discarded' });
+            } else if (message.isDraft === false) {
+                await draft.update({ status: 'sent', sentAt: message.sentDateTime ? new Date(message.sentDateTime) : new Date(), subject: message.subject });
+            } else {
+                await draft.update({ subject: message.subject, recipients: recipientsOf(message), webLink: message.webLink || draft.webLink });
+            }
+        }
+        return drafts;
+    }
+
+    async assertOpen(draft) {
+        await this.refresh([draft]);
+        if (draft.status !== 'draft') {
+            throw new ReplyDraftError(`Draft was already ${draft.status}`, 409);
+        }
+    }
+
+    // changes: { content, subject } - content replaces the reply text, the quoted original stays
+    async update(draft, { content, subject } = {}) {
+        await this.assertOpen(draft);
+
+        const patch = {};
+        if (content !== undefined) patch.body = { contentType: 'HTML', content: composeBody(content, draft.quotedBody) };
+        if (subject !== undefined) patch.subject = subject;
+        await this.graphService.updateDraft(draft.draftId, patch);
+
+        await draft.update({
+            ...(content !== undefined ? { content } : {}),
+            ...(subject !== undefined ? { subject } : {})
+        });
+        return draft;
+    }
+
+    // Send through the send queue (undo window or { sendAt, timeZone }) - the mail.send job calls send
+    async queueSend(draft, sendQueue, schedule = {}) {
+        await this.assertOpen(draft);
+        return sendQueue.queueMessage({
+            kind: 'draft',
+            emailDraftId: draft.id,
+            to: draft.recipients || [],
+            subject: draft.subject,
+            content: draft.content
+        }, schedule);
+    }
+
+    async send(draft) {
+        await this.assertOpen(draft);
+        await this.graphService.sendDraft(draft.draftId);
+        await draft.update({ status: 'sent', sentAt: new Date() });
+        return draft;
+    }
+
+    async discard(draft) {
+        await this.assertOpen(draft);
+        await this.graphService.deleteDraft(draft.draftId);
+        await draft.update({ status: 'discarded' });
+        return draft;
+    }
+}
+
+module.exports = {
+    ReplyDraftService,
+    ReplyDraftError,
+    isDraftsOnly
+};
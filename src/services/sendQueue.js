@@ -0,0 +1,287 @@
+const { Op } = require('sequelize');
+const OutgoingMessage = require('../models/OutgoingMessage');
+const EmailDraft = require('../models/EmailDraft');
+const { ReplyDraftService } = require('./replyDrafts');
+const { textToHtml } = require('../utils/emailHtml');
+const { isValidTimeZone, toIanaTimeZone, zonedTimeToUtc } = require('../utils/timezone');
+
+// Outgoing replies, new mail and reply draft sends are held in outgoing_messages and sent by a mail.send
+// job when their sendAt comes: now + the user's undo window, or a scheduled time if later. Until then
+// they can be cancelled or rescheduled. A reschedule enqueues a fresh job; the old one finds the new
+// sendAt and skips. Settings live in UserSettings.preferences.sendQueue = { undoSeconds } - the undo
+// window is opt-in, so with the default of 0 only scheduled sends are queued.
+
+const SEND_QUEUE_DEFAULTS = { undoSeconds: 0 };
+const MAX_UNDO_SECONDS = 120;
+const MAX_SCHEDULE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEND_ATTEMPTS = 3;
+
+class SendQueueSettingsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SendQueueSettingsError';
+        this.statusCode = 400;
+    }
+}
+
+class SendQueueError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SendQueueError';
+        this.statusCode = statusCode;
+    }
+}
+
+function getSendQueueSettings(userSettings) {
+    return { ...SEND_QUEUE_DEFAULTS, ...(userSettings.preferences?.sendQueue || {}) };
+}
+
+// Validated changes from a settings request: { undoSeconds }
+function validateSendQueueSettings(input) {
+    const { undoSeconds } = input || {};
+    const changes = {};
+
+    if (undoSeconds !== undefined) {
+        if (!Number.isInteger(undoSeconds) || undoSeconds < 0 || undoSeconds > MAX_UNDO_SECONDS) {
+            throw new SendQueueSettingsError(`undoSeconds must be a whole number from 0 to ${MAX_UNDO_SECONDS}`);
+        }
+        changes.undoSeconds = undoSeconds;
+    }
+    return changes;
+}
+
+const addressesOf = (recipients) => (recipients || [])
+    .map(recipient => recipient.emailAddress?.address)
+    .filter(Boolean);
+
+class SendQueue {
+    // options: { timeZone (the user's zone), queue (JobQueue) }
+    constructor(userSettings, graphService, options = {}) {
+        this.userSettings = userSettings;
+        this.graphService = graphService;
+        this.timeZone = options.timeZone || userSettings.getTimezone();
+        this.queue = options.queue || null;
+        this.settings = getSendQueueSettings(userSettings);
+    }
+
+    isOwnAddress(address) {
+        return String(address || '').toLowerCase() === this.userSettings.userEmail.toLowerCase();
+    }
+
+    // Whether a send goes through the queue: when scheduled or the user has an undo window. Otherwise
+    // callers send right away.
+    shouldQueue({ sendAt } = {}) {
+        return Boolean(sendAt) || this.settings.undoSeconds > 0;
+    }
+
+    // IANA zone from the recipient's Outlook working hours, or null when Graph won't share it
+    // (external addresses, no calendar access)
+    async recipientTimeZone(address) {
+        try {
+            const now = new Date();
+            const [schedule] = await this.graphService.getSchedule([address], now, new Date(now.getTime() + 60 * 60 * 1000), 'UTC');
+            return toIanaTimeZone(schedule?.workingHours?.timeZone?.name) || null;
+        } catch (error) {
+            console.warn(`⚠️ Could not look up the time zone of ${address}:`, error.message);
+            return null;
+        }
+    }
+
+    // { sendAt, timeZone } from a request. sendAt with Z or an offset is an instant; a wall-clock
+    // value ('2025-08-22T08:00') is read in timeZone: an IANA or Windows zone, 'recipient' for the
+    // first recipient's zone, or the user's own zone when omitted.
+    async resolveSchedule({ sendAt, timeZone } = {}, recipients = [], now = new Date()) {
+        if (sendAt === undefined || sendAt === null || sendAt === '') {
+            return { sendAt: null, timeZone: null };
+        }
+        if (typeof sendAt !== 'string') {
+            throw new SendQueueError('sendAt must be a date/time string');
+        }
+
+        let zone = this.timeZone;
+        if (timeZone === 'recipient') {
+            zone = (recipients[0] && await this.recipientTimeZone(recipients[0])) || this.timeZone;
+        } else if (timeZone) {
+            zone = toIanaTimeZone(timeZone);
+            if (!zone || !isValidTimeZone(zone)) {
+                throw new SendQueueError(`Unknown time zone "${timeZone}"`);
+            }
+        }
+
+        let instant;
+        try {
+            instant = /(Z|[+-]\d{2}:?\d{2})$/.test(sendAt) ? new Date(sendAt) : zonedTimeToUtc(sendAt, zone);
+        } catch (error) {
+            instant = new Date(NaN);
+        }
+        if (isNaN(instant.getTime())) {
+            throw new SendQueueError(`Invalid sendAt "${sendAt}"`);
+        }
+        if (instant <= now) {
+            throw new SendQueueError('sendAt is in the past');
+        }
+        if (instant - now > MAX_SCHEDULE_DAYS * DAY_MS) {
+            throw new SendQueueError(`sendAt can be at most ${MAX_SCHEDULE_DAYS} days ahead`);
+        }
+        return { sendAt: instant, timeZone: zone };
+    }
+
+    // Recipients and subject a reply will go out with, for the outbox list
+    async describeReply(emailId, replyAll) {
+        let email;
+        try {
+            email = await this.graphService.getEmailContent(emailId);
+        } catch (error) {
+            if (error.statusCode === 404) {
+                throw new SendQueueError('Email not found', 404);
+            }
+            throw error;
+        }
+
+        // Outlook answers the Reply-To addresses when the sender set them
+        const from = addressesOf(email.replyTo?.length ? email.replyTo : [email.from]);
+        const others = replyAll ? addressesOf(email.toRecipients) : [];
+        const recipients = [...new Set([...from, ...others])].filter(address => !this.isOwnAddress(address));
+        const subject = /^re:/i.test(email.subject || '') ? email.subject : `Re: ${email.subject || ''}`;
+        return { recipients, subject };
+    }
+
+    async enqueue(message) {
+        await this.queue.enqueue('mail.send', { outgoingMessageId: message.id }, {
+            tenantId: this.userSettings.tenantId,
+            userSettingsId: this.userSettings.id,
+            runAt: message.sendAt,
+            maxAttempts: SEND_ATTEMPTS
+        });
+    }
+
+    // Queue a reply (kind 'reply' | 'replyAll', replyToMessageId), new mail (kind 'new', to, subject) or
+    // the send of a reply draft (kind 'draft', emailDraftId, with its to and subject for the outbox).
+    // schedule: { sendAt, timeZone } as for resolveSchedule.
+    async queueMessage({ kind, replyToMessageId = null, emailDraftId = null, to = [], subject = null, content }, schedule = {}) {
+        if (typeof content !== 'string' || !content.trim()) {
+            throw new SendQueueError('Message content is required');
+        }
+
+        let recipients = to;
+        if (kind === 'new') {
+            if (!Array.isArray(to) || to.length === 0 || to.some(address => typeof address !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(address))) {
+                throw new SendQueueError('to must be a non-empty list of email addresses');
+            }
+            if (typeof subject !== 'string' || !subject.trim()) {
+                throw new SendQueueError('subject is required for new mail');
+            }
+        } else if (kind === 'draft') {
+            const queued = await OutgoingMessage.count({ where: { userSettingsId: this.userSettings.id, kind, emailDraftId, status: 'queued' } });
+            if (queued > 0) {
+                throw new SendQueueError('Draft is already queued to send', 409);
+            }
+        } else {
+            ({ recipients, subject } = await this.describeReply(replyToMessageId, kind === 'replyAll'));
+        }
+
+        const now = new Date();
+        const scheduled = await this.resolveSchedule(schedule, recipients, now);
+        const undoUntil = new Date(now.getTime() + this.settings.undoSeconds * 1000);
+        const sendAt = scheduled.sendAt && scheduled.sendAt > undoUntil ? scheduled.sendAt : undoUntil;
+
+        const message = await OutgoingMessage.create({
+            userSettingsId: this.userSettings.id,
+            kind,
+            replyToMessageId,
+            emailDraftId,
+            toRecipients: recipients,
+            subject,
+            content,
+            sendAt,
+            scheduled: Boolean(scheduled.sendAt),
+            timeZone: scheduled.timeZone || this.timeZone
+        });
+        await this.enqueue(message);
+
+        console.log(`📮 Queued ${kind} ${message.id} for ${this.userSettings.userEmail}, sending at ${sendAt.toISOString()}`);
+        return message;
+    }
+
+    // Only messages whose send time hasn't come yet can change - the conditional update keeps a
+    // cancel from racing the job that sends them
+    async changeQueued(message, changes) {
+        const [updated] = await OutgoingMessage.update(changes, {
+            where: { id: message.id, status: 'queued', sendAt: { [Op.gt]: new Date() } }
+        });
+        await message.reload();
+        if (updated === 0) {
+            throw new SendQueueError(message.status === 'queued' ? 'Message is already being sent' : `Message was already ${message.status}`, 409);
+        }
+        return message;
+    }
+
+    async cancel(message) {
+        await this.changeQueued(message, { status: 'cancelled' });
+        console.log(`↩️ Send of ${message.kind} ${message.id} cancelled by ${this.userSettings.userEmail}`);
+        return message;
+    }
+
+    // schedule: { sendAt, timeZone } - a new send time
+    async reschedule(message, schedule) {
+        const scheduled = await this.resolveSchedule(schedule, message.toRecipients || []);
+        if (!scheduled.sendAt) {
+            throw new SendQueueError('sendAt is required');
+        }
+
+        await this.changeQueued(message, { sendAt: scheduled.sendAt, scheduled: true, timeZone: scheduled.timeZone });
+        await this.enqueue(message);
+        return message;
+    }
+
+    // mail.send job: send the message if it is still queued and due. Failed sends are retried by the
+    // job queue; the last attempt marks the message failed.
+    async deliver(message, job = { attempts: 1, maxAttempts: 1 }) {
+        if (message.status !== 'queued') {
+            return { skipped: message.status };
+        }
+        if (message.sendAt > new Date()) {
+            return { skipped: 'rescheduled' };
+        }
+
+        try {
+            const html = textToHtml(message.content);
+            if (message.kind === 'new') {
+                await this.graphService.sendEmail(message.toRecipients, message.subject, html);
+            } else if (message.kind === 'draft') {
+                await this.sendDraft(message);
+            } else {
+                await this.graphService.replyToEmail(message.replyToMessageId, html, message.kind === 'replyAll');
+            }
+        } catch (error) {
+            const final = error.retryable === false || [400, 403, 404, 409].includes(error.statusCode) || job.attempts >= job.maxAttempts;
+            await message.update({ status: final ? 'failed' : 'queued', lastError: error.message });
+            if ([400, 403, 404, 409].includes(error.statusCode)) {
+                error.retryable = false;
+            }
+            throw error;
+        }
+
+        await OutgoingMessage.update({ status: 'sent', sentAt: new Date(), lastError: null }, { where: { id: message.id, status: 'queued' } });
+        console.log(`📤 Sent queued ${message.kind} ${message.id} for ${this.userSettings.userEmail}`);
+        return { sent: message.id };
+    }
+
+    // The Outlook draft as it is now - edits made there since it was queued go out too
+    async sendDraft(message) {
+        const draft = await EmailDraft.findOne({ where: { id: message.emailDraftId, userSettingsId: this.userSettings.id } });
+        if (!draft) {
+            throw new SendQueueError('Draft not found', 404);
+        }
+        await new ReplyDraftService(this.userSettings, this.graphService).send(draft);
+    }
+}
+
+module.exports = {
+    SendQueue,
+    SendQueueError,
+    SendQueueSettingsError,
+    getSendQueueSettings,
+    validateSendQueueSettings
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const MicrosoftGraphService = require('./microsoftGraph');
+const GraphSubscription = require('../models/GraphSubscription');
+const UserSettings = require('../models/UserSettings');
+const { acquireTokenForUser } = require('./tokenCache');
+
+// Graph allows at most 4230 minutes for mail/calendar subscriptions
+const SUBSCRIPTION_LIFETIME = 4200 * 60 * 1000;
+const RENEWAL_WINDOW = 12 * 60 * 60 * 1000; // Renew anything expiring in the next 12 hours
+const RENEWAL_INTERVAL = 60 * 60 * 1000;
+
+const SUBSCRIPTION_RESOURCES = [
+    {
+        resourceType: 'inbox',
+        resource: "me/mailFolders('Inbox')/messages",
+        changeType: 'created'
+    },
+    {
+        resourceType: 'calendar',
+        resource: 'me/events',
+        changeType: 'created,updated,deleted'
+    }
+];
+
+function getNotificationUrl() {
+    if (!process.env.WEBHOOK_BASE_URL) {
+        return null;
+    }
+    return `${process.env.WEBHOOK_BASE_URL.replace(/\/$/, '')}/api/webhooks/graph`;
+}
+
+class SubscriptionManager {
+    // graphService is optional so a fake Graph client can be injected
+    constructor(userSettings, graphService = null) {
+        this.userSettings = userSettings;
+        this.graphService = graphService || new MicrosoftGraphService(() => acquireTokenForUser(userSettings));
+    }
+
+    // Create missing subscriptions and renew ones close to expiry for this user
+    async ensureSubscriptions() {
+        const notificationUrl = getNotificationUrl();
+        if (!notificationUrl) {
+            console.log('📭 WEBHOOK_BASE_URL not set - skipping Graph subscriptions');
+            return [];
+        }
+
+        const existing = await GraphSubscription.findActiveForUser(this.userSettings.id);
+        const results = [];
+
+        for (const definition of SUBSCRIPTION_RESOURCES) {
+            const subscription = existing.find(sub => sub.resourceType === definition.resourceType);
+
+            if (!subscription) {
+                results.push(await this.createSubscription(definition, notificationUrl));
+            } else if (subscription.expirationDateTime.getTime() - Date.now() < RENEWAL_WINDOW) {
+                results.push(await this.renewSubscription(subscription));
+            } else {
+                results.push(subscription);
+            }
+        }
+
+        return results;
+    }
+
+    async createSubscription(definition, notificationUrl = getNotificationUrl()) {
+        const clientState = crypto.randomBytes(24).toString('hex');
+        const expirationDateTime = new Date(Date.now() + SUBSCRIPTION_LIFETIME);
+
+        // Graph calls notificationUrl with a validationToken before this request returns
+        const created = await this.graphService.graphClient
+            .api('/subscriptions')
+            .post({
+                changeType: definition.changeType,
+                notificationUrl: notificationUrl,
+                lifecycleNotificationUrl: notificationUrl,
+                resource: definition.resource,
+                expirationDateTime: expirationDateTime.toISOString(),
+                clientState: clientState
+            });
+
+        console.log(`🔔 Created ${definition.resourceType} subscription ${created.id} for ${this.userSettings.userEmail}`);
+
+        return GraphSubscription.create({
+            subscriptionId: created.id,
+            userSettingsId: this.userSettings.id,
+            resourceType: definition.resourceType,
+            resource: definition.resource,
+            changeType: definition.changeType,
+            clientState: clientState,
+            expirationDateTime: new Date(created.expirationDateTime || expirationDateTime)
+        });
+    }
+
+    async renewSubscription(subscription) {
+        const expirationDateTime = new Date(Date.now() + SUBSCRIPTION_LIFETIME);
+
+        try {
+            const renewed = await this.graphService.graphClient
+                .api(`/subscriptions/${subscription.subscriptionId}`)
+                .patch({ expirationDateTime: expirationDateTime.toISOString() });
+
+            await subscription.update({
+                expirationDateTime: new Date(renewed?.expirationDateTime || expirationDateTime)
+            });
+
+            console.log(`🔄 Renewed ${subscription.resourceType} subscription for ${this.userSettings.userEmail}`);
+            return subscription;
+        } catch (error) {
+            // Graph drops expired/removed subscriptions - replace them with a fresh one
+            if (error.statusCode === 404) {
+                console.warn(`⚠️ Subscription ${subscription.subscriptionId} no longer exists - recreating`);
+                await subscription.update({ isActive: false });
+
+                const definition = SUBSCRIPTION_RESOURCES.find(def => def.resourceType === subscription.resourceType);
+                return this.createSubscription(definition);
+            }
+            throw error;
+        }
+    }
+
+    async deleteSubscriptions() {
+        const subscriptions = await GraphSubscription.findActiveForUser(this.userSettings.id);
+
+        for (const subscription of subscriptions) {
+            try {
+                await this.graphService.graphClient
+                    .api(`/subscriptions/${subscription.subscriptionId}`)
+                    .delete();
+            } catch (error) {
+                console.warn(`⚠️ Could not delete subscription ${subscription.subscriptionId}:`, error.message);
+            }
+            await subscription.update({ isActive: false });
+        }
+
+        return subscriptions.length;
+    }
+
+    // Renew every subscription that is about to expire, across all users
+    static async renewExpiringSubscriptions() {
+        const expiring = await GraphSubscription.findExpiringBefore(new Date(Date.now() + RENEWAL_WINDOW));
+        let renewed = 0;
+
+        for (const subscription of expiring) {
+            try {
+                const userSettings = await UserSettings.findByPk(subscription.userSettingsId);
+                if (!userSettings || !userSettings.isActive) {
+                    await subscription.update({ isActive: false });
+                    continue;
+                }
+
+                await new SubscriptionManager(userSettings).renewSubscription(subscription);
+                renewed++;
+            } catch (error) {
+                console.error(`❌ Failed to renew subscription ${subscription.subscriptionId}:`, error.message);
+            }
+        }
+
+        return { checked: expiring.length, renewed };
+    }
+}
+
+SubscriptionManager.SUBSCRIPTION_RESOURCES = SUBSCRIPTION_RESOURCES;
+SubscriptionManager.RENEWAL_INTERVAL = RENEWAL_INTERVAL;
+
+module.exports = SubscriptionManager;
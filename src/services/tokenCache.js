@@ -0,0 +1,83 @@
+const { InteractionRequiredAuthError } = require('@azure/msal-node');
+const { createMsalClient, scopes } = require('../config/auth');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+// Thrown when no usable refresh token exists and the user has to sign in again
+class ReauthenticationRequiredError extends Error {
+    constructor(message = 'Reauthentication required') {
+        super(message);
+        this.name = 'ReauthenticationRequiredError';
+        this.retryable = false; // background jobs can't fix this - the user has to sign in again
+    }
+}
+
+// MSAL cache plugin that reads/writes the encrypted cache on a UserSettings row
+function createUserCachePlugin(userSettings) {
+    return {
+        beforeCacheAccess: async (cacheContext) => {
+            // Reload so refreshes made by other requests/instances are picked up
+            await userSettings.reload({ attributes: ['id', 'tokenCache'] });
+
+            if (userSettings.tokenCache) {
+                try {
+                    cacheContext.tokenCache.deserialize(decrypt(userSettings.tokenCache));
+                } catch (error) {
+                    console.error(`⚠️ Could not decrypt token cache for ${userSettings.userEmail}:`, error.message);
+                }
+            }
+        },
+        afterCacheAccess: async (cacheContext) => {
+            if (cacheContext.cacheHasChanged) {
+                userSettings.tokenCache = encrypt(cacheContext.tokenCache.serialize());
+                await userSettings.save({ fields: ['tokenCache'] });
+            }
+        }
+    };
+}
+
+// Persist the cache from a login (acquireTokenByCode) onto the user's row
+async function saveLoginTokenCache(msalClient, userSettings, account) {
+    const serialized = msalClient.getTokenCache().serialize();
+
+    await userSettings.update({
+        homeAccountId: account.homeAccountId,
+        tokenCache: encrypt(serialized),
+        lastActiveAt: new Date()
+    });
+
+    console.log(`🔐 Token cache stored for ${userSettings.userEmail}`);
+}
+
+// Get a valid access token for the user, refreshing it silently when needed
+async function acquireTokenForUser(userSettings) {
+    if (!userSettings || !userSettings.homeAccountId || !userSettings.tokenCache) {
+        throw new ReauthenticationRequiredError('No cached credentials for user');
+    }
+
+    const msalClient = createMsalClient(createUserCachePlugin(userSettings));
+    const account = await msalClient.getTokenCache().getAccountByHomeId(userSettings.homeAccountId);
+
+    if (!account) {
+        throw new ReauthenticationRequiredError('Cached account not found');
+    }
+
+    try {
+        const response = await msalClient.acquireTokenSilent({ account, scopes });
+        return response.accessToken;
+    } catch (error) {
+        console.error(`❌ Silent token acquisition failed for ${userSettings.userEmail}:`, error.errorCode || error.message);
+
+        // Expired/revoked refresh tokens need a new sign-in; anything else (network etc.) bubbles up
+        if (error instanceof InteractionRequiredAuthError) {
+            throw new ReauthenticationRequiredError(error.message);
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    ReauthenticationRequiredError,
+    createUserCachePlugin,
+    saveLoginTokenCache,
+    acquireTokenForUser
+};
@@ -0,0 +1,51 @@
+const { toIanaTimeZone, DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+// The mailbox time zone rarely changes - re-read it from Outlook once a day
+const REFRESH_AFTER = 24 * 60 * 60 * 1000;
+// After a failed read, wait this long before asking Graph again instead of retrying on every request
+const RETRY_FAILED_AFTER = 15 * 60 * 1000;
+
+// Read the user's time zone from Outlook mailboxSettings and cache it in UserSettings.preferences
+async function refreshMailboxTimezone(userSettings, graphService) {
+    const mailboxSettings = await graphService.graphClient.api('/me/mailboxSettings').select('timeZone').get();
+    const timeZone = toIanaTimeZone(mailboxSettings.timeZone);
+
+    if (!timeZone) {
+        console.warn(`⚠️ Unknown mailbox time zone "${mailboxSettings.timeZone}" for ${userSettings.userEmail} - using ${DEFAULT_TIMEZONE}`);
+    }
+
+    await userSettings.updatePreferences({
+        mailboxTimezone: timeZone,
+        mailboxTimezoneRaw: mailboxSettings.timeZone || null,
+        mailboxTimezoneCheckedAt: new Date().toISOString(),
+        mailboxTimezoneFailedAt: null
+    });
+
+    return timeZone;
+}
+
+// IANA zone for the user. An override set in settings wins; otherwise the cached mailbox zone,
+// refreshed when stale. Never throws - a Graph failure falls back to whatever is cached.
+async function resolveUserTimezone(userSettings, graphService) {
+    const preferences = userSettings.preferences || {};
+
+    if (preferences.timezoneOverride) {
+        return preferences.timezoneOverride;
+    }
+
+    const checkedAt = preferences.mailboxTimezoneCheckedAt ? new Date(preferences.mailboxTimezoneCheckedAt).getTime() : 0;
+    const failedAt = preferences.mailboxTimezoneFailedAt ? new Date(preferences.mailboxTimezoneFailedAt).getTime() : 0;
+    if (Date.now() - checkedAt > REFRESH_AFTER && Date.now() - failedAt > RETRY_FAILED_AFTER) {
+        try {
+            await refreshMailboxTimezone(userSettings, graphService);
+        } catch (error) {
+            console.warn(`⚠️ Could not read mailbox time zone for ${userSettings.userEmail}:`, error.message);
+            await userSettings.updatePreferences({ mailboxTimezoneFailedAt: new Date().toISOString() })
+                .catch(saveError => console.warn('⚠️ Could not record the failed time zone check:', saveError.message));
+        }
+    }
+
+    return userSettings.getTimezone();
+}
+
+module.exports = { resolveUserTimezone, refreshMailboxTimezone };
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const MicrosoftGraphService = require('./microsoftGraph');
+const GraphSubscription = require('../models/GraphSubscription');
+const UserSettings = require('../models/UserSettings');
+const { acquireTokenForUser } = require('./tokenCache');
+
+// Constant-time comparison so clientState cannot be guessed byte by byte
+function clientStateMatches(expected, received) {
+    if (!expected || !received) {
+        return false;
+    }
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(received);
+    return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// Map a Graph notification to a pipeline event name, e.g. "message.created"
+function getEventType(subscription, notification) {
+    const changeType = notification.changeType || 'updated';
+    const entity = subscription.resourceType === 'calendar' ? 'event' : 'message';
+    return `${entity}.${changeType}`;
+}
+
+class WebhookDispatcher {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    // Register a pipeline step for an event type ("message.created", "event.updated", "lifecycle", ...)
+    on(eventType, handler) {
+        if (!this.handlers.has(eventType)) {
+            this.handlers.set(eventType, []);
+        }
+        this.handlers.get(eventType).push(handler);
+        return this;
+    }
+
+    // Check each notification against its stored subscription; drops anything unknown or forged
+    async validateNotifications(notifications = []) {
+        const accepted = [];
+
+        for (const notification of notifications) {
+            const subscription = await GraphSubscription.findActiveBySubscriptionId(notification.subscriptionId);
+
+            if (!subscription) {
+                console.warn(`⚠️ Notification for unknown subscription ${notification.subscriptionId}`);
+                continue;
+            }
+
+            if (!clientStateMatches(subscription.clientState, notification.clientState)) {
+                console.warn(`🚫 clientState mismatch for subscription ${notification.subscriptionId} - ignoring`);
+                continue;
+            }
+
+            accepted.push({ notification, subscription });
+        }
+
+        return accepted;
+    }
+
+    // Queue validated notifications as webhook.dispatch jobs, so a failed handler is retried
+    // instead of the notification being lost
+    async enqueue(queue, accepted) {
+        const userIds = [...new Set(accepted.map(({ subscription }) => subscription.userSettingsId))];
+        const users = await UserSettings.findAll({ where: { id: userIds } });
+        const tenantIds = new Map(users.map(user => [user.id, user.tenantId]));
+
+        const jobs = [];
+        for (const { notification, subscription } of accepted) {
+            jobs.push(await queue.enqueue('webhook.dispatch', { subscriptionId: subscription.subscriptionId, notification }, {
+                tenantId: tenantIds.get(subscription.userSettingsId),
+                userSettingsId: subscription.userSettingsId
+            }));
+        }
+        return jobs;
+    }
+
+    // Hand validated notifications to the registered handlers. Errors in one handler are
+    // logged and listed in its result's `errors` - they do not stop the rest of the batch.
+    async dispatch(accepted) {
+        const results = [];
+
+        for (const { notification, subscription } of accepted) {
+            const eventType = notification.lifecycleEvent ? 'lifecycle' : getEventType(subscription, notification);
+            const handlers = this.handlers.get(eventType) || [];
+
+            if (handlers.length === 0) {
+                results.push({ eventType, subscriptionId: subscription.subscriptionId, handled: false });
+                continue;
+            }
+
+            try {
+                const userSettings = await UserSettings.findByPk(subscription.userSettingsId);
+                if (!userSettings || !userSettings.isActive) {
+                    continue;
+                }
+
+                await subscription.update({ lastNotificationAt: new Date() });
+
+                const context = {
+                    eventType,
+                    notification,
+                    subscription,
+                    userSettings,
+                    resourceId: notification.resourceData?.id || null,
+                    graphService: new MicrosoftGraphService(() => acquireTokenForUser(userSettings))
+                };
+
+                const errors = [];
+                for (const handler of handlers) {
+                    try {
+                        await handler(context);
+                    } catch (error) {
+                        console.error(`❌ Webhook handler for ${eventType} failed:`, error.message);
+                        errors.push(error.message);
+                    }
+                }
+
+                results.push({ eventType, subscriptionId: subscription.subscriptionId, handled: errors.length === 0, ...(errors.length > 0 && { errors }) });
+            } catch (error) {
+                console.error(`❌ Error dispatching ${eventType} notification:`, error.message);
+                results.push({ eventType, subscriptionId: subscription.subscriptionId, handled: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+}
+
+// One shared dispatcher so pipeline steps can register from anywhere
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = { WebhookDispatcher, webhookDispatcher };
@@ -0,0 +1,17 @@
+// Plain text (AI output, a textarea) -> the paragraph HTML the reply endpoints send. Blank lines
+// start a paragraph, single newlines become <br>.
+function textToHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\r\n/g, '\n')
+        .trim()
+        .split(/\n{2,}/)
+        .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+        .join('');
+}
+
+module.exports = {
+    textToHtml
+};
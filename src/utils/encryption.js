@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// One of these must be set - a default in the source would let anyone decrypt stored tokens
+function getSecret() {
+    const secret = process.env.TOKEN_ENCRYPTION_KEY || process.env.SESSION_SECRET;
+    if (!secret) {
+        throw new Error('Missing required environment variable: TOKEN_ENCRYPTION_KEY (or SESSION_SECRET) is needed to encrypt stored tokens');
+    }
+    return secret;
+}
+
+// Called at startup so a missing key stops the server instead of failing at the first login
+function assertEncryptionKey() {
+    getSecret();
+}
+
+// Derive a fixed-length key from whatever secret is configured
+function getKey() {
+    return crypto.createHash('sha256').update(getSecret()).digest();
+}
+
+// Encrypt a string into "iv.authTag.cipherText" (base64 parts)
+function encrypt(plainText) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+
+    return [iv, authTag, encrypted].map(part => part.toString('base64')).join('.');
+}
+
+// Decrypt a value produced by encrypt() - throws if it was tampered with
+function decrypt(payload) {
+    const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    if (!iv || !authTag || !encrypted) {
+        throw new Error('Invalid encrypted payload');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = { encrypt, decrypt, assertEncryptionKey };
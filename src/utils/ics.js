@@ -0,0 +1,414 @@
+const {
+    getTimeZoneOffset,
+    getZonedDateString,
+    getZonedDateTimeString,
+    toIanaTimeZone,
+    zonedTimeToUtc
+} = require('./timezone');
+
+// iCalendar (RFC 5545) reading and writing for the event import/export endpoints.
+// Only what Outlook and Google invitations use: VEVENT, VTIMEZONE, RRULE, ATTENDEE/ORGANIZER.
+
+const PRODUCT_ID = '-//AI Email Agent//Calendar Export//EN';
+const ICS_DAYS = { sunday: 'SU', monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA' };
+const DAYS_BY_ICS = Object.fromEntries(Object.entries(ICS_DAYS).map(([day, code]) => [code, day]));
+const WEEK_INDEX = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+
+// ---- writing ----
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) {
+        return line;
+    }
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+const compact = (dateTime) => dateTime.replace(/[-:]/g, '').substring(0, 15);
+const formatUtc = (date) => `${compact(date.toISOString())}Z`;
+const formatLocal = (date, timeZone) => `${compact(getZonedDateTimeString(date, timeZone))}00`;
+const formatOffset = (minutes) => `${minutes < 0 ? '-' : '+'}${String(Math.floor(Math.abs(minutes) / 60)).padStart(2, '0')}${String(Math.abs(minutes) % 60).padStart(2, '0')}`;
+
+// Offset changes of a zone between two instants, found by daily steps then bisection to the minute
+function findTransitions(timeZone, from, to) {
+    const transitions = [];
+    const day = 24 * 60 * 60 * 1000;
+
+    for (let time = from.getTime(); time < to.getTime(); time += day) {
+        const before = getTimeZoneOffset(timeZone, new Date(time));
+        const after = getTimeZoneOffset(timeZone, new Date(time + day));
+        if (before === after) continue;
+
+        let low = time;
+        let high = time + day;
+        while (high - low > 60 * 1000) {
+            const middle = low + Math.floor((high - low) / 2);
+            if (getTimeZoneOffset(timeZone, new Date(middle)) === before) low = middle;
+            else high = middle;
+        }
+        transitions.push({ at: new Date(high - (high % 60000)), offsetFrom: before, offsetTo: after });
+    }
+    return transitions;
+}
+
+// VTIMEZONE with one observance per actual transition in the years covering [from, to].
+// Zones without DST get a single STANDARD block.
+function buildTimezone(timeZone, from, to) {
+    const yearStart = new Date(Date.UTC(from.getUTCFullYear(), 0, 1));
+    const yearEnd = new Date(Date.UTC(to.getUTCFullYear() + 1, 0, 1));
+    const transitions = findTransitions(timeZone, yearStart, yearEnd);
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+    if (transitions.length === 0) {
+        const offset = formatOffset(getTimeZoneOffset(timeZone, from));
+        lines.push('BEGIN:STANDARD', `DTSTART:${yearStart.getUTCFullYear()}0101T000000`, `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+    }
+    for (const { at, offsetFrom, offsetTo } of transitions) {
+        const kind = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+        // DTSTART is the local time the transition happens at, on the old offset
+        const localStart = compact(new Date(at.getTime() + offsetFrom * 60000).toISOString());
+        lines.push(`BEGIN:${kind}`, `DTSTART:${localStart}`, `TZOFFSETFROM:${formatOffset(offsetFrom)}`, `TZOFFSETTO:${formatOffset(offsetTo)}`, `END:${kind}`);
+    }
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+// RRULE for a Graph patternedRecurrence; UNTIL is the end of range.endDate in the series' zone, in UTC
+function buildRRule(recurrence, timeZone) {
+    const { pattern, range = {} } = recurrence;
+    const parts = [];
+    const days = (pattern.daysOfWeek || []).map(day => ICS_DAYS[day]).join(',');
+
+    switch (pattern.type) {
+        case 'daily':
+            parts.push('FREQ=DAILY');
+            break;
+        case 'weekly':
+            parts.push('FREQ=WEEKLY', `BYDAY=${days}`, `WKST=${ICS_DAYS[pattern.firstDayOfWeek || 'sunday']}`);
+            break;
+        case 'absoluteMonthly':
+            parts.push('FREQ=MONTHLY', `BYMONTHDAY=${pattern.dayOfMonth}`);
+            break;
+        case 'relativeMonthly':
+            parts.push('FREQ=MONTHLY', `BYDAY=${days}`, `BYSETPOS=${WEEK_INDEX[pattern.index || 'first']}`);
+            break;
+        case 'absoluteYearly':
+            parts.push('FREQ=YEARLY', `BYMONTH=${pattern.month}`, `BYMONTHDAY=${pattern.dayOfMonth}`);
+            break;
+        case 'relativeYearly':
+            parts.push('FREQ=YEARLY', `BYMONTH=${pattern.month}`, `BYDAY=${days}`, `BYSETPOS=${WEEK_INDEX[pattern.index || 'first']}`);
+            break;
+        default:
+            return null;
+    }
+    if (pattern.interval && pattern.interval > 1) {
+        parts.splice(1, 0, `INTERVAL=${pattern.interval}`);
+    }
+
+    if (range.type === 'endDate' && range.endDate) {
+        const zone = toIanaTimeZone(range.recurrenceTimeZone) || timeZone;
+        const dayAfter = zonedTimeToUtc(`${range.endDate}T00:00`, zone);
+        dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+        parts.push(`UNTIL=${formatUtc(new Date(dayAfter.getTime() - 1000))}`);
+    } else if (range.type === 'numbered' && range.numberOfOccurrences) {
+        parts.push(`COUNT=${range.numberOfOccurrences}`);
+    }
+    return `RRULE:${parts.join(';')}`;
+}
+
+const PARTSTAT = { accepted: 'ACCEPTED', tentativelyAccepted: 'TENTATIVE', declined: 'DECLINED', organizer: 'ACCEPTED' };
+const ROLE = { required: 'REQ-PARTICIPANT', optional: 'OPT-PARTICIPANT', resource: 'NON-PARTICIPANT' };
+
+function formatPerson(property, { name, address }, params = []) {
+    const all = [...(name ? [`CN="${String(name).replace(/"/g, "'")}"`] : []), ...params];
+    return `${property}${all.map(param => `;${param}`).join('')}:mailto:${address}`;
+}
+
+/**
+ * VEVENT lines for a Graph event. Times are written as wall-clock times in timeZone.
+ * options: { timeZone, stamp, start (Date), end (Date), uid, recurrence, recurrenceId (Date) }
+ */
+function buildEvent(event, { timeZone, stamp, start, end, uid, recurrence = null, recurrenceId = null }) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid || event.iCalUId || `${event.id}@graph.microsoft.com`}`,
+        `DTSTAMP:${formatUtc(stamp)}`
+    ];
+
+    if (event.isAllDay) {
+        lines.push(`DTSTART;VALUE=DATE:${getZonedDateString(start, timeZone).replace(/-/g, '')}`);
+        lines.push(`DTEND;VALUE=DATE:${getZonedDateString(end, timeZone).replace(/-/g, '')}`);
+    } else {
+        lines.push(`DTSTART;TZID=${timeZone}:${formatLocal(start, timeZone)}`);
+        lines.push(`DTEND;TZID=${timeZone}:${formatLocal(end, timeZone)}`);
+    }
+    if (recurrenceId) {
+        lines.push(`RECURRENCE-ID;TZID=${timeZone}:${formatLocal(recurrenceId, timeZone)}`);
+    }
+    if (recurrence) {
+        const rrule = buildRRule(recurrence, timeZone);
+        if (rrule) lines.push(rrule);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.subject || '(no subject)')}`);
+    if (event.location?.displayName) {
+        lines.push(`LOCATION:${escapeText(event.location.displayName)}`);
+    }
+    if (event.bodyPreview) {
+        lines.push(`DESCRIPTION:${escapeText(event.bodyPreview)}`);
+    }
+    if (event.onlineMeeting?.joinUrl) {
+        lines.push(`URL:${event.onlineMeeting.joinUrl}`);
+    }
+    if (event.organizer?.emailAddress?.address) {
+        lines.push(formatPerson('ORGANIZER', event.organizer.emailAddress));
+    }
+    for (const attendee of event.attendees || []) {
+        if (!attendee.emailAddress?.address) continue;
+        const status = PARTSTAT[attendee.status?.response] || 'NEEDS-ACTION';
+        lines.push(formatPerson('ATTENDEE', attendee.emailAddress, [`ROLE=${ROLE[attendee.type] || ROLE.required}`, `PARTSTAT=${status}`]));
+    }
+    lines.push(`TRANSP:${event.showAs === 'free' ? 'TRANSPARENT' : 'OPAQUE'}`);
+    if (event.isCancelled) {
+        lines.push('STATUS:CANCELLED');
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// Join lines into a calendar file (CRLF line endings, folded)
+function serializeCalendar(lines, { method = 'PUBLISH', name } = {}) {
+    const header = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN', `METHOD:${method}`];
+    if (name) header.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+    return [...header, ...lines, 'END:VCALENDAR'].map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ---- reading ----
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+}
+
+// "NAME;PARAM=a;PARAM2="b:c":value" -> { name, params, value }
+function parseContentLine(line) {
+    let index = 0;
+    let inQuotes = false;
+    while (index < line.length) {
+        const char = line[index];
+        if (char === '"') inQuotes = !inQuotes;
+        else if (char === ':' && !inQuotes) break;
+        index++;
+    }
+
+    const [name, ...rawParams] = line.substring(0, index).match(/(?:[^;"]+|"[^"]*")+/g) || [''];
+    const params = {};
+    for (const param of rawParams) {
+        const separator = param.indexOf('=');
+        if (separator > 0) {
+            params[param.substring(0, separator).toUpperCase()] = param.substring(separator + 1).replace(/^"|"$/g, '');
+        }
+    }
+    return { name: name.toUpperCase(), params, value: line.substring(index + 1) };
+}
+
+// Components as { type, properties: [{ name, params, value }], components: [...] }
+function parseCalendar(text) {
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim());
+    const root = { type: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+
+    for (const line of lines) {
+        const property = parseContentLine(line);
+        if (property.name === 'BEGIN') {
+            const component = { type: property.value.toUpperCase(), properties: [], components: [] };
+            stack[stack.length - 1].components.push(component);
+            stack.push(component);
+        } else if (property.name === 'END') {
+            if (stack.length > 1) stack.pop();
+        } else {
+            stack[stack.length - 1].properties.push(property);
+        }
+    }
+
+    const calendar = root.components.find(component => component.type === 'VCALENDAR');
+    if (!calendar) {
+        throw new Error('Not an iCalendar file (no VCALENDAR)');
+    }
+    return calendar;
+}
+
+const getProperty = (component, name) => component.properties.find(property => property.name === name);
+const getProperties = (component, name) => component.properties.filter(property => property.name === name);
+
+// DTSTART/DTEND -> { date: Date, allDay }. TZID may be IANA or Windows; unknown zones and floating times use fallbackTimeZone.
+function parseDateProperty(property, fallbackTimeZone) {
+    const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) {
+        throw new Error(`Invalid ${property.name} "${property.value}"`);
+    }
+    const [, year, month, day, hour, minute, second = '00', utc] = match;
+
+    if (hour === undefined || property.params.VALUE === 'DATE') {
+        return { date: zonedTimeToUtc(`${year}-${month}-${day}T00:00`, fallbackTimeZone), allDay: true, timeZone: fallbackTimeZone };
+    }
+    const local = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+    if (utc) {
+        return { date: new Date(`${local}Z`), allDay: false, timeZone: 'UTC' };
+    }
+    const timeZone = toIanaTimeZone(property.params.TZID) || fallbackTimeZone;
+    return { date: zonedTimeToUtc(local, timeZone), allDay: false, timeZone };
+}
+
+function parseRRule(value) {
+    return Object.fromEntries(value.split(';').map(part => part.split('=')).map(([key, val]) => [key.toUpperCase(), val]));
+}
+
+const parsePerson = (property) => ({
+    name: property.params.CN || null,
+    address: property.value.replace(/^mailto:/i, ''),
+    role: property.params.ROLE || null,
+    status: property.params.PARTSTAT || null
+});
+
+/**
+ * VEVENTs of a calendar file. Each: { uid, method, summary, description, location, start, end, allDay,
+ * timeZone, organizer, attendees, rrule, recurrenceId, status }. start/end are Dates; timeZone is the
+ * IANA zone DTSTART was written in.
+ */
+function parseEvents(text, fallbackTimeZone) {
+    const calendar = parseCalendar(text);
+    const method = getProperty(calendar, 'METHOD')?.value?.toUpperCase() || null;
+
+    return calendar.components.filter(component => component.type === 'VEVENT').map(component => {
+        const startProperty = getProperty(component, 'DTSTART');
+        if (!startProperty) {
+            throw new Error('VEVENT without DTSTART');
+        }
+        const start = parseDateProperty(startProperty, fallbackTimeZone);
+        const endProperty = getProperty(component, 'DTEND');
+        const duration = getProperty(component, 'DURATION');
+        let end;
+        if (endProperty) {
+            end = parseDateProperty(endProperty, fallbackTimeZone).date;
+        } else if (duration) {
+            end = new Date(start.date.getTime() + parseDuration(duration.value));
+        } else {
+            // RFC 5545: a date start lasts one day, a date-time start has no duration
+            end = new Date(start.date.getTime() + (start.allDay ? 24 * 60 * 60 * 1000 : 0));
+        }
+
+        const text = (name) => {
+            const property = getProperty(component, name);
+            return property ? unescapeText(property.value) : null;
+        };
+        const rrule = getProperty(component, 'RRULE');
+        const recurrenceId = getProperty(component, 'RECURRENCE-ID');
+        const organizer = getProperty(component, 'ORGANIZER');
+
+        return {
+            uid: text('UID'),
+            method,
+            summary: text('SUMMARY'),
+            description: text('DESCRIPTION'),
+            location: text('LOCATION'),
+            start: start.date,
+            end,
+            allDay: start.allDay,
+            timeZone: start.timeZone,
+            organizer: organizer ? parsePerson(organizer) : null,
+            attendees: getProperties(component, 'ATTENDEE').map(parsePerson),
+            rrule: rrule ? parseRRule(rrule.value) : null,
+            recurrenceId: recurrenceId ? parseDateProperty(recurrenceId, fallbackTimeZone).date : null,
+            status: text('STATUS')
+        };
+    });
+}
+
+// ISO 8601 duration as used by DURATION (P1D, PT1H30M, P1W) -> milliseconds
+function parseDuration(value) {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) {
+        throw new Error(`Invalid DURATION "${value}"`);
+    }
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const total = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+    return sign === '-' ? -total : total;
+}
+
+/**
+ * create-invite recurrence input ({ frequency, interval, daysOfWeek, endDate | occurrences }) for an RRULE,
+ * or { unsupported: reason } when the rule can't be expressed that way. BYDAY is relative to the event's
+ * own zone; dayShift (-1, 0, 1) moves it to the day the meeting falls on in timeZone.
+ */
+function toRecurrenceInput(rrule, timeZone, dayShift = 0) {
+    const interval = rrule.INTERVAL ? parseInt(rrule.INTERVAL, 10) : 1;
+    const unsupported = ['BYSETPOS', 'BYHOUR', 'BYMINUTE', 'BYYEARDAY', 'BYWEEKNO'].find(key => rrule[key]);
+    if (unsupported) {
+        return { unsupported: `${unsupported} rules` };
+    }
+
+    let input;
+    const days = rrule.BYDAY ? rrule.BYDAY.split(',') : [];
+    if (days.some(day => !DAYS_BY_ICS[day])) {
+        return { unsupported: `BYDAY=${rrule.BYDAY}` };
+    }
+    if (dayShift !== 0) {
+        const order = Object.values(ICS_DAYS);
+        days.splice(0, days.length, ...days.map(day => order[(order.indexOf(day) + dayShift + 7) % 7]));
+    }
+
+    if (rrule.FREQ === 'DAILY' && days.length === 0) {
+        input = { frequency: 'daily', interval };
+    } else if (rrule.FREQ === 'WEEKLY' || (rrule.FREQ === 'DAILY' && days.length > 0)) {
+        const weekdays = ['MO', 'TU', 'WE', 'TH', 'FR'];
+        input = interval === 1 && days.length === 5 && weekdays.every(day => days.includes(day))
+            ? { frequency: 'weekdays' }
+            : { frequency: 'weekly', interval, daysOfWeek: days.map(day => DAYS_BY_ICS[day]) };
+    } else if (rrule.FREQ === 'MONTHLY' && days.length === 0) {
+        input = { frequency: 'monthly', interval };
+    } else {
+        return { unsupported: `FREQ=${rrule.FREQ}${days.length ? ` with BYDAY=${rrule.BYDAY}` : ''}` };
+    }
+
+    if (rrule.UNTIL) {
+        const until = parseDateProperty({ name: 'UNTIL', params: {}, value: rrule.UNTIL }, timeZone).date;
+        input.endDate = getZonedDateString(until, timeZone);
+    } else if (rrule.COUNT) {
+        input.occurrences = parseInt(rrule.COUNT, 10);
+    }
+    return input;
+}
+
+module.exports = {
+    buildTimezone,
+    buildEvent,
+    buildRRule,
+    serializeCalendar,
+    parseCalendar,
+    parseEvents,
+    toRecurrenceInput
+};
@@ -0,0 +1,49 @@
+// Interval arithmetic on { start, end } pairs in epoch milliseconds
+
+function mergeIntervals(intervals) {
+    const sorted = intervals.filter(interval => interval.end > interval.start).sort((a, b) => a.start - b.start);
+    const merged = [];
+
+    for (const interval of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ ...interval });
+        }
+    }
+    return merged;
+}
+
+function intersectIntervals(a, b) {
+    const result = [];
+    for (const x of a) {
+        for (const y of b) {
+            const start = Math.max(x.start, y.start);
+            const end = Math.min(x.end, y.end);
+            if (end > start) result.push({ start, end });
+        }
+    }
+    return mergeIntervals(result);
+}
+
+function subtractIntervals(intervals, blocks) {
+    let result = intervals;
+    for (const block of mergeIntervals(blocks)) {
+        result = result.flatMap(interval => {
+            if (block.end <= interval.start || block.start >= interval.end) return [interval];
+            const pieces = [];
+            if (block.start > interval.start) pieces.push({ start: interval.start, end: block.start });
+            if (block.end < interval.end) pieces.push({ start: block.end, end: interval.end });
+            return pieces;
+        });
+    }
+    return result;
+}
+
+// Total minutes covered, counting overlapping time once
+function totalMinutes(intervals) {
+    return mergeIntervals(intervals).reduce((sum, interval) => sum + (interval.end - interval.start), 0) / 60000;
+}
+
+module.exports = { mergeIntervals, intersectIntervals, subtractIntervals, totalMinutes };
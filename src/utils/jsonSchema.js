@@ -0,0 +1,52 @@
+const { isValidTimeZone } = require('./timezone');
+
+// Validates the subset of JSON Schema used by our tool definitions (type, enum, minimum/maximum,
+// minLength/maxLength, pattern, email and iana-time-zone formats, minItems/maxItems, required).
+// Returns a list of "path: problem" strings - empty when the value is valid.
+function validateAgainstSchema(value, schema, path = 'input') {
+    const errors = [];
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+    if (schema.type === 'integer') {
+        if (!Number.isInteger(value)) return [`${path}: expected an integer`];
+    } else if (schema.type && schema.type !== actualType) {
+        return [`${path}: expected ${schema.type}, got ${actualType}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+
+    if (actualType === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must not be empty`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+        if (schema.format === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) errors.push(`${path}: not an email address`);
+        if (schema.format === 'iana-time-zone' && !isValidTimeZone(value)) errors.push(`${path}: not an IANA time zone`);
+    }
+
+    if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+        }
+    }
+
+    if (actualType === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { validateAgainstSchema };
@@ -0,0 +1,144 @@
+const { getZonedDateString } = require('./timezone');
+
+// Recurring meetings: build Graph patternedRecurrence objects from simple request input and
+// describe existing ones in words. Graph expands them; we never generate occurrences ourselves.
+
+const FREQUENCIES = ['daily', 'weekdays', 'weekly', 'monthly'];
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAYS = DAYS_OF_WEEK.slice(1, 6);
+const MAX_OCCURRENCES = 999;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class RecurrenceValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RecurrenceValidationError';
+        this.statusCode = 400;
+    }
+}
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+const UNIT_ADVERBS = { day: 'Daily', week: 'Weekly', month: 'Monthly', year: 'Yearly' };
+
+/**
+ * Graph recurrence for a meeting starting at `start` (Date) in timeZone.
+ * input: { frequency: daily|weekdays|weekly|monthly, interval = 1, daysOfWeek (weekly), endDate (YYYY-MM-DD) | occurrences }
+ * The series starts on the local date of the first meeting and has no end unless endDate/occurrences is given.
+ */
+function buildRecurrence(input, start, timeZone) {
+    const { frequency, interval = 1, daysOfWeek, endDate, occurrences } = input || {};
+
+    if (!FREQUENCIES.includes(frequency)) {
+        throw new RecurrenceValidationError(`recurrence.frequency must be one of ${FREQUENCIES.join(', ')}`);
+    }
+    if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+        throw new RecurrenceValidationError('recurrence.interval must be between 1 and 99');
+    }
+    if (endDate !== undefined && occurrences !== undefined) {
+        throw new RecurrenceValidationError('Give recurrence.endDate or recurrence.occurrences, not both');
+    }
+
+    const startDate = getZonedDateString(start, timeZone);
+    const startDay = DAYS_OF_WEEK[new Date(`${startDate}T00:00:00Z`).getUTCDay()];
+    let pattern;
+
+    if (frequency === 'daily') {
+        pattern = { type: 'daily', interval };
+    } else if (frequency === 'weekdays') {
+        pattern = { type: 'weekly', interval: 1, daysOfWeek: WEEKDAYS, firstDayOfWeek: 'sunday' };
+    } else if (frequency === 'weekly') {
+        if (daysOfWeek != null && !Array.isArray(daysOfWeek)) {
+            throw new RecurrenceValidationError('recurrence.daysOfWeek must be an array of day names');
+        }
+        const days = (daysOfWeek && daysOfWeek.length > 0 ? daysOfWeek : [startDay]).map(day => String(day).toLowerCase());
+        const unknown = days.filter(day => !DAYS_OF_WEEK.includes(day));
+        if (unknown.length > 0) {
+            throw new RecurrenceValidationError(`Unknown recurrence.daysOfWeek: ${unknown.join(', ')}`);
+        }
+        pattern = { type: 'weekly', interval, daysOfWeek: [...new Set(days)], firstDayOfWeek: 'sunday' };
+    } else {
+        pattern = { type: 'absoluteMonthly', interval, dayOfMonth: parseInt(startDate.substring(8, 10), 10) };
+    }
+
+    let range;
+    if (endDate !== undefined) {
+        if (!DATE_PATTERN.test(endDate) || endDate < startDate) {
+            throw new RecurrenceValidationError('recurrence.endDate must be a YYYY-MM-DD date on or after the first meeting');
+        }
+        range = { type: 'endDate', startDate, endDate };
+    } else if (occurrences !== undefined) {
+        if (!Number.isInteger(occurrences) || occurrences < 1 || occurrences > MAX_OCCURRENCES) {
+            throw new RecurrenceValidationError(`recurrence.occurrences must be between 1 and ${MAX_OCCURRENCES}`);
+        }
+        range = { type: 'numbered', startDate, numberOfOccurrences: occurrences };
+    } else {
+        range = { type: 'noEnd', startDate };
+    }
+
+    return { pattern, range: { ...range, recurrenceTimeZone: timeZone } };
+}
+
+// "Every 2 weeks on Monday, Wednesday until 2025-12-19" for a Graph patternedRecurrence
+function describeRecurrence(recurrence) {
+    if (!recurrence?.pattern) {
+        return null;
+    }
+    const { pattern, range = {} } = recurrence;
+    const interval = pattern.interval || 1;
+    const every = (unit) => interval === 1 ? UNIT_ADVERBS[unit] : `Every ${interval} ${unit}s`;
+    const days = (pattern.daysOfWeek || []).map(capitalize).join(', ');
+    let text;
+
+    switch (pattern.type) {
+        case 'daily':
+            text = every('day');
+            break;
+        case 'weekly':
+            text = interval === 1 && WEEKDAYS.every(day => pattern.daysOfWeek?.includes(day)) && pattern.daysOfWeek.length === 5
+                ? 'Every weekday'
+                : `${every('week')} on ${days}`;
+            break;
+        case 'absoluteMonthly':
+            text = `${every('month')} on day ${pattern.dayOfMonth}`;
+            break;
+        case 'relativeMonthly':
+            text = `${every('month')} on the ${pattern.index || 'first'} ${days}`;
+            break;
+        case 'absoluteYearly':
+        case 'relativeYearly':
+            text = every('year');
+            break;
+        default:
+            text = 'Recurring';
+    }
+
+    if (range.type === 'endDate' && range.endDate) {
+        text += ` until ${range.endDate}`;
+    } else if (range.type === 'numbered' && range.numberOfOccurrences) {
+        text += `, ${range.numberOfOccurrences} times`;
+    }
+    return text;
+}
+
+// Series metadata for a calendarView item; master is the series master event when it was fetched
+function seriesInfo(event, master = null) {
+    const type = event.type || 'singleInstance';
+    const recurrence = event.recurrence || master?.recurrence || null;
+
+    return {
+        type,
+        isRecurring: type !== 'singleInstance',
+        isException: type === 'exception',
+        seriesMasterId: event.seriesMasterId || (type === 'seriesMaster' ? event.id : null),
+        recurrence,
+        pattern: describeRecurrence(recurrence)
+    };
+}
+
+module.exports = {
+    FREQUENCIES,
+    RecurrenceValidationError,
+    buildRecurrence,
+    describeRecurrence,
+    seriesInfo
+};
@@ -0,0 +1,76 @@
+// Server-Sent Events over a plain Express response.
+// The returned signal aborts when the client disconnects, so upstream work (e.g. an LLM stream) can stop.
+function openEventStream(res) {
+    const controller = new AbortController();
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+
+    return {
+        signal: controller.signal,
+        send(event, data) {
+            if (!res.writableEnded && !controller.signal.aborted) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        },
+        end() {
+            if (!res.writableEnded) {
+                res.end();
+            }
+        }
+    };
+}
+
+// Relay an async iterable of text deltas as `delta` events; resolves to the full text.
+// Stops quietly when the client cancels.
+async function relayTextStream(stream, deltas) {
+    let text = '';
+
+    try {
+        for await (const delta of deltas) {
+            if (stream.signal.aborted) {
+                break;
+            }
+            text += delta;
+            stream.send('delta', { text: delta });
+        }
+    } catch (error) {
+        if (!stream.signal.aborted) {
+            throw error;
+        }
+    }
+
+    return text;
+}
+
+// Like relayTextStream, for provider event streams ({ type: 'text' | 'tool_call' }).
+// Text is relayed as `delta` events; resolves to { text, toolCalls }.
+async function relayEventStream(stream, events) {
+    const toolCalls = [];
+
+    async function* textOnly() {
+        for await (const event of events) {
+            if (event.type === 'tool_call') {
+                toolCalls.push({ name: event.name, input: event.input });
+            } else if (event.type === 'text') {
+                yield event.text;
+            }
+        }
+    }
+
+    const text = await relayTextStream(stream, textOnly());
+    return { text, toolCalls };
+}
+
+module.exports = { openEventStream, relayTextStream, relayEventStream };
@@ -0,0 +1,289 @@
+// Time zone helpers. Everything here works on IANA names (America/Los_Angeles) and never
+// on the server's own offset - the server usually runs in UTC, the user usually doesn't.
+
+// Used when neither a settings override nor the Outlook mailbox zone is known (the old hardcoded zone)
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+
+// Outlook mailboxSettings report Windows zone names for most mailboxes. This is the CLDR
+// windowsZones mapping (territory 001) - keep it complete, an unmapped zone falls back to the default.
+const WINDOWS_TO_IANA = {
+    'Dateline Standard Time': 'Etc/GMT+12',
+    'UTC-11': 'Etc/GMT+11',
+    'Aleutian Standard Time': 'America/Adak',
+    'Hawaiian Standard Time': 'Pacific/Honolulu',
+    'Marquesas Standard Time': 'Pacific/Marquesas',
+    'Alaskan Standard Time': 'America/Anchorage',
+    'UTC-09': 'Etc/GMT+9',
+    'Pacific Standard Time (Mexico)': 'America/Tijuana',
+    'UTC-08': 'Etc/GMT+8',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'US Mountain Standard Time': 'America/Phoenix',
+    'Mountain Standard Time (Mexico)': 'America/Mazatlan',
+    'Mountain Standard Time': 'America/Denver',
+    'Yukon Standard Time': 'America/Whitehorse',
+    'Central America Standard Time': 'America/Guatemala',
+    'Central Standard Time': 'America/Chicago',
+    'Easter Island Standard Time': 'Pacific/Easter',
+    'Central Standard Time (Mexico)': 'America/Mexico_City',
+    'Canada Central Standard Time': 'America/Regina',
+    'SA Pacific Standard Time': 'America/Bogota',
+    'Eastern Standard Time (Mexico)': 'America/Cancun',
+    'Eastern Standard Time': 'America/New_York',
+    'Haiti Standard Time': 'America/Port-au-Prince',
+    'Cuba Standard Time': 'America/Havana',
+    'US Eastern Standard Time': 'America/Indianapolis',
+    'Turks And Caicos Standard Time': 'America/Grand_Turk',
+    'Paraguay Standard Time': 'America/Asuncion',
+    'Atlantic Standard Time': 'America/Halifax',
+    'Venezuela Standard Time': 'America/Caracas',
+    'Central Brazilian Standard Time': 'America/Cuiaba',
+    'SA Western Standard Time': 'America/La_Paz',
+    'Pacific SA Standard Time': 'America/Santiago',
+    'Newfoundland Standard Time': 'America/St_Johns',
+    'Tocantins Standard Time': 'America/Araguaina',
+    'E. South America Standard Time': 'America/Sao_Paulo',
+    'SA Eastern Standard Time': 'America/Cayenne',
+    'Argentina Standard Time': 'America/Buenos_Aires',
+    'Greenland Standard Time': 'America/Godthab',
+    'Montevideo Standard Time': 'America/Montevideo',
+    'Magallanes Standard Time': 'America/Punta_Arenas',
+    'Saint Pierre Standard Time': 'America/Miquelon',
+    'Bahia Standard Time': 'America/Bahia',
+    'UTC-02': 'Etc/GMT+2',
+    'Mid-Atlantic Standard Time': 'Etc/GMT+2',
+    'Azores Standard Time': 'Atlantic/Azores',
+    'Cape Verde Standard Time': 'Atlantic/Cape_Verde',
+    'UTC': 'Etc/UTC',
+    'GMT Standard Time': 'Europe/London',
+    'Greenwich Standard Time': 'Atlantic/Reykjavik',
+    'Sao Tome Standard Time': 'Africa/Sao_Tome',
+    'Morocco Standard Time': 'Africa/Casablanca',
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Romance Standard Time': 'Europe/Paris',
+    'Central European Standard Time': 'Europe/Warsaw',
+    'W. Central Africa Standard Time': 'Africa/Lagos',
+    'Jordan Standard Time': 'Asia/Amman',
+    'GTB Standard Time': 'Europe/Bucharest',
+    'Middle East Standard Time': 'Asia/Beirut',
+    'Egypt Standard Time': 'Africa/Cairo',
+    'E. Europe Standard Time': 'Europe/Chisinau',
+    'Syria Standard Time': 'Asia/Damascus',
+    'West Bank Standard Time': 'Asia/Hebron',
+    'South Africa Standard Time': 'Africa/Johannesburg',
+    'FLE Standard Time': 'Europe/Kiev',
+    'Israel Standard Time': 'Asia/Jerusalem',
+    'South Sudan Standard Time': 'Africa/Juba',
+    'Kaliningrad Standard Time': 'Europe/Kaliningrad',
+    'Sudan Standard Time': 'Africa/Khartoum',
+    'Libya Standard Time': 'Africa/Tripoli',
+    'Namibia Standard Time': 'Africa/Windhoek',
+    'Arabic Standard Time': 'Asia/Baghdad',
+    'Turkey Standard Time': 'Europe/Istanbul',
+    'Arab Standard Time': 'Asia/Riyadh',
+    'Belarus Standard Time': 'Europe/Minsk',
+    'Russian Standard Time': 'Europe/Moscow',
+    'E. Africa Standard Time': 'Africa/Nairobi',
+    'Volgograd Standard Time': 'Europe/Volgograd',
+    'Iran Standard Time': 'Asia/Tehran',
+    'Arabian Standard Time': 'Asia/Dubai',
+    'Astrakhan Standard Time': 'Europe/Astrakhan',
+    'Azerbaijan Standard Time': 'Asia/Baku',
+    'Russia Time Zone 3': 'Europe/Samara',
+    'Mauritius Standard Time': 'Indian/Mauritius',
+    'Saratov Standard Time': 'Europe/Saratov',
+    'Georgian Standard Time': 'Asia/Tbilisi',
+    'Caucasus Standard Time': 'Asia/Yerevan',
+    'Afghanistan Standard Time': 'Asia/Kabul',
+    'West Asia Standard Time': 'Asia/Tashkent',
+    'Qyzylorda Standard Time': 'Asia/Qyzylorda',
+    'Ekaterinburg Standard Time': 'Asia/Yekaterinburg',
+    'Pakistan Standard Time': 'Asia/Karachi',
+    'India Standard Time': 'Asia/Calcutta',
+    'Sri Lanka Standard Time': 'Asia/Colombo',
+    'Nepal Standard Time': 'Asia/Katmandu',
+    'Central Asia Standard Time': 'Asia/Bishkek',
+    'Bangladesh Standard Time': 'Asia/Dhaka',
+    'Omsk Standard Time': 'Asia/Omsk',
+    'Myanmar Standard Time': 'Asia/Rangoon',
+    'SE Asia Standard Time': 'Asia/Bangkok',
+    'Altai Standard Time': 'Asia/Barnaul',
+    'W. Mongolia Standard Time': 'Asia/Hovd',
+    'North Asia Standard Time': 'Asia/Krasnoyarsk',
+    'N. Central Asia Standard Time': 'Asia/Novosibirsk',
+    'Tomsk Standard Time': 'Asia/Tomsk',
+    'China Standard Time': 'Asia/Shanghai',
+    'North Asia East Standard Time': 'Asia/Irkutsk',
+    'Singapore Standard Time': 'Asia/Singapore',
+    'W. Australia Standard Time': 'Australia/Perth',
+    'Taipei Standard Time': 'Asia/Taipei',
+    'Ulaanbaatar Standard Time': 'Asia/Ulaanbaatar',
+    'Aus Central W. Standard Time': 'Australia/Eucla',
+    'Transbaikal Standard Time': 'Asia/Chita',
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'North Korea Standard Time': 'Asia/Pyongyang',
+    'Korea Standard Time': 'Asia/Seoul',
+    'Yakutsk Standard Time': 'Asia/Yakutsk',
+    'Cen. Australia Standard Time': 'Australia/Adelaide',
+    'AUS Central Standard Time': 'Australia/Darwin',
+    'E. Australia Standard Time': 'Australia/Brisbane',
+    'AUS Eastern Standard Time': 'Australia/Sydney',
+    'West Pacific Standard Time': 'Pacific/Port_Moresby',
+    'Tasmania Standard Time': 'Australia/Hobart',
+    'Vladivostok Standard Time': 'Asia/Vladivostok',
+    'Lord Howe Standard Time': 'Australia/Lord_Howe',
+    'Bougainville Standard Time': 'Pacific/Bougainville',
+    'Russia Time Zone 10': 'Asia/Srednekolymsk',
+    'Magadan Standard Time': 'Asia/Magadan',
+    'Norfolk Standard Time': 'Pacific/Norfolk',
+    'Sakhalin Standard Time': 'Asia/Sakhalin',
+    'Central Pacific Standard Time': 'Pacific/Guadalcanal',
+    'Russia Time Zone 11': 'Asia/Kamchatka',
+    'New Zealand Standard Time': 'Pacific/Auckland',
+    'UTC+12': 'Etc/GMT-12',
+    'Fiji Standard Time': 'Pacific/Fiji',
+    'Kamchatka Standard Time': 'Asia/Kamchatka',
+    'Chatham Islands Standard Time': 'Pacific/Chatham',
+    'UTC+13': 'Etc/GMT-13',
+    'Tonga Standard Time': 'Pacific/Tongatapu',
+    'Samoa Standard Time': 'Pacific/Apia',
+    'Line Islands Standard Time': 'Pacific/Kiritimati',
+    // Graph's own name for UTC in some mailboxSettings responses
+    'tzone://Microsoft/Utc': 'Etc/UTC'
+};
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// IANA name for an IANA or Windows zone name; null when it can't be mapped
+function toIanaTimeZone(timeZone) {
+    if (WINDOWS_TO_IANA[timeZone]) {
+        return WINDOWS_TO_IANA[timeZone];
+    }
+    return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+// Wall-clock parts of an instant in a zone
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+    for (const { type, value } of formatter.formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return parts;
+}
+
+// Minutes the zone is ahead of UTC at the given instant (e.g. -420 for PDT)
+function getTimeZoneOffset(timeZone, date = new Date()) {
+    const parts = getZonedParts(date, timeZone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Instant for a wall-clock time ('YYYY-MM-DDTHH:mm[:ss[.fff]]') in a zone
+function zonedTimeToUtc(localDateTime, timeZone) {
+    const match = String(localDateTime).match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?/);
+    if (!match) {
+        throw new Error(`Invalid local date/time "${localDateTime}"`);
+    }
+    const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = match;
+    const asUTC = Date.UTC(year, month - 1, day, hour, minute, second, Math.round(Number(`0.${fraction}`) * 1000));
+
+    // Two passes settle the offset across DST transitions
+    let utc = asUTC - getTimeZoneOffset(timeZone, new Date(asUTC)) * 60000;
+    utc = asUTC - getTimeZoneOffset(timeZone, new Date(utc)) * 60000;
+    return new Date(utc);
+}
+
+// Graph dateTimeTimeZone ({ dateTime, timeZone }) -> Date. Without a Prefer: outlook.timezone
+// header Graph answers in UTC; with one, dateTime is wall-clock time in that zone.
+function parseGraphDateTime(value, fallbackTimeZone = 'UTC') {
+    const timeZone = toIanaTimeZone(value.timeZone || fallbackTimeZone) || 'UTC';
+    if (['UTC', 'Etc/UTC'].includes(timeZone)) {
+        return new Date(value.dateTime.replace(/Z?$/, 'Z'));
+    }
+    return zonedTimeToUtc(value.dateTime, timeZone);
+}
+
+// Graph dateTimeTimeZone for user input: wall-clock values ('2025-08-21T14:00' from a
+// datetime-local field) are taken as the user's zone, values with an offset or Z as UTC instants
+function toGraphDateTime(value, timeZone) {
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(String(value))) {
+        return { dateTime: new Date(value).toISOString().replace('Z', ''), timeZone: 'UTC' };
+    }
+    zonedTimeToUtc(value, timeZone); // throws on malformed input
+    return { dateTime: String(value), timeZone };
+}
+
+// Short zone abbreviation for display, e.g. PDT, CET, GMT+2
+function getTimezoneLabel(timeZone, date = new Date()) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(date)
+        .find(({ type }) => type === 'timeZoneName');
+    return part ? part.value : timeZone;
+}
+
+// 'YYYY-MM-DD' of an instant in a zone
+function getZonedDateString(date, timeZone) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// 'YYYY-MM-DDTHH:mm' wall-clock time of an instant in a zone
+function getZonedDateTimeString(date, timeZone) {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return `${getZonedDateString(date, timeZone)}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// Calendar arithmetic on 'YYYY-MM-DD' strings
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().substring(0, 10);
+}
+
+// [start of day + daysOffset, end of day + daysOffset + days - 1] in the user's zone, as UTC instants
+function getZonedDayRange(timeZone, { daysOffset = 0, days = 1, now = new Date() } = {}) {
+    const today = getZonedDateString(now, timeZone);
+    const firstDay = addDays(today, daysOffset);
+    const dayAfterLast = addDays(firstDay, Math.max(days, 1));
+
+    return {
+        start: zonedTimeToUtc(`${firstDay}T00:00:00`, timeZone),
+        end: new Date(zonedTimeToUtc(`${dayAfterLast}T00:00:00`, timeZone).getTime() - 1),
+        timezoneLabel: getTimezoneLabel(timeZone, now)
+    };
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    toIanaTimeZone,
+    getTimeZoneOffset,
+    zonedTimeToUtc,
+    parseGraphDateTime,
+    toGraphDateTime,
+    getTimezoneLabel,
+    getZonedDateString,
+    getZonedDateTimeString,
+    getZonedDayRange,
+    addDays
+};
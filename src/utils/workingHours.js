@@ -0,0 +1,44 @@
+const { zonedTimeToUtc, toIanaTimeZone, addDays } = require('./timezone');
+const { mergeIntervals } = require('./intervals');
+
+// Outlook workingHours ({ daysOfWeek, startTime, endTime, timeZone: { name } }) as intervals.
+// Mailboxes without working hours get Monday-Friday 9-5 in the fallback zone.
+
+const DEFAULT_WORKING_HOURS = {
+    daysOfWeek: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+    startTime: '09:00:00',
+    endTime: '17:00:00'
+};
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function toHHmm(time) {
+    return String(time || '').substring(0, 5);
+}
+
+function describeWorkingHours(workingHours, fallbackTimeZone) {
+    const hours = workingHours && workingHours.startTime ? workingHours : DEFAULT_WORKING_HOURS;
+    return {
+        daysOfWeek: (hours.daysOfWeek || DEFAULT_WORKING_HOURS.daysOfWeek).map(day => day.toLowerCase()),
+        startTime: toHHmm(hours.startTime),
+        endTime: toHHmm(hours.endTime),
+        timeZone: toIanaTimeZone(hours.timeZone?.name) || fallbackTimeZone,
+        source: workingHours && workingHours.startTime ? 'outlook' : 'default'
+    };
+}
+
+// Working-hour intervals for [firstDay, lastDay] (a day either side covers zones ahead/behind the user)
+function workingIntervals(workingHours, fallbackTimeZone, firstDay, lastDay) {
+    const { daysOfWeek, startTime, endTime, timeZone } = describeWorkingHours(workingHours, fallbackTimeZone);
+    const intervals = [];
+
+    for (let date = addDays(firstDay, -1); date <= addDays(lastDay, 1); date = addDays(date, 1)) {
+        if (!daysOfWeek.includes(WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()])) continue;
+        intervals.push({
+            start: zonedTimeToUtc(`${date}T${startTime}`, timeZone).getTime(),
+            end: zonedTimeToUtc(`${date}T${endTime}`, timeZone).getTime()
+        });
+    }
+    return mergeIntervals(intervals);
+}
+
+module.exports = { DEFAULT_WORKING_HOURS, describeWorkingHours, workingIntervals };